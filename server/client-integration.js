@@ -154,19 +154,28 @@ class ChatService {
 */ 
 
 // Leaderboard Integration
-// These functions can be used by the client to interact with the leaderboard system
+// These functions can be used by the client to interact with the leaderboard system.
+// The leaderboard API requires a session token from POST /api/auth/login.
+
+/**
+ * Build request headers carrying a session token
+ * @param {string} token - Session token
+ * @returns {Object} Request headers
+ */
+const authHeaders = (token) => ({ Authorization: `Bearer ${token}` });
 
 /**
  * Get all leaderboards
+ * @param {string} token - Session token
  * @returns {Promise} Promise that resolves to leaderboard data
  */
-export const getAllLeaderboards = async () => {
+export const getAllLeaderboards = async (token) => {
   try {
-    const response = await fetch(`${API_BASE_URL}/api/leaderboards`);
+    const response = await fetch(`${API_BASE_URL}/api/leaderboards`, { headers: authHeaders(token) });
     if (!response.ok) {
       throw new Error('Failed to fetch leaderboards');
     }
-    return await response.json();
+    return (await response.json()).data;
   } catch (error) {
     console.error('Error fetching leaderboards:', error);
     throw error;
@@ -176,15 +185,16 @@ export const getAllLeaderboards = async () => {
 /**
  * Get a specific leaderboard by category
  * @param {string} category - The leaderboard category
+ * @param {string} token - Session token
  * @returns {Promise} Promise that resolves to leaderboard data
  */
-export const getLeaderboard = async (category) => {
+export const getLeaderboard = async (category, token) => {
   try {
-    const response = await fetch(`${API_BASE_URL}/api/leaderboards/${category}`);
+    const response = await fetch(`${API_BASE_URL}/api/leaderboards/${category}`, { headers: authHeaders(token) });
     if (!response.ok) {
       throw new Error(`Failed to fetch ${category} leaderboard`);
     }
-    return await response.json();
+    return (await response.json()).data;
   } catch (error) {
     console.error(`Error fetching ${category} leaderboard:`, error);
     throw error;
@@ -195,15 +205,16 @@ export const getLeaderboard = async (category) => {
  * Get a player's rank in a specific leaderboard
  * @param {string} category - The leaderboard category
  * @param {string} playerId - The player's ID
+ * @param {string} token - Session token
  * @returns {Promise} Promise that resolves to player rank data
  */
-export const getPlayerRank = async (category, playerId) => {
+export const getPlayerRank = async (category, playerId, token) => {
   try {
-    const response = await fetch(`${API_BASE_URL}/api/leaderboards/${category}/player/${playerId}`);
+    const response = await fetch(`${API_BASE_URL}/api/leaderboards/${category}/player/${playerId}`, { headers: authHeaders(token) });
     if (!response.ok) {
       throw new Error(`Failed to fetch player rank for ${category}`);
     }
-    return await response.json();
+    return (await response.json()).data;
   } catch (error) {
     console.error(`Error fetching player rank for ${category}:`, error);
     throw error;
@@ -213,17 +224,19 @@ export const getPlayerRank = async (category, playerId) => {
 /**
  * Update a player's score in a leaderboard
  * @param {string} category - The leaderboard category
- * @param {string} playerId - The player's ID
+ * @param {string} playerId - The player's ID (must be the session's player)
  * @param {string} playerName - The player's name
  * @param {number} score - The player's score
+ * @param {string} token - Session token
  * @returns {Promise} Promise that resolves to update result
  */
-export const updateLeaderboardScore = async (category, playerId, playerName, score) => {
+export const updateLeaderboardScore = async (category, playerId, playerName, score, token) => {
   try {
     const response = await fetch(`${API_BASE_URL}/api/leaderboards/${category}/update`, {
       method: 'POST',
       headers: {
-        'Content-Type': 'application/json'
+        'Content-Type': 'application/json',
+        ...authHeaders(token)
       },
       body: JSON.stringify({
         playerId,
@@ -285,20 +298,3 @@ export const setupLeaderboardSocketHandlers = (socket, {
 export const requestLeaderboardData = (socket, category) => {
   socket.emit('get-leaderboard', category);
 };
-
-/**
- * Update a player's score in a leaderboard via socket.io
- * @param {Object} socket - The socket.io client instance
- * @param {string} playerId - The player's ID
- * @param {string} playerName - The player's name
- * @param {string} category - The leaderboard category
- * @param {number} score - The player's score
- */
-export const updateLeaderboardViaSocket = (socket, playerId, playerName, category, score) => {
-  socket.emit('update-leaderboard', {
-    playerId,
-    playerName,
-    category,
-    score
-  });
-}; 
\ No newline at end of file
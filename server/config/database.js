@@ -3,6 +3,7 @@ import path from 'path';
 import { fileURLToPath } from 'url';
 import fs from 'fs';
 import dotenv from 'dotenv';
+import { MigrationRunner, createSqliteDriver } from '../utils/migrationRunner.js';
 
 // Load environment variables
 dotenv.config();
@@ -28,47 +29,13 @@ const db = new Database(dbPath, {
 // Enable foreign keys
 db.pragma('foreign_keys = ON');
 
-// Create tables if they don't exist
-function initDatabase() {
-  // Create rooms table
-  db.exec(`
-    CREATE TABLE IF NOT EXISTS rooms (
-      id TEXT PRIMARY KEY,
-      name TEXT NOT NULL,
-      created_at TEXT NOT NULL,
-      is_private INTEGER DEFAULT 0,
-      password TEXT,
-      metadata TEXT
-    )
-  `);
+// Create or update the tables by applying pending migrations (see migrations/sqlite)
+const migrationRunner = new MigrationRunner(createSqliteDriver(db), path.join(__dirname, '..', 'migrations', 'sqlite'));
+const appliedMigrations = await migrationRunner.migrate();
 
-  // Create messages table
-  db.exec(`
-    CREATE TABLE IF NOT EXISTS messages (
-      id TEXT PRIMARY KEY,
-      room_id TEXT NOT NULL,
-      sender TEXT NOT NULL,
-      message TEXT NOT NULL,
-      timestamp TEXT NOT NULL,
-      FOREIGN KEY (room_id) REFERENCES rooms (id) ON DELETE CASCADE
-    )
-  `);
-
-  // Create room_users table (for tracking users in rooms)
-  db.exec(`
-    CREATE TABLE IF NOT EXISTS room_users (
-      room_id TEXT NOT NULL,
-      user_id TEXT NOT NULL,
-      joined_at TEXT NOT NULL,
-      PRIMARY KEY (room_id, user_id),
-      FOREIGN KEY (room_id) REFERENCES rooms (id) ON DELETE CASCADE
-    )
-  `);
-
-  console.log('Database initialized successfully');
-}
-
-// Initialize the database
-initDatabase();
+appliedMigrations.forEach(migration => {
+  console.log(`Applied migration ${migration.version}_${migration.name}`);
+});
+console.log('Database initialized successfully');
 
 export default db; 
\ No newline at end of file
@@ -0,0 +1,76 @@
+/**
+ * mail.js
+ * Chooses how outbound email is sent
+ *
+ * MAIL_TRANSPORT=console (the default) logs each message; MAIL_TRANSPORT=file
+ * writes each one to MAIL_DIR as a .eml file. Any other transport is plugged
+ * in with setMailTransport before the server starts (see utils/mailTransports.js).
+ */
+
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import dotenv from 'dotenv';
+import logger from '../utils/logger.js';
+import { ConsoleMailTransport, FileMailTransport } from '../utils/mailTransports.js';
+
+// Load environment variables
+dotenv.config();
+
+// ES module compatibility
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const MAIL_FROM = process.env.MAIL_FROM || 'Game <no-reply@localhost>';
+const MAIL_DIR = process.env.MAIL_DIR || path.join(__dirname, '..', 'data', 'mail');
+
+/**
+ * Create the transport MAIL_TRANSPORT names
+ * @returns {Object} - Mail transport
+ */
+const createTransport = () => {
+  const name = process.env.MAIL_TRANSPORT || 'console';
+
+  if (name === 'file') {
+    return new FileMailTransport(MAIL_DIR);
+  }
+
+  if (name !== 'console') {
+    logger.warn(`Unknown MAIL_TRANSPORT "${name}"; logging mail to the console instead`);
+  }
+
+  return new ConsoleMailTransport();
+};
+
+let transport = createTransport();
+
+/**
+ * Send mail through another transport
+ * @param {Object} customTransport - Object with an async send({ from, to, subject, text }) method
+ */
+export function setMailTransport(customTransport) {
+  if (typeof customTransport?.send !== 'function') {
+    throw new Error('A mail transport needs a send(message) method');
+  }
+
+  transport = customTransport;
+}
+
+/**
+ * Send a plain-text email
+ * @param {Object} message - { to, subject, text }
+ * @returns {Promise<boolean>} - True if the transport accepted the message
+ */
+export async function sendMail({ to, subject, text }) {
+  try {
+    await transport.send({ from: MAIL_FROM, to, subject, text });
+    return true;
+  } catch (error) {
+    logger.error(`Failed to send mail "${subject}" to ${to}: ${error.message}`);
+    return false;
+  }
+}
+
+export default {
+  setMailTransport,
+  sendMail
+};
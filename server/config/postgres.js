@@ -4,7 +4,12 @@
  */
 
 import pg from 'pg';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
 import logger from '../utils/logger.js';
+import { MigrationRunner, createPostgresDriver } from '../utils/migrationRunner.js';
+
+const MIGRATIONS_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'migrations', 'postgres');
 
 // Extract database configuration from environment variables
 const dbConfig = {
@@ -51,6 +56,12 @@ export async function initializeDatabase() {
     // Release the client back to the pool
     client.release();
     
+    // Create or update the tables by applying pending migrations (see migrations/postgres)
+    const appliedMigrations = await new MigrationRunner(createPostgresDriver(pool), MIGRATIONS_DIR).migrate();
+    appliedMigrations.forEach(migration => {
+      logger.info(`Applied migration ${migration.version}_${migration.name}`);
+    });
+    
     // If in test mode, check for required extensions and tables
     if (isTestMode) {
       await verifyDatabaseSetup();
@@ -89,7 +100,7 @@ async function verifyDatabaseSetup() {
       }
       
       // Check for required tables
-      const tables = ['players', 'player_profiles', 'player_positions', 'player_inventories'];
+      const tables = ['players', 'player_profiles', 'player_positions', 'player_inventories', 'characters', 'player_inventory_items', 'inventory_transactions', 'account_tokens', 'player_bans', 'audit_events', 'flag_earnings', 'flag_travels'];
       for (const table of tables) {
         const tableCheck = await client.query(`
           SELECT EXISTS (
@@ -11,6 +11,9 @@ const REDIS_PORT = process.env.REDIS_PORT || 6379;
 const REDIS_PASSWORD = process.env.REDIS_PASSWORD || null;
 export const useRedis = process.env.USE_REDIS === 'true';
 
+// Several server instances share presence and fan out messages through Redis
+export const useCluster = useRedis && process.env.CLUSTER_MODE === 'true';
+
 // Create Redis client with configuration
 export const redisClient = createClient({
   url: `redis://${REDIS_PASSWORD ? `:${REDIS_PASSWORD}@` : ''}${REDIS_HOST}:${REDIS_PORT}`,
@@ -41,6 +44,13 @@ redisClient.on('ready', () => {
   logger.info('Redis ready');
 });
 
+// A subscribed connection can't run other commands, so pub/sub gets its own
+export const redisSubscriber = redisClient.duplicate();
+
+redisSubscriber.on('error', (err) => {
+  logger.error('Redis subscriber error', { error: err.message });
+});
+
 /**
  * Connect to Redis
  * @returns {Promise<void>}
@@ -60,6 +70,10 @@ export async function connectRedis() {
     // Ping Redis to ensure connection is working
     const pong = await redisClient.ping();
     logger.info('Redis connection successful', { pong });
+    
+    if (useCluster && !redisSubscriber.isOpen) {
+      await redisSubscriber.connect();
+    }
   } catch (error) {
     logger.error('Redis connection failed', { error: error.message });
     // Don't throw an error - application should work without Redis
@@ -71,6 +85,15 @@ export async function connectRedis() {
  * @returns {Promise<void>}
  */
 export async function disconnectRedis() {
+  if (redisSubscriber.isOpen) {
+    try {
+      await redisSubscriber.quit();
+    } catch (error) {
+      logger.error('Redis subscriber disconnect error', { error: error.message });
+      redisSubscriber.disconnect();
+    }
+  }
+  
   if (useRedis && redisClient.isOpen) {
     try {
       await redisClient.quit();
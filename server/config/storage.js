@@ -0,0 +1,37 @@
+/**
+ * storage.js
+ * Chooses where players, sessions, flags, areas and leaderboards are stored
+ *
+ * By default they live in PostgreSQL with PostGIS. USE_SQLITE=true keeps them
+ * in the SQLite file chat already uses (DB_PATH) instead, with R-tree tables
+ * for spatial queries, so the server needs no external services. Both
+ * schemas are created by the migrations in migrations/.
+ */
+
+import dotenv from 'dotenv';
+import logger from '../utils/logger.js';
+import db from './database.js';
+import { initializeDatabase } from './postgres.js';
+
+// Load environment variables
+dotenv.config();
+
+export const useSqlite = process.env.USE_SQLITE === 'true';
+
+/**
+ * Connect to the configured storage backend
+ * @returns {Promise<boolean>} - True once storage is ready
+ */
+export async function initializeStorage() {
+  if (useSqlite) {
+    logger.info(`Using SQLite storage at ${db.name}`);
+    return true;
+  }
+
+  return initializeDatabase();
+}
+
+export default {
+  useSqlite,
+  initializeStorage
+};
@@ -0,0 +1,501 @@
+import crypto from 'crypto';
+import AccountRepository from '../repositories/AccountRepository.js';
+import PlayerRepository from '../repositories/PlayerRepository.js';
+import SessionRepository from '../repositories/SessionRepository.js';
+import FlagSystem from '../game/systems/FlagSystem.js';
+import leaderboardController from './leaderboardController.js';
+import messageController from './messageController.js';
+import { sendMail } from '../config/mail.js';
+import { hashPassword, verifyPassword } from '../utils/passwordUtils.js';
+import logger from '../utils/logger.js';
+
+export const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+export const MIN_PASSWORD_LENGTH = 8;
+
+const GAME_NAME = 'Alternate Earth';
+
+// How long emailed links stay valid
+const VERIFY_EMAIL_TOKEN_TTL_MS = 48 * 60 * 60 * 1000;
+const RESET_PASSWORD_TOKEN_TTL_MS = 60 * 60 * 1000;
+
+// A player is sent at most one verification or reset email this often
+const TOKEN_EMAIL_INTERVAL_MS = 60 * 1000;
+
+// Days between asking for deletion and the account being deleted
+const DEFAULT_DELETION_GRACE_DAYS = 14;
+
+const TOKEN_PURPOSES = {
+  VERIFY_EMAIL: 'verify-email',
+  RESET_PASSWORD: 'reset-password'
+};
+
+/**
+ * Hash an emailed token; only the hash is stored
+ * @param {string} token - The token
+ * @returns {string} - Hex-encoded SHA-256 digest
+ */
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Build a link to the account page, which sends the token back to the API
+ * @param {string} action - 'verify-email' or 'reset-password'
+ * @param {string} token - The token
+ * @returns {string} - The link
+ */
+const accountLink = (action, token) => {
+  const baseUrl = process.env.PUBLIC_URL || `http://localhost:${process.env.PORT || 3000}`;
+  return `${baseUrl}/account.html?action=${action}&token=${token}`;
+};
+
+/**
+ * Get the deletion grace period
+ * @returns {number} - Grace period in milliseconds
+ */
+const getDeletionGraceMs = () => {
+  const days = Number.parseFloat(process.env.ACCOUNT_DELETION_GRACE_DAYS);
+  return (Number.isFinite(days) && days >= 0 ? days : DEFAULT_DELETION_GRACE_DAYS) * 24 * 60 * 60 * 1000;
+};
+
+/**
+ * Check a password against the player's stored hash
+ * @param {string} playerId - The player's ID
+ * @param {string} password - The plain-text password
+ * @returns {Promise<boolean>} - Whether the password matches
+ */
+const checkPassword = async (playerId, password) => {
+  return verifyPassword(password, await AccountRepository.getPasswordHash(playerId));
+};
+
+/**
+ * Check a new password meets the rules
+ * @param {string} password - The new password
+ * @returns {Object|null} - Failed result, or null if the password is acceptable
+ */
+const validateNewPassword = (password) => {
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    return { success: false, status: 400, error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` };
+  }
+
+  return null;
+};
+
+/**
+ * Create a token and email it, unless the player was sent one for the same purpose a moment ago
+ * @param {Object} account - { id, email }
+ * @param {string} purpose - A TOKEN_PURPOSES value
+ * @param {Function} compose - Builds { subject, text } from the link
+ * @returns {Promise<string>} - 'sent', 'throttled' or 'failed'
+ */
+const sendToken = async (account, purpose, compose) => {
+  const lastSent = await AccountRepository.getLatestTokenCreatedAt(account.id, purpose);
+  if (lastSent && Date.now() - lastSent.getTime() < TOKEN_EMAIL_INTERVAL_MS) {
+    return 'throttled';
+  }
+
+  const token = crypto.randomBytes(32).toString('hex');
+  const ttl = purpose === TOKEN_PURPOSES.VERIFY_EMAIL ? VERIFY_EMAIL_TOKEN_TTL_MS : RESET_PASSWORD_TOKEN_TTL_MS;
+
+  await AccountRepository.createToken({
+    tokenHash: hashToken(token),
+    playerId: account.id,
+    purpose,
+    email: account.email,
+    expiresAt: new Date(Date.now() + ttl)
+  });
+
+  const sent = await sendMail({ to: account.email, ...compose(accountLink(purpose, token)) });
+  return sent ? 'sent' : 'failed';
+};
+
+/**
+ * Email a link that verifies the account's current address
+ * Failures are logged rather than returned, so registration never fails over email.
+ * @param {Object} account - { id, email }
+ * @returns {Promise<string>} - 'sent', 'throttled' or 'failed'
+ */
+export const sendEmailVerification = async (account) => {
+  try {
+    return await sendToken(account, TOKEN_PURPOSES.VERIFY_EMAIL, (link) => ({
+      subject: `Confirm your ${GAME_NAME} email address`,
+      text: `Open this link to confirm your email address:\n\n${link}\n\nThe link expires in 48 hours.`
+    }));
+  } catch (error) {
+    logger.error(`Failed to send email verification to ${account.id}: ${error.message}`);
+    return 'failed';
+  }
+};
+
+/**
+ * Email a player about something that happened to them in the game, if their address is verified
+ * Failures are logged rather than returned; the notice never holds up the game.
+ * @param {string} playerId - The player's ID
+ * @param {Object} notice - { subject, text }
+ * @returns {Promise<boolean>} - True if an email was sent
+ */
+export const sendAccountNotice = async (playerId, { subject, text }) => {
+  try {
+    const account = await AccountRepository.getAccount(playerId);
+    if (!account?.email || !account.emailVerifiedAt) {
+      return false;
+    }
+
+    return await sendMail({ to: account.email, subject: `${GAME_NAME}: ${subject}`, text });
+  } catch (error) {
+    logger.error(`Failed to send notice "${subject}" to ${playerId}: ${error.message}`);
+    return false;
+  }
+};
+
+/**
+ * Describe a player's account
+ * @param {string} playerId - The player's ID
+ * @returns {Promise<Object>} - Result with { playerId, username, email, emailVerified, deletionScheduledFor }
+ */
+export const getAccount = async (playerId) => {
+  try {
+    const account = await AccountRepository.getAccount(playerId);
+
+    if (!account) {
+      return { success: false, status: 404, error: 'Account not found' };
+    }
+
+    return {
+      success: true,
+      data: {
+        playerId: account.id,
+        username: account.username,
+        email: account.email,
+        emailVerified: Boolean(account.emailVerifiedAt),
+        deletionScheduledFor: account.deleteAfter
+      }
+    };
+  } catch (error) {
+    logger.error(`Failed to load account ${playerId}: ${error.message}`);
+    return { success: false, status: 500, error: 'Failed to load account' };
+  }
+};
+
+/**
+ * Send a new verification email for the account's current address
+ * @param {string} playerId - The player's ID
+ * @returns {Promise<Object>} - Result of the request
+ */
+export const requestEmailVerification = async (playerId) => {
+  try {
+    const account = await AccountRepository.getAccount(playerId);
+
+    if (!account) {
+      return { success: false, status: 404, error: 'Account not found' };
+    }
+
+    if (account.emailVerifiedAt) {
+      return { success: false, status: 409, error: 'Email address is already verified' };
+    }
+
+    const outcome = await sendEmailVerification(account);
+
+    if (outcome === 'throttled') {
+      return { success: false, status: 429, error: 'A verification email was just sent; try again in a minute' };
+    }
+
+    if (outcome === 'failed') {
+      return { success: false, status: 502, error: 'Failed to send verification email' };
+    }
+
+    return { success: true };
+  } catch (error) {
+    logger.error(`Failed to resend verification for ${playerId}: ${error.message}`);
+    return { success: false, status: 500, error: 'Failed to send verification email' };
+  }
+};
+
+/**
+ * Verify an email address with the token from a verification email
+ * @param {Object} body - { token }
+ * @returns {Promise<Object>} - Result of the verification
+ */
+export const verifyEmail = async ({ token } = {}) => {
+  try {
+    const used = await AccountRepository.consumeToken(hashToken(token), TOKEN_PURPOSES.VERIFY_EMAIL);
+
+    if (!used) {
+      return { success: false, status: 400, error: 'This link is invalid or has expired' };
+    }
+
+    if (!(await AccountRepository.markEmailVerified(used.playerId, used.email))) {
+      return { success: false, status: 400, error: 'This link is for an email address the account no longer uses' };
+    }
+
+    logger.info(`Player ${used.playerId} verified their email address`);
+    return { success: true };
+  } catch (error) {
+    logger.error(`Email verification failed: ${error.message}`);
+    return { success: false, status: 500, error: 'Email verification failed' };
+  }
+};
+
+/**
+ * Email a password reset link
+ * Always succeeds, so the response does not reveal which addresses have accounts.
+ * @param {Object} body - { email }
+ * @returns {Promise<Object>} - Result of the request
+ */
+export const requestPasswordReset = async ({ email } = {}) => {
+  if (!email || !EMAIL_PATTERN.test(email)) {
+    return { success: false, status: 400, error: 'A valid email address is required' };
+  }
+
+  try {
+    const account = await AccountRepository.findActiveAccountByEmail(email);
+
+    if (account) {
+      await sendToken(account, TOKEN_PURPOSES.RESET_PASSWORD, (link) => ({
+        subject: `Reset your ${GAME_NAME} password`,
+        text: `Someone asked to reset the password for ${account.username}. Open this link to choose a new one:\n\n${link}\n\n`
+          + 'The link expires in an hour. If you did not ask for this, you can ignore this email.'
+      }));
+    }
+  } catch (error) {
+    logger.error(`Password reset request failed: ${error.message}`);
+  }
+
+  return { success: true };
+};
+
+/**
+ * Set a new password with the token from a reset email and log out every session
+ * @param {Object} body - { token, password }
+ * @returns {Promise<Object>} - Result of the reset
+ */
+export const resetPassword = async ({ token, password } = {}) => {
+  const invalid = validateNewPassword(password);
+  if (invalid) {
+    return invalid;
+  }
+
+  try {
+    const used = await AccountRepository.consumeToken(hashToken(token), TOKEN_PURPOSES.RESET_PASSWORD);
+
+    if (!used) {
+      return { success: false, status: 400, error: 'This link is invalid or has expired' };
+    }
+
+    await AccountRepository.updatePassword(used.playerId, await hashPassword(password));
+    await SessionRepository.revokeAllSessionsForPlayer(used.playerId);
+
+    await sendMail({
+      to: used.email,
+      subject: `Your ${GAME_NAME} password was reset`,
+      text: 'Your password was reset and every session was logged out.'
+    });
+
+    logger.info(`Player ${used.playerId} reset their password`);
+    return { success: true };
+  } catch (error) {
+    logger.error(`Password reset failed: ${error.message}`);
+    return { success: false, status: 500, error: 'Password reset failed' };
+  }
+};
+
+/**
+ * Change the password of a logged-in player, logging out their other sessions
+ * @param {Object} session - The current session ({ id, playerId })
+ * @param {Object} body - { currentPassword, newPassword }
+ * @returns {Promise<Object>} - Result of the change
+ */
+export const changePassword = async (session, { currentPassword, newPassword } = {}) => {
+  const invalid = validateNewPassword(newPassword);
+  if (invalid) {
+    return invalid;
+  }
+
+  try {
+    if (!(await checkPassword(session.playerId, currentPassword))) {
+      return { success: false, status: 403, error: 'Current password is incorrect' };
+    }
+
+    await AccountRepository.updatePassword(session.playerId, await hashPassword(newPassword));
+    await SessionRepository.revokeOtherSessionsForPlayer(session.playerId, session.id);
+
+    const account = await AccountRepository.getAccount(session.playerId);
+    await sendMail({
+      to: account.email,
+      subject: `Your ${GAME_NAME} password was changed`,
+      text: 'Your password was changed and your other sessions were logged out. '
+        + 'If you did not do this, reset your password straight away.'
+    });
+
+    logger.info(`Player ${session.playerId} changed their password`);
+    return { success: true };
+  } catch (error) {
+    logger.error(`Password change failed for ${session.playerId}: ${error.message}`);
+    return { success: false, status: 500, error: 'Password change failed' };
+  }
+};
+
+/**
+ * Change the email address of a logged-in player
+ * The new address must be verified again; the old one is told about the change.
+ * @param {Object} session - The current session ({ id, playerId })
+ * @param {Object} body - { password, email }
+ * @returns {Promise<Object>} - Result of the change
+ */
+export const changeEmail = async (session, { password, email } = {}) => {
+  if (!email || !EMAIL_PATTERN.test(email)) {
+    return { success: false, status: 400, error: 'A valid email address is required' };
+  }
+
+  try {
+    if (!(await checkPassword(session.playerId, password))) {
+      return { success: false, status: 403, error: 'Password is incorrect' };
+    }
+
+    const account = await AccountRepository.getAccount(session.playerId);
+    if (account.email === email) {
+      return { success: false, status: 400, error: 'That is already your email address' };
+    }
+
+    await AccountRepository.updateEmail(session.playerId, email);
+
+    await sendMail({
+      to: account.email,
+      subject: `Your ${GAME_NAME} email address was changed`,
+      text: `The email address for ${account.username} was changed to ${email}. `
+        + 'If you did not do this, reset your password straight away.'
+    });
+    await sendEmailVerification({ id: session.playerId, email });
+
+    logger.info(`Player ${session.playerId} changed their email address`);
+    return { success: true };
+  } catch (error) {
+    if (error.message === 'Email already exists') {
+      return { success: false, status: 409, error: error.message };
+    }
+
+    logger.error(`Email change failed for ${session.playerId}: ${error.message}`);
+    return { success: false, status: 500, error: 'Email change failed' };
+  }
+};
+
+/**
+ * Schedule a logged-in player's account for deletion and log out every session
+ * Logging in again before the grace period ends cancels the deletion.
+ * @param {Object} session - The current session ({ id, playerId })
+ * @param {Object} body - { password }
+ * @returns {Promise<Object>} - Result with { deletionScheduledFor }
+ */
+export const requestDeletion = async (session, { password } = {}) => {
+  try {
+    if (!(await checkPassword(session.playerId, password))) {
+      return { success: false, status: 403, error: 'Password is incorrect' };
+    }
+
+    const deleteAfter = new Date(Date.now() + getDeletionGraceMs());
+    await AccountRepository.scheduleDeletion(session.playerId, deleteAfter);
+    await SessionRepository.revokeAllSessionsForPlayer(session.playerId);
+
+    const account = await AccountRepository.getAccount(session.playerId);
+    await sendMail({
+      to: account.email,
+      subject: `Your ${GAME_NAME} account will be deleted`,
+      text: `${account.username} and everything it owns, including flags, leaderboard scores and chat messages, `
+        + `will be deleted on ${deleteAfter.toUTCString()}. Log in before then to keep your account.`
+    });
+
+    logger.info(`Player ${session.playerId} scheduled their account for deletion on ${deleteAfter.toISOString()}`);
+    return { success: true, data: { deletionScheduledFor: deleteAfter } };
+  } catch (error) {
+    logger.error(`Account deletion request failed for ${session.playerId}: ${error.message}`);
+    return { success: false, status: 500, error: 'Account deletion request failed' };
+  }
+};
+
+/**
+ * Cancel a player's scheduled deletion when they log in
+ * @param {Object} player - The player logging in ({ id, email })
+ * @returns {Promise<boolean>} - True if a deletion was cancelled
+ */
+export const cancelScheduledDeletion = async (player) => {
+  if (!(await AccountRepository.cancelDeletion(player.id))) {
+    return false;
+  }
+
+  await sendMail({
+    to: player.email,
+    subject: `Your ${GAME_NAME} account will not be deleted`,
+    text: 'You logged in, so your account is no longer scheduled for deletion.'
+  });
+
+  logger.info(`Player ${player.id} logged in and cancelled their account deletion`);
+  return true;
+};
+
+/**
+ * Delete an account and everything it owns
+ * Flags, leaderboard entries and chat messages are removed before the player,
+ * whose other rows go with it through ON DELETE CASCADE. A failure leaves the
+ * player in place so the next sweep tries again.
+ * @param {string} playerId - The player's ID
+ * @returns {Promise<void>}
+ */
+export const deleteAccount = async (playerId) => {
+  const account = await AccountRepository.getAccount(playerId);
+  if (!account) {
+    return;
+  }
+
+  const flags = await FlagSystem.removePlayerFlags(playerId);
+
+  const leaderboards = leaderboardController.removePlayer(playerId);
+  if (!leaderboards.success) {
+    throw new Error(leaderboards.message);
+  }
+
+  const messages = messageController.deleteMessagesBySender(playerId);
+
+  await PlayerRepository.deletePlayer(playerId);
+
+  await sendMail({
+    to: account.email,
+    subject: `Your ${GAME_NAME} account was deleted`,
+    text: `${account.username} has been deleted, as you asked.`
+  });
+
+  logger.info(`Deleted account ${playerId} with ${flags} flags, ${leaderboards.removed} leaderboard entries and ${messages} chat messages`);
+};
+
+/**
+ * Delete the accounts whose grace period has ended
+ * @returns {Promise<number>} - Number of accounts deleted
+ */
+export const purgeDeletedAccounts = async () => {
+  const playerIds = await AccountRepository.getAccountsDueForDeletion(new Date());
+  let deleted = 0;
+
+  for (const playerId of playerIds) {
+    try {
+      await deleteAccount(playerId);
+      deleted++;
+    } catch (error) {
+      logger.error(`Failed to delete account ${playerId}: ${error.message}`);
+    }
+  }
+
+  return deleted;
+};
+
+export default {
+  sendEmailVerification,
+  sendAccountNotice,
+  getAccount,
+  requestEmailVerification,
+  verifyEmail,
+  requestPasswordReset,
+  resetPassword,
+  changePassword,
+  changeEmail,
+  requestDeletion,
+  cancelScheduledDeletion,
+  deleteAccount,
+  purgeDeletedAccounts
+};
@@ -0,0 +1,442 @@
+import { v4 as uuidv4 } from 'uuid';
+import AdminRepository from '../repositories/AdminRepository.js';
+import AccountRepository from '../repositories/AccountRepository.js';
+import CharacterRepository from '../repositories/CharacterRepository.js';
+import SessionRepository from '../repositories/SessionRepository.js';
+import PlayerStateSystem from '../game/systems/PlayerStateSystem.js';
+import FlagSystem from '../game/systems/FlagSystem.js';
+import GeospatialAreaSystem from '../game/systems/GeospatialAreaSystem.js';
+import AuditSystem from '../game/systems/AuditSystem.js';
+import InventorySystem from '../game/systems/InventorySystem.js';
+import { getItem } from '../game/ItemCatalog.js';
+import logger from '../utils/logger.js';
+
+// Kinds of server announcement, which clients may style differently
+export const ANNOUNCEMENT_LEVELS = ['info', 'warning'];
+
+// Area fields an admin may change
+const AREA_FIELDS = ['name', 'boundingBox', 'properties'];
+
+/**
+ * Turn a flag system result into a controller result
+ * @param {Object} result - { success, error, ... } from FlagSystem
+ * @returns {Object} - Failed controller result
+ */
+const flagFailure = (result) => ({
+  success: false,
+  status: result.error === 'Flag not found' ? 404 : 500,
+  error: result.error
+});
+
+/**
+ * Get the middle of an area, where its audit events are placed
+ * @param {Object} area - Area with a boundingBox
+ * @returns {Object} - { lat, lng }
+ */
+const areaCenter = ({ boundingBox: { minLat, maxLat, minLng, maxLng } }) => ({
+  lat: (minLat + maxLat) / 2,
+  lng: (minLng + maxLng) / 2
+});
+
+/**
+ * List every connection to this server instance
+ * @param {import('../network/ConnectionManager.js').default} connectionManager - The connection manager
+ * @returns {Promise<Object>} - Result with the instance ID and its connections
+ */
+export const listConnections = async (connectionManager) => {
+  const connections = [];
+
+  for (const [connectionId, connection] of connectionManager.connections.entries()) {
+    const player = connection.playerId ? await PlayerStateSystem.getPlayer(connection.playerId) : null;
+
+    connections.push({
+      connectionId,
+      playerId: connection.playerId,
+      displayName: player?.profile?.displayName || null,
+      position: player?.position || null,
+      ip: connection.ip,
+      connectedAt: connection.connectedAt,
+      isAuthenticated: connection.isAuthenticated
+    });
+  }
+
+  return {
+    success: true,
+    data: {
+      instanceId: connectionManager.cluster.instanceId,
+      connections
+    }
+  };
+};
+
+/**
+ * Disconnect a player, wherever they are connected
+ * @param {import('../network/ConnectionManager.js').default} connectionManager - The connection manager
+ * @param {Object} session - The admin's session ({ playerId })
+ * @param {string} playerId - The player to kick
+ * @param {Object} body - { reason }
+ * @returns {Promise<Object>} - Result of the kick
+ */
+export const kickPlayer = async (connectionManager, session, playerId, { reason } = {}) => {
+  if (!(await connectionManager.isPlayerOnline(playerId))) {
+    return { success: false, status: 404, error: 'Player is not online' };
+  }
+
+  await connectionManager.disconnectExistingSession(playerId, reason ? `Kicked: ${reason}` : 'Kicked by an admin');
+
+  logger.info(`Admin ${session.playerId} kicked player ${playerId}`, { reason });
+  await AuditSystem.record({
+    actorId: session.playerId,
+    action: 'admin.kick',
+    target: { type: 'player', id: playerId },
+    details: { reason: reason || null }
+  });
+  return { success: true };
+};
+
+/**
+ * Ban a player, logging out their sessions and disconnecting them
+ * @param {import('../network/ConnectionManager.js').default} connectionManager - The connection manager
+ * @param {Object} session - The admin's session ({ playerId })
+ * @param {string} playerId - The player to ban
+ * @param {Object} body - { reason, durationHours (omit for a permanent ban) }
+ * @returns {Promise<Object>} - Result with the ban
+ */
+export const banPlayer = async (connectionManager, session, playerId, { reason = null, durationHours } = {}) => {
+  if (playerId === session.playerId) {
+    return { success: false, status: 400, error: 'You cannot ban yourself' };
+  }
+
+  try {
+    if (!(await AccountRepository.getAccount(playerId))) {
+      return { success: false, status: 404, error: 'Player not found' };
+    }
+
+    const ban = await AdminRepository.createBan({
+      id: uuidv4(),
+      playerId,
+      reason,
+      bannedBy: session.playerId,
+      expiresAt: durationHours ? new Date(Date.now() + durationHours * 60 * 60 * 1000) : null
+    });
+
+    await SessionRepository.revokeAllSessionsForPlayer(playerId);
+    await connectionManager.disconnectExistingSession(playerId, reason ? `Banned: ${reason}` : 'Banned by an admin');
+
+    logger.info(`Admin ${session.playerId} banned player ${playerId}`, { reason, expiresAt: ban.expiresAt });
+    await AuditSystem.record({
+      actorId: session.playerId,
+      action: 'admin.ban',
+      target: { type: 'player', id: playerId },
+      after: ban
+    });
+    return { success: true, data: ban };
+  } catch (error) {
+    logger.error(`Ban of ${playerId} failed: ${error.message}`);
+    return { success: false, status: 500, error: 'Ban failed' };
+  }
+};
+
+/**
+ * Lift a player's bans
+ * @param {Object} session - The admin's session ({ playerId })
+ * @param {string} playerId - The banned player
+ * @returns {Promise<Object>} - Result of the unban
+ */
+export const unbanPlayer = async (session, playerId) => {
+  try {
+    if (!(await AdminRepository.liftBans(playerId))) {
+      return { success: false, status: 404, error: 'Player is not banned' };
+    }
+
+    logger.info(`Admin ${session.playerId} lifted the ban on player ${playerId}`);
+    await AuditSystem.record({
+      actorId: session.playerId,
+      action: 'admin.unban',
+      target: { type: 'player', id: playerId }
+    });
+    return { success: true };
+  } catch (error) {
+    logger.error(`Unban of ${playerId} failed: ${error.message}`);
+    return { success: false, status: 500, error: 'Unban failed' };
+  }
+};
+
+/**
+ * List the bans in force
+ * @returns {Promise<Object>} - Result with the bans, newest first
+ */
+export const listBans = async () => {
+  try {
+    return { success: true, data: await AdminRepository.getActiveBans() };
+  } catch (error) {
+    return { success: false, status: 500, error: 'Failed to list bans' };
+  }
+};
+
+/**
+ * Move a player connected to this instance
+ * Movement is re-anchored at the new position so the jump is not taken for a speed hack.
+ * @param {import('../network/ConnectionManager.js').default} connectionManager - The connection manager
+ * @param {Object} session - The admin's session ({ playerId })
+ * @param {string} playerId - The player to move
+ * @param {Object} body - { position: { lat, lng } }
+ * @returns {Promise<Object>} - Result with the new position
+ */
+export const teleportPlayer = async (connectionManager, session, playerId, { position }) => {
+  if (!connectionManager.playerSockets.has(playerId)) {
+    return (await connectionManager.isPlayerOnline(playerId))
+      ? { success: false, status: 409, error: 'Player is connected to another server instance' }
+      : { success: false, status: 404, error: 'Player is not online' };
+  }
+
+  const destination = { lat: position.lat, lng: position.lng };
+  const origin = (await PlayerStateSystem.getPlayer(playerId))?.position || null;
+
+  if (!(await connectionManager.movementSystem.relocatePlayer(playerId, destination))) {
+    return { success: false, status: 500, error: 'Teleport failed' };
+  }
+
+  connectionManager.sendToLocalPlayer(playerId, 'admin-teleport', { position: destination });
+
+  // Let nearby players see the arrival in their next delta, on every instance
+  connectionManager.interestSystem.updatePlayerPosition(playerId, destination);
+  await connectionManager.cluster.updatePlayerPosition(playerId, destination);
+
+  logger.info(`Admin ${session.playerId} teleported player ${playerId}`, destination);
+  await AuditSystem.record({
+    actorId: session.playerId,
+    action: 'admin.teleport',
+    target: { type: 'player', id: playerId },
+    position: destination,
+    before: origin && { lat: origin.lat, lng: origin.lng },
+    after: destination
+  });
+  return { success: true, data: { playerId, position: destination } };
+};
+
+/**
+ * Give items to a player, e.g. to make up for lost loot
+ * The player must have a character, so the grant does not stand in for their first inventory import.
+ * @param {import('../network/ConnectionManager.js').default} connectionManager - The connection manager
+ * @param {Object} session - The admin's session ({ playerId })
+ * @param {string} playerId - The player to give the items to
+ * @param {Object} body - { items: catalog item ID -> quantity, reason }
+ * @returns {Promise<Object>} - Result with the player's items afterwards
+ */
+export const grantItems = async (connectionManager, session, playerId, { items, reason = null }) => {
+  const entries = Object.entries(items);
+  if (entries.length === 0) {
+    return { success: false, status: 400, error: 'No items to give' };
+  }
+
+  for (const [itemId, quantity] of entries) {
+    if (!getItem(itemId)) {
+      return { success: false, status: 400, error: `Unknown item: ${itemId}` };
+    }
+    if (!Number.isInteger(quantity) || quantity < 1) {
+      return { success: false, status: 400, error: `body.items.${itemId} must be a positive integer` };
+    }
+  }
+
+  try {
+    if (!(await CharacterRepository.getCharacter(playerId))) {
+      return { success: false, status: 404, error: 'Player has no character' };
+    }
+  } catch (error) {
+    logger.error(`Item grant to ${playerId} failed: ${error.message}`);
+    return { success: false, status: 500, error: 'Item grant failed' };
+  }
+
+  const result = await InventorySystem.grantItems(playerId, 'admin-grant', items);
+  if (!result.success) {
+    return { success: false, status: result.error === 'Failed to update inventory' ? 500 : 409, error: result.error };
+  }
+
+  connectionManager.sendToPlayer(playerId, 'inventory-updated', { inventory: result.inventory, equipment: result.equipment });
+
+  logger.info(`Admin ${session.playerId} gave items to player ${playerId}`, { items, reason });
+  await AuditSystem.record({
+    actorId: session.playerId,
+    action: 'admin.grant-items',
+    target: { type: 'player', id: playerId },
+    after: items,
+    details: { reason }
+  });
+  return { success: true, data: { playerId, inventory: result.inventory, equipment: result.equipment } };
+};
+
+/**
+ * List flags
+ * @param {Object} query - { ownerId } to list one player's flags
+ * @returns {Promise<Object>} - Result with the flags
+ */
+export const listFlags = async ({ ownerId } = {}) => {
+  const flags = ownerId ? await FlagSystem.getPlayerFlags(ownerId) : FlagSystem.getAllFlags();
+  return { success: true, data: flags };
+};
+
+/**
+ * Change a flag's settings and show the change to everyone who can see it
+ * @param {import('../network/ConnectionManager.js').default} connectionManager - The connection manager
+ * @param {Object} session - The admin's session ({ playerId })
+ * @param {string} flagId - The flag
+ * @param {Object} updates - Any of { name, isPublic, toll, isHardened, isAbandoned, health }
+ * @returns {Promise<Object>} - Result with the edited flag
+ */
+export const editFlag = async (connectionManager, session, flagId, updates) => {
+  const result = await FlagSystem.editFlag(flagId, updates, session.playerId);
+  if (!result.success) {
+    return flagFailure(result);
+  }
+
+  connectionManager.broadcastToFlagViewers(result.flag, 'flag-updated', { success: true, flag: result.flag });
+
+  logger.info(`Admin ${session.playerId} edited flag ${flagId}`, updates);
+  return { success: true, data: result.flag };
+};
+
+/**
+ * Remove a flag and show the removal to everyone who could see it
+ * @param {import('../network/ConnectionManager.js').default} connectionManager - The connection manager
+ * @param {Object} session - The admin's session ({ playerId })
+ * @param {string} flagId - The flag
+ * @returns {Promise<Object>} - Result of the removal
+ */
+export const removeFlag = async (connectionManager, session, flagId) => {
+  const result = await FlagSystem.forceRemoveFlag(flagId, session.playerId);
+  if (!result.success) {
+    return flagFailure(result);
+  }
+
+  connectionManager.broadcastToFlagViewers(result.flag, 'flag-removed', { success: true, flagId });
+
+  logger.info(`Admin ${session.playerId} removed flag ${flagId} owned by ${result.flag.ownerId}`);
+  return { success: true };
+};
+
+/**
+ * List game areas
+ * @returns {Object} - Result with the areas
+ */
+export const listAreas = () => ({ success: true, data: GeospatialAreaSystem.getAllAreas() });
+
+/**
+ * Register a new game area
+ * @param {Object} session - The admin's session ({ playerId })
+ * @param {Object} body - { id, name, boundingBox, properties }
+ * @returns {Promise<Object>} - Result with the area
+ */
+export const registerArea = async (session, { id, name, boundingBox, properties = {} }) => {
+  if (GeospatialAreaSystem.getArea(id)) {
+    return { success: false, status: 409, error: 'Area already exists' };
+  }
+
+  if (!GeospatialAreaSystem.registerArea({ id, name, boundingBox, properties })) {
+    return { success: false, status: 400, error: 'Bounding box minimums must be below its maximums' };
+  }
+
+  const area = GeospatialAreaSystem.getArea(id);
+
+  logger.info(`Admin ${session.playerId} registered area ${id}`);
+  await AuditSystem.record({
+    actorId: session.playerId,
+    action: 'admin.area-register',
+    target: { type: 'area', id },
+    position: areaCenter(area),
+    after: area
+  });
+  return { success: true, data: area };
+};
+
+/**
+ * Update a game area
+ * @param {Object} session - The admin's session ({ playerId })
+ * @param {string} areaId - The area
+ * @param {Object} body - Any of { name, boundingBox, properties }
+ * @returns {Promise<Object>} - Result with the updated area
+ */
+export const updateArea = async (session, areaId, body) => {
+  const before = GeospatialAreaSystem.getArea(areaId);
+  if (!before) {
+    return { success: false, status: 404, error: 'Area not found' };
+  }
+
+  const updates = Object.fromEntries(AREA_FIELDS.filter(field => body[field] !== undefined).map(field => [field, body[field]]));
+
+  if (!GeospatialAreaSystem.updateArea(areaId, updates)) {
+    return { success: false, status: 400, error: 'Bounding box minimums must be below its maximums' };
+  }
+
+  const area = GeospatialAreaSystem.getArea(areaId);
+
+  logger.info(`Admin ${session.playerId} updated area ${areaId}`, { fields: Object.keys(updates) });
+  await AuditSystem.record({
+    actorId: session.playerId,
+    action: 'admin.area-update',
+    target: { type: 'area', id: areaId },
+    position: areaCenter(area),
+    before,
+    after: area
+  });
+  return { success: true, data: area };
+};
+
+/**
+ * Show a message to every connected player, on every instance
+ * @param {import('../network/ConnectionManager.js').default} connectionManager - The connection manager
+ * @param {Object} session - The admin's session ({ playerId })
+ * @param {Object} body - { message, level }
+ * @returns {Promise<Object>} - Result with the announcement as sent
+ */
+export const announce = async (connectionManager, session, { message, level = 'info' }) => {
+  if (!message.trim()) {
+    return { success: false, status: 400, error: 'Announcement cannot be empty' };
+  }
+
+  const announcement = { message, level, timestamp: Date.now() };
+
+  connectionManager.broadcastToAll('server-announcement', announcement);
+
+  logger.info(`Admin ${session.playerId} announced: ${message}`);
+  await AuditSystem.record({
+    actorId: session.playerId,
+    action: 'admin.announce',
+    target: { type: 'server', id: connectionManager.cluster.instanceId },
+    after: announcement
+  });
+  return { success: true, data: announcement };
+};
+
+/**
+ * Search the audit log
+ * @param {Object} filters - AuditSystem.query filters
+ * @returns {Promise<Object>} - Result with { events, nextBeforeId }, newest first
+ */
+export const queryAuditLog = async (filters) => {
+  const result = await AuditSystem.query(filters);
+  if (!result.success) {
+    return { success: false, status: 500, error: result.error };
+  }
+
+  return { success: true, data: { events: result.events, nextBeforeId: result.nextBeforeId } };
+};
+
+export default {
+  ANNOUNCEMENT_LEVELS,
+  listConnections,
+  kickPlayer,
+  banPlayer,
+  unbanPlayer,
+  listBans,
+  teleportPlayer,
+  grantItems,
+  listFlags,
+  editFlag,
+  removeFlag,
+  listAreas,
+  registerArea,
+  updateArea,
+  announce,
+  queryAuditLog
+};
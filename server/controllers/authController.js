@@ -0,0 +1,242 @@
+import crypto from 'crypto';
+import PlayerRepository from '../repositories/PlayerRepository.js';
+import SessionRepository from '../repositories/SessionRepository.js';
+import AdminRepository from '../repositories/AdminRepository.js';
+import { hashPassword } from '../utils/passwordUtils.js';
+import logger from '../utils/logger.js';
+import {
+  EMAIL_PATTERN,
+  MIN_PASSWORD_LENGTH,
+  sendEmailVerification,
+  cancelScheduledDeletion
+} from './accountController.js';
+
+// How long a session stays valid
+const SESSION_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+// Default maximum number of concurrent active sessions created from one IP address
+const DEFAULT_MAX_SESSIONS_PER_IP = 10;
+
+const USERNAME_PATTERN = /^[a-zA-Z0-9_-]{3,50}$/;
+
+// Secret used to sign session tokens, resolved on first use so that
+// environment variables loaded after import are picked up
+let sessionSecret = null;
+
+/**
+ * Get the secret used to sign session tokens. Without one configured,
+ * tokens only survive until the server restarts.
+ * @returns {string} - The signing secret
+ */
+const getSessionSecret = () => {
+  if (!sessionSecret) {
+    sessionSecret = process.env.SESSION_SECRET || process.env.JWT_SECRET;
+
+    if (!sessionSecret) {
+      logger.warn('SESSION_SECRET is not set; using a random secret, sessions will not survive a restart');
+      sessionSecret = crypto.randomBytes(32).toString('hex');
+    }
+  }
+
+  return sessionSecret;
+};
+
+/**
+ * Sign a session ID
+ * @param {string} sessionId - The session ID
+ * @returns {string} - Hex-encoded HMAC signature
+ */
+const signSessionId = (sessionId) => {
+  return crypto.createHmac('sha256', getSessionSecret()).update(sessionId).digest('hex');
+};
+
+/**
+ * Build a token of the form <sessionId>.<signature>
+ * @param {string} sessionId - The session ID
+ * @returns {string} - The session token
+ */
+const createToken = (sessionId) => `${sessionId}.${signSessionId(sessionId)}`;
+
+/**
+ * Extract the session ID from a token if its signature is valid
+ * @param {string} token - The session token
+ * @returns {string|null} - The session ID, or null if the token is malformed or forged
+ */
+const parseToken = (token) => {
+  if (typeof token !== 'string') return null;
+
+  const [sessionId, signature] = token.split('.');
+  if (!sessionId || !signature) return null;
+
+  const expected = Buffer.from(signSessionId(sessionId), 'hex');
+  const actual = Buffer.from(signature, 'hex');
+
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return null;
+  }
+
+  return sessionId;
+};
+
+/**
+ * Open a new session for a player
+ * @param {Object} player - The player ({ id, username })
+ * @param {Object} client - Client details ({ ip, userAgent })
+ * @returns {Promise<Object>} - Result with the session token
+ */
+const openSession = async (player, client) => {
+  if (client.ip) {
+    const maxSessions = Number.parseInt(process.env.MAX_SESSIONS_PER_IP, 10) || DEFAULT_MAX_SESSIONS_PER_IP;
+    const activeSessions = await SessionRepository.countActiveSessionsForIp(client.ip);
+    if (activeSessions >= maxSessions) {
+      return { success: false, status: 429, error: 'Too many active sessions from this address' };
+    }
+  }
+
+  const session = await SessionRepository.createSession({
+    id: crypto.randomBytes(32).toString('hex'),
+    playerId: player.id,
+    ipAddress: client.ip,
+    userAgent: client.userAgent,
+    expiresAt: new Date(Date.now() + SESSION_TTL_MS)
+  });
+
+  return {
+    success: true,
+    data: {
+      token: createToken(session.id),
+      playerId: player.id,
+      username: player.username,
+      expiresAt: session.expiresAt
+    }
+  };
+};
+
+/**
+ * Register a new account and open a session for it
+ * @param {Object} credentials - { username, email, password }
+ * @param {Object} client - Client details ({ ip, userAgent })
+ * @returns {Promise<Object>} - Result with the session token
+ */
+export const register = async ({ username, email, password } = {}, client = {}) => {
+  if (!username || !USERNAME_PATTERN.test(username)) {
+    return { success: false, status: 400, error: 'Username must be 3-50 letters, numbers, dashes or underscores' };
+  }
+
+  if (!email || !EMAIL_PATTERN.test(email)) {
+    return { success: false, status: 400, error: 'A valid email address is required' };
+  }
+
+  if (!password || password.length < MIN_PASSWORD_LENGTH) {
+    return { success: false, status: 400, error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` };
+  }
+
+  try {
+    const passwordHash = await hashPassword(password);
+    const playerId = await PlayerRepository.createPlayer({ username, email, passwordHash });
+
+    await sendEmailVerification({ id: playerId, email });
+
+    return await openSession({ id: playerId, username }, client);
+  } catch (error) {
+    if (error.message === 'Username already exists' || error.message === 'Email already exists') {
+      return { success: false, status: 409, error: error.message };
+    }
+
+    logger.error(`Registration failed for ${username}: ${error.message}`);
+    return { success: false, status: 500, error: 'Registration failed' };
+  }
+};
+
+/**
+ * Check credentials and open a session, cancelling any scheduled account deletion
+ * Banned players are refused
+ * @param {Object} credentials - { username, password }
+ * @param {Object} client - Client details ({ ip, userAgent })
+ * @returns {Promise<Object>} - Result with the session token
+ */
+export const login = async ({ username, password } = {}, client = {}) => {
+  if (!username || !password) {
+    return { success: false, status: 400, error: 'Username and password are required' };
+  }
+
+  try {
+    const player = await PlayerRepository.authenticatePlayer(username, password);
+
+    if (!player) {
+      return { success: false, status: 401, error: 'Invalid username or password' };
+    }
+
+    const ban = await AdminRepository.getActiveBan(player.id);
+    if (ban) {
+      const until = ban.expiresAt ? ` until ${new Date(ban.expiresAt).toISOString()}` : '';
+      return { success: false, status: 403, error: `This account is banned${until}` };
+    }
+
+    const result = await openSession(player, client);
+
+    // Logging in during the deletion grace period keeps the account
+    if (result.success && await cancelScheduledDeletion(player)) {
+      result.data.deletionCancelled = true;
+    }
+
+    return result;
+  } catch (error) {
+    logger.error(`Login failed for ${username}: ${error.message}`);
+    return { success: false, status: 500, error: 'Login failed' };
+  }
+};
+
+/**
+ * Revoke the session behind a token
+ * @param {string} token - The session token
+ * @returns {Promise<Object>} - Result of the logout
+ */
+export const logout = async (token) => {
+  const sessionId = parseToken(token);
+
+  if (!sessionId) {
+    return { success: false, status: 401, error: 'Invalid session token' };
+  }
+
+  try {
+    await SessionRepository.revokeSession(sessionId);
+    return { success: true };
+  } catch (error) {
+    logger.error(`Logout failed: ${error.message}`);
+    return { success: false, status: 500, error: 'Logout failed' };
+  }
+};
+
+/**
+ * Verify a session token
+ * @param {string} token - The session token
+ * @returns {Promise<Object>} - Result with the session's player ID
+ */
+export const verifySessionToken = async (token) => {
+  const sessionId = parseToken(token);
+
+  if (!sessionId) {
+    return { success: false, status: 401, error: 'Invalid session token' };
+  }
+
+  try {
+    const session = await SessionRepository.getActiveSession(sessionId);
+
+    if (!session) {
+      return { success: false, status: 401, error: 'Session expired or revoked' };
+    }
+
+    return { success: true, data: session };
+  } catch (error) {
+    logger.error(`Session verification failed: ${error.message}`);
+    return { success: false, status: 500, error: 'Session verification failed' };
+  }
+};
+
+export default {
+  register,
+  login,
+  logout,
+  verifySessionToken
+};
@@ -91,6 +91,14 @@ const updatePlayerScore = (playerId, playerName, category, score) => {
   };
 };
 
+// Add to a player's score in a counting category, e.g. one more flag destroyed
+const addToPlayerScore = (playerId, playerName, category, amount) => {
+  const entries = leaderboardData.categories[category] || [];
+  const current = entries.find(entry => entry.playerId === playerId);
+  
+  return updatePlayerScore(playerId, playerName, category, (current?.score || 0) + amount);
+};
+
 // Get a player's rank in a specific category
 const getPlayerRank = (playerId, category) => {
   // Validate category
@@ -136,11 +144,36 @@ const resetLeaderboard = (category) => {
   };
 };
 
+// Remove a player's entries from every category, e.g. when their account is deleted
+const removePlayer = (playerId) => {
+  let removed = 0;
+  
+  for (const [category, entries] of Object.entries(leaderboardData.categories)) {
+    const kept = entries.filter(entry => entry.playerId !== playerId);
+    removed += entries.length - kept.length;
+    leaderboardData.categories[category] = kept;
+  }
+  
+  if (removed === 0) {
+    return { success: true, removed };
+  }
+  
+  const saved = saveLeaderboards(leaderboardData);
+  
+  return {
+    success: saved,
+    removed,
+    message: saved ? 'Player removed from leaderboards' : 'Failed to save leaderboard data'
+  };
+};
+
 export default {
   LEADERBOARD_CATEGORIES,
   getAllLeaderboards,
   getLeaderboard,
   updatePlayerScore,
+  addToPlayerScore,
   getPlayerRank,
-  resetLeaderboard
+  resetLeaderboard,
+  removePlayer
 }; 
\ No newline at end of file
@@ -1,10 +1,10 @@
 import db from '../config/database.js';
-import { rowsToCamelCase } from '../utils/dbUtils.js';
+import { toCamelCase, rowsToCamelCase } from '../utils/dbUtils.js';
 
 /**
  * Store a new message
  * @param {string} roomId - The room ID
- * @param {object} message - The message object
+ * @param {object} message - The message object ({ sender, senderId, message, timestamp })
  * @returns {object} - The stored message with ID
  */
 export const storeMessage = (roomId, message) => {
@@ -14,17 +14,18 @@ export const storeMessage = (roomId, message) => {
   try {
     // Insert the message into the database
     const stmt = db.prepare(`
-      INSERT INTO messages (id, room_id, sender, message, timestamp)
-      VALUES (?, ?, ?, ?, ?)
+      INSERT INTO messages (id, room_id, sender, sender_id, message, timestamp)
+      VALUES (?, ?, ?, ?, ?, ?)
     `);
     
-    stmt.run(id, roomId, message.sender, message.message, timestamp);
+    stmt.run(id, roomId, message.sender, message.senderId || null, message.message, timestamp);
     
     // Return the stored message
     return {
       id,
       roomId,
       sender: message.sender,
+      senderId: message.senderId || null,
       message: message.message,
       timestamp
     };
@@ -44,7 +45,7 @@ export const getMessagesForRoom = (roomId, limit = 50) => {
   try {
     // Get messages from the database
     const stmt = db.prepare(`
-      SELECT id, room_id, sender, message, timestamp
+      SELECT id, room_id, sender, sender_id, message, timestamp
       FROM messages
       WHERE room_id = ?
       ORDER BY timestamp DESC
@@ -61,6 +62,28 @@ export const getMessagesForRoom = (roomId, limit = 50) => {
   }
 };
 
+/**
+ * Get a single message
+ * @param {string} roomId - The room ID
+ * @param {string} messageId - The message ID
+ * @returns {object|null} - The message or null if not found
+ */
+export const getMessage = (roomId, messageId) => {
+  try {
+    const stmt = db.prepare(`
+      SELECT id, room_id, sender, sender_id, message, timestamp
+      FROM messages
+      WHERE id = ? AND room_id = ?
+    `);
+    
+    const message = stmt.get(messageId, roomId);
+    return message ? toCamelCase(message) : null;
+  } catch (error) {
+    console.error('Error getting message:', error);
+    return null;
+  }
+};
+
 /**
  * Delete a message
  * @param {string} roomId - The room ID
@@ -83,11 +106,27 @@ export const deleteMessage = (roomId, messageId) => {
   }
 };
 
+/**
+ * Delete every message a player sent, e.g. when their account is deleted
+ * @param {string} senderId - The player's ID
+ * @returns {number} - Number of messages deleted
+ */
+export const deleteMessagesBySender = (senderId) => {
+  const stmt = db.prepare(`
+    DELETE FROM messages
+    WHERE sender_id = ?
+  `);
+  
+  return stmt.run(senderId).changes;
+};
+
 // Export as an object for named imports
 const messageController = {
   storeMessage,
   getMessagesForRoom,
-  deleteMessage
+  getMessage,
+  deleteMessage,
+  deleteMessagesBySender
 };
 
 export default messageController; 
\ No newline at end of file
@@ -0,0 +1,315 @@
+import db from '../config/database.js';
+import { safeJsonParse, toCamelCase, rowsToCamelCase } from '../utils/dbUtils.js';
+import { v4 as uuidv4 } from 'uuid';
+
+// Roles a player can hold in a chat room; everyone else is a member
+export const ROOM_ROLES = ['owner', 'moderator'];
+
+// Sanctions a moderator can place on a room member
+export const SANCTION_TYPES = ['mute', 'ban'];
+
+/**
+ * Get a user's role in a room
+ * @param {string} roomId - The room ID
+ * @param {string} userId - The user ID
+ * @returns {string|null} - 'owner', 'moderator' or null for ordinary members
+ */
+export const getUserRole = (roomId, userId) => {
+  try {
+    const row = db.prepare(`
+      SELECT role
+      FROM room_roles
+      WHERE room_id = ? AND user_id = ?
+    `).get(roomId, userId);
+    
+    return row ? row.role : null;
+  } catch (error) {
+    console.error('Error getting room role:', error);
+    return null;
+  }
+};
+
+/**
+ * Get every owner and moderator of a room
+ * @param {string} roomId - The room ID
+ * @returns {array} - Array of { userId, role, grantedBy, grantedAt }
+ */
+export const getRoomRoles = (roomId) => {
+  try {
+    const rows = db.prepare(`
+      SELECT user_id, role, granted_by, granted_at
+      FROM room_roles
+      WHERE room_id = ?
+    `).all(roomId);
+    
+    return rowsToCamelCase(rows);
+  } catch (error) {
+    console.error('Error getting room roles:', error);
+    return [];
+  }
+};
+
+/**
+ * Give a user a role in a room, or take it away
+ * @param {string} roomId - The room ID
+ * @param {string} userId - The user ID
+ * @param {string|null} role - 'owner', 'moderator' or null to make them an ordinary member
+ * @param {string} grantedBy - The user making the change
+ * @returns {boolean} - Success status
+ */
+export const setUserRole = (roomId, userId, role, grantedBy = null) => {
+  try {
+    if (!role) {
+      db.prepare(`
+        DELETE FROM room_roles
+        WHERE room_id = ? AND user_id = ?
+      `).run(roomId, userId);
+      return true;
+    }
+    
+    db.prepare(`
+      INSERT INTO room_roles (room_id, user_id, role, granted_by, granted_at)
+      VALUES (?, ?, ?, ?, ?)
+      ON CONFLICT (room_id, user_id) DO UPDATE SET
+        role = excluded.role,
+        granted_by = excluded.granted_by,
+        granted_at = excluded.granted_at
+    `).run(roomId, userId, role, grantedBy, new Date().toISOString());
+    
+    return true;
+  } catch (error) {
+    console.error('Error setting room role:', error);
+    return false;
+  }
+};
+
+/**
+ * Get a room's slow mode interval
+ * @param {string} roomId - The room ID
+ * @returns {number} - Seconds members must wait between messages (0 when off)
+ */
+export const getSlowMode = (roomId) => {
+  try {
+    const row = db.prepare(`
+      SELECT slow_mode_seconds
+      FROM room_settings
+      WHERE room_id = ?
+    `).get(roomId);
+    
+    return row ? row.slow_mode_seconds : 0;
+  } catch (error) {
+    console.error('Error getting slow mode:', error);
+    return 0;
+  }
+};
+
+/**
+ * Set a room's slow mode interval
+ * @param {string} roomId - The room ID
+ * @param {number} seconds - Seconds members must wait between messages (0 turns it off)
+ * @param {string} updatedBy - The user making the change
+ * @returns {boolean} - Success status
+ */
+export const setSlowMode = (roomId, seconds, updatedBy = null) => {
+  try {
+    db.prepare(`
+      INSERT INTO room_settings (room_id, slow_mode_seconds, updated_by, updated_at)
+      VALUES (?, ?, ?, ?)
+      ON CONFLICT (room_id) DO UPDATE SET
+        slow_mode_seconds = excluded.slow_mode_seconds,
+        updated_by = excluded.updated_by,
+        updated_at = excluded.updated_at
+    `).run(roomId, seconds, updatedBy, new Date().toISOString());
+    
+    return true;
+  } catch (error) {
+    console.error('Error setting slow mode:', error);
+    return false;
+  }
+};
+
+/**
+ * Mute or ban a user in a room
+ * @param {string} roomId - The room ID
+ * @param {string} userId - The user ID
+ * @param {object} sanction - { type, reason, issuedBy, expiresAt (ISO string, null for no end) }
+ * @returns {object} - The stored sanction
+ */
+export const addSanction = (roomId, userId, { type, reason = null, issuedBy, expiresAt = null }) => {
+  const id = uuidv4();
+  const createdAt = new Date().toISOString();
+  
+  try {
+    db.prepare(`
+      INSERT INTO chat_sanctions (id, room_id, user_id, type, reason, issued_by, created_at, expires_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(id, roomId, userId, type, reason, issuedBy, createdAt, expiresAt);
+    
+    return {
+      id,
+      roomId,
+      userId,
+      type,
+      reason,
+      issuedBy,
+      createdAt,
+      expiresAt
+    };
+  } catch (error) {
+    console.error('Error adding sanction:', error);
+    throw error;
+  }
+};
+
+/**
+ * Get the sanction of a type currently in force against a user
+ * @param {string} roomId - The room ID
+ * @param {string} userId - The user ID
+ * @param {string} type - 'mute' or 'ban'
+ * @returns {object|null} - The sanction that lasts longest, or null if none is in force
+ */
+export const getActiveSanction = (roomId, userId, type) => {
+  try {
+    const row = db.prepare(`
+      SELECT id, room_id, user_id, type, reason, issued_by, created_at, expires_at
+      FROM chat_sanctions
+      WHERE room_id = ? AND user_id = ? AND type = ?
+        AND lifted_at IS NULL
+        AND (expires_at IS NULL OR expires_at > ?)
+      ORDER BY expires_at IS NULL DESC, expires_at DESC
+      LIMIT 1
+    `).get(roomId, userId, type, new Date().toISOString());
+    
+    return row ? toCamelCase(row) : null;
+  } catch (error) {
+    console.error('Error getting sanction:', error);
+    return null;
+  }
+};
+
+/**
+ * Lift every sanction of a type in force against a user
+ * @param {string} roomId - The room ID
+ * @param {string} userId - The user ID
+ * @param {string} type - 'mute' or 'ban'
+ * @returns {boolean} - Whether any sanction was lifted
+ */
+export const liftSanctions = (roomId, userId, type) => {
+  try {
+    const now = new Date().toISOString();
+    const result = db.prepare(`
+      UPDATE chat_sanctions
+      SET lifted_at = ?
+      WHERE room_id = ? AND user_id = ? AND type = ?
+        AND lifted_at IS NULL
+        AND (expires_at IS NULL OR expires_at > ?)
+    `).run(now, roomId, userId, type, now);
+    
+    return result.changes > 0;
+  } catch (error) {
+    console.error('Error lifting sanctions:', error);
+    return false;
+  }
+};
+
+/**
+ * Check whether a user already reported a message
+ * @param {string} messageId - The message ID
+ * @param {string} reporterId - The reporting user
+ * @returns {boolean} - Whether a report exists
+ */
+export const hasReported = (messageId, reporterId) => {
+  try {
+    const row = db.prepare(`
+      SELECT 1
+      FROM chat_reports
+      WHERE message_id = ? AND reporter_id = ?
+    `).get(messageId, reporterId);
+    
+    return Boolean(row);
+  } catch (error) {
+    console.error('Error checking reports:', error);
+    return false;
+  }
+};
+
+/**
+ * Store a reported message for review
+ * @param {object} report - { messageId, scope, roomId, reporterId, reportedId, reportedName, message, context, reason }
+ * @returns {object} - The stored report
+ */
+export const storeReport = (report) => {
+  const id = uuidv4();
+  const createdAt = new Date().toISOString();
+  
+  try {
+    db.prepare(`
+      INSERT INTO chat_reports (
+        id, message_id, scope, room_id, reporter_id, reported_id, reported_name,
+        message, context, reason, status, created_at
+      )
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'open', ?)
+    `).run(
+      id,
+      report.messageId,
+      report.scope,
+      report.roomId || null,
+      report.reporterId,
+      report.reportedId || null,
+      report.reportedName || null,
+      report.message,
+      report.context ? JSON.stringify(report.context) : null,
+      report.reason || null,
+      createdAt
+    );
+    
+    return { ...report, id, status: 'open', createdAt };
+  } catch (error) {
+    console.error('Error storing report:', error);
+    throw error;
+  }
+};
+
+/**
+ * Get reports, newest first
+ * @param {object} options - { status, limit }
+ * @returns {array} - Array of reports with their context parsed
+ */
+export const getReports = ({ status = 'open', limit = 50 } = {}) => {
+  try {
+    const rows = db.prepare(`
+      SELECT *
+      FROM chat_reports
+      WHERE status = ?
+      ORDER BY created_at DESC
+      LIMIT ?
+    `).all(status, limit);
+    
+    return rowsToCamelCase(rows).map(report => {
+      report.context = safeJsonParse(report.context, []);
+      return report;
+    });
+  } catch (error) {
+    console.error('Error getting reports:', error);
+    return [];
+  }
+};
+
+// Export as an object for named imports
+const moderationController = {
+  ROOM_ROLES,
+  SANCTION_TYPES,
+  getUserRole,
+  getRoomRoles,
+  setUserRole,
+  getSlowMode,
+  setSlowMode,
+  addSanction,
+  getActiveSanction,
+  liftSanctions,
+  hasReported,
+  storeReport,
+  getReports
+};
+
+export default moderationController;
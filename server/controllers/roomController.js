@@ -2,6 +2,9 @@ import db from '../config/database.js';
 import { safeJsonParse, toCamelCase, rowsToCamelCase } from '../utils/dbUtils.js';
 import crypto from 'crypto';
 
+// Room IDs appear in URLs and socket messages
+export const ROOM_ID_PATTERN = /^[a-zA-Z0-9_-]{1,50}$/;
+
 /**
  * Create a new room
  * @param {string} roomId - The room ID
@@ -205,6 +208,27 @@ export const getUsersInRoom = (roomId) => {
   }
 };
 
+/**
+ * Check whether a user has joined a room
+ * @param {string} roomId - The room ID
+ * @param {string} userId - The user ID
+ * @returns {boolean} - Whether the user is in the room
+ */
+export const isUserInRoom = (roomId, userId) => {
+  try {
+    const row = db.prepare(`
+      SELECT 1
+      FROM room_users
+      WHERE room_id = ? AND user_id = ?
+    `).get(roomId, userId);
+    
+    return Boolean(row);
+  } catch (error) {
+    console.error('Error checking room membership:', error);
+    return false;
+  }
+};
+
 /**
  * Delete a room
  * @param {string} roomId - The room ID to delete
@@ -274,11 +298,13 @@ export const getAllRooms = () => {
 
 // Export as an object for named imports
 const roomController = {
+  ROOM_ID_PATTERN,
   createRoom,
   getRoom,
   addUserToRoom,
   removeUserFromRoom,
   getUsersInRoom,
+  isUserInRoom,
   deleteRoom,
   getAllRoomIds,
   getAllRooms,
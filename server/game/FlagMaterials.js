@@ -0,0 +1,57 @@
+/**
+ * FlagMaterials.js
+ * What building, upgrading and taking down flags costs and returns (docs/detailed/flags.md)
+ *
+ * Every entry maps catalog item IDs (game/ItemCatalog.js) to quantities.
+ * Costs are taken from the player's server-side inventory and refunds are
+ * given back to it by FlagSystem, so changing a quantity here changes the
+ * game without touching the flag code.
+ */
+
+// Paid from the player's inventory for each flag action
+export const FLAG_COSTS = Object.freeze({
+  place: Object.freeze({ leather: 3, wood: 3 }),
+  harden: Object.freeze({ stone: 2 }),
+  // Claiming another player's abandoned flag, which keeps its hardening
+  takeover: Object.freeze({ leather: 3, wood: 3 }),
+  // Setting another player's flag on fire once it is down to half health
+  burn: Object.freeze({ crude_oil: 20 }),
+  // Every jump to a flag, on top of any toll its owner charges
+  teleport: Object.freeze({ roc_feather: 2 })
+});
+
+// Returned to an owner who takes down their own flag, by flag type
+export const FLAG_REFUNDS = Object.freeze({
+  normal: Object.freeze({ wood: 1, leather: 1 }),
+  'roc-shrine': Object.freeze({ wood: 5, stone: 5 }),
+  'guard-tower': Object.freeze({ wood: 10, stone: 10 })
+});
+
+// Added to the refund of a hardened normal flag
+export const HARDENED_REFUND_BONUS = Object.freeze({ stone: 1 });
+
+/**
+ * Get what a flag action costs
+ * @param {string} action - A key of FLAG_COSTS
+ * @returns {Object} - Catalog item ID -> quantity
+ */
+export function getFlagCost(action) {
+  return FLAG_COSTS[action];
+}
+
+/**
+ * Get what taking down a flag returns to its owner
+ * @param {Object} flag - The flag ({ type, isHardened })
+ * @returns {Object} - Catalog item ID -> quantity, empty if nothing is returned
+ */
+export function getFlagRefund(flag) {
+  const refund = { ...(Object.hasOwn(FLAG_REFUNDS, flag.type) ? FLAG_REFUNDS[flag.type] : {}) };
+
+  if (flag.type === 'normal' && flag.isHardened) {
+    for (const [itemId, quantity] of Object.entries(HARDENED_REFUND_BONUS)) {
+      refund[itemId] = (refund[itemId] || 0) + quantity;
+    }
+  }
+
+  return refund;
+}
@@ -2,6 +2,11 @@ import { logger } from '../utils/logger.js';
 
 /**
  * Game loop responsible for running game systems at a fixed rate
+ *
+ * Systems expose an `update(deltaTime)` method which may be async. Systems
+ * registered with an `interval` only run once that many milliseconds of game
+ * time have passed, which suits periodic sweepers. An async update that is
+ * still in flight is skipped on later ticks rather than piling up.
  */
 class GameLoop {
   constructor() {
@@ -9,21 +14,56 @@ class GameLoop {
     this.lastTickTime = 0;
     this.tickCount = 0;
     this.systems = []; // Will hold game systems
-    this.intervalId = null;
+    this.timeoutId = null;
     this.TICK_RATE = 20; // Ticks per second
     this.TICK_INTERVAL = 1000 / this.TICK_RATE; // Milliseconds per tick
-    
+    this.MAX_CATCH_UP_TICKS = 5; // Most ticks run back-to-back after a stall
+    this.OVERRUN_WARNING_INTERVAL = 5000; // Minimum ms between overrun warnings
+
+    // Time owed to the simulation that has not been ticked yet
+    this.accumulator = 0;
+
+    // Loop-wide timing metrics
+    this.metrics = {
+      overruns: 0,
+      droppedTicks: 0,
+      lastTickDuration: 0,
+      maxTickDuration: 0,
+      totalTickDuration: 0
+    };
+    this.lastOverrunWarning = 0;
+
     logger.info('GameLoop initialized', { tickRate: this.TICK_RATE });
   }
 
   /**
    * Register a system to be updated each tick
    * @param {Object} system - The system to register
+   * @param {Object} options - Registration options
+   * @param {string} options.name - Name used in logs and metrics (defaults to the class name)
+   * @param {number} options.interval - Run the system every this many ms instead of every tick
    * @returns {GameLoop} - For method chaining
    */
-  registerSystem(system) {
-    this.systems.push(system);
-    logger.info('System registered', { system: system.constructor.name });
+  registerSystem(system, options = {}) {
+    const name = options.name || system.name || system.constructor.name;
+
+    this.systems.push({
+      system,
+      name,
+      interval: options.interval || 0,
+      elapsed: 0,
+      pending: null,
+      metrics: {
+        runs: 0,
+        skipped: 0,
+        errors: 0,
+        lastDuration: 0,
+        maxDuration: 0,
+        totalDuration: 0
+      }
+    });
+
+    logger.info('System registered', { system: name, interval: options.interval || 'every tick' });
     return this;
   }
 
@@ -33,70 +73,214 @@ class GameLoop {
    */
   start() {
     if (this.isRunning) return this;
-    
+
     this.isRunning = true;
     this.lastTickTime = Date.now();
     this.tickCount = 0;
-    
+    this.accumulator = 0;
+
     logger.info('GameLoop started');
-    
-    // Start the loop with setInterval for simplicity
-    this.intervalId = setInterval(() => this.tick(), this.TICK_INTERVAL);
-    
+
+    this.scheduleNextTick();
+
     return this;
   }
 
   /**
-   * Stop the game loop
-   * @returns {GameLoop} - For method chaining
+   * Stop the game loop and wait for in-flight system updates to settle
+   * @returns {Promise<GameLoop>} - Resolves once every system has finished
    */
-  stop() {
+  async stop() {
     if (!this.isRunning) return this;
-    
+
     this.isRunning = false;
-    if (this.intervalId) {
-      clearInterval(this.intervalId);
-      this.intervalId = null;
+    if (this.timeoutId) {
+      clearTimeout(this.timeoutId);
+      this.timeoutId = null;
+    }
+
+    // Let async updates finish so systems are not cut off mid-write
+    await Promise.allSettled(
+      this.systems.filter(entry => entry.pending).map(entry => entry.pending)
+    );
+
+    // Give systems a chance to flush their own state
+    for (const entry of this.systems) {
+      if (typeof entry.system.stop === 'function') {
+        try {
+          await entry.system.stop();
+        } catch (error) {
+          logger.error('Error stopping system', { system: entry.name, error: error.message });
+        }
+      }
     }
-    
-    logger.info('GameLoop stopped');
-    
+
+    logger.info('GameLoop stopped', { tickCount: this.tickCount });
+
     return this;
   }
 
   /**
-   * Process a single tick
+   * Get loop and per-system timing metrics
+   * @returns {Object} - Timing metrics
+   */
+  getMetrics() {
+    return {
+      isRunning: this.isRunning,
+      tickRate: this.TICK_RATE,
+      tickCount: this.tickCount,
+      overruns: this.metrics.overruns,
+      droppedTicks: this.metrics.droppedTicks,
+      lastTickDuration: this.metrics.lastTickDuration,
+      maxTickDuration: this.metrics.maxTickDuration,
+      averageTickDuration: this.tickCount > 0 ? this.metrics.totalTickDuration / this.tickCount : 0,
+      systems: this.systems.map(({ name, interval, metrics }) => ({
+        name,
+        interval,
+        ...metrics,
+        averageDuration: metrics.runs > 0 ? metrics.totalDuration / metrics.runs : 0
+      }))
+    };
+  }
+
+  /**
+   * Schedule the next tick, keeping to the fixed rate
    * @private
    */
-  tick() {
+  scheduleNextTick() {
+    if (!this.isRunning) return;
+
+    const delay = Math.max(0, this.TICK_INTERVAL - this.accumulator);
+    this.timeoutId = setTimeout(() => this.runDueTicks(), delay);
+  }
+
+  /**
+   * Run every tick owed since the last call, up to the catch-up limit
+   * @private
+   */
+  runDueTicks() {
     const currentTime = Date.now();
-    const deltaTime = (currentTime - this.lastTickTime) / 1000; // Convert to seconds
-    
+    this.accumulator += currentTime - this.lastTickTime;
+    this.lastTickTime = currentTime;
+
+    let ticksRun = 0;
+    while (this.accumulator >= this.TICK_INTERVAL && ticksRun < this.MAX_CATCH_UP_TICKS) {
+      this.tick(this.TICK_INTERVAL / 1000);
+      this.accumulator -= this.TICK_INTERVAL;
+      ticksRun++;
+    }
+
+    // Too far behind to catch up: drop the remaining ticks rather than spiral
+    if (this.accumulator >= this.TICK_INTERVAL) {
+      const dropped = Math.floor(this.accumulator / this.TICK_INTERVAL);
+      this.metrics.droppedTicks += dropped;
+      this.accumulator -= dropped * this.TICK_INTERVAL;
+      this.warnOverrun('GameLoop fell behind, dropping ticks', { dropped });
+    }
+
+    this.scheduleNextTick();
+  }
+
+  /**
+   * Process a single tick
+   * @private
+   * @param {number} deltaTime - Fixed time step in seconds
+   */
+  tick(deltaTime) {
+    const tickStart = performance.now();
+
     // Update each system
-    for (const system of this.systems) {
-      try {
-        if (typeof system.update === 'function') {
-          system.update(deltaTime);
-        }
-      } catch (error) {
-        logger.error('Error in system update', { 
-          system: system.constructor.name,
-          error: error.message
-        });
+    for (const entry of this.systems) {
+      entry.elapsed += deltaTime * 1000;
+      if (entry.elapsed < entry.interval) continue;
+
+      // An async update from an earlier tick is still running
+      if (entry.pending) {
+        entry.metrics.skipped++;
+        continue;
       }
+
+      const systemDelta = entry.interval ? entry.elapsed / 1000 : deltaTime;
+      entry.elapsed = 0;
+      this.runSystem(entry, systemDelta);
     }
-    
-    this.lastTickTime = currentTime;
+
+    const tickDuration = performance.now() - tickStart;
     this.tickCount++;
-    
+    this.metrics.lastTickDuration = tickDuration;
+    this.metrics.maxTickDuration = Math.max(this.metrics.maxTickDuration, tickDuration);
+    this.metrics.totalTickDuration += tickDuration;
+
+    if (tickDuration > this.TICK_INTERVAL) {
+      this.metrics.overruns++;
+      this.warnOverrun('GameLoop tick overran its budget', {
+        duration: Math.round(tickDuration),
+        budget: this.TICK_INTERVAL
+      });
+    }
+
     // Log stats every 5 seconds
     if (this.tickCount % (this.TICK_RATE * 5) === 0) {
-      logger.debug('GameLoop stats', { 
+      logger.debug('GameLoop stats', {
         tickCount: this.tickCount,
-        uptime: Math.floor(this.tickCount / this.TICK_RATE)
+        uptime: Math.floor(this.tickCount / this.TICK_RATE),
+        overruns: this.metrics.overruns,
+        droppedTicks: this.metrics.droppedTicks
       });
     }
   }
+
+  /**
+   * Run one system update and record its timing
+   * @private
+   * @param {Object} entry - The registered system entry
+   * @param {number} deltaTime - Time since the system last ran in seconds
+   */
+  runSystem(entry, deltaTime) {
+    const { system, name, metrics } = entry;
+    if (typeof system.update !== 'function') return;
+
+    const start = performance.now();
+    const record = () => {
+      const duration = performance.now() - start;
+      metrics.runs++;
+      metrics.lastDuration = duration;
+      metrics.maxDuration = Math.max(metrics.maxDuration, duration);
+      metrics.totalDuration += duration;
+    };
+    const fail = (error) => {
+      metrics.errors++;
+      logger.error('Error in system update', { system: name, error: error.message });
+    };
+
+    try {
+      const result = system.update(deltaTime);
+
+      if (result && typeof result.then === 'function') {
+        entry.pending = result
+          .then(record, fail)
+          .finally(() => { entry.pending = null; });
+      } else {
+        record();
+      }
+    } catch (error) {
+      fail(error);
+    }
+  }
+
+  /**
+   * Log an overrun warning, throttled to avoid flooding the logs
+   * @private
+   * @param {string} message - Warning message
+   * @param {Object} meta - Extra log data
+   */
+  warnOverrun(message, meta) {
+    const now = Date.now();
+    if (now - this.lastOverrunWarning < this.OVERRUN_WARNING_INTERVAL) return;
+
+    this.lastOverrunWarning = now;
+    logger.warn(message, { ...meta, overruns: this.metrics.overruns, droppedTicks: this.metrics.droppedTicks });
+  }
 }
 
-export default GameLoop; 
\ No newline at end of file
+export default GameLoop;
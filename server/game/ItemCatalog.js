@@ -0,0 +1,83 @@
+/**
+ * ItemCatalog.js
+ * The server's copy of the client's item definitions (src/items/definitions)
+ *
+ * Only the fields that decide what an inventory may hold are kept: type,
+ * weight, stacking and whether the item can be used. An item missing here
+ * cannot be held, so new client items must be added to both.
+ *
+ * Resources pay for flags, so they are not imported from a player's local
+ * inventory: players get them from the server, starting with STARTER_ITEMS
+ * and then as loot (game/LootTables.js).
+ */
+
+// Items by ID
+export const ITEMS = Object.freeze({
+  // Weapons
+  sword: { type: 'weapon', weight: 2.5, stackable: false, maxStackSize: 1, usable: false },
+  axe: { type: 'weapon', weight: 4.5, stackable: false, maxStackSize: 1, usable: false },
+  crossbow: { type: 'weapon', weight: 3.2, stackable: false, maxStackSize: 1, usable: false },
+  staff: { type: 'weapon', weight: 1.8, stackable: false, maxStackSize: 1, usable: false },
+  mercurium_sword: { type: 'weapon', weight: 2.8, stackable: false, maxStackSize: 1, usable: false },
+  thornite_axe: { type: 'weapon', weight: 5.2, stackable: false, maxStackSize: 1, usable: false },
+  infernium_crossbow: { type: 'weapon', weight: 3.5, stackable: false, maxStackSize: 1, usable: false },
+
+  // Armor
+  armor_leather_chest: { type: 'armor', weight: 3.0, stackable: false, maxStackSize: 1, usable: true },
+
+  // Consumables
+  food_apple: { type: 'consumable', weight: 0.2, stackable: true, maxStackSize: 10, usable: true },
+  consumable_minor_healing_potion: { type: 'consumable', weight: 0.2, stackable: true, maxStackSize: 20, usable: true },
+
+  // Resources
+  wood: { type: 'resource', weight: 0.5, stackable: true, maxStackSize: 50, usable: false },
+  leather: { type: 'resource', weight: 0.5, stackable: true, maxStackSize: 20, usable: false },
+  stone: { type: 'resource', weight: 1.0, stackable: true, maxStackSize: 50, usable: false },
+  crude_oil: { type: 'resource', weight: 0.5, stackable: true, maxStackSize: 50, usable: false },
+  roc_feather: { type: 'resource', weight: 0.1, stackable: true, maxStackSize: 100, usable: false }
+});
+
+// Item types only the server gives out
+export const SERVER_ONLY_TYPES = ['resource'];
+
+// Server-only items a new inventory starts with, as from InventoryManager.addDefaultItems
+export const STARTER_ITEMS = Object.freeze({ wood: 10, leather: 5, roc_feather: 10 });
+
+// Equipment slots kept by the client's EquipmentManager
+export const EQUIPMENT_SLOTS = ['weapon', 'armor', 'shield', 'ringLeft', 'ringRight'];
+
+// Slots each equippable item type can go in, in the order the client fills them
+const SLOTS_BY_TYPE = {
+  weapon: ['weapon'],
+  armor: ['armor'],
+  ring: ['ringLeft', 'ringRight']
+};
+
+/**
+ * Look up an item
+ * @param {string} itemId - The item's ID
+ * @returns {Object|null} - { type, weight, stackable, maxStackSize, usable }, or null if unknown
+ */
+export function getItem(itemId) {
+  return Object.hasOwn(ITEMS, itemId) ? ITEMS[itemId] : null;
+}
+
+/**
+ * Check whether only the server may give out an item
+ * @param {Object} item - Item from getItem
+ * @returns {boolean} - True if the item is not imported from a local inventory
+ */
+export function isServerOnly(item) {
+  return SERVER_ONLY_TYPES.includes(item.type);
+}
+
+/**
+ * Get the equipment slots an item can be equipped in
+ * @param {Object} item - Item from getItem
+ * @returns {Array<string>} - Slots, empty if the item cannot be equipped
+ */
+export function getEquipmentSlots(item) {
+  return SLOTS_BY_TYPE[item.type] || [];
+}
+
+export default { ITEMS, SERVER_ONLY_TYPES, STARTER_ITEMS, EQUIPMENT_SLOTS, getItem, isServerOnly, getEquipmentSlots };
@@ -0,0 +1,117 @@
+/**
+ * LootTables.js
+ * What players get from trees, monsters and dungeons, rolled by the server (LootSystem)
+ *
+ * Trees, monsters and dungeons only exist on the client, so the server cannot
+ * check that one was really chopped, killed or cleared. Each source therefore
+ * has a cooldown: a player may claim it at most once per cooldownMs, which
+ * caps how fast resources can be gathered however often the client asks.
+ *
+ * Drops name catalog items (game/ItemCatalog.js). Each drop is rolled on its
+ * own: it is given with probability chance (default 1), in a quantity from
+ * min to max. A source's gold, if any, is always given, from gold.min to
+ * gold.max; it is the only way players earn gold.
+ */
+
+// Loot sources by name; monsters are 'monster:' + the client's MonsterType, with the client's goldReward
+export const LOOT_TABLES = Object.freeze({
+  tree: Object.freeze({
+    cooldownMs: 15 * 1000,
+    drops: Object.freeze([{ itemId: 'wood', min: 2, max: 3 }])
+  }),
+  dungeon: Object.freeze({
+    cooldownMs: 10 * 60 * 1000,
+    gold: Object.freeze({ min: 100, max: 300 }),
+    drops: Object.freeze([
+      { itemId: 'stone', min: 2, max: 5 },
+      { itemId: 'crude_oil', min: 8, max: 12 },
+      { itemId: 'roc_feather', min: 2, max: 4 }
+    ])
+  }),
+  'monster:stag': Object.freeze({
+    cooldownMs: 20 * 1000,
+    gold: Object.freeze({ min: 5, max: 5 }),
+    drops: Object.freeze([{ itemId: 'leather', min: 1, max: 3, chance: 0.9 }])
+  }),
+  'monster:wolf': Object.freeze({
+    cooldownMs: 20 * 1000,
+    gold: Object.freeze({ min: 10, max: 10 }),
+    drops: Object.freeze([])
+  }),
+  'monster:boar': Object.freeze({
+    cooldownMs: 20 * 1000,
+    gold: Object.freeze({ min: 15, max: 15 }),
+    drops: Object.freeze([{ itemId: 'leather', min: 1, max: 2, chance: 0.8 }])
+  }),
+  'monster:lizardfolk': Object.freeze({
+    cooldownMs: 20 * 1000,
+    gold: Object.freeze({ min: 20, max: 20 }),
+    drops: Object.freeze([{ itemId: 'leather', min: 1, max: 2, chance: 0.7 }])
+  }),
+  'monster:bear': Object.freeze({
+    cooldownMs: 2 * 60 * 1000,
+    gold: Object.freeze({ min: 50, max: 50 }),
+    drops: Object.freeze([])
+  }),
+  'monster:ogre': Object.freeze({
+    cooldownMs: 2 * 60 * 1000,
+    gold: Object.freeze({ min: 100, max: 100 }),
+    drops: Object.freeze([])
+  }),
+  'monster:dragon': Object.freeze({
+    cooldownMs: 5 * 60 * 1000,
+    gold: Object.freeze({ min: 200, max: 200 }),
+    drops: Object.freeze([])
+  }),
+  'monster:lizardfolk-king': Object.freeze({
+    cooldownMs: 5 * 60 * 1000,
+    gold: Object.freeze({ min: 500, max: 500 }),
+    drops: Object.freeze([])
+  })
+});
+
+export const LOOT_SOURCES = Object.keys(LOOT_TABLES);
+
+/**
+ * Get a loot source's table
+ * @param {string} source - A key of LOOT_TABLES
+ * @returns {Object|null} - { cooldownMs, gold, drops }, or null for an unknown source
+ */
+export function getLootTable(source) {
+  return Object.hasOwn(LOOT_TABLES, source) ? LOOT_TABLES[source] : null;
+}
+
+/**
+ * Roll a loot table's drops
+ * @param {Object} table - { drops } from LOOT_TABLES
+ * @param {Function} random - Returns a number in [0, 1)
+ * @returns {Object} - Catalog item ID -> quantity, empty if nothing dropped
+ */
+export function rollLoot(table, random = Math.random) {
+  const items = {};
+
+  for (const { itemId, min, max, chance = 1 } of table.drops) {
+    if (random() < chance) {
+      items[itemId] = (items[itemId] || 0) + min + Math.floor(random() * (max - min + 1));
+    }
+  }
+
+  return items;
+}
+
+/**
+ * Roll a loot table's gold
+ * @param {Object} table - { gold } from LOOT_TABLES
+ * @param {Function} random - Returns a number in [0, 1)
+ * @returns {number} - Whole gold pieces, 0 if the source gives none
+ */
+export function rollGold(table, random = Math.random) {
+  if (!table.gold) {
+    return 0;
+  }
+
+  const { min, max } = table.gold;
+  return min + Math.floor(random() * (max - min + 1));
+}
+
+export default { LOOT_TABLES, LOOT_SOURCES, getLootTable, rollLoot, rollGold };
@@ -0,0 +1,97 @@
+/**
+ * AuditSystem.js
+ * Keeps an append-only log of gameplay-significant actions
+ *
+ * Flag changes, inventory transactions and admin actions are recorded with
+ * who acted, what they acted on, where, and the target's state before and
+ * after, so griefing and exploits can be looked into after the fact through
+ * GET /api/admin/audit.
+ *
+ * Actions are named '<category>.<verb>', e.g. 'flag.place', 'inventory.drop'
+ * or 'admin.ban', so a whole category can be queried at once. Events the
+ * server causes by itself, such as a flag being marked abandoned, have no
+ * actor.
+ *
+ * Recording never fails the action being recorded: an event that cannot be
+ * stored is logged and dropped. Stored events cannot be changed or deleted.
+ */
+
+import logger from '../../utils/logger.js';
+import AuditRepository from '../../repositories/AuditRepository.js';
+
+// Events returned by one query
+const DEFAULT_QUERY_LIMIT = 100;
+export const MAX_AUDIT_QUERY_LIMIT = 500;
+
+class AuditSystem {
+  constructor() {
+    logger.info('AuditSystem initialized');
+  }
+
+  /**
+   * Record an event
+   * @param {Object} event - The event
+   * @param {string|null} event.actorId - The acting player's ID, or null for the server
+   * @param {string} event.action - What was done, e.g. 'flag.place'
+   * @param {Object} event.target - { type, id } of what was acted on
+   * @param {Object|null} [event.position] - { lat, lng } where it happened
+   * @param {*} [event.before] - The target's state before, or null if it did not exist
+   * @param {*} [event.after] - The target's state afterwards, or null if it no longer exists
+   * @param {Object|null} [event.details] - Anything else worth keeping, such as a reason or a cost
+   * @returns {Promise<boolean>} - True if the event was stored
+   */
+  async record({ actorId = null, action, target, position = null, before = null, after = null, details = null }) {
+    try {
+      await AuditRepository.appendEvent({
+        actorId,
+        action,
+        targetType: target.type,
+        targetId: target.id !== undefined && target.id !== null ? String(target.id) : null,
+        lat: Number.isFinite(position?.lat) ? position.lat : null,
+        lng: Number.isFinite(position?.lng) ? position.lng : null,
+        before,
+        after,
+        details
+      });
+
+      return true;
+    } catch (error) {
+      logger.error(`Dropped audit event ${action} on ${target.type} ${target.id}: ${error.message}`, { actorId });
+      return false;
+    }
+  }
+
+  /**
+   * Find events, newest first
+   * Results are paged: pass the nextBeforeId of one page as beforeId to get the next.
+   * @param {Object} filters - Filters, all optional
+   * @param {string} [filters.playerId] - Events the player performed or was the target of
+   * @param {string} [filters.targetType] - Kind of thing acted on, e.g. 'flag'
+   * @param {string} [filters.targetId] - ID of the thing acted on
+   * @param {string} [filters.action] - An action, or a category such as 'flag'
+   * @param {Object} [filters.bounds] - { minLat, maxLat, minLng, maxLng } the events happened in
+   * @param {Date} [filters.from] - Earliest time
+   * @param {Date} [filters.to] - Latest time
+   * @param {number} [filters.beforeId] - Only events older than this one
+   * @param {number} [filters.limit] - Most events to return, up to 500
+   * @returns {Promise<Object>} - { success, events, nextBeforeId (null on the last page), error }
+   */
+  async query({ limit = DEFAULT_QUERY_LIMIT, ...filters } = {}) {
+    const pageSize = Math.min(Math.max(1, Math.floor(limit)), MAX_AUDIT_QUERY_LIMIT);
+
+    try {
+      const events = await AuditRepository.queryEvents({ ...filters, limit: pageSize });
+
+      return {
+        success: true,
+        events,
+        nextBeforeId: events.length === pageSize ? events[events.length - 1].id : null
+      };
+    } catch (error) {
+      logger.error(`Error querying audit events: ${error.message}`);
+      return { success: false, error: 'Failed to query audit events' };
+    }
+  }
+}
+
+export default new AuditSystem();
@@ -0,0 +1,213 @@
+/**
+ * CharacterSystem.js
+ * Loads and saves each player's character: stats and learned skills, with the
+ * inventory and equipment kept by the InventorySystem
+ *
+ * Characters are versioned. A save names the version the client last loaded
+ * or saved, and is rejected if another session has saved since; the client
+ * then gets the stored copy back instead of overwriting it.
+ *
+ * Items only change through inventory transactions. The exception is a
+ * player's first save, which may carry the inventory the client kept before
+ * the server stored characters; it is imported once.
+ *
+ * Gold is changed only by the server: loot adds it (LootSystem) and flag
+ * tolls and revenue shares move it (FlagEconomySystem). A save keeps the
+ * stored gold whatever the client sends, and a new character starts with
+ * STARTING_GOLD. Each server change bumps the version, so the client's next
+ * save must name the version those changes left.
+ */
+
+import logger from '../../utils/logger.js';
+import { validateSchema } from '../../utils/validation.js';
+import CharacterRepository from '../../repositories/CharacterRepository.js';
+import InventorySystem from './InventorySystem.js';
+
+// Limits on what a client may store
+const CHARACTER_LIMITS = {
+  MAX_LEVEL: 1000,
+  MAX_SKILL_LEVEL: 20,
+  MAX_LEARNED_SKILLS: 200,
+  MAX_INVENTORY_SLOTS: 200,
+  MAX_ID_LENGTH: 50
+};
+
+// Gold a new character starts with, as PlayerStatsService's default stats
+export const STARTING_GOLD = 50;
+
+// Progress kept from PlayerStatsService; combat stats are recomputed by the client,
+// and gold is kept by the server
+const STATS_SCHEMA = {
+  level: { type: 'number', required: true, min: 1, max: CHARACTER_LIMITS.MAX_LEVEL },
+  xp: { type: 'number', required: true, min: 0 },
+  xpToNextLevel: { type: 'number', required: true, min: 1 },
+  health: { type: 'number', required: true, min: 0 },
+  maxHealth: { type: 'number', required: true, min: 1 }
+};
+
+const SKILLS_SCHEMA = {
+  skillPoints: { type: 'number', required: true, min: 0 },
+  specializationPath: { type: 'string', maxLength: CHARACTER_LIMITS.MAX_ID_LENGTH },
+  learned: { type: 'array', required: true, maxLength: CHARACTER_LIMITS.MAX_LEARNED_SKILLS }
+};
+
+// A character as sent by the client; inventory and equipment are only read from a first save
+const CHARACTER_SCHEMA = {
+  stats: { type: 'object', required: true, properties: STATS_SCHEMA },
+  skills: { type: 'object', required: true, properties: SKILLS_SCHEMA },
+  inventory: { type: 'array', maxLength: CHARACTER_LIMITS.MAX_INVENTORY_SLOTS },
+  equipment: { type: 'object' }
+};
+
+class CharacterSystem {
+  constructor() {
+    logger.info('CharacterSystem initialized');
+  }
+
+  /**
+   * Load a player's character
+   * @param {string} playerId - The player's ID
+   * @returns {Promise<Object>} - { success, character (null if the player has none yet), error }
+   */
+  async loadCharacter(playerId) {
+    try {
+      const character = await CharacterRepository.getCharacter(playerId);
+      if (!character) {
+        return { success: true, character: null };
+      }
+
+      const items = await InventorySystem.getInventory(playerId);
+      if (!items.success) {
+        return { success: false, error: 'Failed to load character' };
+      }
+
+      return {
+        success: true,
+        character: { ...character, inventory: items.inventory, equipment: items.equipment }
+      };
+    } catch (error) {
+      logger.error(`Error loading character for ${playerId}: ${error.message}`);
+      return { success: false, error: 'Failed to load character' };
+    }
+  }
+
+  /**
+   * Save a player's character over the version the client last saw
+   * @param {string} playerId - The player's ID
+   * @param {Object} character - { stats, skills }, plus { inventory, equipment } to import on a first save
+   * @param {number} expectedVersion - Version the client last loaded or saved (0 if it has none)
+   * @returns {Promise<Object>} - { success, character, error, conflict }; on a conflict
+   *   character is the stored copy the client should adopt. A first save's character
+   *   includes the inventory and equipment that were imported.
+   */
+  async saveCharacter(playerId, character, expectedVersion) {
+    try {
+      const validationError = this.validateCharacter(character);
+      if (validationError) {
+        return { success: false, error: validationError };
+      }
+
+      // Every change to the stored gold bumps the version, so the copy at expectedVersion has the gold to keep
+      const previous = expectedVersion > 0 ? await CharacterRepository.getCharacter(playerId) : null;
+      const gold = expectedVersion === 0 ? STARTING_GOLD : (previous?.stats.gold ?? 0);
+
+      const saved = await CharacterRepository.saveCharacter(playerId, this._normalize(character, gold), expectedVersion);
+      if (saved) {
+        logger.debug(`Saved character for ${playerId} at version ${saved.version}`);
+
+        if (expectedVersion === 0) {
+          const imported = await InventorySystem.importInventory(playerId, character.inventory, character.equipment);
+          if (imported.success) {
+            return {
+              success: true,
+              character: { ...saved, inventory: imported.inventory, equipment: imported.equipment }
+            };
+          }
+        }
+
+        return { success: true, character: saved };
+      }
+
+      const { character: stored } = await this.loadCharacter(playerId);
+      logger.warn(`Rejected character save for ${playerId}: expected version ${expectedVersion}, stored ${stored?.version ?? 'none'}`);
+
+      return {
+        success: false,
+        conflict: true,
+        error: 'Character was saved by another session',
+        character: stored
+      };
+    } catch (error) {
+      logger.error(`Error saving character for ${playerId}: ${error.message}`);
+      return { success: false, error: 'Failed to save character' };
+    }
+  }
+
+  /**
+   * Check a character sent by the client
+   * Imported inventory and equipment are checked item by item by the InventorySystem.
+   * @param {Object} character - { stats, skills, inventory, equipment }
+   * @returns {string|null} - Error message, or null if valid
+   */
+  validateCharacter(character) {
+    const schemaError = validateSchema(character, CHARACTER_SCHEMA, 'character');
+    if (schemaError) {
+      return schemaError;
+    }
+
+    for (const [index, skill] of character.skills.learned.entries()) {
+      if (!this._isId(skill?.id) || !this._isInteger(skill.level, 1, CHARACTER_LIMITS.MAX_SKILL_LEVEL)) {
+        return `character.skills.learned[${index}] must have an id and a level from 1 to ${CHARACTER_LIMITS.MAX_SKILL_LEVEL}`;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Copy only the fields the server keeps from a validated character
+   * @private
+   * @param {Object} character - Validated character
+   * @param {number} gold - The stored gold, kept in place of the client's
+   * @returns {Object} - { stats, skills }
+   */
+  _normalize(character, gold) {
+    const stats = { gold };
+    for (const field of Object.keys(STATS_SCHEMA)) {
+      stats[field] = character.stats[field];
+    }
+
+    return {
+      stats,
+      skills: {
+        skillPoints: character.skills.skillPoints,
+        specializationPath: character.skills.specializationPath ?? null,
+        learned: character.skills.learned.map(({ id, level }) => ({ id, level }))
+      }
+    };
+  }
+
+  /**
+   * Check for a skill ID
+   * @private
+   * @param {any} value - The value
+   * @returns {boolean} - Whether it is a non-empty string of acceptable length
+   */
+  _isId(value) {
+    return typeof value === 'string' && value.length > 0 && value.length <= CHARACTER_LIMITS.MAX_ID_LENGTH;
+  }
+
+  /**
+   * Check for an integer in a range
+   * @private
+   * @param {any} value - The value
+   * @param {number} min - Smallest allowed value
+   * @param {number} max - Largest allowed value
+   * @returns {boolean} - Whether the value is an integer from min to max
+   */
+  _isInteger(value, min, max) {
+    return Number.isInteger(value) && value >= min && value <= max;
+  }
+}
+
+export default new CharacterSystem();
@@ -0,0 +1,537 @@
+import { logger } from '../../utils/logger.js';
+import { filterMessage } from '../../utils/wordFilter.js';
+
+// Higher ranks can moderate lower ones; ordinary members have no role
+const ROLE_RANK = { owner: 2, moderator: 1 };
+
+/**
+ * System responsible for keeping chat civil
+ *
+ * - Room owners and moderators can mute, kick and ban members and set slow mode
+ * - Owners appoint moderators; whoever creates a room owns it
+ * - Blocked words are masked (utils/wordFilter.js)
+ * - Players who flood any channel are muted from all chat for a short while
+ * - Players can report a message; it is stored with the messages around it
+ *
+ * Roles, sanctions, slow mode and reports are stored through
+ * controllers/moderationController.js; flood tracking is kept in memory.
+ */
+class ChatModerationSystem {
+  /**
+   * @param {import('../../network/ConnectionManager').default} connectionManager - ConnectionManager instance
+   * @param {Object} store - Moderation store (controllers/moderationController.js)
+   * @param {Object} messages - Message store (controllers/messageController.js)
+   */
+  constructor(connectionManager, store, messages) {
+    this.connectionManager = connectionManager;
+    this.store = store;
+    this.messages = messages;
+
+    // Recent chat activity: playerId -> { sentAt: [timestamps], recent: [{ text, at }], floodMutedUntil }
+    this.activity = new Map();
+
+    // Last room message per member for slow mode: `${roomId}|${playerId}` -> timestamp
+    this.lastRoomMessage = new Map();
+
+    // Recently delivered area, proximity, global and whisper messages, kept so they can be reported
+    this.recentMessages = [];
+
+    // Constants
+    this.FLOOD_WINDOW = 10000; // ms
+    this.FLOOD_MESSAGE_LIMIT = 8; // messages per window before a flood mute
+    this.FLOOD_MUTE_DURATION = 60000; // ms
+    this.DUPLICATE_WINDOW = 30000; // ms during which the same text can't be repeated
+    this.DUPLICATE_HISTORY = 3; // recent messages compared against
+    this.RECENT_MESSAGE_LIMIT = 200; // unstored messages kept for reports
+    this.REPORT_CONTEXT = 5; // messages kept on each side of a reported message
+    this.MAX_SLOW_MODE = 3600; // seconds
+
+    logger.info('ChatModerationSystem initialized');
+  }
+
+  /**
+   * Update method - forgets activity too old to matter
+   * @param {number} deltaTime - Time since last update in seconds
+   */
+  update(deltaTime) {
+    const now = Date.now();
+    const activityCutoff = now - Math.max(this.FLOOD_WINDOW, this.DUPLICATE_WINDOW);
+
+    for (const [playerId, activity] of this.activity) {
+      const lastSent = activity.sentAt[activity.sentAt.length - 1] || 0;
+      if (lastSent < activityCutoff && activity.floodMutedUntil <= now) {
+        this.activity.delete(playerId);
+      }
+    }
+
+    const slowModeCutoff = now - this.MAX_SLOW_MODE * 1000;
+    for (const [key, sentAt] of this.lastRoomMessage) {
+      if (sentAt < slowModeCutoff) {
+        this.lastRoomMessage.delete(key);
+      }
+    }
+  }
+
+  /**
+   * Get a player's role in a room
+   * @param {string} roomId - The room ID
+   * @param {string} playerId - The player ID
+   * @returns {string|null} - 'owner', 'moderator' or null
+   */
+  getRole(roomId, playerId) {
+    return this.store.getUserRole(roomId, playerId);
+  }
+
+  /**
+   * Get the roles of a room's owners and moderators
+   * @param {string} roomId - The room ID
+   * @returns {Map<string, string>} - playerId -> role
+   */
+  getRoomRoles(roomId) {
+    return new Map(this.store.getRoomRoles(roomId).map(({ userId, role }) => [userId, role]));
+  }
+
+  /**
+   * Get a room's slow mode interval
+   * @param {string} roomId - The room ID
+   * @returns {number} - Seconds between messages (0 when off)
+   */
+  getSlowMode(roomId) {
+    return this.store.getSlowMode(roomId);
+  }
+
+  /**
+   * Make a room's creator its owner
+   * @param {string} roomId - The room ID
+   * @param {string} playerId - The creating player
+   */
+  onRoomCreated(roomId, playerId) {
+    this.store.setUserRole(roomId, playerId, 'owner', playerId);
+  }
+
+  /**
+   * Check whether a player may join a room
+   * @param {string} roomId - The room ID
+   * @param {string} playerId - The player ID
+   * @returns {Object} - { success } or { success: false, error }
+   */
+  checkJoin(roomId, playerId) {
+    const ban = this.store.getActiveSanction(roomId, playerId, 'ban');
+    if (ban) {
+      return { success: false, error: `You are banned from this room${this.describeExpiry(ban.expiresAt)}` };
+    }
+
+    return { success: true };
+  }
+
+  /**
+   * Check a message before it is sent and mask blocked words
+   * Counts towards flood detection even when the message is refused.
+   * @param {string} playerId - The sender
+   * @param {Object} options - { scope, roomId, text }
+   * @returns {Object} - { success, text, filtered } or { success: false, error }
+   */
+  checkMessage(playerId, { scope, roomId = null, text }) {
+    const now = Date.now();
+    const activity = this.getActivity(playerId);
+
+    if (activity.floodMutedUntil > now) {
+      const seconds = Math.ceil((activity.floodMutedUntil - now) / 1000);
+      return { success: false, error: `You are muted for flooding for ${seconds} more seconds` };
+    }
+
+    if (scope === 'room' && roomId) {
+      const mute = this.store.getActiveSanction(roomId, playerId, 'mute');
+      if (mute) {
+        return { success: false, error: `You are muted in this room${this.describeExpiry(mute.expiresAt)}` };
+      }
+
+      const slowMode = this.store.getSlowMode(roomId);
+      const lastSent = this.lastRoomMessage.get(`${roomId}|${playerId}`);
+      if (slowMode > 0 && lastSent && !this.getRole(roomId, playerId)) {
+        const waitMs = lastSent + slowMode * 1000 - now;
+        if (waitMs > 0) {
+          return { success: false, error: `Slow mode is on: wait ${Math.ceil(waitMs / 1000)} more seconds` };
+        }
+      }
+    }
+
+    // Flood detection
+    activity.sentAt = activity.sentAt.filter(sentAt => sentAt > now - this.FLOOD_WINDOW);
+    activity.sentAt.push(now);
+
+    if (activity.sentAt.length > this.FLOOD_MESSAGE_LIMIT) {
+      activity.floodMutedUntil = now + this.FLOOD_MUTE_DURATION;
+      activity.sentAt = [];
+      logger.warn('Player muted for chat flooding', { playerId });
+      return {
+        success: false,
+        error: `You are sending messages too fast and are muted for ${this.FLOOD_MUTE_DURATION / 1000} seconds`
+      };
+    }
+
+    const normalized = text.toLowerCase().replace(/\s+/g, ' ');
+    activity.recent = activity.recent.filter(entry => entry.at > now - this.DUPLICATE_WINDOW);
+    if (activity.recent.some(entry => entry.text === normalized)) {
+      return { success: false, error: 'Please don\'t repeat the same message' };
+    }
+    activity.recent.push({ text: normalized, at: now });
+    if (activity.recent.length > this.DUPLICATE_HISTORY) {
+      activity.recent.shift();
+    }
+
+    const { text: cleaned, filtered } = filterMessage(text);
+    return { success: true, text: cleaned, filtered };
+  }
+
+  /**
+   * Note a message that was delivered
+   * @param {Object} chatMessage - The delivered message
+   */
+  recordMessage(chatMessage) {
+    if (chatMessage.scope === 'room') {
+      this.lastRoomMessage.set(`${chatMessage.roomId}|${chatMessage.senderId}`, Date.now());
+      return;
+    }
+
+    // Room messages are stored; keep the others long enough to be reported
+    this.recentMessages.push(chatMessage);
+    if (this.recentMessages.length > this.RECENT_MESSAGE_LIMIT) {
+      this.recentMessages.shift();
+    }
+  }
+
+  /**
+   * Mute, unmute, kick, ban or unban a room member
+   * @param {string} moderatorId - The acting owner or moderator
+   * @param {string} action - 'mute', 'unmute', 'kick', 'ban' or 'unban'
+   * @param {Object} options - { roomId, targetId, durationSeconds, reason }
+   * @returns {Object} - { success, expiresAt } or { success: false, error }
+   */
+  moderate(moderatorId, action, { roomId, targetId, durationSeconds = null, reason = null }) {
+    const permission = this.checkAuthority(moderatorId, roomId, targetId);
+    if (!permission.success) {
+      return permission;
+    }
+
+    const chat = this.connectionManager.chatSystem;
+    const expiresAt = durationSeconds ? new Date(Date.now() + durationSeconds * 1000).toISOString() : null;
+
+    try {
+      switch (action) {
+        case 'mute':
+        case 'ban':
+          this.store.addSanction(roomId, targetId, { type: action, reason, issuedBy: moderatorId, expiresAt });
+          break;
+
+        case 'unmute':
+        case 'unban': {
+          const type = action === 'unmute' ? 'mute' : 'ban';
+          if (!this.store.liftSanctions(roomId, targetId, type)) {
+            return { success: false, error: `That player is not ${type === 'mute' ? 'muted' : 'banned'}` };
+          }
+          break;
+        }
+
+        case 'kick':
+          if (!chat.isInRoom(roomId, targetId)) {
+            return { success: false, error: 'That player is not in the room' };
+          }
+          break;
+
+        default:
+          return { success: false, error: `Unknown moderation action: ${action}` };
+      }
+    } catch (error) {
+      logger.error('Error applying chat moderation', { action, roomId, targetId, error: error.message });
+      return { success: false, error: 'Failed to apply moderation' };
+    }
+
+    logger.info('Chat moderation applied', { action, roomId, targetId, moderatorId, expiresAt });
+
+    this.notify(roomId, targetId, {
+      action,
+      moderator: chat.getDisplayName(moderatorId),
+      reason: reason || undefined,
+      expiresAt: action === 'mute' || action === 'ban' ? expiresAt : undefined
+    });
+
+    // Kicked and banned players are told before they are removed from the room
+    if (action === 'kick' || action === 'ban') {
+      chat.expelMember(roomId, targetId);
+    }
+
+    return { success: true, expiresAt };
+  }
+
+  /**
+   * Appoint or dismiss a moderator; only the room's owner may
+   * @param {string} playerId - The acting owner
+   * @param {Object} options - { roomId, targetId, role } where role is 'moderator' or 'member'
+   * @returns {Object} - { success } or { success: false, error }
+   */
+  setRole(playerId, { roomId, targetId, role }) {
+    if (this.getRole(roomId, playerId) !== 'owner') {
+      return { success: false, error: 'Only the room owner can change roles' };
+    }
+
+    if (targetId === playerId) {
+      return { success: false, error: 'You cannot change your own role' };
+    }
+
+    const newRole = role === 'moderator' ? 'moderator' : null;
+    if (!this.store.setUserRole(roomId, targetId, newRole, playerId)) {
+      return { success: false, error: 'Failed to change role' };
+    }
+
+    logger.info('Chat room role changed', { roomId, targetId, role: newRole, by: playerId });
+
+    this.notify(roomId, targetId, {
+      action: 'role',
+      role: newRole || 'member',
+      moderator: this.connectionManager.chatSystem.getDisplayName(playerId)
+    });
+
+    return { success: true };
+  }
+
+  /**
+   * Turn slow mode on or off for a room
+   * @param {string} playerId - The acting owner or moderator
+   * @param {Object} options - { roomId, seconds } where 0 turns slow mode off
+   * @returns {Object} - { success } or { success: false, error }
+   */
+  setSlowMode(playerId, { roomId, seconds }) {
+    if (!this.getRole(roomId, playerId)) {
+      return { success: false, error: 'Only owners and moderators can change slow mode' };
+    }
+
+    seconds = Math.floor(seconds);
+    if (!this.store.setSlowMode(roomId, seconds, playerId)) {
+      return { success: false, error: 'Failed to change slow mode' };
+    }
+
+    const chat = this.connectionManager.chatSystem;
+    chat.sendToRoom(roomId, 'chat-moderation', {
+      roomId,
+      action: 'slow-mode',
+      seconds,
+      moderator: chat.getDisplayName(playerId)
+    });
+
+    return { success: true };
+  }
+
+  /**
+   * Report a message for review
+   * Room messages can be reported by the room's members; other messages by
+   * anyone who could have received them while they are still held in memory.
+   * @param {string} playerId - The reporting player
+   * @param {Object} options - { messageId, roomId, reason }
+   * @returns {Object} - { success, reportId } or { success: false, error }
+   */
+  reportMessage(playerId, { messageId, roomId = null, reason = null }) {
+    const found = roomId
+      ? this.findRoomMessage(playerId, roomId, messageId)
+      : this.findRecentMessage(playerId, messageId);
+
+    if (!found.success) {
+      return found;
+    }
+
+    const { message, context } = found;
+
+    if (message.senderId === playerId) {
+      return { success: false, error: 'You cannot report your own message' };
+    }
+
+    if (this.store.hasReported(messageId, playerId)) {
+      return { success: false, error: 'You already reported that message' };
+    }
+
+    try {
+      const report = this.store.storeReport({
+        messageId,
+        scope: message.scope || 'room',
+        roomId,
+        reporterId: playerId,
+        reportedId: message.senderId,
+        reportedName: message.sender,
+        message: message.message,
+        context: context.map(({ id, senderId, sender, message: text, timestamp }) => ({
+          id,
+          senderId,
+          sender,
+          message: text,
+          timestamp
+        })),
+        reason
+      });
+
+      logger.info('Chat message reported', { reportId: report.id, messageId, reporterId: playerId });
+      return { success: true, reportId: report.id };
+    } catch (error) {
+      logger.error('Error storing chat report', { messageId, error: error.message });
+      return { success: false, error: 'Failed to store report' };
+    }
+  }
+
+  /**
+   * Forget a player who disconnected
+   * Flood mutes are kept until they run out so reconnecting doesn't lift them.
+   * @param {string} playerId - The player ID
+   */
+  removePlayer(playerId) {
+    const activity = this.activity.get(playerId);
+    if (activity && activity.floodMutedUntil <= Date.now()) {
+      this.activity.delete(playerId);
+    }
+  }
+
+  /**
+   * Check a player may moderate another in a room
+   * @private
+   * @param {string} moderatorId - The acting player
+   * @param {string} roomId - The room ID
+   * @param {string} targetId - The player being moderated
+   * @returns {Object} - { success } or { success: false, error }
+   */
+  checkAuthority(moderatorId, roomId, targetId) {
+    if (moderatorId === targetId) {
+      return { success: false, error: 'You cannot moderate yourself' };
+    }
+
+    const moderatorRank = ROLE_RANK[this.getRole(roomId, moderatorId)] || 0;
+    if (moderatorRank === 0) {
+      return { success: false, error: 'Only owners and moderators can do that' };
+    }
+
+    const targetRank = ROLE_RANK[this.getRole(roomId, targetId)] || 0;
+    if (targetRank >= moderatorRank) {
+      return { success: false, error: 'You cannot moderate that player' };
+    }
+
+    return { success: true };
+  }
+
+  /**
+   * Tell a room and the affected player about a moderation action
+   * @private
+   * @param {string} roomId - The room ID
+   * @param {string} targetId - The affected player
+   * @param {Object} details - Action details
+   */
+  notify(roomId, targetId, details) {
+    const chat = this.connectionManager.chatSystem;
+    const data = {
+      roomId,
+      targetId,
+      target: chat.getDisplayName(targetId),
+      ...details
+    };
+
+    chat.sendToRoom(roomId, 'chat-moderation', data);
+
+    // Players who aren't in the room right now still learn about it
+    if (!chat.isInRoom(roomId, targetId)) {
+      this.connectionManager.sendToPlayer(targetId, 'chat-moderation', data);
+    }
+  }
+
+  /**
+   * Find a stored room message and the messages around it
+   * @private
+   * @param {string} playerId - The reporting player
+   * @param {string} roomId - The room ID
+   * @param {string} messageId - The message ID
+   * @returns {Object} - { success, message, context } or { success: false, error }
+   */
+  findRoomMessage(playerId, roomId, messageId) {
+    if (!this.connectionManager.chatSystem.isInRoom(roomId, playerId)) {
+      return { success: false, error: 'Join the room before reporting its messages' };
+    }
+
+    const history = this.messages.getMessagesForRoom(roomId, 100);
+    const index = history.findIndex(message => message.id === messageId);
+
+    if (index === -1) {
+      const message = this.messages.getMessage(roomId, messageId);
+      return message
+        ? { success: true, message, context: [] }
+        : { success: false, error: 'Message not found' };
+    }
+
+    return {
+      success: true,
+      message: history[index],
+      context: history.slice(Math.max(0, index - this.REPORT_CONTEXT), index + this.REPORT_CONTEXT + 1)
+    };
+  }
+
+  /**
+   * Find a recently delivered unstored message and the messages around it
+   * Whispers can only be reported by the player they were sent to, and their
+   * context only includes other whispers between the same two players.
+   * @private
+   * @param {string} playerId - The reporting player
+   * @param {string} messageId - The message ID
+   * @returns {Object} - { success, message, context } or { success: false, error }
+   */
+  findRecentMessage(playerId, messageId) {
+    const message = this.recentMessages.find(recent => recent.id === messageId);
+
+    if (!message || (message.scope === 'whisper' && message.targetId !== playerId)) {
+      return { success: false, error: 'Message not found or too old to report' };
+    }
+
+    const isSameConversation = (recent) => {
+      if (recent.scope !== message.scope) return false;
+      if (message.scope !== 'whisper') return true;
+      const pair = [recent.senderId, recent.targetId];
+      return pair.includes(message.senderId) && pair.includes(message.targetId);
+    };
+
+    const conversation = this.recentMessages.filter(isSameConversation);
+    const index = conversation.indexOf(message);
+
+    return {
+      success: true,
+      message,
+      context: conversation.slice(Math.max(0, index - this.REPORT_CONTEXT), index + this.REPORT_CONTEXT + 1)
+    };
+  }
+
+  /**
+   * Get or create a player's activity record
+   * @private
+   * @param {string} playerId - The player ID
+   * @returns {Object} - { sentAt, recent, floodMutedUntil }
+   */
+  getActivity(playerId) {
+    if (!this.activity.has(playerId)) {
+      this.activity.set(playerId, { sentAt: [], recent: [], floodMutedUntil: 0 });
+    }
+    return this.activity.get(playerId);
+  }
+
+  /**
+   * Describe when a sanction ends
+   * @private
+   * @param {string|null} expiresAt - ISO timestamp, or null for no end
+   * @returns {string} - Text to append to a message
+   */
+  describeExpiry(expiresAt) {
+    if (!expiresAt) {
+      return '';
+    }
+
+    const minutes = Math.ceil((new Date(expiresAt).getTime() - Date.now()) / 60000);
+    if (minutes < 60) {
+      return ` for ${minutes} more minute${minutes === 1 ? '' : 's'}`;
+    }
+
+    return ` until ${expiresAt}`;
+  }
+}
+
+export default ChatModerationSystem;
@@ -0,0 +1,583 @@
+import { v4 as uuidv4 } from 'uuid';
+import { logger } from '../../utils/logger.js';
+
+/**
+ * System responsible for in-game chat over the game WebSocket
+ *
+ * Scopes:
+ * - room: players who joined a chat room; messages are stored as room history
+ * - area: players in the sender's current area
+ * - proximity: players within PROXIMITY_RADIUS meters of the sender
+ * - global: every connected player
+ * - whisper: one other player
+ *
+ * Room definitions, membership and history live in the SQLite rooms,
+ * room_users and messages tables; which members are online right now is
+ * tracked here. Roles, sanctions, slow mode, the word filter and flood
+ * detection are handled by ChatModerationSystem.
+ *
+ * With several server instances, room messages are fanned out to the other
+ * instances' online members; whispers and proximity chat reach players on
+ * other instances through ConnectionManager.sendToPlayer.
+ */
+class ChatSystem {
+  /**
+   * @param {import('../../network/ConnectionManager').default} connectionManager - ConnectionManager instance
+   * @param {import('./PlayerStateSystem').default} playerState - PlayerStateSystem instance
+   * @param {import('./GeospatialAreaSystem').default} geospatialSystem - GeospatialAreaSystem instance
+   * @param {Object} rooms - Room store (controllers/roomController.js)
+   * @param {Object} messages - Message store (controllers/messageController.js)
+   * @param {import('./ChatModerationSystem').default} moderation - ChatModerationSystem instance
+   */
+  constructor(connectionManager, playerState, geospatialSystem, rooms, messages, moderation) {
+    this.connectionManager = connectionManager;
+    this.playerState = playerState;
+    this.geospatialSystem = geospatialSystem;
+    this.rooms = rooms;
+    this.messages = messages;
+    this.moderation = moderation;
+
+    // Online room members: roomId -> Set of player IDs
+    this.roomMembers = new Map();
+
+    // Rooms each online player has joined: playerId -> Set of room IDs
+    this.playerRooms = new Map();
+
+    // Active typing indicators: `${playerId}|${channel}` -> { playerId, scope, roomId, targetId, expiresAt }
+    this.typing = new Map();
+
+    // Constants
+    this.HISTORY_LIMIT = 50; // messages sent when joining a room
+    this.PROXIMITY_RADIUS = 200; // meters
+    this.TYPING_TIMEOUT = 5000; // ms before a typing indicator lapses on its own
+
+    logger.info('ChatSystem initialized', { proximityRadius: this.PROXIMITY_RADIUS });
+  }
+
+  /**
+   * Update method - expires typing indicators whose client went quiet
+   * @param {number} deltaTime - Time since last update in seconds
+   */
+  update(deltaTime) {
+    const now = Date.now();
+
+    for (const indicator of this.typing.values()) {
+      if (indicator.expiresAt <= now) {
+        this.clearTyping(indicator.playerId, indicator);
+      }
+    }
+  }
+
+  /**
+   * List every chat room
+   * @returns {Array} - Rooms
+   */
+  listRooms() {
+    return this.rooms.getAllRooms().map(room => ({
+      ...room,
+      onlineCount: this.roomMembers.get(room.id)?.size || 0
+    }));
+  }
+
+  /**
+   * Create a chat room owned by the creating player
+   * @param {string} playerId - The creating player
+   * @param {Object} options - { roomId, name, isPrivate, password, metadata }
+   * @returns {Object} - { success, room } or { success: false, error }
+   */
+  createRoom(playerId, { roomId, name, isPrivate = false, password = null, metadata = null }) {
+    if (isPrivate && !password) {
+      return { success: false, error: 'Private rooms must have a password' };
+    }
+
+    if (this.rooms.getRoom(roomId)) {
+      return { success: false, error: 'Room already exists' };
+    }
+
+    try {
+      const room = this.rooms.createRoom(roomId, { name, isPrivate, password, metadata });
+      this.moderation.onRoomCreated(roomId, playerId);
+      logger.info('Chat room created', { roomId, playerId });
+      return { success: true, room };
+    } catch (error) {
+      logger.error('Error creating chat room', { roomId, error: error.message });
+      return { success: false, error: 'Failed to create room' };
+    }
+  }
+
+  /**
+   * Join a chat room
+   * Players who already belong to a private room do not need its password again.
+   * @param {string} playerId - The player ID
+   * @param {string} roomId - The room ID
+   * @param {string} password - Password for private rooms
+   * @returns {Object} - { success, room, role, history, members } or { success: false, error }
+   */
+  joinRoom(playerId, roomId, password = null) {
+    const admitted = this.admitToRoom(playerId, roomId, password);
+    if (!admitted.success) {
+      return admitted;
+    }
+
+    const { room } = admitted;
+    const alreadyOnline = this.isInRoom(roomId, playerId);
+    this.addMember(roomId, playerId);
+
+    if (!alreadyOnline) {
+      this.sendToRoom(roomId, 'chat-user-joined', {
+        roomId,
+        playerId,
+        sender: this.getDisplayName(playerId),
+        role: this.moderation.getRole(roomId, playerId)
+      }, playerId);
+    }
+
+    const roles = this.moderation.getRoomRoles(roomId);
+
+    return {
+      success: true,
+      room: { ...room, slowModeSeconds: this.moderation.getSlowMode(roomId) },
+      role: roles.get(playerId) || null,
+      history: this.messages.getMessagesForRoom(roomId, this.HISTORY_LIMIT)
+        .map(message => ({ ...message, scope: 'room' })),
+      members: [...this.roomMembers.get(roomId)].map(memberId => ({
+        playerId: memberId,
+        sender: this.getDisplayName(memberId),
+        role: roles.get(memberId) || null
+      }))
+    };
+  }
+
+  /**
+   * Make a player a stored member of a room without going online in it
+   * Used by joinRoom and by the REST API; banned players are refused.
+   * @param {string} playerId - The player ID
+   * @param {string} roomId - The room ID
+   * @param {string} password - Password for private rooms
+   * @returns {Object} - { success, room } or { success: false, error }
+   */
+  admitToRoom(playerId, roomId, password = null) {
+    const room = this.rooms.getRoom(roomId);
+    if (!room) {
+      return { success: false, error: 'Room not found' };
+    }
+
+    const allowed = this.moderation.checkJoin(roomId, playerId);
+    if (!allowed.success) {
+      return allowed;
+    }
+
+    if (!this.rooms.isUserInRoom(roomId, playerId)) {
+      const result = this.rooms.addUserToRoom(roomId, playerId, password);
+      if (!result.success) {
+        return { success: false, error: result.message };
+      }
+    }
+
+    return { success: true, room };
+  }
+
+  /**
+   * Leave a chat room; private rooms then need the password again
+   * @param {string} playerId - The player ID
+   * @param {string} roomId - The room ID
+   * @returns {Object} - { success } or { success: false, error }
+   */
+  leaveRoom(playerId, roomId) {
+    if (!this.isInRoom(roomId, playerId)) {
+      return { success: false, error: 'Not in that room' };
+    }
+
+    this.expelMember(roomId, playerId);
+
+    return { success: true };
+  }
+
+  /**
+   * Check whether a player is online in a room
+   * @param {string} roomId - The room ID
+   * @param {string} playerId - The player ID
+   * @returns {boolean} - Whether the player has joined the room this session
+   */
+  isInRoom(roomId, playerId) {
+    return Boolean(this.roomMembers.get(roomId)?.has(playerId));
+  }
+
+  /**
+   * Take a player out of a room, online and stored
+   * Used for leaving as well as kicks and bans; private rooms then need the password again.
+   * @param {string} roomId - The room ID
+   * @param {string} playerId - The player ID
+   */
+  expelMember(roomId, playerId) {
+    this.removeOnlineMember(roomId, playerId);
+    this.rooms.removeUserFromRoom(roomId, playerId);
+
+    // The player may be online on another instance
+    this.connectionManager.cluster.publish('room-expel', { roomId, playerId });
+  }
+
+  /**
+   * Stop tracking a player as online in a room, leaving stored membership alone
+   * @param {string} roomId - The room ID
+   * @param {string} playerId - The player ID
+   */
+  removeOnlineMember(roomId, playerId) {
+    if (this.isInRoom(roomId, playerId)) {
+      this.removeMember(roomId, playerId);
+    }
+  }
+
+  /**
+   * Send a chat message
+   * @param {string} playerId - The sender
+   * @param {Object} options - { message, scope, roomId, targetId }
+   * @returns {Promise<Object>} - { success, message } or { success: false, error }
+   */
+  async sendMessage(playerId, { message, scope, roomId = null, targetId = null }) {
+    if (scope === 'room' && (!roomId || !this.isInRoom(roomId, playerId))) {
+      return { success: false, error: 'Join the room before sending to it' };
+    }
+
+    return this.deliverMessage(playerId, { message, scope, roomId, targetId });
+  }
+
+  /**
+   * Post a message to a room through the REST API, without being online in it
+   * Public rooms take messages from anyone who isn't banned; private rooms
+   * only from their stored members.
+   * @param {string} playerId - The sender
+   * @param {string} roomId - The room ID
+   * @param {string} message - The message text
+   * @returns {Promise<Object>} - { success, message } or { success: false, error }
+   */
+  async postToRoom(playerId, roomId, message) {
+    const room = this.rooms.getRoom(roomId);
+    if (!room) {
+      return { success: false, error: 'Room not found' };
+    }
+
+    if (room.isPrivate && !this.rooms.isUserInRoom(roomId, playerId)) {
+      return { success: false, error: 'Join this room before using it' };
+    }
+
+    const allowed = this.moderation.checkJoin(roomId, playerId);
+    if (!allowed.success) {
+      return allowed;
+    }
+
+    // Players who aren't connected have no cached profile to name them by
+    const sender = this.playerState.players.has(playerId)
+      ? this.getDisplayName(playerId)
+      : await this.playerState.getAccountName(playerId);
+    if (!sender) {
+      return { success: false, error: 'Player not found' };
+    }
+
+    return this.deliverMessage(playerId, { message, scope: 'room', roomId, sender });
+  }
+
+  /**
+   * Moderate, store and deliver a message
+   * @private
+   * @param {string} playerId - The sender
+   * @param {Object} options - { message, scope, roomId, targetId, sender } where sender defaults to the player's display name
+   * @returns {Promise<Object>} - { success, message } or { success: false, error }
+   */
+  async deliverMessage(playerId, { message, scope, roomId = null, targetId = null, sender = null }) {
+    const text = message.trim();
+    if (text.length === 0) {
+      return { success: false, error: 'Empty message' };
+    }
+
+    if (scope === 'whisper') {
+      if (!targetId || targetId === playerId) {
+        return { success: false, error: 'Choose another player to whisper to' };
+      }
+
+      if (!(await this.connectionManager.isPlayerOnline(targetId))) {
+        return { success: false, error: 'That player is not online' };
+      }
+    }
+
+    const checked = this.moderation.checkMessage(playerId, { scope, roomId, text });
+    if (!checked.success) {
+      return checked;
+    }
+
+    const chatMessage = {
+      id: uuidv4(),
+      scope,
+      senderId: playerId,
+      sender: sender || this.getDisplayName(playerId),
+      message: checked.text,
+      timestamp: new Date().toISOString()
+    };
+
+    switch (scope) {
+      case 'room': {
+        // Stored messages keep the ID the history will return
+        const stored = this.messages.storeMessage(roomId, {
+          sender: chatMessage.sender,
+          senderId: playerId,
+          message: chatMessage.message,
+          timestamp: chatMessage.timestamp
+        });
+
+        chatMessage.id = stored.id;
+        chatMessage.roomId = roomId;
+        this.sendToRoom(roomId, 'chat-message', chatMessage);
+        break;
+      }
+
+      case 'area':
+        await this.connectionManager.broadcastToArea(playerId, 'chat-message', chatMessage);
+        break;
+
+      case 'proximity': {
+        const nearby = this.getNearbyPlayers(playerId);
+        if (!nearby) {
+          return { success: false, error: 'Your position is not known yet' };
+        }
+
+        for (const nearbyId of nearby) {
+          this.connectionManager.sendToPlayer(nearbyId, 'chat-message', chatMessage);
+        }
+        break;
+      }
+
+      case 'global':
+        this.connectionManager.broadcastToAll('chat-message', chatMessage);
+        break;
+
+      case 'whisper':
+        chatMessage.targetId = targetId;
+        chatMessage.target = this.getDisplayName(targetId);
+        this.connectionManager.sendToPlayer(targetId, 'chat-message', chatMessage);
+        break;
+
+      default:
+        return { success: false, error: `Unknown chat scope: ${scope}` };
+    }
+
+    this.moderation.recordMessage(chatMessage);
+    this.clearTyping(playerId, { scope, roomId, targetId });
+
+    return { success: true, message: chatMessage };
+  }
+
+  /**
+   * Show or hide a typing indicator
+   * Room indicators go to the room's online members; whisper indicators go to the target.
+   * @param {string} playerId - The typing player
+   * @param {Object} options - { scope, roomId, targetId, isTyping }
+   * @returns {Object} - { success } or { success: false, error }
+   */
+  setTyping(playerId, { scope, roomId = null, targetId = null, isTyping }) {
+    if (scope === 'room' && !this.isInRoom(roomId, playerId)) {
+      return { success: false, error: 'Not in that room' };
+    }
+
+    if (!isTyping) {
+      this.clearTyping(playerId, { scope, roomId, targetId });
+      return { success: true };
+    }
+
+    const key = this.getTypingKey(playerId, { scope, roomId, targetId });
+    const wasTyping = this.typing.has(key);
+
+    this.typing.set(key, {
+      playerId,
+      scope,
+      roomId,
+      targetId,
+      expiresAt: Date.now() + this.TYPING_TIMEOUT
+    });
+
+    if (!wasTyping) {
+      this.sendTyping(playerId, { scope, roomId, targetId }, true);
+    }
+
+    return { success: true };
+  }
+
+  /**
+   * Forget a player who disconnected
+   * Stored room membership is kept, so they can rejoin private rooms.
+   * @param {string} playerId - The player ID
+   */
+  removePlayer(playerId) {
+    for (const indicator of [...this.typing.values()]) {
+      if (indicator.playerId === playerId) {
+        this.clearTyping(playerId, indicator);
+      }
+    }
+
+    for (const roomId of [...(this.playerRooms.get(playerId) || [])]) {
+      this.removeMember(roomId, playerId);
+    }
+
+    this.moderation.removePlayer(playerId);
+  }
+
+  /**
+   * Get the IDs of players close enough to hear proximity chat
+   * @private
+   * @param {string} playerId - The speaking player
+   * @returns {Array<string>|null} - Player IDs (including the speaker), or null if the speaker has no position
+   */
+  getNearbyPlayers(playerId) {
+    const interest = this.connectionManager.interestSystem;
+    const origin = interest.entries.get(playerId)?.position;
+    if (!origin) return null;
+
+    // Degrees of latitude are ~111km; widen longitude by latitude
+    const latRadius = this.PROXIMITY_RADIUS / 111320;
+    const lngRadius = latRadius / Math.max(Math.cos(origin.lat * Math.PI / 180), 0.01);
+
+    const candidates = interest.getPlayersInBounds({
+      minLat: origin.lat - latRadius,
+      maxLat: origin.lat + latRadius,
+      minLng: origin.lng - lngRadius,
+      maxLng: origin.lng + lngRadius
+    });
+
+    return [...candidates].filter(candidateId => {
+      const position = interest.entries.get(candidateId).position;
+      return this.geospatialSystem.calculateDistance(origin, position) <= this.PROXIMITY_RADIUS;
+    });
+  }
+
+  /**
+   * Send a message to a room's online members, on every instance
+   * @param {string} roomId - The room ID
+   * @param {string} type - Message type
+   * @param {Object} data - Message data
+   * @param {string} excludePlayerId - Member to skip (optional)
+   */
+  sendToRoom(roomId, type, data, excludePlayerId = null) {
+    this.connectionManager.cluster.publish('room', { roomId, type, data, excludePlayerId });
+    this.deliverToRoom(roomId, type, data, excludePlayerId);
+  }
+
+  /**
+   * Send a message to a room's members online on this instance
+   * @param {string} roomId - The room ID
+   * @param {string} type - Message type
+   * @param {Object} data - Message data
+   * @param {string} excludePlayerId - Member to skip (optional)
+   */
+  deliverToRoom(roomId, type, data, excludePlayerId = null) {
+    for (const memberId of this.roomMembers.get(roomId) || []) {
+      if (memberId !== excludePlayerId) {
+        this.connectionManager.sendToPlayer(memberId, type, data);
+      }
+    }
+  }
+
+  /**
+   * Track a player as online in a room
+   * @private
+   * @param {string} roomId - The room ID
+   * @param {string} playerId - The player ID
+   */
+  addMember(roomId, playerId) {
+    if (!this.roomMembers.has(roomId)) {
+      this.roomMembers.set(roomId, new Set());
+    }
+    this.roomMembers.get(roomId).add(playerId);
+
+    if (!this.playerRooms.has(playerId)) {
+      this.playerRooms.set(playerId, new Set());
+    }
+    this.playerRooms.get(playerId).add(roomId);
+  }
+
+  /**
+   * Stop tracking a player in a room and tell the remaining members
+   * @private
+   * @param {string} roomId - The room ID
+   * @param {string} playerId - The player ID
+   */
+  removeMember(roomId, playerId) {
+    this.clearTyping(playerId, { scope: 'room', roomId });
+
+    const members = this.roomMembers.get(roomId);
+    if (members) {
+      members.delete(playerId);
+      if (members.size === 0) {
+        this.roomMembers.delete(roomId);
+      }
+    }
+
+    const joined = this.playerRooms.get(playerId);
+    if (joined) {
+      joined.delete(roomId);
+      if (joined.size === 0) {
+        this.playerRooms.delete(playerId);
+      }
+    }
+
+    this.sendToRoom(roomId, 'chat-user-left', { roomId, playerId });
+  }
+
+  /**
+   * Clear a typing indicator if it is showing
+   * @private
+   * @param {string} playerId - The typing player
+   * @param {Object} channel - { scope, roomId, targetId }
+   */
+  clearTyping(playerId, channel) {
+    const key = this.getTypingKey(playerId, channel);
+    if (!this.typing.delete(key)) return;
+
+    this.sendTyping(playerId, channel, false);
+  }
+
+  /**
+   * Tell a channel's listeners that a player started or stopped typing
+   * @private
+   * @param {string} playerId - The typing player
+   * @param {Object} channel - { scope, roomId, targetId }
+   * @param {boolean} isTyping - Whether the player is typing
+   */
+  sendTyping(playerId, { scope, roomId, targetId }, isTyping) {
+    const data = {
+      scope,
+      roomId: roomId || undefined,
+      playerId,
+      sender: this.getDisplayName(playerId),
+      isTyping
+    };
+
+    if (scope === 'room') {
+      this.sendToRoom(roomId, 'chat-typing', data, playerId);
+    } else if (scope === 'whisper' && targetId) {
+      this.connectionManager.sendToPlayer(targetId, 'chat-typing', data);
+    }
+  }
+
+  /**
+   * Key identifying one player's typing indicator on one channel
+   * @private
+   * @param {string} playerId - The typing player
+   * @param {Object} channel - { scope, roomId, targetId }
+   * @returns {string} - The key
+   */
+  getTypingKey(playerId, { scope, roomId, targetId }) {
+    const channel = scope === 'room' ? roomId : scope === 'whisper' ? targetId : scope;
+    return `${playerId}|${scope}:${channel}`;
+  }
+
+  /**
+   * Get the name shown for a player in chat
+   * @param {string} playerId - The player ID
+   * @returns {string} - Display name
+   */
+  getDisplayName(playerId) {
+    const player = this.playerState.players.get(playerId);
+    return player?.profile?.displayName || player?.username || `Player-${playerId.substring(0, 8)}`;
+  }
+}
+
+export default ChatSystem;
@@ -0,0 +1,495 @@
+import { v4 as uuidv4 } from 'uuid';
+import { logger } from '../../utils/logger.js';
+import { useCluster, redisClient, redisSubscriber } from '../../config/redis.js';
+
+// Redis keys and channels shared by every instance
+const INSTANCES_KEY = 'cluster:instances';
+const PRESENCE_KEY = 'cluster:presence';
+const BROADCAST_CHANNEL = 'cluster:broadcast';
+const CELL_KEY_PREFIX = 'cluster:cell:';
+const INSTANCE_CHANNEL_PREFIX = 'cluster:instance:';
+
+/**
+ * System responsible for running several server instances behind one load balancer
+ *
+ * Instances share one Redis:
+ * - cluster:instances - live instances and the URL clients reach them on
+ * - cluster:presence - which instance holds each online player's socket
+ * - cluster:cell:<lat>:<lng> - which instance owns a geographic cell; claimed
+ *   when a player first enters it and kept while the owner has players there
+ * - cluster:broadcast - fans chat, flag and player events out to every other instance
+ * - cluster:instance:<id> - messages for one instance, such as a whisper to its player
+ *
+ * A player who moves into a cell owned by another instance is sent
+ * `instance-handoff` with that instance's URL and reconnects there. Until they
+ * do, they are served where they are and fan-out keeps them in sync.
+ * Without CLUSTER_MODE the system is disabled and its methods do nothing.
+ */
+class ClusterSystem {
+  /**
+   * @param {import('../../network/ConnectionManager').default} connectionManager - ConnectionManager instance
+   * @param {import('./PlayerStateSystem').default} playerState - PlayerStateSystem instance
+   * @param {import('./FlagSystem').default} flagSystem - FlagSystem instance
+   * @param {Object} options - Overrides for tests: { enabled, client, subscriber, instanceId, instanceUrl, cellSize }
+   */
+  constructor(connectionManager, playerState, flagSystem, options = {}) {
+    this.connectionManager = connectionManager;
+    this.playerState = playerState;
+    this.flagSystem = flagSystem;
+
+    this.enabled = options.enabled ?? useCluster;
+    this.client = options.client || redisClient;
+    this.subscriber = options.subscriber || redisSubscriber;
+    this.instanceId = options.instanceId || process.env.INSTANCE_ID || uuidv4();
+    this.instanceUrl = options.instanceUrl ?? process.env.INSTANCE_URL ?? null;
+    this.cellSize = options.cellSize || Number(process.env.CLUSTER_CELL_SIZE) || 0.5; // degrees
+
+    // Cell each local player was last seen in: playerId -> cell
+    this.playerCells = new Map();
+
+    // Players on other instances shown through the interest system: playerId -> instanceId
+    this.remotePlayers = new Map();
+
+    // Removes the flag change listener when the system stops
+    this.stopFlagSync = null;
+
+    // Constants
+    this.INSTANCE_TIMEOUT = 15000; // ms without a heartbeat before an instance counts as gone
+    this.CELL_TTL = 15000; // ms a cell claim lasts unless its owner renews it
+
+    logger.info('ClusterSystem initialized', { enabled: this.enabled, instanceId: this.instanceId });
+  }
+
+  /**
+   * Join the cluster: subscribe to its channels and announce this instance
+   * @returns {Promise<boolean>} - Whether cluster mode is running
+   */
+  async start() {
+    if (!this.enabled) {
+      return false;
+    }
+
+    try {
+      await this.subscriber.subscribe(
+        [BROADCAST_CHANNEL, `${INSTANCE_CHANNEL_PREFIX}${this.instanceId}`],
+        message => this.handleMessage(message)
+      );
+
+      await this.heartbeat();
+
+      // Other instances keep their flag indexes in step with changes saved here
+      this.stopFlagSync = this.flagSystem.addChangeListener(change => this.publish('flag-sync', { change }));
+
+      logger.info('Joined server cluster', { instanceId: this.instanceId, url: this.instanceUrl });
+      return true;
+    } catch (error) {
+      logger.error('Could not join server cluster; running as a single instance', { error: error.message });
+      this.enabled = false;
+      return false;
+    }
+  }
+
+  /**
+   * Leave the cluster, releasing this instance's players (called by GameLoop.stop)
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    if (!this.enabled) {
+      return;
+    }
+
+    this.enabled = false;
+    this.stopFlagSync?.();
+
+    try {
+      await this.subscriber.unsubscribe();
+
+      for (const playerId of this.connectionManager.playerSockets.keys()) {
+        await this.clearPresence(playerId);
+      }
+
+      await this.client.hDel(INSTANCES_KEY, this.instanceId);
+      logger.info('Left server cluster', { instanceId: this.instanceId });
+    } catch (error) {
+      logger.error('Error leaving server cluster', { error: error.message });
+    }
+  }
+
+  /**
+   * Update method - renews this instance's heartbeat and cell claims
+   * @param {number} deltaTime - Time since last update in seconds
+   */
+  async update(deltaTime) {
+    if (!this.enabled) return;
+
+    try {
+      await this.heartbeat();
+    } catch (error) {
+      logger.error('Cluster heartbeat failed', { error: error.message });
+    }
+  }
+
+  /**
+   * Record that a player's socket is on this instance
+   * @param {string} playerId - The player ID
+   * @returns {Promise<void>}
+   */
+  async addPlayer(playerId) {
+    if (!this.enabled) return;
+
+    // A player who was mirrored from another instance is now ours
+    this.remotePlayers.delete(playerId);
+
+    try {
+      await this.client.hSet(PRESENCE_KEY, playerId, JSON.stringify({
+        instanceId: this.instanceId,
+        since: Date.now()
+      }));
+    } catch (error) {
+      logger.error('Error recording player presence', { playerId, error: error.message });
+    }
+  }
+
+  /**
+   * Forget a player who disconnected from this instance
+   * @param {string} playerId - The player ID
+   * @returns {Promise<void>}
+   */
+  async removePlayer(playerId) {
+    this.playerCells.delete(playerId);
+
+    if (!this.enabled) return;
+
+    await this.clearPresence(playerId);
+    this.publish('player-left', { playerId });
+  }
+
+  /**
+   * Find which instance holds a player's socket
+   * @param {string} playerId - The player ID
+   * @returns {Promise<Object|null>} - { instanceId, since }, or null if the player is offline
+   */
+  async getPresence(playerId) {
+    if (!this.enabled) return null;
+
+    try {
+      const presence = await this.client.hGet(PRESENCE_KEY, playerId);
+      return presence ? JSON.parse(presence) : null;
+    } catch (error) {
+      logger.error('Error reading player presence', { playerId, error: error.message });
+      return null;
+    }
+  }
+
+  /**
+   * Send a message to a player whose socket is on another instance
+   * @param {string} playerId - The player ID
+   * @param {string} type - The message type
+   * @param {Object} data - The message data
+   * @returns {Promise<boolean>} - Whether the message was passed on
+   */
+  async sendToPlayer(playerId, type, data) {
+    const presence = await this.getPresence(playerId);
+    if (!presence || presence.instanceId === this.instanceId) {
+      return false;
+    }
+
+    this.sendToInstance(presence.instanceId, 'player', { playerId, type, data });
+    return true;
+  }
+
+  /**
+   * Close a player's session on another instance, e.g. when they log in here
+   * @param {string} playerId - The player ID
+   * @param {string} reason - Reason shown to the player (the other instance's default if omitted)
+   * @returns {Promise<void>}
+   */
+  async disconnectElsewhere(playerId, reason) {
+    const presence = await this.getPresence(playerId);
+    if (presence && presence.instanceId !== this.instanceId) {
+      this.sendToInstance(presence.instanceId, 'disconnect-player', { playerId, reason });
+    }
+  }
+
+  /**
+   * Share a local player's new position and check whether they should move instance
+   * @param {string} playerId - The player ID
+   * @param {Object} position - The position {lat, lng}
+   * @returns {Promise<void>}
+   */
+  async updatePlayerPosition(playerId, position) {
+    if (!this.enabled) return;
+
+    const player = this.playerState.players.get(playerId);
+    this.publish('player-position', {
+      playerId,
+      position: { lat: position.lat, lng: position.lng },
+      displayName: player?.profile?.displayName || player?.username || null
+    });
+
+    await this.checkHandoff(playerId, position);
+  }
+
+  /**
+   * Hand a player off if the cell they are in belongs to another instance
+   * Cells nobody owns are claimed by this instance. Only entering a new cell
+   * triggers a check, so a client that stays is not asked again.
+   * @param {string} playerId - The player ID
+   * @param {Object} position - The position {lat, lng}
+   * @returns {Promise<Object|null>} - The instance { instanceId, url } the player was sent to, or null
+   */
+  async checkHandoff(playerId, position) {
+    if (!this.enabled) return null;
+
+    const cell = this.getCell(position);
+    if (this.playerCells.get(playerId) === cell) {
+      return null;
+    }
+    this.playerCells.set(playerId, cell);
+
+    try {
+      const owner = await this.claimCell(cell);
+      if (!owner) {
+        return null;
+      }
+
+      this.connectionManager.sendToLocalPlayer(playerId, 'instance-handoff', {
+        instanceId: owner.instanceId,
+        url: owner.url,
+        cell
+      });
+
+      logger.info('Player handed off to another instance', { playerId, cell, instanceId: owner.instanceId });
+      return owner;
+    } catch (error) {
+      logger.error('Error checking cell ownership', { playerId, cell, error: error.message });
+      return null;
+    }
+  }
+
+  /**
+   * Claim a cell for this instance unless another live instance owns it
+   * @param {string} cell - The cell
+   * @returns {Promise<Object|null>} - The other owner { instanceId, url }, or null if this instance owns the cell
+   */
+  async claimCell(cell) {
+    const key = `${CELL_KEY_PREFIX}${cell}`;
+
+    if (await this.client.set(key, this.instanceId, { NX: true, PX: this.CELL_TTL })) {
+      return null;
+    }
+
+    const ownerId = await this.client.get(key);
+    if (!ownerId || ownerId === this.instanceId) {
+      return null;
+    }
+
+    const owner = (await this.getLiveInstances()).get(ownerId);
+    if (!owner) {
+      // The owner stopped without releasing the cell
+      await this.client.set(key, this.instanceId, { PX: this.CELL_TTL });
+      return null;
+    }
+
+    // Clients can only be handed to an instance that published where to reach it
+    return owner.url ? { instanceId: ownerId, url: owner.url } : null;
+  }
+
+  /**
+   * Get the instances that have sent a heartbeat recently, dropping the rest
+   * @returns {Promise<Map>} - instanceId -> { url, heartbeatAt }
+   */
+  async getLiveInstances() {
+    const instances = new Map();
+    const cutoff = Date.now() - this.INSTANCE_TIMEOUT;
+
+    for (const [instanceId, record] of Object.entries(await this.client.hGetAll(INSTANCES_KEY))) {
+      const instance = JSON.parse(record);
+
+      if (instance.heartbeatAt < cutoff) {
+        await this.client.hDel(INSTANCES_KEY, instanceId);
+        continue;
+      }
+
+      instances.set(instanceId, instance);
+    }
+
+    return instances;
+  }
+
+  /**
+   * Publish a message to every other instance
+   * @param {string} kind - Message kind (see handleMessage)
+   * @param {Object} payload - Message fields
+   */
+  publish(kind, payload) {
+    if (!this.enabled) return;
+
+    this.client.publish(BROADCAST_CHANNEL, JSON.stringify({ origin: this.instanceId, kind, ...payload }))
+      .catch(error => logger.error('Cluster publish failed', { kind, error: error.message }));
+  }
+
+  /**
+   * Publish a message to one instance
+   * @param {string} instanceId - The receiving instance
+   * @param {string} kind - Message kind (see handleMessage)
+   * @param {Object} payload - Message fields
+   */
+  sendToInstance(instanceId, kind, payload) {
+    if (!this.enabled) return;
+
+    this.client.publish(`${INSTANCE_CHANNEL_PREFIX}${instanceId}`, JSON.stringify({ origin: this.instanceId, kind, ...payload }))
+      .catch(error => logger.error('Cluster send failed', { kind, instanceId, error: error.message }));
+  }
+
+  /**
+   * Handle a message from another instance
+   * @private
+   * @param {string} raw - The message as published
+   */
+  handleMessage(raw) {
+    let message;
+
+    try {
+      message = JSON.parse(raw);
+    } catch (error) {
+      logger.error('Invalid cluster message', { error: error.message });
+      return;
+    }
+
+    if (message.origin === this.instanceId) return;
+
+    const connections = this.connectionManager;
+
+    try {
+      switch (message.kind) {
+        case 'player':
+          connections.sendToLocalPlayer(message.playerId, message.type, message.data);
+          break;
+
+        case 'disconnect-player':
+          connections.disconnectLocalSession(message.playerId, message.reason);
+          break;
+
+        case 'all':
+          connections.deliverToAll(message.type, message.data);
+          break;
+
+        case 'area':
+          connections.deliverToArea(message.areaId, message.type, message.data);
+          break;
+
+        case 'flag-viewers':
+          connections.deliverToFlagViewers(message.flag, message.type, message.data);
+          break;
+
+        case 'flag-sync':
+          this.flagSystem.applyChange(message.change);
+          break;
+
+        case 'room':
+          connections.chatSystem.deliverToRoom(message.roomId, message.type, message.data, message.excludePlayerId);
+          break;
+
+        case 'room-expel':
+          connections.chatSystem.removeOnlineMember(message.roomId, message.playerId);
+          break;
+
+        case 'player-position':
+          // Our own players' positions are already tracked here
+          if (connections.playerSockets.has(message.playerId)) break;
+
+          this.remotePlayers.set(message.playerId, message.origin);
+          connections.interestSystem.updatePlayerPosition(message.playerId, message.position, message.displayName);
+          break;
+
+        case 'player-left':
+          this.forgetRemotePlayer(message.playerId, message.origin);
+          break;
+
+        default:
+          logger.warn('Unknown cluster message', { kind: message.kind, origin: message.origin });
+      }
+    } catch (error) {
+      logger.error('Error handling cluster message', { kind: message.kind, error: error.message });
+    }
+  }
+
+  /**
+   * Renew this instance's record and cell claims, and clean up after instances that stopped
+   * @private
+   * @returns {Promise<void>}
+   */
+  async heartbeat() {
+    await this.client.hSet(INSTANCES_KEY, this.instanceId, JSON.stringify({
+      url: this.instanceUrl,
+      heartbeatAt: Date.now()
+    }));
+
+    const instances = await this.getLiveInstances();
+
+    // Keep the cells our players are in
+    for (const cell of new Set(this.playerCells.values())) {
+      const key = `${CELL_KEY_PREFIX}${cell}`;
+      if (await this.client.get(key) === this.instanceId) {
+        await this.client.pExpire(key, this.CELL_TTL);
+      }
+    }
+
+    // Players of an instance that died without saying goodbye
+    for (const [playerId, record] of Object.entries(await this.client.hGetAll(PRESENCE_KEY))) {
+      if (!instances.has(JSON.parse(record).instanceId)) {
+        await this.client.hDel(PRESENCE_KEY, playerId);
+      }
+    }
+
+    for (const [playerId, instanceId] of this.remotePlayers) {
+      if (!instances.has(instanceId)) {
+        this.forgetRemotePlayer(playerId, instanceId);
+      }
+    }
+  }
+
+  /**
+   * Remove a player's presence if it still points at this instance
+   * The player may already have reconnected to another one.
+   * @private
+   * @param {string} playerId - The player ID
+   * @returns {Promise<void>}
+   */
+  async clearPresence(playerId) {
+    try {
+      const presence = await this.client.hGet(PRESENCE_KEY, playerId);
+      if (presence && JSON.parse(presence).instanceId === this.instanceId) {
+        await this.client.hDel(PRESENCE_KEY, playerId);
+      }
+    } catch (error) {
+      logger.error('Error clearing player presence', { playerId, error: error.message });
+    }
+  }
+
+  /**
+   * Stop showing a player mirrored from another instance
+   * @private
+   * @param {string} playerId - The player ID
+   * @param {string} instanceId - The instance the player was on
+   */
+  forgetRemotePlayer(playerId, instanceId) {
+    if (this.remotePlayers.get(playerId) !== instanceId) return;
+
+    this.remotePlayers.delete(playerId);
+    this.connectionManager.interestSystem.removePlayer(playerId);
+  }
+
+  /**
+   * Get the ownership cell for a position
+   * @private
+   * @param {Object} position - The position {lat, lng}
+   * @returns {string} - Cell key
+   */
+  getCell(position) {
+    return `${Math.floor(position.lat / this.cellSize)}:${Math.floor(position.lng / this.cellSize)}`;
+  }
+}
+
+export default ClusterSystem;
@@ -0,0 +1,183 @@
+/**
+ * FlagEconomySystem.js
+ * Moves gold to flag owners: tolls paid by players teleporting to their public
+ * flags, and a share of the gold other players earn on their land
+ *
+ * Gold lives in the character's stats (see CharacterSystem). Each payment
+ * takes it from the payer's stored character and adds it to the owner's in
+ * one transaction, bumping both characters' versions, and is kept in the
+ * owner's earnings history. An owner who has no stored character yet is
+ * not paid, and nothing is taken.
+ *
+ * The revenue share is REVENUE_SHARE_RATE of the gold a player is given as
+ * loot (see LootSystem). Fractions of a gold piece are carried over to the player's next
+ * earnings on the same flag, so small earnings still add up.
+ */
+
+import logger from '../../utils/logger.js';
+import CharacterRepository from '../../repositories/CharacterRepository.js';
+import FlagEarningsRepository from '../../repositories/FlagEarningsRepository.js';
+
+// Part of the gold earned on a public flag's land that goes to its owner
+export const REVENUE_SHARE_RATE = 0.05;
+
+// Entries returned by one earnings query
+const DEFAULT_EARNINGS_LIMIT = 50;
+export const MAX_EARNINGS_LIMIT = 200;
+
+class FlagEconomySystem {
+  constructor() {
+    // Share owed but below a whole gold piece: `${earnerId}:${flagId}` -> fraction
+    this.shareCarry = new Map();
+
+    logger.info('FlagEconomySystem initialized');
+  }
+
+  /**
+   * Charge a traveler a flag's toll and pay it to the flag's owner
+   * @param {string} travelerId - The teleporting player's ID
+   * @param {string|null} travelerName - Their name, kept in the owner's history
+   * @param {Object} flag - The flag being teleported to
+   * @returns {Promise<Object>} - { success, payment (null if nothing was paid), error }
+   */
+  async payToll(travelerId, travelerName, flag) {
+    const amount = Math.floor(flag.toll || 0);
+    if (amount <= 0) {
+      return { success: true, payment: null };
+    }
+
+    try {
+      if (!(await this._canBePaid(flag))) {
+        return { success: true, payment: null };
+      }
+
+      const payment = await this._pay({ payerId: travelerId, payerName: travelerName, flag, amount, kind: 'toll' });
+      if (payment === null) {
+        return { success: false, error: `You need ${amount} gold to pay the toll` };
+      }
+
+      return { success: true, payment };
+    } catch (error) {
+      logger.error(`Error charging toll for flag ${flag.id} to ${travelerId}: ${error.message}`);
+      return { success: false, error: 'Failed to pay the toll' };
+    }
+  }
+
+  /**
+   * Pay a flag's owner their share of gold a player earned on its land
+   * @param {Object} flag - The public flag the player earned the gold on
+   * @param {string} earnerId - The earning player's ID
+   * @param {string|null} earnerName - Their name, kept in the owner's history
+   * @param {number} earned - Gold earned
+   * @returns {Promise<Object>} - { success, payment (null if nothing was paid), error }
+   */
+  async payRevenueShare(flag, earnerId, earnerName, earned) {
+    const key = `${earnerId}:${flag.id}`;
+    const owed = earned * REVENUE_SHARE_RATE + (this.shareCarry.get(key) || 0);
+    const amount = Math.floor(owed);
+
+    if (amount < 1) {
+      this.shareCarry.set(key, owed);
+      return { success: true, payment: null };
+    }
+
+    try {
+      if (!(await this._canBePaid(flag))) {
+        this.shareCarry.delete(key);
+        return { success: true, payment: null };
+      }
+
+      const payment = await this._pay({ payerId: earnerId, payerName: earnerName, flag, amount, kind: 'revenue-share' });
+
+      // A player who already spent the gold owes nothing more
+      this.shareCarry.delete(key);
+      if (payment !== null && owed > amount) {
+        this.shareCarry.set(key, owed - amount);
+      }
+
+      return { success: true, payment };
+    } catch (error) {
+      logger.error(`Error paying revenue share for flag ${flag.id} from ${earnerId}: ${error.message}`);
+      return { success: false, error: 'Failed to pay the revenue share' };
+    }
+  }
+
+  /**
+   * Get a flag owner's earnings history, newest first
+   * Results are paged: pass the nextBeforeId of one page as beforeId to get the next.
+   * @param {string} ownerId - The owner's ID
+   * @param {Object} filters - Filters, all optional
+   * @param {string} [filters.flagId] - Only earnings from this flag
+   * @param {number} [filters.beforeId] - Only entries older than this one
+   * @param {number} [filters.limit] - Most entries to return, up to 200
+   * @returns {Promise<Object>} - { success, entries, nextBeforeId (null on the last page), error }
+   */
+  async getEarnings(ownerId, { flagId, beforeId, limit = DEFAULT_EARNINGS_LIMIT } = {}) {
+    const pageSize = Math.min(Math.max(1, Math.floor(limit)), MAX_EARNINGS_LIMIT);
+
+    try {
+      const entries = await FlagEarningsRepository.getEarnings({ ownerId, flagId, beforeId, limit: pageSize });
+
+      return {
+        success: true,
+        entries,
+        nextBeforeId: entries.length === pageSize ? entries[entries.length - 1].id : null
+      };
+    } catch (error) {
+      logger.error(`Error getting flag earnings for ${ownerId}: ${error.message}`);
+      return { success: false, error: 'Failed to load earnings' };
+    }
+  }
+
+  /**
+   * Check that a flag's owner has a stored character to pay gold into
+   * @private
+   * @param {Object} flag - The flag
+   * @returns {Promise<boolean>} - Whether the owner can be paid
+   */
+  async _canBePaid(flag) {
+    if (await CharacterRepository.getCharacter(flag.ownerId)) {
+      return true;
+    }
+
+    logger.debug(`Flag ${flag.id} earns nothing: owner ${flag.ownerId} has no character`);
+    return false;
+  }
+
+  /**
+   * Move gold from a player to a flag's owner
+   * @private
+   * @param {Object} payment - { payerId, payerName, flag, amount, kind }
+   * @returns {Promise<Object|null>} - { kind, amount, flag, payerId, payerName, ownerId, payer, owner } with
+   *   the characters' new { version, gold }, or null if the payer lacks the gold
+   */
+  async _pay({ payerId, payerName, flag, amount, kind }) {
+    const transfer = await FlagEarningsRepository.transferGold({
+      payerId,
+      payerName,
+      ownerId: flag.ownerId,
+      amount,
+      kind,
+      flag
+    });
+
+    if (!transfer) {
+      return null;
+    }
+
+    logger.info(`${payerId} paid ${amount} gold ${kind} to ${flag.ownerId} for flag ${flag.id}`);
+
+    return {
+      kind,
+      amount,
+      flag: { id: flag.id, name: flag.name },
+      payerId,
+      payerName,
+      ownerId: flag.ownerId,
+      payer: transfer.payer,
+      owner: transfer.owner
+    };
+  }
+}
+
+export default new FlagEconomySystem();
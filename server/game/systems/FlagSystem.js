@@ -1,26 +1,44 @@
 /**
  * FlagSystem.js
  * Manages player-placed flags that control territory and movement on the world map
+ *
+ * Actions that cost materials take them from the player's server-side
+ * inventory (game/FlagMaterials.js); their results then include the player's
+ * items as { items }.
  */
 
 import logger from '../../utils/logger.js';
 import { v4 as uuidv4 } from 'uuid';
 import PlayerStateSystem from './PlayerStateSystem.js';
+import AuditSystem from './AuditSystem.js';
+import InventorySystem from './InventorySystem.js';
+import FlagEconomySystem from './FlagEconomySystem.js';
+import FlagRepository from '../../repositories/FlagRepository.js';
+import FlagTravelRepository from '../../repositories/FlagTravelRepository.js';
+import { getFlagCost, getFlagRefund } from '../FlagMaterials.js';
 
 // Constants for flag system
 const FLAG_DEFAULTS = {
   RADIUS: 500, // Base radius in meters
   VISUAL_BOUNDARY: 600, // Visual boundary radius in meters
-  MATERIALS: {
-    LEATHER: 3,
-    WOOD: 3,
-    STONE: 2, // For hardened flags
-  },
   HEALTH: 200, // Default flag health
   ABANDONED_TIMEOUT: 2 * 7 * 24 * 60 * 60 * 1000, // 2 weeks in milliseconds
   TAKEOVER_TIMEOUT: 30 * 24 * 60 * 60 * 1000, // 1 month in milliseconds
+  ATTACK_DAMAGE: 100, // Health taken by one attack
+  ATTACK_RANGE: 100, // How close attackers and defenders must be, in meters
+  ATTACK_COOLDOWN: 10 * 1000, // Time between one player's attacks in milliseconds
+  BURN_DURATION: 15 * 1000, // How long an unhardened flag burns in milliseconds
+  HARDENED_BURN_DURATION: 25 * 60 * 60 * 1000, // How long a hardened flag burns in milliseconds
+  TRAVEL_HISTORY_LENGTH: 50, // Jumps kept in each player's travel history
+  RECENT_DESTINATIONS: 5, // Flags offered as recent destinations
 };
 
+// Highest toll in gold a flag may charge
+export const MAX_TOLL = 1000;
+
+// Most recent destinations one request may ask for
+export const MAX_RECENT_DESTINATIONS = 10;
+
 class FlagSystem {
   constructor() {
     // Map of all flags
@@ -35,12 +53,49 @@ class FlagSystem {
     // Grid cell size in degrees (approximately 1km at equator)
     this.cellSize = 0.01;
     
+    // Whether the indexes hold every stored flag; until then queries go to the database
+    this.indexLoaded = false;
+    
+    // Called with every saved change: { flag } or { flagId, removed: true }
+    this.changeListeners = new Set();
+    
+    // Called with every siege step: { event, flag, attackerId }
+    this.siegeListeners = new Set();
+    
+    // When each player last attacked a flag, for the attack cooldown
+    this.lastAttacks = new Map(); // playerId -> timestamp
+    
     // Track test mode
     this.testMode = process.env.NODE_ENV === 'test';
     
     logger.info('FlagSystem initialized');
   }
 
+  /**
+   * Load every stored flag into the spatial and owner indexes
+   * @returns {Promise<boolean>} Success status
+   */
+  async loadFlags() {
+    try {
+      const storedFlags = await FlagRepository.getAllFlags();
+      
+      this.flags.clear();
+      this.spatialIndex.clear();
+      this.ownerFlags.clear();
+      
+      for (const flag of storedFlags) {
+        this._indexFlag(this._withDefaults(flag));
+      }
+      
+      this.indexLoaded = true;
+      logger.info(`Loaded ${storedFlags.length} flags from the database`);
+      return true;
+    } catch (error) {
+      logger.error(`Error loading flags: ${error.message}`);
+      return false;
+    }
+  }
+
   /**
    * Set up initial system flags
    * @returns {Promise<boolean>} Success status
@@ -58,6 +113,8 @@ class FlagSystem {
           lat: 0,
           lng: 0
         },
+        radius: FLAG_DEFAULTS.RADIUS,
+        visualBoundary: FLAG_DEFAULTS.VISUAL_BOUNDARY,
         type: 'system',
         isPublic: true,
         toll: 0,
@@ -85,6 +142,8 @@ class FlagSystem {
             lat: location.lat,
             lng: location.lng
           },
+          radius: FLAG_DEFAULTS.RADIUS,
+          visualBoundary: FLAG_DEFAULTS.VISUAL_BOUNDARY,
           type: 'system',
           isPublic: true,
           toll: 0,
@@ -106,7 +165,7 @@ class FlagSystem {
    * @param {string} playerId - Player placing the flag
    * @param {Object} position - Position {lat, lng}
    * @param {Object} options - Flag options
-   * @returns {Promise<Object>} Result object {success, flagId, error}
+   * @returns {Promise<Object>} Result object {success, flagId, flag, items, error}
    */
   async placeFlag(playerId, position, options = {}) {
     try {
@@ -129,9 +188,12 @@ class FlagSystem {
         return { success: false, error: placementCheck.reason };
       }
       
-      // Check if player has required materials
-      // In a real implementation, check player inventory
-      // For now, assume they have the materials
+      // Take the materials; they are given back if the flag cannot be saved
+      const cost = getFlagCost('place');
+      const payment = await InventorySystem.chargeItems(playerId, 'flag-place', cost);
+      if (!payment.success) {
+        return { success: false, error: payment.error };
+      }
       
       // Create the flag
       const flagId = uuidv4();
@@ -150,18 +212,24 @@ class FlagSystem {
         type: 'normal',
         createdAt: Date.now(),
         updatedAt: Date.now(),
-        lastVisited: Date.now()
+        lastVisited: Date.now(),
+        ownerLastVisited: Date.now()
       };
       
       // Store the flag
-      await this.createFlag(newFlag);
+      if (!(await this.createFlag(newFlag))) {
+        const returned = await this._returnMaterials(playerId, 'flag-place-refund', cost);
+        return { success: false, error: 'Failed to save flag', ...(returned && { items: returned }) };
+      }
       
       logger.info(`Player ${playerId} placed flag ${flagId} at ${position.lat}, ${position.lng}`);
+      await this._audit(playerId, 'flag.place', newFlag, { after: newFlag, details: { cost } });
       
       return { 
         success: true, 
         flagId,
-        flag: newFlag
+        flag: newFlag,
+        items: this._items(payment)
       };
     } catch (error) {
       logger.error(`Error placing flag for player ${playerId}:`, { error: error.message });
@@ -182,16 +250,11 @@ class FlagSystem {
         return false;
       }
       
-      // Store the flag
-      this.flags.set(flagData.id, flagData);
-      
-      // Add to spatial index
-      this._addToSpatialIndex(flagData);
+      // Write through to the database before the flag becomes visible
+      await FlagRepository.saveFlag(flagData);
       
-      // Add to owner index if not a system flag
-      if (flagData.ownerId && flagData.ownerId !== 'system') {
-        this._addToOwnerIndex(flagData.id, flagData.ownerId);
-      }
+      this._indexFlag(flagData);
+      this._notifyChange({ flag: flagData });
       
       return true;
     } catch (error) {
@@ -220,7 +283,7 @@ class FlagSystem {
       // In a real implementation, check if they're a new player
       if (playerFlags.length === 0) {
         // For new players, check if they're at the starting location
-        const startFlag = this.flags.get('system-start-flag');
+        const startFlag = await this.getFlag('system-start-flag');
         if (startFlag) {
           const distance = this._calculateDistance(position, startFlag.position);
           withinExistingFlag = distance <= startFlag.visualBoundary;
@@ -280,6 +343,7 @@ class FlagSystem {
 
   /**
    * Check if a player can teleport to a flag
+   * cost is the toll in gold; every jump also costs the Roc Feathers in FLAG_COSTS.teleport.
    * @param {string} playerId - Player ID
    * @param {string} flagId - Flag ID
    * @returns {Promise<Object>} Result {allowed, cost, reason}
@@ -287,7 +351,7 @@ class FlagSystem {
   async canTeleportToFlag(playerId, flagId) {
     try {
       // Get the flag
-      const flag = this.flags.get(flagId);
+      const flag = await this.getFlag(flagId);
       if (!flag) {
         return { allowed: false, reason: 'Flag not found' };
       }
@@ -299,7 +363,7 @@ class FlagSystem {
       
       // System flags are always accessible
       if (flag.ownerId === 'system') {
-        return { allowed: true, cost: 2 }; // Cost in Roc Feathers
+        return { allowed: true, cost: 0 };
       }
       
       // Public flags are accessible with a toll
@@ -317,11 +381,17 @@ class FlagSystem {
 
   /**
    * Teleport a player to a flag
+   * Roc Feathers are taken from the player's inventory, and any toll from
+   * their gold is paid to the flag's owner. The jump is added to the
+   * player's travel history.
    * @param {string} playerId - Player ID
    * @param {string} flagId - Flag ID
-   * @returns {Promise<Object>} Result {success, position, error}
+   * @param {Object} options - Teleport options
+   * @param {number} [options.maxToll] - Most gold the player agreed to pay; a higher toll is refused
+   * @returns {Promise<Object>} Result {success, position, visualBoundary, payment, items, error};
+   *   payment is the toll paid, or null
    */
-  async teleportToFlag(playerId, flagId) {
+  async teleportToFlag(playerId, flagId, options = {}) {
     try {
       // Check if player can teleport to this flag
       const teleportCheck = await this.canTeleportToFlag(playerId, flagId);
@@ -330,25 +400,59 @@ class FlagSystem {
       }
       
       // Get the flag
-      const flag = this.flags.get(flagId);
+      const flag = await this.getFlag(flagId);
       if (!flag) {
         return { success: false, error: 'Flag not found' };
       }
       
-      // In a real implementation, deduct the cost from player's inventory
-      const teleportCost = teleportCheck.cost;
+      // The owner may have raised the toll since the player agreed to it
+      const toll = teleportCheck.cost;
+      if (options.maxToll !== undefined && toll > options.maxToll) {
+        return { success: false, error: `The toll is now ${toll} gold` };
+      }
+      
+      // Take the feathers; they are given back if the toll cannot be paid
+      const cost = getFlagCost('teleport');
+      const charge = await InventorySystem.chargeItems(playerId, 'flag-teleport', cost);
+      if (!charge.success) {
+        // A refused charge comes back with the player's items, a failed one without
+        return {
+          success: false,
+          error: charge.inventory ? this._missingFeathersError(cost, charge.inventory) : charge.error
+        };
+      }
+      
+      let payment = null;
+      if (toll > 0) {
+        const player = await PlayerStateSystem.getPlayer(playerId);
+        const tollResult = await FlagEconomySystem.payToll(playerId, player?.profile?.displayName || null, flag);
+        if (!tollResult.success) {
+          const returned = await this._returnMaterials(playerId, 'flag-teleport-refund', cost);
+          return { success: false, error: tollResult.error, items: returned || this._items(charge) };
+        }
+        payment = tollResult.payment;
+      }
       
-      // Update flag last visited time
-      flag.lastVisited = Date.now();
-      this.flags.set(flagId, flag);
+      // Update flag last visited time; a failed write only delays abandonment tracking
+      // Only the owner's visits keep a flag from being abandoned, and the owner coming back reclaims it
+      await this._updateFlag({
+        ...flag,
+        lastVisited: Date.now(),
+        ...(flag.ownerId === playerId && { ownerLastVisited: Date.now(), isAbandoned: false })
+      });
       
-      logger.info(`Player ${playerId} teleported to flag ${flagId} for ${teleportCost} cost`);
+      const tollPaid = payment?.amount ?? 0;
+      logger.info(`Player ${playerId} teleported to flag ${flagId} for ${tollPaid} gold`);
+      await this._audit(playerId, 'flag.teleport', flag, { details: { cost, toll: tollPaid } });
+      await this._recordTravel(playerId, flag, cost, tollPaid);
       
       // Return the position to teleport to
       return {
         success: true,
         position: flag.position,
-        visualBoundary: flag.visualBoundary
+        visualBoundary: flag.visualBoundary,
+        payment,
+        items: this._items(charge)
       };
     } catch (error) {
       logger.error(`Error teleporting player ${playerId} to flag ${flagId}:`, { error: error.message });
@@ -356,16 +460,88 @@ class FlagSystem {
     }
   }
 
+  /**
+   * Get the flags a player jumped to most recently that they can still jump to
+   * @param {string} playerId - Player ID
+   * @param {number} limit - Most flags to return, up to MAX_RECENT_DESTINATIONS
+   * @returns {Promise<Object>} Result {success, destinations, error}; destinations are
+   *   { flag, toll, lastTraveledAt }, most recent first
+   */
+  async getRecentDestinations(playerId, limit = FLAG_DEFAULTS.RECENT_DESTINATIONS) {
+    const count = Math.min(Math.max(1, Math.floor(limit)), MAX_RECENT_DESTINATIONS);
+    
+    try {
+      const travels = await FlagTravelRepository.getTravels(playerId, FLAG_DEFAULTS.TRAVEL_HISTORY_LENGTH);
+      const destinations = [];
+      const seen = new Set();
+      
+      for (const travel of travels) {
+        if (destinations.length >= count) {
+          break;
+        }
+        if (seen.has(travel.flagId)) {
+          continue;
+        }
+        seen.add(travel.flagId);
+        
+        // Removed, burned down or now private flags drop out
+        const check = await this.canTeleportToFlag(playerId, travel.flagId);
+        if (check.allowed) {
+          destinations.push({
+            flag: await this.getFlag(travel.flagId),
+            toll: check.cost,
+            lastTraveledAt: travel.traveledAt
+          });
+        }
+      }
+      
+      return { success: true, destinations };
+    } catch (error) {
+      logger.error(`Error getting recent destinations for player ${playerId}:`, { error: error.message });
+      return { success: false, error: 'Failed to load recent destinations' };
+    }
+  }
+
+  /**
+   * Find the flag whose owner earns a share of gold a player makes at a position
+   * That is the nearest public flag covering the position, unless it is the
+   * player's own, a system flag, or abandoned by its owner. The share is paid
+   * through FlagEconomySystem.payRevenueShare.
+   * @param {Object} position - Position {lat, lng}
+   * @param {string} playerId - The earning player's ID
+   * @returns {Promise<Object|null>} The flag, or null if no one earns a share
+   */
+  async findLandlordFlag(position, playerId) {
+    const flags = await this.getFlagsInRange(position, FLAG_DEFAULTS.RADIUS);
+    
+    let nearest = null;
+    let nearestDistance = Infinity;
+    
+    for (const flag of flags) {
+      if (!flag.isPublic || flag.isAbandoned || flag.ownerId === playerId || flag.ownerId === 'system') {
+        continue;
+      }
+      
+      const distance = this._calculateDistance(position, flag.position);
+      if (distance <= flag.radius && distance < nearestDistance) {
+        nearest = flag;
+        nearestDistance = distance;
+      }
+    }
+    
+    return nearest;
+  }
+
   /**
    * Upgrade a flag to a hardened status
    * @param {string} playerId - Player ID
    * @param {string} flagId - Flag ID
-   * @returns {Promise<Object>} Result {success, error}
+   * @returns {Promise<Object>} Result {success, flag, items, error}
    */
   async hardenFlag(playerId, flagId) {
     try {
       // Get the flag
-      const flag = this.flags.get(flagId);
+      const flag = await this.getFlag(flagId);
       if (!flag) {
         return { success: false, error: 'Flag not found' };
       }
@@ -380,16 +556,24 @@ class FlagSystem {
         return { success: false, error: 'Flag is already hardened' };
       }
       
-      // In a real implementation, check if player has required materials (2 Stone)
+      // Take the materials; they are given back if the flag cannot be saved
+      const cost = getFlagCost('harden');
+      const payment = await InventorySystem.chargeItems(playerId, 'flag-harden', cost);
+      if (!payment.success) {
+        return { success: false, error: payment.error };
+      }
       
       // Update flag to hardened status
-      flag.isHardened = true;
-      flag.updatedAt = Date.now();
-      this.flags.set(flagId, flag);
+      const hardenedFlag = { ...flag, isHardened: true, updatedAt: Date.now() };
+      if (!(await this._updateFlag(hardenedFlag))) {
+        const returned = await this._returnMaterials(playerId, 'flag-harden-refund', cost);
+        return { success: false, error: 'Failed to save flag', ...(returned && { items: returned }) };
+      }
       
       logger.info(`Player ${playerId} hardened flag ${flagId}`);
+      await this._audit(playerId, 'flag.harden', flag, { before: flag, after: hardenedFlag, details: { cost } });
       
-      return { success: true, flag };
+      return { success: true, flag: hardenedFlag, items: this._items(payment) };
     } catch (error) {
       logger.error(`Error hardening flag ${flagId} for player ${playerId}:`, { error: error.message });
       return { success: false, error: `Failed to harden flag: ${error.message}` };
@@ -398,14 +582,15 @@ class FlagSystem {
 
   /**
    * Remove a flag (player removing their own flag)
+   * Some of the materials are returned, so the player needs room for them.
    * @param {string} playerId - Player ID
    * @param {string} flagId - Flag ID
-   * @returns {Promise<Object>} Result {success, resources, error}
+   * @returns {Promise<Object>} Result {success, resources, items, error}
    */
   async removeFlag(playerId, flagId) {
     try {
       // Get the flag
-      const flag = this.flags.get(flagId);
+      const flag = await this.getFlag(flagId);
       if (!flag) {
         return { success: false, error: 'Flag not found' };
       }
@@ -420,30 +605,41 @@ class FlagSystem {
         return { success: false, error: 'System flags cannot be removed' };
       }
       
-      // Special structures have different resource returns
-      let returnedResources = {};
+      // Taking a burning flag down would cheat its attacker of the kill
+      if (flag.burnEndsAt) {
+        return { success: false, error: 'A burning flag cannot be taken down; put the fire out first' };
+      }
       
-      if (flag.type === 'roc-shrine') {
-        returnedResources = { wood: 5, stone: 5 };
-      } else if (flag.type === 'guard-tower') {
-        returnedResources = { wood: 10, stone: 10 };
-        // Add iron if upgraded
-      } else if (flag.isHardened) {
-        returnedResources = { wood: 1, leather: 1, stone: 1 };
-      } else {
-        returnedResources = { wood: 1, leather: 1 };
+      // Give the materials back first, so a full inventory leaves the flag standing
+      const returnedResources = getFlagRefund(flag);
+      let refund = null;
+      
+      if (Object.keys(returnedResources).length > 0) {
+        refund = await InventorySystem.grantItems(playerId, 'flag-refund', returnedResources);
+        if (!refund.success) {
+          return { success: false, error: `No room for the returned materials: ${refund.error}` };
+        }
       }
       
       // Remove the flag
-      this._removeFromSpatialIndex(flag);
-      this._removeFromOwnerIndex(flag.id, flag.ownerId);
-      this.flags.delete(flag.id);
+      try {
+        await FlagRepository.deleteFlag(flag.id);
+      } catch (error) {
+        if (refund) {
+          await InventorySystem.chargeItems(playerId, 'flag-refund-undo', returnedResources);
+        }
+        throw error;
+      }
+      this._unindexFlag(flag);
+      this._notifyChange({ flagId: flag.id, removed: true });
       
       logger.info(`Player ${playerId} removed flag ${flagId}`);
+      await this._audit(playerId, 'flag.remove', flag, { before: flag, details: { resources: returnedResources } });
       
       return { 
         success: true, 
-        resources: returnedResources
+        resources: returnedResources,
+        ...(refund && { items: this._items(refund) })
       };
     } catch (error) {
       logger.error(`Error removing flag ${flagId} for player ${playerId}:`, { error: error.message });
@@ -451,6 +647,374 @@ class FlagSystem {
     }
   }
 
+  /**
+   * Take over another player's abandoned flag
+   * Allowed once TAKEOVER_TIMEOUT has passed since the owner's last visit. The flag keeps
+   * its position, settings, health and hardening; only the owner changes.
+   * @param {string} playerId - The new owner's player ID
+   * @param {string} flagId - Flag ID
+   * @param {Object} options - { name } to rename the flag; it keeps its name otherwise
+   * @returns {Promise<Object>} Result {success, flag, previousOwnerId, items, error}
+   */
+  async takeoverFlag(playerId, flagId, options = {}) {
+    try {
+      const flag = await this.getFlag(flagId);
+      if (!flag) {
+        return { success: false, error: 'Flag not found' };
+      }
+      
+      if (flag.ownerId === 'system') {
+        return { success: false, error: 'System flags cannot be taken over' };
+      }
+      
+      if (flag.type === 'roc-shrine' || flag.type === 'guard-tower') {
+        return { success: false, error: 'Roc Shrines and Guard Towers cannot be taken over' };
+      }
+      
+      if (flag.ownerId === playerId) {
+        return { success: false, error: 'You already own this flag' };
+      }
+      
+      if (!flag.isAbandoned) {
+        return { success: false, error: 'Only abandoned flags can be taken over' };
+      }
+      
+      const now = Date.now();
+      const claimableAt = flag.ownerLastVisited + FLAG_DEFAULTS.TAKEOVER_TIMEOUT;
+      if (now < claimableAt) {
+        const days = Math.ceil((claimableAt - now) / (24 * 60 * 60 * 1000));
+        return { success: false, error: `This flag can be taken over in ${days} days` };
+      }
+      
+      if (flag.burnEndsAt) {
+        return { success: false, error: 'A burning flag cannot be taken over' };
+      }
+      
+      if (!(await this._isNearFlag(playerId, flag))) {
+        return { success: false, error: `You must be within ${FLAG_DEFAULTS.ATTACK_RANGE}m of the flag` };
+      }
+      
+      // Take the materials; they are given back if the flag cannot be saved
+      const cost = getFlagCost('takeover');
+      const payment = await InventorySystem.chargeItems(playerId, 'flag-takeover', cost);
+      if (!payment.success) {
+        return { success: false, error: payment.error };
+      }
+      
+      const claimedFlag = {
+        ...flag,
+        ownerId: playerId,
+        name: options.name || flag.name,
+        isAbandoned: false,
+        lastVisited: now,
+        ownerLastVisited: now,
+        updatedAt: now
+      };
+      if (!(await this._updateFlag(claimedFlag))) {
+        const returned = await this._returnMaterials(playerId, 'flag-takeover-refund', cost);
+        return { success: false, error: 'Failed to save flag', ...(returned && { items: returned }) };
+      }
+      
+      logger.info(`Player ${playerId} took over flag ${flagId} from ${flag.ownerId}`);
+      await this._audit(playerId, 'flag.takeover', flag, {
+        before: flag,
+        after: claimedFlag,
+        details: { cost, previousOwnerId: flag.ownerId }
+      });
+      
+      return {
+        success: true,
+        flag: claimedFlag,
+        previousOwnerId: flag.ownerId,
+        items: this._items(payment)
+      };
+    } catch (error) {
+      logger.error(`Error taking over flag ${flagId} for player ${playerId}:`, { error: error.message });
+      return { success: false, error: `Failed to take over flag: ${error.message}` };
+    }
+  }
+
+  /**
+   * Attack another player's flag, taking it down towards half health
+   * @param {string} playerId - The attacking player's ID
+   * @param {string} flagId - Flag ID
+   * @returns {Promise<Object>} Result {success, flag, error}
+   */
+  async attackFlag(playerId, flagId) {
+    try {
+      const flag = await this.getFlag(flagId);
+      if (!flag) {
+        return { success: false, error: 'Flag not found' };
+      }
+      
+      const refusal = await this._checkSiegeTarget(playerId, flag);
+      if (refusal) {
+        return { success: false, error: refusal };
+      }
+      
+      const now = Date.now();
+      const waited = now - (this.lastAttacks.get(playerId) || 0);
+      if (waited < FLAG_DEFAULTS.ATTACK_COOLDOWN) {
+        const seconds = Math.ceil((FLAG_DEFAULTS.ATTACK_COOLDOWN - waited) / 1000);
+        return { success: false, error: `You can attack again in ${seconds} seconds` };
+      }
+      
+      // Attacks alone cannot finish a flag off; it has to be burned
+      const halfHealth = FLAG_DEFAULTS.HEALTH / 2;
+      if (flag.health <= halfHealth) {
+        return { success: false, error: 'The flag is down to half health; set it on fire to destroy it' };
+      }
+      
+      const attackedFlag = {
+        ...flag,
+        health: Math.max(halfHealth, flag.health - FLAG_DEFAULTS.ATTACK_DAMAGE),
+        updatedAt: now
+      };
+      if (!(await this._updateFlag(attackedFlag))) {
+        return { success: false, error: 'Failed to save flag' };
+      }
+      this.lastAttacks.set(playerId, now);
+      
+      logger.info(`Player ${playerId} attacked flag ${flagId} owned by ${flag.ownerId}`, { health: attackedFlag.health });
+      await this._audit(playerId, 'flag.attack', flag, {
+        before: flag,
+        after: attackedFlag,
+        details: { damage: flag.health - attackedFlag.health }
+      });
+      this._notifySiege({ event: 'attacked', flag: attackedFlag, attackerId: playerId });
+      
+      return { success: true, flag: attackedFlag };
+    } catch (error) {
+      logger.error(`Error attacking flag ${flagId} for player ${playerId}:`, { error: error.message });
+      return { success: false, error: `Failed to attack flag: ${error.message}` };
+    }
+  }
+
+  /**
+   * Set fire to another player's flag that is down to half health
+   * The flag is destroyed when the burn runs out (see burnDownFlags), unless its owner
+   * puts the fire out. The burn's end is stored with the flag, so it survives restarts.
+   * @param {string} playerId - The attacking player's ID
+   * @param {string} flagId - Flag ID
+   * @returns {Promise<Object>} Result {success, flag, items, error}
+   */
+  async burnFlag(playerId, flagId) {
+    try {
+      const flag = await this.getFlag(flagId);
+      if (!flag) {
+        return { success: false, error: 'Flag not found' };
+      }
+      
+      const refusal = await this._checkSiegeTarget(playerId, flag);
+      if (refusal) {
+        return { success: false, error: refusal };
+      }
+      
+      if (flag.health > FLAG_DEFAULTS.HEALTH / 2) {
+        return { success: false, error: 'Attack the flag down to half health before setting it on fire' };
+      }
+      
+      // Take the oil; it is given back if the flag cannot be saved
+      const cost = getFlagCost('burn');
+      const payment = await InventorySystem.chargeItems(playerId, 'flag-burn', cost);
+      if (!payment.success) {
+        return { success: false, error: payment.error };
+      }
+      
+      const now = Date.now();
+      const duration = flag.isHardened ? FLAG_DEFAULTS.HARDENED_BURN_DURATION : FLAG_DEFAULTS.BURN_DURATION;
+      const burningFlag = { ...flag, burningBy: playerId, burnEndsAt: now + duration, updatedAt: now };
+      if (!(await this._updateFlag(burningFlag))) {
+        const returned = await this._returnMaterials(playerId, 'flag-burn-refund', cost);
+        return { success: false, error: 'Failed to save flag', ...(returned && { items: returned }) };
+      }
+      
+      logger.info(`Player ${playerId} set fire to flag ${flagId} owned by ${flag.ownerId}`, { burnEndsAt: burningFlag.burnEndsAt });
+      await this._audit(playerId, 'flag.burn', flag, { before: flag, after: burningFlag, details: { cost } });
+      this._notifySiege({ event: 'burning', flag: burningFlag, attackerId: playerId });
+      
+      return { success: true, flag: burningFlag, items: this._items(payment) };
+    } catch (error) {
+      logger.error(`Error burning flag ${flagId} for player ${playerId}:`, { error: error.message });
+      return { success: false, error: `Failed to burn flag: ${error.message}` };
+    }
+  }
+
+  /**
+   * Put out the fire on one of the player's own flags
+   * The flag keeps the health it had; it can be set on fire again.
+   * @param {string} playerId - The owner's player ID
+   * @param {string} flagId - Flag ID
+   * @returns {Promise<Object>} Result {success, flag, error}
+   */
+  async extinguishFlag(playerId, flagId) {
+    try {
+      const flag = await this.getFlag(flagId);
+      if (!flag) {
+        return { success: false, error: 'Flag not found' };
+      }
+      
+      if (flag.ownerId !== playerId) {
+        return { success: false, error: 'You do not own this flag' };
+      }
+      
+      if (!flag.burnEndsAt) {
+        return { success: false, error: 'The flag is not burning' };
+      }
+      
+      // Past its end the flag is only waiting for burnDownFlags
+      if (flag.burnEndsAt <= Date.now()) {
+        return { success: false, error: 'The flag has already burned down' };
+      }
+      
+      if (!(await this._isNearFlag(playerId, flag))) {
+        return { success: false, error: `You must be within ${FLAG_DEFAULTS.ATTACK_RANGE}m of the flag` };
+      }
+      
+      const extinguishedFlag = { ...flag, burningBy: null, burnEndsAt: null, updatedAt: Date.now() };
+      if (!(await this._updateFlag(extinguishedFlag))) {
+        return { success: false, error: 'Failed to save flag' };
+      }
+      
+      logger.info(`Player ${playerId} put out the fire on flag ${flagId}`);
+      await this._audit(playerId, 'flag.extinguish', flag, { before: flag, after: extinguishedFlag });
+      this._notifySiege({ event: 'extinguished', flag: extinguishedFlag, attackerId: flag.burningBy });
+      
+      return { success: true, flag: extinguishedFlag };
+    } catch (error) {
+      logger.error(`Error extinguishing flag ${flagId} for player ${playerId}:`, { error: error.message });
+      return { success: false, error: `Failed to extinguish flag: ${error.message}` };
+    }
+  }
+
+  /**
+   * Destroy the flags whose burn has run out
+   * Called periodically by the game loop. With several instances sharing the
+   * database, only the one whose delete succeeds reports the destruction.
+   * @returns {Promise<number>} Number of flags destroyed
+   */
+  async burnDownFlags() {
+    const now = Date.now();
+    let destroyedCount = 0;
+    
+    for (const flag of Array.from(this.flags.values())) {
+      if (!flag.burnEndsAt || flag.burnEndsAt > now) continue;
+      
+      try {
+        const deleted = await FlagRepository.deleteFlag(flag.id);
+        this._unindexFlag(flag);
+        if (!deleted) continue;
+        
+        this._notifyChange({ flagId: flag.id, removed: true });
+        destroyedCount++;
+        
+        logger.info(`Flag ${flag.id} owned by ${flag.ownerId} burned down`, { burnedBy: flag.burningBy });
+        await this._audit(flag.burningBy, 'flag.destroy', flag, { before: flag });
+        this._notifySiege({ event: 'destroyed', flag, attackerId: flag.burningBy });
+      } catch (error) {
+        logger.error(`Error burning down flag ${flag.id}:`, { error: error.message });
+      }
+    }
+    
+    // Forget attacks whose cooldown is over
+    for (const [playerId, attackedAt] of this.lastAttacks) {
+      if (now - attackedAt >= FLAG_DEFAULTS.ATTACK_COOLDOWN) {
+        this.lastAttacks.delete(playerId);
+      }
+    }
+    
+    return destroyedCount;
+  }
+
+  /**
+   * Remove every flag a player owns, e.g. when their account is deleted
+   * Unlike removeFlag nothing is returned to the player. Errors are thrown so
+   * the caller can retry before deleting the player.
+   * @param {string} playerId - Player ID
+   * @returns {Promise<number>} Number of flags removed
+   */
+  async removePlayerFlags(playerId) {
+    const flags = this.indexLoaded
+      ? await this.getPlayerFlags(playerId)
+      : await FlagRepository.getFlagsByOwner(playerId);
+    
+    for (const flag of flags) {
+      await FlagRepository.deleteFlag(flag.id);
+      this._unindexFlag(flag);
+      this._notifyChange({ flagId: flag.id, removed: true });
+      await this._audit(null, 'flag.remove', flag, { before: flag, details: { reason: 'Owner removed' } });
+    }
+    
+    if (flags.length > 0) {
+      logger.info(`Removed ${flags.length} flags owned by player ${playerId}`);
+    }
+    
+    return flags.length;
+  }
+
+  /**
+   * Change a flag's settings from the admin API, whoever owns it
+   * Only the fields given are changed; position and owner stay as they are.
+   * @param {string} flagId - Flag ID
+   * @param {Object} updates - Any of { name, isPublic, toll, isHardened, isAbandoned, health }
+   * @param {string} adminId - The admin's player ID, for the audit log
+   * @returns {Promise<Object>} Result {success, flag, error}
+   */
+  async editFlag(flagId, updates, adminId) {
+    try {
+      const flag = await this.getFlag(flagId);
+      if (!flag) {
+        return { success: false, error: 'Flag not found' };
+      }
+      
+      const editedFlag = { ...flag, updatedAt: Date.now() };
+      for (const field of ['name', 'isPublic', 'toll', 'isHardened', 'isAbandoned', 'health']) {
+        if (updates[field] !== undefined) {
+          editedFlag[field] = updates[field];
+        }
+      }
+      
+      if (!(await this._updateFlag(editedFlag))) {
+        return { success: false, error: 'Failed to save flag' };
+      }
+      
+      logger.info(`Flag ${flagId} edited`, { fields: Object.keys(updates) });
+      await this._audit(adminId, 'flag.edit', flag, { before: flag, after: editedFlag });
+      
+      return { success: true, flag: editedFlag };
+    } catch (error) {
+      logger.error(`Error editing flag ${flagId}:`, { error: error.message });
+      return { success: false, error: `Failed to edit flag: ${error.message}` };
+    }
+  }
+
+  /**
+   * Remove any flag from the admin API, without refunding its owner
+   * @param {string} flagId - Flag ID
+   * @param {string} adminId - The admin's player ID, for the audit log
+   * @returns {Promise<Object>} Result {success, flag, error} with the removed flag
+   */
+  async forceRemoveFlag(flagId, adminId) {
+    try {
+      const flag = await this.getFlag(flagId);
+      if (!flag) {
+        return { success: false, error: 'Flag not found' };
+      }
+      
+      await FlagRepository.deleteFlag(flag.id);
+      this._unindexFlag(flag);
+      this._notifyChange({ flagId: flag.id, removed: true });
+      
+      logger.info(`Flag ${flagId} owned by ${flag.ownerId} force-removed`);
+      await this._audit(adminId, 'flag.force-remove', flag, { before: flag });
+      
+      return { success: true, flag };
+    } catch (error) {
+      logger.error(`Error force-removing flag ${flagId}:`, { error: error.message });
+      return { success: false, error: `Failed to remove flag: ${error.message}` };
+    }
+  }
+
   /**
    * Get all flags owned by a player
    * @param {string} playerId - Player ID
@@ -458,6 +1022,10 @@ class FlagSystem {
    */
   async getPlayerFlags(playerId) {
     try {
+      if (!this.indexLoaded) {
+        return (await FlagRepository.getFlagsByOwner(playerId)).map(flag => this._withDefaults(flag));
+      }
+      
       if (!this.ownerFlags.has(playerId)) {
         return [];
       }
@@ -487,6 +1055,10 @@ class FlagSystem {
    */
   async getFlagsInRange(position, range) {
     try {
+      if (!this.indexLoaded) {
+        return (await FlagRepository.getFlagsInRange(position, range)).map(flag => this._withDefaults(flag));
+      }
+      
       // Convert range from meters to approximate degrees
       // This is a simplification; 0.00001 degrees is roughly 1.11 meters at the equator
       const rangeDegrees = range * 0.00001;
@@ -520,6 +1092,10 @@ class FlagSystem {
    */
   async getFlagsInBoundingBox(boundingBox) {
     try {
+      if (!this.indexLoaded) {
+        return (await FlagRepository.getFlagsInBoundingBox(boundingBox)).map(flag => this._withDefaults(flag));
+      }
+      
       const { minLat, maxLat, minLng, maxLng } = boundingBox;
       
       // Find grid cells that intersect with bounding box
@@ -567,6 +1143,8 @@ class FlagSystem {
 
   /**
    * Check for abandoned flags and update their status
+   * Called periodically by the game loop. A flag whose owner has not visited it for
+   * ABANDONED_TIMEOUT is marked abandoned; the owner teleporting there again ends that.
    * @returns {Promise<number>} Number of flags updated
    */
   async checkForAbandonedFlags() {
@@ -581,14 +1159,14 @@ class FlagSystem {
         // Skip special structures that can't be abandoned
         if (flag.type === 'roc-shrine' || flag.type === 'guard-tower') continue;
         
-        // If flag hasn't been visited in 2 weeks, mark as abandoned
-        if (!flag.isAbandoned && (now - flag.lastVisited) > FLAG_DEFAULTS.ABANDONED_TIMEOUT) {
-          flag.isAbandoned = true;
-          flag.updatedAt = now;
-          this.flags.set(flagId, flag);
+        // If the owner hasn't visited the flag in 2 weeks, mark as abandoned
+        if (!flag.isAbandoned && (now - flag.ownerLastVisited) > FLAG_DEFAULTS.ABANDONED_TIMEOUT) {
+          const abandonedFlag = { ...flag, isAbandoned: true, updatedAt: now };
+          if (!(await this._updateFlag(abandonedFlag))) continue;
           updatedCount++;
           
           logger.info(`Flag ${flagId} owned by ${flag.ownerId} marked as abandoned`);
+          await this._audit(null, 'flag.abandon', flag, { before: flag, after: abandonedFlag });
         }
       }
       
@@ -599,6 +1177,25 @@ class FlagSystem {
     }
   }
 
+  /**
+   * Get a flag by ID
+   * @param {string} flagId - Flag ID
+   * @returns {Promise<Object|null>} The flag, or null if it does not exist
+   */
+  async getFlag(flagId) {
+    if (this.flags.has(flagId) || this.indexLoaded) {
+      return this.flags.get(flagId) || null;
+    }
+    
+    try {
+      const flag = await FlagRepository.getFlagById(flagId);
+      return flag ? this._withDefaults(flag) : null;
+    } catch (error) {
+      logger.error(`Error getting flag ${flagId}:`, { error: error.message });
+      return null;
+    }
+  }
+
   /**
    * Get all flags in the system
    * @returns {Array} Array of all flag objects
@@ -607,6 +1204,280 @@ class FlagSystem {
     return Array.from(this.flags.values());
   }
 
+  /**
+   * Listen for flags being created, updated or removed
+   * @param {Function} listener - Called with { flag } or { flagId, removed: true }
+   * @returns {Function} - Removes the listener
+   */
+  addChangeListener(listener) {
+    this.changeListeners.add(listener);
+    return () => this.changeListeners.delete(listener);
+  }
+
+  /**
+   * Listen for flags being attacked, set on fire, put out or destroyed
+   * @param {Function} listener - Called with { event, flag, attackerId }, where event is
+   *   'attacked', 'burning', 'extinguished' or 'destroyed'
+   * @returns {Function} - Removes the listener
+   */
+  addSiegeListener(listener) {
+    this.siegeListeners.add(listener);
+    return () => this.siegeListeners.delete(listener);
+  }
+
+  /**
+   * Apply a change another server instance has already saved
+   * Only the indexes are updated; nothing is written or announced again.
+   * @param {Object} change - { flag } or { flagId, removed: true }
+   */
+  applyChange(change) {
+    const flagId = change.removed ? change.flagId : change.flag.id;
+    const existing = this.flags.get(flagId);
+    
+    if (existing) {
+      this._unindexFlag(existing);
+    }
+    
+    if (!change.removed) {
+      this._indexFlag(change.flag);
+    }
+  }
+
+  /**
+   * Save changes to an existing flag, then replace the cached copy
+   * @private
+   * @param {Object} flag - Updated flag object
+   * @returns {Promise<boolean>} Success status
+   */
+  async _updateFlag(flag) {
+    try {
+      await FlagRepository.saveFlag(flag);
+      
+      // Unindex the old copy first, in case the owner changed
+      const cached = this.flags.get(flag.id);
+      if (cached) {
+        this._unindexFlag(cached);
+      }
+      this._indexFlag(flag);
+      this._notifyChange({ flag });
+      return true;
+    } catch (error) {
+      logger.error(`Error saving flag ${flag.id}:`, { error: error.message });
+      return false;
+    }
+  }
+
+  /**
+   * Add a flag to the flag map and the spatial and owner indexes
+   * @private
+   * @param {Object} flag - Flag object
+   */
+  _indexFlag(flag) {
+    this.flags.set(flag.id, flag);
+    this._addToSpatialIndex(flag);
+    
+    // System flags are not owned by a player
+    if (flag.ownerId && flag.ownerId !== 'system') {
+      this._addToOwnerIndex(flag.id, flag.ownerId);
+    }
+  }
+
+  /**
+   * Remove a flag from the flag map and the spatial and owner indexes
+   * @private
+   * @param {Object} flag - Flag object
+   */
+  _unindexFlag(flag) {
+    this._removeFromSpatialIndex(flag);
+    this._removeFromOwnerIndex(flag.id, flag.ownerId);
+    this.flags.delete(flag.id);
+  }
+
+  /**
+   * Check that a player may attack or burn a flag
+   * @private
+   * @param {string} playerId - The attacking player's ID
+   * @param {Object} flag - The flag
+   * @returns {Promise<string|null>} Why not, or null if they may
+   */
+  async _checkSiegeTarget(playerId, flag) {
+    if (flag.ownerId === 'system') {
+      return 'System flags cannot be attacked';
+    }
+    
+    if (flag.ownerId === playerId) {
+      return 'You cannot attack your own flag';
+    }
+    
+    if (flag.burnEndsAt) {
+      return 'The flag is already burning';
+    }
+    
+    if (!(await this._isNearFlag(playerId, flag))) {
+      return `You must be within ${FLAG_DEFAULTS.ATTACK_RANGE}m of the flag`;
+    }
+    
+    return null;
+  }
+
+  /**
+   * Check whether a player's server position is close enough to act on a flag in person:
+   * attack it, defend it or take it over
+   * @private
+   * @param {string} playerId - Player ID
+   * @param {Object} flag - The flag
+   * @returns {Promise<boolean>} Whether the player is in range
+   */
+  async _isNearFlag(playerId, flag) {
+    const player = await PlayerStateSystem.getPlayer(playerId);
+    if (!player?.position) {
+      return false;
+    }
+    
+    return this._calculateDistance(player.position, flag.position) <= FLAG_DEFAULTS.ATTACK_RANGE;
+  }
+
+  /**
+   * Give back materials taken for a flag action that then failed
+   * @private
+   * @param {string} playerId - Player ID
+   * @param {string} kind - Inventory transaction kind
+   * @param {Object} materials - Catalog item ID -> quantity
+   * @returns {Promise<Object|null>} The player's items afterwards, or null if they could not be returned
+   */
+  async _returnMaterials(playerId, kind, materials) {
+    const result = await InventorySystem.grantItems(playerId, kind, materials);
+    if (!result.success) {
+      logger.error(`Could not return flag materials to player ${playerId}: ${result.error}`, { materials });
+      return null;
+    }
+    
+    return this._items(result);
+  }
+
+  /**
+   * Explain a jump refused for want of Roc Feathers
+   * @private
+   * @param {Object} cost - The jump's cost, catalog item ID -> quantity
+   * @param {Array<Object>} inventory - The player's inventory stacks { id, quantity }
+   * @returns {string} Error message
+   */
+  _missingFeathersError(cost, inventory) {
+    const needed = cost.roc_feather;
+    const owned = inventory
+      .filter(stack => stack.id === 'roc_feather')
+      .reduce((total, stack) => total + stack.quantity, 0);
+    
+    return `Not enough Roc Feathers: a jump costs ${needed} and you have ${owned}`;
+  }
+
+  /**
+   * Add a jump to the player's travel history
+   * A jump that cannot be recorded is logged and still stands.
+   * @private
+   * @param {string} playerId - Player ID
+   * @param {Object} flag - The flag jumped to
+   * @param {Object} cost - Materials paid, catalog item ID -> quantity
+   * @param {number} toll - Gold paid to the flag's owner
+   * @returns {Promise<void>}
+   */
+  async _recordTravel(playerId, flag, cost, toll) {
+    try {
+      await FlagTravelRepository.recordTravel(
+        { playerId, flag, feathers: cost.roc_feather || 0, toll },
+        FLAG_DEFAULTS.TRAVEL_HISTORY_LENGTH
+      );
+    } catch (error) {
+      logger.error(`Could not record travel of player ${playerId} to flag ${flag.id}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Pick the player's items out of an inventory result
+   * @private
+   * @param {Object} result - InventorySystem result
+   * @returns {Object} { inventory, equipment }
+   */
+  _items({ inventory, equipment }) {
+    return { inventory, equipment };
+  }
+
+  /**
+   * Record something done to a flag in the audit log
+   * @private
+   * @param {string|null} actorId - The acting player's ID, or null for the server
+   * @param {string} action - What was done, e.g. 'flag.place'
+   * @param {Object} flag - The flag acted on
+   * @param {Object} states - { before, after, details }; before is null for a new flag, after for a removed one
+   * @returns {Promise<boolean>} Whether the event was stored
+   */
+  _audit(actorId, action, flag, { before = null, after = null, details = null } = {}) {
+    return AuditSystem.record({
+      actorId,
+      action,
+      target: { type: 'flag', id: flag.id },
+      position: flag.position,
+      before,
+      after,
+      details
+    });
+  }
+
+  /**
+   * Tell change listeners about a saved change
+   * @private
+   * @param {Object} change - { flag } or { flagId, removed: true }
+   */
+  _notifyChange(change) {
+    for (const listener of this.changeListeners) {
+      try {
+        listener(change);
+      } catch (error) {
+        logger.error(`Flag change listener failed: ${error.message}`);
+      }
+    }
+  }
+
+  /**
+   * Tell siege listeners about an attack, a fire or a destroyed flag
+   * @private
+   * @param {Object} event - { event, flag, attackerId }
+   */
+  _notifySiege(event) {
+    for (const listener of this.siegeListeners) {
+      try {
+        listener(event);
+      } catch (error) {
+        logger.error(`Flag siege listener failed: ${error.message}`);
+      }
+    }
+  }
+
+  /**
+   * Fill in fields missing from stored flags, such as the seed flag in the initial migration
+   * @private
+   * @param {Object} flag - Flag loaded from the database
+   * @returns {Object} Flag object with every field set
+   */
+  _withDefaults(flag) {
+    return {
+      visualBoundary: FLAG_DEFAULTS.VISUAL_BOUNDARY,
+      isPublic: flag.ownerId === 'system',
+      toll: 0,
+      isHardened: false,
+      isAbandoned: false,
+      health: FLAG_DEFAULTS.HEALTH,
+      type: 'normal',
+      lastVisited: flag.updatedAt,
+      // Flags stored before owner visits were kept apart use their last visit by anyone
+      ownerLastVisited: flag.lastVisited ?? flag.updatedAt,
+      burningBy: null,
+      burnEndsAt: null,
+      ...flag,
+      radius: flag.radius || FLAG_DEFAULTS.RADIUS
+    };
+  }
+
   /**
    * Add a flag to the spatial index
    * @private
@@ -5,6 +5,7 @@
 
 import logger from '../../utils/logger.js';
 import { v4 as uuidv4 } from 'uuid';
+import AreaRepository from '../../repositories/AreaRepository.js';
 
 class GeospatialAreaSystem {
   constructor() {
@@ -32,6 +33,16 @@ class GeospatialAreaSystem {
     try {
       logger.info('Setting up initial game areas');
       
+      // Restore stored areas; the built-in areas below are then saved over their stored copies
+      try {
+        const storedAreas = await AreaRepository.getAllAreas();
+        for (const area of storedAreas) {
+          this.registerArea(area, { persist: false });
+        }
+      } catch (error) {
+        logger.warn(`Could not load stored areas: ${error.message}`);
+      }
+      
       // Set up a starting area
       this.registerArea({
         id: 'starting-area',
@@ -120,9 +131,10 @@ class GeospatialAreaSystem {
   /**
    * Register a new area with the system
    * @param {Object} area - Area definition
+   * @param {Object} options - { persist: false to skip saving the area to storage }
    * @returns {Boolean} - Whether registration was successful
    */
-  registerArea(area) {
+  registerArea(area, { persist = true } = {}) {
     try {
       // Validate required properties
       if (!area.id || !area.name || !area.boundingBox) {
@@ -144,7 +156,12 @@ class GeospatialAreaSystem {
       }
 
       // Add creation timestamp
-      area.createdAt = Date.now();
+      area.createdAt = area.createdAt || Date.now();
+
+      // Replacing an area must not leave its old cells in the spatial index
+      if (this.areas.has(area.id)) {
+        this._removeFromSpatialIndex(this.areas.get(area.id));
+      }
 
       // Store the area
       this.areas.set(area.id, area);
@@ -152,6 +169,10 @@ class GeospatialAreaSystem {
       // Add to spatial index
       this._addToSpatialIndex(area);
 
+      if (persist) {
+        this._saveArea(area);
+      }
+
       logger.info(`Area registered: ${area.name} (${area.id})`);
       return true;
     } catch (error) {
@@ -237,6 +258,29 @@ class GeospatialAreaSystem {
     }
   }
 
+  /**
+   * Calculate the distance between two points
+   * @param {Object} point1 - First point {lat, lng}
+   * @param {Object} point2 - Second point {lat, lng}
+   * @returns {Number} - Distance in meters
+   */
+  calculateDistance(point1, point2) {
+    // Haversine formula to calculate distance between two points on Earth
+    const R = 6371e3; // Earth radius in meters
+    const φ1 = point1.lat * Math.PI / 180;
+    const φ2 = point2.lat * Math.PI / 180;
+    const Δφ = (point2.lat - point1.lat) * Math.PI / 180;
+    const Δλ = (point2.lng - point1.lng) * Math.PI / 180;
+    
+    const a = Math.sin(Δφ/2) * Math.sin(Δφ/2) +
+              Math.cos(φ1) * Math.cos(φ2) *
+              Math.sin(Δλ/2) * Math.sin(Δλ/2);
+    
+    const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
+    
+    return R * c; // Distance in meters
+  }
+
   /**
    * Update an existing area
    * @param {String} areaId - The area ID
@@ -281,6 +325,8 @@ class GeospatialAreaSystem {
         this._addToSpatialIndex(updatedArea);
       }
       
+      this._saveArea(updatedArea);
+      
       logger.info(`Area updated: ${updatedArea.name} (${areaId})`);
       return true;
     } catch (error) {
@@ -310,6 +356,10 @@ class GeospatialAreaSystem {
       // Remove from areas map
       this.areas.delete(areaId);
       
+      AreaRepository.deleteArea(areaId).catch(error => {
+        logger.error(`Failed to delete stored area ${areaId}: ${error.message}`);
+      });
+      
       logger.info(`Area deleted: ${areaId}`);
       return true;
     } catch (error) {
@@ -318,6 +368,19 @@ class GeospatialAreaSystem {
     }
   }
 
+  /**
+   * Save an area to storage in the background
+   * Area changes are rare and the in-memory copy stays authoritative, so
+   * callers are not held up by the write.
+   * @private
+   * @param {Object} area - Area definition
+   */
+  _saveArea(area) {
+    AreaRepository.saveArea(area).catch(error => {
+      logger.error(`Failed to save area ${area.id}: ${error.message}`);
+    });
+  }
+
   /**
    * Add an area to the spatial index
    * @private
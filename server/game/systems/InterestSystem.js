@@ -0,0 +1,245 @@
+import { logger } from '../../utils/logger.js';
+
+/**
+ * System responsible for area-of-interest updates
+ * Players are bucketed into a lat/lng grid (the same cell scheme as the flag
+ * spatial index). Each tick, every client receives one `players-delta`
+ * message listing the players that entered, moved within or left its
+ * visible bounds since the last tick.
+ */
+class InterestSystem {
+  /**
+   * @param {import('../../network/ConnectionManager').default} connectionManager - ConnectionManager instance
+   * @param {import('./PlayerStateSystem').default} playerState - PlayerStateSystem instance
+   */
+  constructor(connectionManager, playerState) {
+    this.connectionManager = connectionManager;
+    this.playerState = playerState;
+
+    // Interest grid: cell key -> Set of player IDs
+    this.grid = new Map();
+    this.cellSize = 0.01; // Grid cell size in degrees
+
+    // playerId -> { position, cellKey, version, displayName }
+    this.entries = new Map();
+
+    // Constants
+    this.DEFAULT_VIEW_RADIUS = 0.05; // degrees around the player when no viewport is known
+    this.MAX_VIEW_SPAN = 0.5; // degrees - larger viewports are clamped around their centre
+
+    logger.info('InterestSystem initialized', { cellSize: this.cellSize });
+  }
+
+  /**
+   * Update method - called each game tick
+   * @param {number} deltaTime - Time since last update in seconds
+   */
+  update(deltaTime) {
+    const timestamp = Date.now();
+
+    for (const connection of this.connectionManager.connections.values()) {
+      if (!connection.isAuthenticated) continue;
+
+      const delta = this.buildDelta(connection);
+      if (delta.entered.length === 0 && delta.moved.length === 0 && delta.left.length === 0) {
+        continue;
+      }
+
+      this.connectionManager.sendToClient(connection.ws, 'players-delta', { ...delta, timestamp });
+    }
+  }
+
+  /**
+   * Record a player's new position
+   * @param {string} playerId - The player ID
+   * @param {Object} position - The position {lat, lng}
+   * @param {string} displayName - Name to show, for players whose state lives on another server instance
+   */
+  updatePlayerPosition(playerId, position, displayName = null) {
+    const cellKey = this.getCellKey(position.lat, position.lng);
+    const entry = this.entries.get(playerId);
+
+    if (entry && entry.cellKey !== cellKey) {
+      this.removeFromCell(entry.cellKey, playerId);
+    }
+
+    if (!entry || entry.cellKey !== cellKey) {
+      if (!this.grid.has(cellKey)) {
+        this.grid.set(cellKey, new Set());
+      }
+      this.grid.get(cellKey).add(playerId);
+    }
+
+    this.entries.set(playerId, {
+      position: { lat: position.lat, lng: position.lng },
+      cellKey,
+      version: (entry?.version || 0) + 1,
+      displayName: displayName || entry?.displayName || null
+    });
+  }
+
+  /**
+   * Stop tracking a player; clients that could see them get them in `left`
+   * @param {string} playerId - The player ID
+   */
+  removePlayer(playerId) {
+    const entry = this.entries.get(playerId);
+    if (!entry) return;
+
+    this.removeFromCell(entry.cellKey, playerId);
+    this.entries.delete(playerId);
+  }
+
+  /**
+   * Work out what changed for one client since its last delta
+   * @private
+   * @param {Object} connection - The connection info
+   * @returns {Object} - { entered, moved, left }
+   */
+  buildDelta(connection) {
+    // playerId -> version last sent to this client
+    if (!connection.knownPlayers) {
+      connection.knownPlayers = new Map();
+    }
+
+    const known = connection.knownPlayers;
+    const bounds = this.getInterestBounds(connection);
+    const visible = bounds ? this.getPlayersInBounds(bounds) : new Set();
+    visible.delete(connection.playerId);
+
+    const entered = [];
+    const moved = [];
+    const left = [];
+
+    for (const playerId of visible) {
+      const entry = this.entries.get(playerId);
+      const knownVersion = known.get(playerId);
+
+      if (knownVersion === undefined) {
+        const player = this.playerState.players.get(playerId);
+        entered.push({
+          id: playerId,
+          position: entry.position,
+          displayName: player?.profile?.displayName || player?.username || entry.displayName || undefined
+        });
+      } else if (knownVersion !== entry.version) {
+        moved.push({ id: playerId, position: entry.position });
+      }
+
+      known.set(playerId, entry.version);
+    }
+
+    for (const playerId of known.keys()) {
+      if (!visible.has(playerId)) {
+        left.push(playerId);
+        known.delete(playerId);
+      }
+    }
+
+    return { entered, moved, left };
+  }
+
+  /**
+   * Get the bounds a client is interested in
+   * Uses the client's viewport, falling back to a box around its player
+   * @private
+   * @param {Object} connection - The connection info
+   * @returns {Object|null} - Bounds { minLat, maxLat, minLng, maxLng } or null
+   */
+  getInterestBounds(connection) {
+    if (connection.viewport) {
+      return this.clampBounds(connection.viewport);
+    }
+
+    const entry = this.entries.get(connection.playerId);
+    if (!entry) return null;
+
+    const { lat, lng } = entry.position;
+    return {
+      minLat: lat - this.DEFAULT_VIEW_RADIUS,
+      maxLat: lat + this.DEFAULT_VIEW_RADIUS,
+      minLng: lng - this.DEFAULT_VIEW_RADIUS,
+      maxLng: lng + this.DEFAULT_VIEW_RADIUS
+    };
+  }
+
+  /**
+   * Limit bounds to MAX_VIEW_SPAN so a huge viewport cannot scan the whole grid
+   * @private
+   * @param {Object} bounds - Bounds { minLat, maxLat, minLng, maxLng }
+   * @returns {Object} - Clamped bounds
+   */
+  clampBounds(bounds) {
+    const clampSpan = (min, max) => {
+      if (max - min <= this.MAX_VIEW_SPAN) return [min, max];
+      const centre = (min + max) / 2;
+      return [centre - this.MAX_VIEW_SPAN / 2, centre + this.MAX_VIEW_SPAN / 2];
+    };
+
+    const [minLat, maxLat] = clampSpan(bounds.minLat, bounds.maxLat);
+    const [minLng, maxLng] = clampSpan(bounds.minLng, bounds.maxLng);
+
+    return { minLat, maxLat, minLng, maxLng };
+  }
+
+  /**
+   * Find tracked players inside bounds
+   * @private
+   * @param {Object} bounds - Bounds { minLat, maxLat, minLng, maxLng }
+   * @returns {Set<string>} - Player IDs
+   */
+  getPlayersInBounds(bounds) {
+    const { minLat, maxLat, minLng, maxLng } = bounds;
+    const result = new Set();
+
+    const minLatCell = Math.floor(minLat / this.cellSize);
+    const maxLatCell = Math.floor(maxLat / this.cellSize);
+    const minLngCell = Math.floor(minLng / this.cellSize);
+    const maxLngCell = Math.floor(maxLng / this.cellSize);
+
+    for (let latCell = minLatCell; latCell <= maxLatCell; latCell++) {
+      for (let lngCell = minLngCell; lngCell <= maxLngCell; lngCell++) {
+        const cell = this.grid.get(`${latCell}:${lngCell}`);
+        if (!cell) continue;
+
+        for (const playerId of cell) {
+          const { lat, lng } = this.entries.get(playerId).position;
+          if (lat >= minLat && lat <= maxLat && lng >= minLng && lng <= maxLng) {
+            result.add(playerId);
+          }
+        }
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Get the grid cell key for a position
+   * @private
+   * @param {number} lat - Latitude
+   * @param {number} lng - Longitude
+   * @returns {string} - Cell key
+   */
+  getCellKey(lat, lng) {
+    return `${Math.floor(lat / this.cellSize)}:${Math.floor(lng / this.cellSize)}`;
+  }
+
+  /**
+   * Remove a player from a grid cell, dropping the cell when empty
+   * @private
+   * @param {string} cellKey - Cell key
+   * @param {string} playerId - The player ID
+   */
+  removeFromCell(cellKey, playerId) {
+    const cell = this.grid.get(cellKey);
+    if (!cell) return;
+
+    cell.delete(playerId);
+    if (cell.size === 0) {
+      this.grid.delete(cellKey);
+    }
+  }
+}
+
+export default InterestSystem;
@@ -0,0 +1,806 @@
+/**
+ * InventorySystem.js
+ * Applies inventory transactions, the only way a player's items change
+ *
+ * The client changes its inventory straight away and sends the change as a
+ * transaction. The server checks it against the stored items with the slot,
+ * stacking and weight rules of the client's Inventory class, stores the
+ * result and answers with the player's items. A rejected transaction changes
+ * nothing, and the client rolls back to the items it is sent.
+ *
+ * Each transaction carries an idempotency key chosen by the client. A
+ * transaction retried with a key the server has seen (e.g. after a
+ * reconnect) is answered with its recorded outcome instead of being applied
+ * again.
+ *
+ * Clients cannot add items: the server cannot tell a real pickup from a
+ * made-up one, so loot is rolled and given by LootSystem instead. Resources,
+ * which pay for flags, are not imported either (see isServerOnly).
+ *
+ * The server changes items itself with chargeItems and grantItems, e.g. to
+ * take the materials a flag costs or to give loot. Those changes are recorded as transactions
+ * with server-chosen keys and reach the client as 'inventory-updated'.
+ *
+ * Applied transactions are recorded in the audit log (AuditSystem) with the
+ * stacks they changed; rejected ones change nothing and are not.
+ */
+
+import crypto from 'node:crypto';
+import logger from '../../utils/logger.js';
+import InventoryRepository from '../../repositories/InventoryRepository.js';
+import AuditSystem from './AuditSystem.js';
+import PlayerStateSystem from './PlayerStateSystem.js';
+import { EQUIPMENT_SLOTS, STARTER_ITEMS, getItem, isServerOnly, getEquipmentSlots } from '../ItemCatalog.js';
+
+// Capacity of the client's InventoryManager
+const INVENTORY_LIMITS = {
+  MAX_SLOTS: 30,
+  MAX_WEIGHT: 100,
+  MAX_QUANTITY: 9999
+};
+
+// Slack for floating-point weight sums, which the client adds up in a different order
+const WEIGHT_TOLERANCE = 1e-9;
+
+// How long transaction records are kept, and so how late a retry is still recognised
+const TRANSACTION_RETENTION_MS = 7 * 24 * 60 * 60 * 1000;
+
+// Key recorded for the import of a player's old local inventory
+const IMPORT_KEY = 'legacy-import';
+
+// Transactions a client may send
+export const TRANSACTION_KINDS = ['use', 'move', 'split', 'drop', 'equip', 'unequip'];
+
+class InventorySystem {
+  constructor() {
+    // playerId -> promise settling when the player's last queued transaction is done
+    this.queues = new Map();
+
+    logger.info('InventorySystem initialized');
+  }
+
+  /**
+   * Get a player's items
+   * @param {string} playerId - The player's ID
+   * @returns {Promise<Object>} - { success, inventory, equipment, error }
+   */
+  async getInventory(playerId) {
+    try {
+      const items = await InventoryRepository.getItems(playerId);
+      return { success: true, ...this._snapshot(items) };
+    } catch (error) {
+      logger.error(`Error loading inventory for ${playerId}: ${error.message}`);
+      return { success: false, error: 'Failed to load inventory' };
+    }
+  }
+
+  /**
+   * Check and apply an inventory transaction
+   * A player's transactions are applied one at a time, in the order they arrive.
+   * @param {string} playerId - The player's ID
+   * @param {string} key - Idempotency key chosen by the client
+   * @param {string} kind - One of TRANSACTION_KINDS
+   * @param {Object} params - The transaction's parameters (see the README)
+   * @returns {Promise<Object>} - { success, rejected, error, inventory, equipment }; inventory and
+   *   equipment are the player's items after the transaction, or unchanged if it was rejected
+   */
+  async applyTransaction(playerId, key, kind, params) {
+    return this._exclusive(playerId, async () => {
+      try {
+        const recorded = await InventoryRepository.getTransaction(playerId, key);
+        if (recorded) {
+          return this._replay(playerId, key, recorded);
+        }
+
+        const items = await InventoryRepository.getItems(playerId);
+        const { next, error } = this._plan(items, kind, params);
+
+        if (error) {
+          if (!await InventoryRepository.recordRejection(playerId, key, kind, error)) {
+            return this._replay(playerId, key, await InventoryRepository.getTransaction(playerId, key));
+          }
+
+          logger.debug(`Rejected ${kind} transaction ${key} for ${playerId}: ${error}`);
+          return { success: false, rejected: true, error, ...this._snapshot(items) };
+        }
+
+        const changes = this._diff(items, next);
+        if (!await InventoryRepository.applyTransaction(playerId, key, kind, changes)) {
+          return this._replay(playerId, key, await InventoryRepository.getTransaction(playerId, key));
+        }
+
+        logger.debug(`Applied ${kind} transaction ${key} for ${playerId}`);
+        await this._audit(playerId, kind, key, items, changes);
+        return { success: true, ...this._snapshot(next) };
+      } catch (error) {
+        logger.error(`Error applying ${kind} transaction ${key} for ${playerId}: ${error.message}`);
+        return { success: false, error: 'Failed to apply inventory transaction' };
+      }
+    });
+  }
+
+  /**
+   * Give a player with no items the inventory and equipment they kept locally
+   * Only items in the catalog are imported, and only as many as fit the inventory.
+   * Resources are not imported; the player gets STARTER_ITEMS instead.
+   * @param {string} playerId - The player's ID
+   * @param {Array<Object>} inventory - [{ id, quantity, slotIndex }] as sent by the client
+   * @param {Object} equipment - Equipment slot -> item ID
+   * @returns {Promise<Object>} - { success, inventory, equipment, error } with the player's items afterwards
+   */
+  async importInventory(playerId, inventory, equipment) {
+    return this._exclusive(playerId, async () => {
+      try {
+        const items = await InventoryRepository.getItems(playerId);
+        if (items.length > 0) {
+          return { success: true, ...this._snapshot(items) };
+        }
+
+        const next = [];
+        for (const stack of Array.isArray(inventory) ? inventory : []) {
+          this._importStack(next, stack);
+        }
+
+        for (const slot of EQUIPMENT_SLOTS) {
+          const item = typeof equipment?.[slot] === 'string' ? getItem(equipment[slot]) : null;
+          if (item && getEquipmentSlots(item).includes(slot)) {
+            next.push(this._newItem(equipment[slot], 1, null, slot));
+          }
+        }
+
+        for (const [itemId, quantity] of Object.entries(STARTER_ITEMS)) {
+          const error = this._addToInventory(next, itemId, quantity);
+          if (error) {
+            logger.warn(`Starter ${itemId} does not fit the inventory of ${playerId}: ${error}`);
+          }
+        }
+
+        const changes = this._diff([], next);
+        if (!await InventoryRepository.applyTransaction(playerId, IMPORT_KEY, 'import', changes)) {
+          return { success: true, ...this._snapshot(await InventoryRepository.getItems(playerId)) };
+        }
+
+        logger.info(`Imported ${next.length} local items for ${playerId}`);
+        await this._audit(playerId, 'import', IMPORT_KEY, [], changes);
+        return { success: true, ...this._snapshot(next) };
+      } catch (error) {
+        logger.error(`Error importing inventory for ${playerId}: ${error.message}`);
+        return { success: false, error: 'Failed to import inventory' };
+      }
+    });
+  }
+
+  /**
+   * Take items from a player's inventory on the server's behalf, all or nothing
+   * Stacks in the lowest slots are used first, as by the client's InventoryManager.
+   * @param {string} playerId - The player's ID
+   * @param {string} kind - What the items pay for, e.g. 'flag-place'; recorded as the transaction's kind
+   * @param {Object} costs - Catalog item ID -> quantity
+   * @returns {Promise<Object>} - { success, inventory, equipment, error } with the player's items afterwards
+   */
+  async chargeItems(playerId, kind, costs) {
+    return this._applyServerChange(playerId, kind, (items) => this._takeItems(items, costs));
+  }
+
+  /**
+   * Give items to a player on the server's behalf, all or nothing
+   * Items are added as Inventory.addItem adds them, and the inventory must have room for all of them.
+   * @param {string} playerId - The player's ID
+   * @param {string} kind - Why the items are given, e.g. 'flag-refund' or 'loot'; recorded as the transaction's kind
+   * @param {Object} gains - Catalog item ID -> quantity
+   * @returns {Promise<Object>} - { success, inventory, equipment, error } with the player's items afterwards
+   */
+  async grantItems(playerId, kind, gains) {
+    return this._applyServerChange(playerId, kind, (items) => {
+      for (const [itemId, quantity] of Object.entries(gains)) {
+        const error = this._addToInventory(items, itemId, quantity);
+        if (error) {
+          return error;
+        }
+      }
+      return null;
+    });
+  }
+
+  /**
+   * Delete transaction records too old to be retried
+   * Called periodically by the game loop.
+   * @returns {Promise<number>} - Number of records deleted
+   */
+  async pruneTransactions() {
+    return InventoryRepository.deleteTransactionsBefore(new Date(Date.now() - TRANSACTION_RETENTION_MS));
+  }
+
+  /**
+   * Run a task after the player's earlier queued tasks have finished
+   * @private
+   * @param {string} playerId - The player's ID
+   * @param {Function} task - Async task
+   * @returns {Promise<any>} - The task's result
+   */
+  _exclusive(playerId, task) {
+    const result = (this.queues.get(playerId) || Promise.resolve()).then(task);
+    const done = result.catch(() => {});
+
+    this.queues.set(playerId, done);
+    done.then(() => {
+      if (this.queues.get(playerId) === done) {
+        this.queues.delete(playerId);
+      }
+    });
+
+    return result;
+  }
+
+  /**
+   * Apply a change the server makes to a player's items
+   * @private
+   * @param {string} playerId - The player's ID
+   * @param {string} kind - Transaction kind
+   * @param {Function} change - Changes a copy of the items; returns an error message, or null if applied
+   * @returns {Promise<Object>} - { success, inventory, equipment, error } with the player's items afterwards
+   */
+  async _applyServerChange(playerId, kind, change) {
+    return this._exclusive(playerId, async () => {
+      try {
+        const items = await InventoryRepository.getItems(playerId);
+        const next = items.map(item => ({ ...item }));
+
+        const error = change(next);
+        if (error) {
+          return { success: false, error, ...this._snapshot(items) };
+        }
+
+        // Client keys cannot contain ':', so these never collide with them
+        const key = `${kind}:${crypto.randomUUID()}`;
+        const changes = this._diff(items, next);
+        await InventoryRepository.applyTransaction(playerId, key, kind, changes);
+
+        logger.debug(`Applied server ${kind} transaction ${key} for ${playerId}`);
+        await this._audit(playerId, kind, key, items, changes);
+        return { success: true, ...this._snapshot(next) };
+      } catch (error) {
+        logger.error(`Error applying server ${kind} transaction for ${playerId}: ${error.message}`);
+        return { success: false, error: 'Failed to update inventory' };
+      }
+    });
+  }
+
+  /**
+   * Answer a transaction whose key was already recorded
+   * @private
+   * @param {string} playerId - The player's ID
+   * @param {string} key - The idempotency key
+   * @param {Object} recorded - { kind, status, error }
+   * @returns {Promise<Object>} - Result as from applyTransaction, with the player's current items
+   */
+  async _replay(playerId, key, recorded) {
+    logger.debug(`Replaying ${recorded.status} ${recorded.kind} transaction ${key} for ${playerId}`);
+
+    const snapshot = this._snapshot(await InventoryRepository.getItems(playerId));
+
+    return recorded.status === 'committed'
+      ? { success: true, ...snapshot }
+      : { success: false, rejected: true, error: recorded.error, ...snapshot };
+  }
+
+  /**
+   * Work out a player's items after a transaction
+   * @private
+   * @param {Array<Object>} items - Stored items { id, itemId, quantity, slot, equipmentSlot }
+   * @param {string} kind - The transaction's kind
+   * @param {Object} params - The transaction's parameters
+   * @returns {Object} - { next: items afterwards } or { error: why the transaction is rejected }
+   */
+  _plan(items, kind, params) {
+    const next = items.map(item => ({ ...item }));
+    let error;
+
+    switch (kind) {
+      case 'use':
+        error = this._use(next, params);
+        break;
+      case 'move':
+        error = this._move(next, params);
+        break;
+      case 'split':
+        error = this._split(next, params);
+        break;
+      case 'drop':
+        error = this._drop(next, params);
+        break;
+      case 'equip':
+        error = this._equip(next, params);
+        break;
+      case 'unequip':
+        error = this._unequip(next, params);
+        break;
+      default:
+        error = `Unknown transaction kind: ${kind}`;
+    }
+
+    return error ? { error } : { next };
+  }
+
+  /**
+   * Use the item in a slot: { slot }
+   * Consumables are used up one at a time; other usable items stay where they are.
+   * @private
+   * @param {Array<Object>} items - Items to change
+   * @param {Object} params - The transaction's parameters
+   * @returns {string|null} - Error message, or null if applied
+   */
+  _use(items, { slot }) {
+    const stack = this._inSlot(items, slot);
+    if (!stack) {
+      return 'No item in that slot';
+    }
+
+    const item = getItem(stack.itemId);
+    if (!item?.usable) {
+      return 'That item cannot be used';
+    }
+
+    if (item.type === 'consumable') {
+      this._take(items, stack, 1);
+    }
+
+    return null;
+  }
+
+  /**
+   * Move a stack, or part of it, to another slot: { fromSlot, toSlot, quantity (default: all) }
+   * As in Inventory.moveItem, the target slot must be empty or hold a stack the items can join.
+   * @private
+   * @param {Array<Object>} items - Items to change
+   * @param {Object} params - The transaction's parameters
+   * @returns {string|null} - Error message, or null if applied
+   */
+  _move(items, { fromSlot, toSlot, quantity }) {
+    const source = this._inSlot(items, fromSlot);
+    if (!source) {
+      return 'No item in that slot';
+    }
+
+    if (!this._isSlot(toSlot) || toSlot === fromSlot) {
+      return 'Invalid target slot';
+    }
+
+    const amount = quantity ?? source.quantity;
+    if (!this._isInteger(amount, 1, source.quantity)) {
+      return 'Invalid quantity';
+    }
+
+    const target = this._inSlot(items, toSlot);
+
+    if (!target) {
+      if (amount === source.quantity) {
+        source.slot = toSlot;
+      } else {
+        this._take(items, source, amount);
+        items.push(this._newItem(source.itemId, amount, toSlot));
+      }
+      return null;
+    }
+
+    const item = getItem(source.itemId);
+    if (target.itemId !== source.itemId || !item?.stackable) {
+      return 'Those items do not stack';
+    }
+
+    const moved = Math.min(amount, item.maxStackSize - target.quantity);
+    if (moved <= 0) {
+      return 'That stack is full';
+    }
+
+    target.quantity += moved;
+    this._take(items, source, moved);
+    return null;
+  }
+
+  /**
+   * Split part of a stack into an empty slot: { fromSlot, toSlot, quantity }
+   * @private
+   * @param {Array<Object>} items - Items to change
+   * @param {Object} params - The transaction's parameters
+   * @returns {string|null} - Error message, or null if applied
+   */
+  _split(items, { fromSlot, toSlot, quantity }) {
+    const source = this._inSlot(items, fromSlot);
+    if (!source) {
+      return 'No item in that slot';
+    }
+
+    if (!this._isSlot(toSlot) || this._inSlot(items, toSlot)) {
+      return 'A stack can only be split into an empty slot';
+    }
+
+    if (!this._isInteger(quantity, 1, source.quantity - 1)) {
+      return 'Invalid quantity';
+    }
+
+    this._take(items, source, quantity);
+    items.push(this._newItem(source.itemId, quantity, toSlot));
+    return null;
+  }
+
+  /**
+   * Drop items from a slot: { slot, quantity }
+   * @private
+   * @param {Array<Object>} items - Items to change
+   * @param {Object} params - The transaction's parameters
+   * @returns {string|null} - Error message, or null if applied
+   */
+  _drop(items, { slot, quantity }) {
+    const stack = this._inSlot(items, slot);
+    if (!stack) {
+      return 'No item in that slot';
+    }
+
+    if (!this._isInteger(quantity, 1, stack.quantity)) {
+      return 'Invalid quantity';
+    }
+
+    this._take(items, stack, quantity);
+    return null;
+  }
+
+  /**
+   * Equip the item in a slot: { slot }
+   * As in EquipmentManager.equipFromInventory, the item goes in the first free slot for
+   * its type (or the first slot if all are taken) and whatever was there returns to the
+   * inventory. Unlike the client, an equip that leaves no room for that item is rejected.
+   * @private
+   * @param {Array<Object>} items - Items to change
+   * @param {Object} params - The transaction's parameters
+   * @returns {string|null} - Error message, or null if applied
+   */
+  _equip(items, { slot }) {
+    const source = this._inSlot(items, slot);
+    if (!source) {
+      return 'No item in that slot';
+    }
+
+    const slots = getEquipmentSlots(getItem(source.itemId) || {});
+    if (slots.length === 0) {
+      return 'That item cannot be equipped';
+    }
+
+    const equipmentSlot = slots.find(candidate => !this._equippedIn(items, candidate)) || slots[0];
+    const current = this._equippedIn(items, equipmentSlot);
+
+    if (current) {
+      const error = this._addToInventory(items, current.itemId, current.quantity);
+      if (error) {
+        return error;
+      }
+      this._remove(items, current);
+    }
+
+    if (source.quantity === 1) {
+      source.slot = null;
+      source.equipmentSlot = equipmentSlot;
+    } else {
+      this._take(items, source, 1);
+      items.push(this._newItem(source.itemId, 1, null, equipmentSlot));
+    }
+
+    return null;
+  }
+
+  /**
+   * Return an equipped item to the inventory: { equipmentSlot }
+   * @private
+   * @param {Array<Object>} items - Items to change
+   * @param {Object} params - The transaction's parameters
+   * @returns {string|null} - Error message, or null if applied
+   */
+  _unequip(items, { equipmentSlot }) {
+    const current = EQUIPMENT_SLOTS.includes(equipmentSlot) ? this._equippedIn(items, equipmentSlot) : null;
+    if (!current) {
+      return 'Nothing is equipped there';
+    }
+
+    this._remove(items, current);
+    return this._addToInventory(items, current.itemId, current.quantity);
+  }
+
+  /**
+   * Take items from the inventory's stacks, lowest slots first; nothing is taken unless all are there
+   * @private
+   * @param {Array<Object>} items - Items to change
+   * @param {Object} costs - Catalog item ID -> quantity
+   * @returns {string|null} - Error message, or null if taken
+   */
+  _takeItems(items, costs) {
+    const missing = Object.entries(costs)
+      .filter(([itemId, quantity]) => this._countInInventory(items, itemId) < quantity)
+      .map(([itemId, quantity]) => `${quantity} ${itemId}`);
+
+    if (missing.length > 0) {
+      return `Not enough materials: needs ${missing.join(', ')}`;
+    }
+
+    for (const [itemId, quantity] of Object.entries(costs)) {
+      let remaining = quantity;
+      const stacks = items
+        .filter(stack => stack.slot !== null && stack.itemId === itemId)
+        .sort((a, b) => a.slot - b.slot);
+
+      for (const stack of stacks) {
+        const taken = Math.min(remaining, stack.quantity);
+        this._take(items, stack, taken);
+        remaining -= taken;
+
+        if (remaining === 0) {
+          break;
+        }
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Count how many of an item the inventory holds; equipped items are not counted
+   * @private
+   * @param {Array<Object>} items - The player's items
+   * @param {string} itemId - Catalog item ID
+   * @returns {number} - Quantity
+   */
+  _countInInventory(items, itemId) {
+    return items
+      .filter(item => item.slot !== null && item.itemId === itemId)
+      .reduce((total, item) => total + item.quantity, 0);
+  }
+
+  /**
+   * Add items to the inventory as Inventory.addItem does: onto existing stacks first,
+   * then into the lowest empty slots. Unlike the client, nothing is added unless all fit.
+   * @private
+   * @param {Array<Object>} items - Items to change
+   * @param {string} itemId - Catalog item ID
+   * @param {number} quantity - How many to add
+   * @returns {string|null} - Error message, or null if added
+   */
+  _addToInventory(items, itemId, quantity) {
+    const item = getItem(itemId);
+
+    if (this._weight(items) + item.weight * quantity > INVENTORY_LIMITS.MAX_WEIGHT + WEIGHT_TOLERANCE) {
+      return 'Too heavy to carry';
+    }
+
+    let remaining = quantity;
+
+    if (item.stackable) {
+      const stacks = items
+        .filter(stack => stack.slot !== null && stack.itemId === itemId)
+        .sort((a, b) => a.slot - b.slot);
+
+      for (const stack of stacks) {
+        const added = Math.min(remaining, item.maxStackSize - stack.quantity);
+        if (added > 0) {
+          stack.quantity += added;
+          remaining -= added;
+        }
+
+        if (remaining === 0) {
+          return null;
+        }
+      }
+    }
+
+    while (remaining > 0) {
+      const slot = this._findEmptySlot(items);
+      if (slot === -1) {
+        return 'Inventory is full';
+      }
+
+      const added = Math.min(remaining, item.maxStackSize);
+      items.push(this._newItem(itemId, added, slot));
+      remaining -= added;
+    }
+
+    return null;
+  }
+
+  /**
+   * Add one stack of an imported inventory, skipping anything that is unknown or does not fit
+   * @private
+   * @param {Array<Object>} items - Items to change
+   * @param {Object} stack - { id, quantity, slotIndex } as sent by the client
+   */
+  _importStack(items, stack) {
+    const item = typeof stack?.id === 'string' ? getItem(stack.id) : null;
+    if (!item || isServerOnly(item) || !this._isInteger(stack.quantity, 1, INVENTORY_LIMITS.MAX_QUANTITY)) {
+      return;
+    }
+
+    const slot = this._isSlot(stack.slotIndex) && !this._inSlot(items, stack.slotIndex)
+      ? stack.slotIndex
+      : this._findEmptySlot(items);
+
+    const fitsWeight = Math.floor((INVENTORY_LIMITS.MAX_WEIGHT - this._weight(items) + WEIGHT_TOLERANCE) / item.weight);
+    const quantity = Math.min(stack.quantity, item.maxStackSize, fitsWeight);
+
+    if (slot !== -1 && quantity > 0) {
+      items.push(this._newItem(stack.id, quantity, slot));
+    }
+  }
+
+  /**
+   * Work out the row changes that turn one set of items into another
+   * @private
+   * @param {Array<Object>} before - Stored items
+   * @param {Array<Object>} after - Items afterwards
+   * @returns {Object} - { inserted, updated, deleted: item IDs }
+   */
+  _diff(before, after) {
+    const previous = new Map(before.map(item => [item.id, item]));
+    const remaining = new Set(after.map(item => item.id));
+
+    return {
+      inserted: after.filter(item => !previous.has(item.id)),
+      updated: after.filter(item => {
+        const old = previous.get(item.id);
+        return old && (old.quantity !== item.quantity || old.slot !== item.slot || old.equipmentSlot !== item.equipmentSlot);
+      }),
+      deleted: before.filter(item => !remaining.has(item.id)).map(item => item.id)
+    };
+  }
+
+  /**
+   * Record an applied transaction in the audit log, placed where the player is
+   * @private
+   * @param {string} playerId - The player's ID
+   * @param {string} kind - Transaction kind, or 'import'
+   * @param {string} key - Idempotency key
+   * @param {Array<Object>} items - Items before the transaction
+   * @param {Object} changes - The transaction's row changes (see _diff)
+   * @returns {Promise<boolean>} - Whether the event was stored
+   */
+  async _audit(playerId, kind, key, items, changes) {
+    const changed = new Set([...changes.updated.map(item => item.id), ...changes.deleted]);
+    const player = await PlayerStateSystem.getPlayer(playerId);
+
+    return AuditSystem.record({
+      actorId: playerId,
+      action: `inventory.${kind}`,
+      target: { type: 'player', id: playerId },
+      position: player?.position,
+      before: items.filter(item => changed.has(item.id)),
+      after: [...changes.inserted, ...changes.updated],
+      details: { key }
+    });
+  }
+
+  /**
+   * Shape items the way the client's managers serialize them
+   * @private
+   * @param {Array<Object>} items - Items { id, itemId, quantity, slot, equipmentSlot }
+   * @returns {Object} - { inventory: [{ id, quantity, slotIndex }], equipment: slot -> item ID or null }
+   */
+  _snapshot(items) {
+    const inventory = items
+      .filter(item => item.slot !== null)
+      .sort((a, b) => a.slot - b.slot)
+      .map(item => ({ id: item.itemId, quantity: item.quantity, slotIndex: item.slot }));
+
+    const equipment = Object.fromEntries(EQUIPMENT_SLOTS.map(slot => [slot, this._equippedIn(items, slot)?.itemId ?? null]));
+
+    return { inventory, equipment };
+  }
+
+  /**
+   * Create an item row
+   * @private
+   * @param {string} itemId - Catalog item ID
+   * @param {number} quantity - Stack size
+   * @param {number|null} slot - Inventory slot, or null if equipped
+   * @param {string|null} equipmentSlot - Equipment slot, or null if in the inventory
+   * @returns {Object} - Item { id, itemId, quantity, slot, equipmentSlot }
+   */
+  _newItem(itemId, quantity, slot, equipmentSlot = null) {
+    return { id: crypto.randomUUID(), itemId, quantity, slot, equipmentSlot };
+  }
+
+  /**
+   * Remove some of a stack, removing the stack when it is used up
+   * @private
+   * @param {Array<Object>} items - Items to change
+   * @param {Object} stack - The stack
+   * @param {number} quantity - How many to remove
+   */
+  _take(items, stack, quantity) {
+    stack.quantity -= quantity;
+    if (stack.quantity === 0) {
+      this._remove(items, stack);
+    }
+  }
+
+  /**
+   * Remove an item row
+   * @private
+   * @param {Array<Object>} items - Items to change
+   * @param {Object} item - The item
+   */
+  _remove(items, item) {
+    items.splice(items.indexOf(item), 1);
+  }
+
+  /**
+   * Get the stack in an inventory slot
+   * @private
+   * @param {Array<Object>} items - The player's items
+   * @param {any} slot - Slot index
+   * @returns {Object|undefined} - The stack, if the slot is valid and filled
+   */
+  _inSlot(items, slot) {
+    return this._isSlot(slot) ? items.find(item => item.slot === slot) : undefined;
+  }
+
+  /**
+   * Get the item in an equipment slot
+   * @private
+   * @param {Array<Object>} items - The player's items
+   * @param {string} equipmentSlot - Equipment slot
+   * @returns {Object|undefined} - The item, if one is equipped there
+   */
+  _equippedIn(items, equipmentSlot) {
+    return items.find(item => item.equipmentSlot === equipmentSlot);
+  }
+
+  /**
+   * Find the lowest empty inventory slot
+   * @private
+   * @param {Array<Object>} items - The player's items
+   * @returns {number} - Slot index, or -1 if the inventory is full
+   */
+  _findEmptySlot(items) {
+    const used = new Set(items.map(item => item.slot));
+
+    for (let slot = 0; slot < INVENTORY_LIMITS.MAX_SLOTS; slot++) {
+      if (!used.has(slot)) {
+        return slot;
+      }
+    }
+
+    return -1;
+  }
+
+  /**
+   * Total weight of the items in the inventory; equipped items are not counted, as on the client
+   * @private
+   * @param {Array<Object>} items - The player's items
+   * @returns {number} - Weight
+   */
+  _weight(items) {
+    return items
+      .filter(item => item.slot !== null)
+      .reduce((total, item) => total + (getItem(item.itemId)?.weight ?? 0) * item.quantity, 0);
+  }
+
+  /**
+   * Check for an inventory slot index
+   * @private
+   * @param {any} value - The value
+   * @returns {boolean} - Whether it is a slot of the inventory
+   */
+  _isSlot(value) {
+    return this._isInteger(value, 0, INVENTORY_LIMITS.MAX_SLOTS - 1);
+  }
+
+  /**
+   * Check for an integer in a range
+   * @private
+   * @param {any} value - The value
+   * @param {number} min - Smallest allowed value
+   * @param {number} max - Largest allowed value
+   * @returns {boolean} - Whether the value is an integer from min to max
+   */
+  _isInteger(value, min, max) {
+    return Number.isInteger(value) && value >= min && value <= max;
+  }
+}
+
+export default new InventorySystem();
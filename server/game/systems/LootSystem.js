@@ -0,0 +1,149 @@
+/**
+ * LootSystem.js
+ * Gives players what they gather from trees, monsters and dungeons
+ *
+ * The client says which source it looted (e.g. 'tree' or 'monster:stag');
+ * the server rolls the drops from its own tables (game/LootTables.js) and
+ * adds them to the player's inventory with InventorySystem.grantItems. The
+ * client never names the items, quantities or gold it gets.
+ *
+ * Loot is the only way players earn gold. It is added to the stored
+ * character, and gold earned on someone else's public flag pays the flag's
+ * owner their share (see FlagEconomySystem).
+ *
+ * A player may claim each source once per its cooldown. Claims are kept in
+ * memory, so a restart forgets them; at worst that allows one early claim
+ * per source.
+ */
+
+import logger from '../../utils/logger.js';
+import CharacterRepository from '../../repositories/CharacterRepository.js';
+import InventorySystem from './InventorySystem.js';
+import PlayerStateSystem from './PlayerStateSystem.js';
+import FlagSystem from './FlagSystem.js';
+import FlagEconomySystem from './FlagEconomySystem.js';
+import { LOOT_TABLES, getLootTable, rollLoot, rollGold } from '../LootTables.js';
+
+// Longest cooldown of any source; older claims no longer matter
+const MAX_COOLDOWN_MS = Math.max(...Object.values(LOOT_TABLES).map(table => table.cooldownMs));
+
+class LootSystem {
+  constructor() {
+    // Last claim of each source: `${playerId}|${source}` -> timestamp
+    this.lastClaims = new Map();
+
+    logger.info('LootSystem initialized');
+  }
+
+  /**
+   * Roll a loot source's drops for a player and add them to their inventory and character
+   * @param {string} playerId - The player's ID
+   * @param {string} source - A key of LOOT_TABLES
+   * @returns {Promise<Object>} - { success, items: item ID -> quantity given, inventory, equipment,
+   *   gold: { version, gold, amount } with the character's new gold (null if none was given),
+   *   revenueShare: the FlagEconomySystem payment the gold made (or null), error }
+   */
+  async claim(playerId, source) {
+    const table = getLootTable(source);
+    if (!table) {
+      return { success: false, error: `Unknown loot source: ${source}` };
+    }
+
+    const claimKey = `${playerId}|${source}`;
+    const now = Date.now();
+    const lastClaim = this.lastClaims.get(claimKey);
+
+    if (lastClaim !== undefined && now - lastClaim < table.cooldownMs) {
+      const seconds = Math.ceil((table.cooldownMs - (now - lastClaim)) / 1000);
+      return { success: false, error: `Nothing more to gather here for ${seconds}s` };
+    }
+
+    // Taken before the grant so a second claim sent meanwhile is refused
+    this.lastClaims.set(claimKey, now);
+
+    const items = rollLoot(table);
+    const result = Object.keys(items).length > 0
+      ? await InventorySystem.grantItems(playerId, 'loot', items)
+      : await InventorySystem.getInventory(playerId);
+
+    if (!result.success) {
+      // Nothing was given, so the player may try again, e.g. after making room
+      if (this.lastClaims.get(claimKey) === now) {
+        this.lastClaims.delete(claimKey);
+      }
+      return result;
+    }
+
+    const gold = await this._giveGold(playerId, rollGold(table));
+    const revenueShare = gold ? await this._shareEarnings(playerId, gold.amount) : null;
+
+    logger.debug(`Player ${playerId} looted ${source}`, { items, gold: gold?.amount ?? 0 });
+    return { ...result, items, gold, revenueShare };
+  }
+
+  /**
+   * Add looted gold to a player's stored character
+   * A player with no character yet gets none, as a flag owner without one is not paid.
+   * @private
+   * @param {string} playerId - The player's ID
+   * @param {number} amount - Gold rolled
+   * @returns {Promise<Object|null>} - { version, gold, amount }, or null if nothing was given
+   */
+  async _giveGold(playerId, amount) {
+    if (amount <= 0) {
+      return null;
+    }
+
+    try {
+      const balance = await CharacterRepository.addGold(playerId, amount);
+      return balance ? { ...balance, amount } : null;
+    } catch (error) {
+      logger.error(`Error giving ${amount} looted gold to ${playerId}: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Pay a flag owner their share of gold a player earned on their land
+   * A share that cannot be paid is logged and skipped; the loot stands.
+   * @private
+   * @param {string} playerId - The earning player's ID
+   * @param {number} earned - Gold the loot gave
+   * @returns {Promise<Object|null>} - The payment, or null if none was made
+   */
+  async _shareEarnings(playerId, earned) {
+    try {
+      const player = await PlayerStateSystem.getPlayer(playerId);
+      if (!player?.position) {
+        return null;
+      }
+
+      const flag = await FlagSystem.findLandlordFlag(player.position, playerId);
+      if (!flag) {
+        return null;
+      }
+
+      const result = await FlagEconomySystem.payRevenueShare(flag, playerId, player.profile?.displayName || null, earned);
+      return result.success ? result.payment : null;
+    } catch (error) {
+      logger.error(`Error sharing earnings of ${playerId}: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Forget claims older than every cooldown
+   * Called periodically by the game loop.
+   */
+  pruneClaims() {
+    const cutoff = Date.now() - MAX_COOLDOWN_MS;
+
+    for (const [claimKey, claimedAt] of this.lastClaims) {
+      if (claimedAt <= cutoff) {
+        this.lastClaims.delete(claimKey);
+      }
+    }
+  }
+}
+
+export default new LootSystem();
@@ -20,11 +20,27 @@ class MovementSystem {
     this.updateBuffer = new Map(); // playerId -> array of movement updates
     this.BUFFER_SIZE = 10; // Store last 10 movement updates for interpolation
     this.INTERPOLATION_DELAY = 100; // ms
+    this.STALE_BUFFER_TIMEOUT = 30000; // ms without updates before a buffer is dropped
     this.isTestMode = process.env.NODE_ENV === 'test';
     
+    // Movement anchors, loaded from storage on a player's first move: playerId -> position
+    // the movement radius is measured from (the last teleport, or SPAWN_POSITION before one)
+    this.anchors = new Map();
+    
+    // Moves accepted within the speed window: playerId -> [{ position, timestamp }]
+    this.recentMoves = new Map();
+    
     // Constants
-    this.MAX_SPEED = 5; // meters per second
     this.MOVEMENT_RADIUS = 600; // meters - maximum distance from active flag
+    this.SPAWN_POSITION = { lat: 51.505, lng: -0.09 }; // where new players start (src/scenes/Game.js)
+    // Players move by tapping anywhere inside their boundary circle, not by walking.
+    // MapManager animates a tap at 2ms per meter, capped at 1 second, so one tap can
+    // cross the whole circle (2 * MOVEMENT_RADIUS = 1200m) in a second. A walking
+    // pace such as 5 m/s would refuse almost every tap.
+    this.MAX_SPEED = 2 * this.MOVEMENT_RADIUS; // meters per second
+    this.SPEED_TOLERANCE = 1.25; // Allowance for network jitter
+    this.SPEED_WINDOW = 5000; // ms - distance is added up over moves this recent
+    this.MIN_SPEED_WINDOW = 1000; // ms - shortest interval a window is judged over
     
     logger.info('MovementSystem initialized', {
       maxSpeed: this.MAX_SPEED,
@@ -37,18 +53,40 @@ class MovementSystem {
    * @param {number} deltaTime - Time since last update in seconds
    */
   update(deltaTime) {
-    // This could be used for collision detection, NPC movement, etc.
-    // Currently just a placeholder as most work is done reactively
+    // Movement itself is handled reactively; the tick only drops interpolation
+    // buffers and speed windows for players who have stopped sending updates
+    const now = Date.now();
+    const cutoff = now - this.STALE_BUFFER_TIMEOUT;
+
+    for (const [playerId, buffer] of this.updateBuffer.entries()) {
+      const lastUpdate = buffer[buffer.length - 1];
+      if (!lastUpdate || lastUpdate.timestamp < cutoff) {
+        this.updateBuffer.delete(playerId);
+      }
+    }
+
+    // A player's last accepted move is kept in their state, so speed checks
+    // can still start from it
+    const speedCutoff = now - this.SPEED_WINDOW;
+    for (const [playerId, moves] of this.recentMoves.entries()) {
+      if (moves[moves.length - 1].timestamp < speedCutoff) {
+        this.recentMoves.delete(playerId);
+      }
+    }
   }
 
   /**
    * Handle a movement update from a client
+   * The server's clock times the move, so clients cannot stretch their speed
+   * budget by sending old timestamps.
    * @param {Object} update - Movement update data
-   * @returns {Promise<Object>} - Result of the update
+   * @returns {Promise<Object>} - Result of the update; rejected moves carry the
+   *   authoritative position the client should return to
    */
   async handleMovementUpdate(update) {
     try {
-      const { playerId, position, direction, timestamp } = update;
+      const { playerId, position, direction } = update;
+      const timestamp = Date.now();
 
       // Get player's current state
       const player = await this.playerState.getPlayer(playerId);
@@ -57,20 +95,14 @@ class MovementSystem {
         return { success: false, error: 'Player not found' };
       }
 
-      // Add update to buffer
-      let buffer = this.updateBuffer.get(playerId);
-      if (!buffer) {
-        buffer = [];
-        this.updateBuffer.set(playerId, buffer);
-      }
-
-      buffer.push(update);
-      if (buffer.length > this.BUFFER_SIZE) {
-        buffer.shift();
-      }
-
       // Skip validation in test mode
       if (!this.isTestMode) {
+        // Anchors are only ever set by the server, so load the stored one
+        if (!this.anchors.has(playerId)) {
+          const anchor = await this.playerState.getMovementAnchor(playerId);
+          this.anchors.set(playerId, anchor || { ...this.SPAWN_POSITION });
+        }
+
         // Check if movement is within allowed range from a flag
         const isWithinRange = await this.isWithinMovementRange(playerId, position);
         if (!isWithinRange.success) {
@@ -79,37 +111,46 @@ class MovementSystem {
             position,
             error: isWithinRange.error 
           });
-          return isWithinRange;
+          return { ...isWithinRange, position: this.getAuthoritativePosition(player, playerId) };
         }
 
         // Check if movement speed is valid
-        if (!this.validateMovementSpeed(player, update)) {
+        if (!this.validateMovementSpeed(playerId, player, { position, timestamp })) {
           logger.warn('Invalid movement - speed too fast', { 
             playerId,
             position,
             playerPosition: player.position
           });
-          return { success: false, error: 'Movement speed exceeds maximum allowed' };
+          return {
+            success: false,
+            error: 'Movement speed exceeds maximum allowed',
+            position: this.getAuthoritativePosition(player, playerId)
+          };
         }
       }
 
+      // Add accepted update to the interpolation buffer
+      let buffer = this.updateBuffer.get(playerId);
+      if (!buffer) {
+        buffer = [];
+        this.updateBuffer.set(playerId, buffer);
+      }
+
+      buffer.push({ playerId, position, direction, timestamp });
+      if (buffer.length > this.BUFFER_SIZE) {
+        buffer.shift();
+      }
+
+      this.recordMove(playerId, position, timestamp);
+
       // Update player state
+      await this.playerState.updatePlayerPosition(playerId, position);
       await this.playerState.updatePlayer(playerId, {
-        position,
         direction,
         lastUpdate: timestamp
       });
 
-      // Update player in geospatial system
-      const visiblePlayers = await this.geospatialSystem.updatePlayerPosition(
-        playerId, 
-        position
-      );
-
-      return { 
-        success: true, 
-        visiblePlayers 
-      };
+      return { success: true, position };
     } catch (error) {
       logger.error('Error handling movement update', { 
         error: error.message, 
@@ -119,14 +160,79 @@ class MovementSystem {
     }
   }
 
+  /**
+   * Move a player to a new position outside normal movement (e.g. a teleport)
+   * The position becomes the player's new movement anchor, kept across
+   * sessions, and speed checks restart from it.
+   * @param {string} playerId - The player ID
+   * @param {Object} position - The new position {lat, lng}
+   * @returns {Promise<boolean>} - Whether the position was applied
+   */
+  async relocatePlayer(playerId, position) {
+    const now = Date.now();
+    const anchor = { lat: position.lat, lng: position.lng };
+
+    this.anchors.set(playerId, anchor);
+    this.updateBuffer.delete(playerId);
+    this.recentMoves.set(playerId, [{ position: anchor, timestamp: now }]);
+
+    const updated = await this.playerState.updatePlayerPosition(playerId, position);
+    if (updated) {
+      await this.playerState.updatePlayer(playerId, { lastUpdate: now });
+      await this.playerState.setMovementAnchor(playerId, anchor);
+    }
+
+    return updated;
+  }
+
+  /**
+   * Forget movement state for a player who has left
+   * Their anchor is stored, so it is loaded again on their next move.
+   * @param {string} playerId - The player ID
+   */
+  removePlayer(playerId) {
+    this.anchors.delete(playerId);
+    this.updateBuffer.delete(playerId);
+    this.recentMoves.delete(playerId);
+  }
+
+  /**
+   * Check whether a player has a real position yet (new players start at 0,0)
+   * @private
+   * @param {Object} player - Player state
+   * @returns {boolean} - Whether the player has a position
+   */
+  hasPosition(player) {
+    return !!player.position && !(player.position.lat === 0 && player.position.lng === 0);
+  }
+
+  /**
+   * Get the position a rejected client should be corrected to
+   * @private
+   * @param {Object} player - Player state
+   * @param {string} playerId - The player ID
+   * @returns {Object} - Position {lat, lng}
+   */
+  getAuthoritativePosition(player, playerId) {
+    const position = this.hasPosition(player) ? player.position : this.anchors.get(playerId);
+    return { lat: position.lat, lng: position.lng };
+  }
+
   /**
    * Check if a position is within allowed movement range of a player's flags
+   * The player's anchor (spawn point or last teleport destination) counts as
+   * well as every flag they own.
    * @param {string} playerId - The player ID
    * @param {Object} position - The position to check
    * @returns {Promise<Object>} - Success flag and error if applicable
    */
   async isWithinMovementRange(playerId, position) {
     try {
+      const anchor = this.anchors.get(playerId);
+      if (anchor && this.geospatialSystem.calculateDistance(position, anchor) <= this.MOVEMENT_RADIUS) {
+        return { success: true };
+      }
+
       // Get player's flags
       const playerFlags = await this.flagSystem.getPlayerFlags(playerId);
       
@@ -149,6 +255,14 @@ class MovementSystem {
           };
         }
         
+        // Without a start position, the anchor is the only limit
+        if (anchor) {
+          return {
+            success: false,
+            error: `Movement outside allowed range (${this.MOVEMENT_RADIUS}m)`
+          };
+        }
+        
         // If player somehow has no start position, allow movement (fallback)
         return { success: true };
       }
@@ -180,37 +294,58 @@ class MovementSystem {
   }
 
   /**
-   * Validate movement speed based on time and distance
+   * Validate movement speed over a sliding window
+   * The distance of every move accepted in the last SPEED_WINDOW is added up
+   * with this one and compared against the time since the window started, so
+   * a burst of messages shares one budget instead of each getting its own.
    * @private
+   * @param {string} playerId - The player ID
    * @param {Object} player - Player state
-   * @param {Object} update - Movement update
+   * @param {Object} update - Movement update ({ position, timestamp } in server time)
    * @returns {boolean} - Whether the movement speed is valid
    */
-  validateMovementSpeed(player, update) {
-    // If player has no position yet, allow first movement
-    if (!player.position) {
-      return true;
+  validateMovementSpeed(playerId, player, update) {
+    const cutoff = update.timestamp - this.SPEED_WINDOW;
+    let moves = (this.recentMoves.get(playerId) || []).filter(move => move.timestamp >= cutoff);
+
+    // Without recent moves, judge from the player's last known move
+    if (moves.length === 0) {
+      // If player has no position yet, or this is their first move this session, allow it
+      if (!this.hasPosition(player) || !player.lastUpdate) {
+        return true;
+      }
+      moves = [{ position: player.position, timestamp: player.lastUpdate }];
     }
-    
-    // Calculate time since last update in seconds
-    const timeDelta = update.timestamp - player.lastUpdate;
-    if (timeDelta <= 0) return false;
-    
-    const secondsPassed = timeDelta / 1000;
-    
-    // Calculate maximum possible distance based on max speed
-    const maxDistance = this.MAX_SPEED * secondsPassed;
-    
-    // Calculate actual distance moved using haversine formula
-    const distance = this.geospatialSystem.calculateDistance(
-      update.position, 
-      player.position
-    );
-    
-    // Allow movement if within max speed
+
+    // Distance along the path from the start of the window to the new position
+    let distance = 0;
+    for (let i = 1; i < moves.length; i++) {
+      distance += this.geospatialSystem.calculateDistance(moves[i - 1].position, moves[i].position);
+    }
+    distance += this.geospatialSystem.calculateDistance(moves[moves.length - 1].position, update.position);
+
+    // Floor the window so that a first burst is not judged over a near-zero interval
+    const timeDelta = Math.max(update.timestamp - moves[0].timestamp, this.MIN_SPEED_WINDOW);
+    const maxDistance = this.MAX_SPEED * (timeDelta / 1000) * this.SPEED_TOLERANCE;
+
     return distance <= maxDistance;
   }
 
+  /**
+   * Remember an accepted move for the speed window
+   * @private
+   * @param {string} playerId - The player ID
+   * @param {Object} position - The accepted position {lat, lng}
+   * @param {number} timestamp - Server time the move was accepted
+   */
+  recordMove(playerId, position, timestamp) {
+    const cutoff = timestamp - this.SPEED_WINDOW;
+    const moves = (this.recentMoves.get(playerId) || []).filter(move => move.timestamp >= cutoff);
+
+    moves.push({ position: { lat: position.lat, lng: position.lng }, timestamp });
+    this.recentMoves.set(playerId, moves);
+  }
+
   /**
    * Get interpolated position for a player (for smooth rendering on clients)
    * @param {string} playerId - The player ID
@@ -238,6 +238,47 @@ class PlayerStateSystem {
     }
   }
 
+  /**
+   * Get the point a player's movement radius is measured from
+   * Unlike most lookups here this throws when storage fails, so callers never
+   * mistake a failed read for a player without an anchor.
+   * @param {String} playerId - The player's unique identifier
+   * @returns {Promise<Object|null>} - The stored anchor {lat, lng}, or null if there is none
+   */
+  async getMovementAnchor(playerId) {
+    return PlayerRepository.getMovementAnchor(playerId);
+  }
+
+  /**
+   * Store the point a player's movement radius is measured from
+   * @param {String} playerId - The player's unique identifier
+   * @param {Object} anchor - The anchor {lat, lng}
+   * @returns {Promise<Boolean>} - Whether the anchor was stored
+   */
+  async setMovementAnchor(playerId, anchor) {
+    try {
+      return await PlayerRepository.setMovementAnchor(playerId, { lat: anchor.lat, lng: anchor.lng });
+    } catch (error) {
+      logger.error(`Database error when storing the movement anchor of ${playerId}: ${error.message}`);
+      return false;
+    }
+  }
+
+  /**
+   * Get the name a player's account goes by
+   * @param {String} playerId - The player's unique identifier
+   * @returns {Promise<string|null>} - The account's display name or username, or null if there is no account
+   */
+  async getAccountName(playerId) {
+    try {
+      const account = await PlayerRepository.getPlayerById(playerId, { includeProfile: true, includePosition: false });
+      return account ? this._accountName(account) : null;
+    } catch (error) {
+      logger.error(`Database error when getting the account name of ${playerId}: ${error.message}`);
+      return null;
+    }
+  }
+
   /**
    * Get a player's state
    * @param {String} playerId - The player's unique identifier
@@ -259,7 +300,11 @@ class PlayerStateSystem {
           this.players.set(playerId, {
             id: playerId,
             position: playerData.position,
-            profile: playerData.profile,
+            profile: {
+              displayName: this._accountName(playerData),
+              experience: playerData.profile?.experience,
+              level: playerData.profile?.level
+            },
             lastUpdated: Date.now()
           });
           
@@ -562,6 +607,16 @@ class PlayerStateSystem {
       }
     }
   }
+
+  /**
+   * Pick the name to show for a stored account
+   * @private
+   * @param {Object} account - Player from PlayerRepository.getPlayerById
+   * @returns {string} - The profile's display name, or the username
+   */
+  _accountName(account) {
+    return account.profile?.display_name || account.username;
+  }
 }
 
 export default new PlayerStateSystem(); 
\ No newline at end of file
@@ -0,0 +1,37 @@
+/**
+ * errorHandlers.js
+ * Express handlers that turn unmatched routes and thrown errors into
+ * the API's { success: false, error } JSON
+ */
+
+import logger from '../utils/logger.js';
+
+/**
+ * Answer requests no API route matched
+ */
+export const notFoundHandler = (req, res) => {
+  res.status(404).json({ success: false, error: `Not found: ${req.method} ${req.originalUrl}` });
+};
+
+/**
+ * Answer requests whose handler threw or whose body could not be parsed
+ * Express recognises error handlers by their four parameters, so `next` stays.
+ */
+export const errorHandler = (error, req, res, next) => {
+  // Errors raised by express.json() carry the status to answer with
+  if (error.type === 'entity.parse.failed') {
+    return res.status(400).json({ success: false, error: 'Malformed JSON body' });
+  }
+
+  if (error.status && error.status < 500) {
+    return res.status(error.status).json({ success: false, error: error.message });
+  }
+
+  logger.error(`Unhandled error in ${req.method} ${req.originalUrl}: ${error.message}`);
+  res.status(500).json({ success: false, error: 'Internal server error' });
+};
+
+export default {
+  notFoundHandler,
+  errorHandler
+};
@@ -0,0 +1,58 @@
+/**
+ * sessionAuth.js
+ * Express middleware that requires a valid session token, and optionally an admin account
+ */
+
+import authController from '../controllers/authController.js';
+import AdminRepository from '../repositories/AdminRepository.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Read the bearer token from a request
+ * @param {import('express').Request} req - The request
+ * @returns {string|null} - The token, or null if none was sent
+ */
+export const getRequestToken = (req) => {
+  const header = req.get('authorization') || '';
+  const [scheme, token] = header.split(' ');
+
+  return scheme === 'Bearer' && token ? token : null;
+};
+
+/**
+ * Reject requests without a valid session and expose the session as req.session
+ */
+export const requireSession = async (req, res, next) => {
+  const token = getRequestToken(req);
+
+  if (!token) {
+    return res.status(401).json({ success: false, error: 'Missing session token' });
+  }
+
+  const result = await authController.verifySessionToken(token);
+
+  if (!result.success) {
+    return res.status(result.status).json({ success: false, error: result.error });
+  }
+
+  req.session = result.data;
+  next();
+};
+
+/**
+ * Reject sessions whose player is not an admin; mount after requireSession
+ */
+export const requireAdmin = async (req, res, next) => {
+  try {
+    if (!(await AdminRepository.isAdmin(req.session.playerId))) {
+      logger.warn(`Player ${req.session.playerId} was refused admin access to ${req.method} ${req.originalUrl}`);
+      return res.status(403).json({ success: false, error: 'Admin access required' });
+    }
+  } catch (error) {
+    return res.status(500).json({ success: false, error: 'Admin check failed' });
+  }
+
+  next();
+};
+
+export default requireSession;
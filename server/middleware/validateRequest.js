@@ -0,0 +1,79 @@
+/**
+ * validateRequest.js
+ * Express middleware that validates request bodies, route parameters and query strings
+ */
+
+import { validateSchema } from '../utils/validation.js';
+
+/**
+ * Reject requests whose JSON body does not match a schema
+ * @param {Object} schema - Field schema (see utils/validation.js)
+ * @returns {Function} - Express middleware
+ */
+export const validateBody = (schema) => (req, res, next) => {
+  const error = validateSchema(req.body ?? {}, schema, 'body');
+
+  if (error) {
+    return res.status(400).json({ success: false, error });
+  }
+
+  next();
+};
+
+/**
+ * Reject requests whose route parameters do not match a schema
+ * Parameters are always strings, so only string rules apply.
+ * @param {Object} schema - Field schema (see utils/validation.js)
+ * @returns {Function} - Express middleware
+ */
+export const validateParams = (schema) => (req, res, next) => {
+  const error = validateSchema(req.params, schema);
+
+  if (error) {
+    return res.status(400).json({ success: false, error });
+  }
+
+  next();
+};
+
+/**
+ * Reject requests whose query parameters do not match a schema
+ * Query values are strings, or arrays when repeated, so only string rules apply.
+ * @param {Object} schema - Field schema (see utils/validation.js)
+ * @returns {Function} - Express middleware
+ */
+export const validateQuery = (schema) => (req, res, next) => {
+  const error = validateSchema({ ...req.query }, schema, 'query');
+
+  if (error) {
+    return res.status(400).json({ success: false, error });
+  }
+
+  next();
+};
+
+/**
+ * Parse an optional integer query parameter
+ * @param {string|undefined} value - The raw query value
+ * @param {Object} options - { defaultValue, min, max }
+ * @returns {number|null} - The parsed value, or null if it is invalid
+ */
+export const parseIntegerQuery = (value, { defaultValue, min, max }) => {
+  if (value === undefined) {
+    return defaultValue;
+  }
+
+  const parsed = Number(value);
+  if (!Number.isInteger(parsed) || parsed < min || parsed > max) {
+    return null;
+  }
+
+  return parsed;
+};
+
+export default {
+  validateBody,
+  validateParams,
+  validateQuery,
+  parseIntegerQuery
+};
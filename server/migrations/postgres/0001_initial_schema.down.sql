@@ -0,0 +1,10 @@
+-- The uuid-ossp and postgis extensions are left installed
+DROP TABLE IF EXISTS sessions;
+DROP TABLE IF EXISTS leaderboards;
+DROP TABLE IF EXISTS flags;
+DROP TABLE IF EXISTS areas;
+DROP TABLE IF EXISTS player_inventory_items;
+DROP TABLE IF EXISTS player_inventories;
+DROP TABLE IF EXISTS player_positions;
+DROP TABLE IF EXISTS player_profiles;
+DROP TABLE IF EXISTS players;
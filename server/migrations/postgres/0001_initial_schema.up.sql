@@ -1,4 +1,5 @@
 -- Initialize MMO Game Database Schema
+-- Everything is IF NOT EXISTS so databases created from the old init.sql are adopted as they are.
 
 -- Create necessary extensions
 CREATE EXTENSION IF NOT EXISTS "uuid-ossp";
@@ -108,6 +109,7 @@ CREATE TABLE IF NOT EXISTS sessions (
 CREATE INDEX IF NOT EXISTS idx_player_positions_position ON player_positions USING GIST(position);
 CREATE INDEX IF NOT EXISTS idx_areas_boundary ON areas USING GIST(boundary);
 CREATE INDEX IF NOT EXISTS idx_flags_position ON flags USING GIST(position);
+CREATE INDEX IF NOT EXISTS idx_flags_owner ON flags(owner_id);
 CREATE INDEX IF NOT EXISTS idx_leaderboards_category_score ON leaderboards(category, score DESC);
 
 -- Insert some default areas for testing
@@ -132,7 +134,8 @@ VALUES (
     'wilderness',
     ST_GeomFromText('POLYGON((0.2 0, 0.2 0.3, 0.4 0.3, 0.4 0, 0.2 0))', 4326),
     '{"description": "A dangerous area with resources to claim"}'
-);
+)
+ON CONFLICT (id) DO NOTHING;
 
 -- Insert system flags
 INSERT INTO flags (id, owner_id, name, position, properties)
@@ -142,4 +145,5 @@ VALUES (
     'Starting Flag',
     ST_GeomFromText('POINT(0.05 0.05)', 4326),
     '{"type": "system", "description": "Starting point for new players"}'
-); 
\ No newline at end of file
+)
+ON CONFLICT (id) DO NOTHING;
@@ -0,0 +1,13 @@
+-- Characters: stats, learned skills, inventory slots and equipment, owned by the server
+-- version goes up by one on every save; a save naming an older version is rejected.
+
+CREATE TABLE characters (
+    player_id UUID PRIMARY KEY REFERENCES players(id) ON DELETE CASCADE,
+    version INTEGER NOT NULL DEFAULT 1,
+    stats JSONB NOT NULL DEFAULT '{}',
+    skills JSONB NOT NULL DEFAULT '{}',
+    inventory JSONB NOT NULL DEFAULT '[]',
+    equipment JSONB NOT NULL DEFAULT '{}',
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
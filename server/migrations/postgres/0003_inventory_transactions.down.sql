@@ -0,0 +1,23 @@
+-- Put inventories and equipment back on characters before dropping the item rows
+ALTER TABLE characters
+    ADD COLUMN inventory JSONB NOT NULL DEFAULT '[]',
+    ADD COLUMN equipment JSONB NOT NULL DEFAULT '{}';
+
+UPDATE characters c SET
+    inventory = COALESCE((
+        SELECT jsonb_agg(jsonb_build_object('id', i.item_id, 'quantity', i.quantity, 'slotIndex', i.slot) ORDER BY i.slot)
+        FROM player_inventory_items i
+        WHERE i.player_id = c.player_id AND i.slot IS NOT NULL
+    ), '[]'),
+    equipment = COALESCE((
+        SELECT jsonb_object_agg(i.equipment_slot, i.item_id)
+        FROM player_inventory_items i
+        WHERE i.player_id = c.player_id AND i.equipment_slot IS NOT NULL
+    ), '{}');
+
+DELETE FROM player_inventory_items;
+
+DROP TABLE IF EXISTS inventory_transactions;
+DROP INDEX IF EXISTS idx_player_inventory_items_equipment_slot;
+DROP INDEX IF EXISTS idx_player_inventory_items_slot;
+ALTER TABLE player_inventory_items DROP COLUMN IF EXISTS equipment_slot;
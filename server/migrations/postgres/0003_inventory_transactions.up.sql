@@ -0,0 +1,38 @@
+-- Inventory items owned by the server and changed only through inventory transactions
+-- Each player_inventory_items row is a stack in an inventory slot or an equipped item.
+-- Every transaction a client sends is recorded under its idempotency key, so a retried
+-- transaction is answered from the record instead of being applied twice.
+
+ALTER TABLE player_inventory_items ADD COLUMN equipment_slot VARCHAR(20);
+
+-- A slot holds one stack and an equipment slot one item
+CREATE UNIQUE INDEX idx_player_inventory_items_slot
+    ON player_inventory_items(player_id, slot) WHERE slot IS NOT NULL;
+CREATE UNIQUE INDEX idx_player_inventory_items_equipment_slot
+    ON player_inventory_items(player_id, equipment_slot) WHERE equipment_slot IS NOT NULL;
+
+CREATE TABLE inventory_transactions (
+    player_id UUID NOT NULL REFERENCES players(id) ON DELETE CASCADE,
+    idempotency_key VARCHAR(64) NOT NULL,
+    kind VARCHAR(20) NOT NULL,
+    status VARCHAR(10) NOT NULL,
+    error TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    PRIMARY KEY (player_id, idempotency_key)
+);
+
+CREATE INDEX idx_inventory_transactions_created_at ON inventory_transactions(created_at);
+
+-- Move inventories and equipment saved with characters into item rows
+INSERT INTO player_inventory_items (player_id, item_id, quantity, slot)
+SELECT c.player_id, entry.value->>'id', (entry.value->>'quantity')::INTEGER,
+       COALESCE((entry.value->>'slotIndex')::INTEGER, (entry.ordinality - 1)::INTEGER)
+FROM characters c, jsonb_array_elements(c.inventory) WITH ORDINALITY AS entry(value, ordinality)
+ON CONFLICT DO NOTHING;
+
+INSERT INTO player_inventory_items (player_id, item_id, quantity, is_equipped, equipment_slot)
+SELECT c.player_id, equipped.value, 1, TRUE, equipped.key
+FROM characters c, jsonb_each_text(c.equipment) AS equipped
+WHERE equipped.value IS NOT NULL;
+
+ALTER TABLE characters DROP COLUMN inventory, DROP COLUMN equipment;
@@ -0,0 +1,5 @@
+DROP TABLE IF EXISTS account_tokens;
+DROP INDEX IF EXISTS idx_players_delete_after;
+ALTER TABLE players
+    DROP COLUMN IF EXISTS delete_after,
+    DROP COLUMN IF EXISTS email_verified_at;
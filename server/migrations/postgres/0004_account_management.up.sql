@@ -0,0 +1,22 @@
+-- Email verification, password reset and account deletion
+
+ALTER TABLE players
+    ADD COLUMN email_verified_at TIMESTAMP WITH TIME ZONE,
+    ADD COLUMN delete_after TIMESTAMP WITH TIME ZONE;
+
+-- Accounts waiting out their deletion grace period
+CREATE INDEX idx_players_delete_after ON players(delete_after) WHERE delete_after IS NOT NULL;
+
+-- One-time tokens sent by email; only a SHA-256 hash of each token is stored
+CREATE TABLE account_tokens (
+    token_hash CHAR(64) PRIMARY KEY,
+    player_id UUID NOT NULL REFERENCES players(id) ON DELETE CASCADE,
+    purpose VARCHAR(20) NOT NULL CHECK (purpose IN ('verify-email', 'reset-password')),
+    email VARCHAR(255) NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    used_at TIMESTAMP WITH TIME ZONE
+);
+
+CREATE INDEX idx_account_tokens_player ON account_tokens(player_id, purpose);
+CREATE INDEX idx_account_tokens_expires_at ON account_tokens(expires_at);
@@ -0,0 +1,16 @@
+-- Admin accounts and player bans
+
+ALTER TABLE players ADD COLUMN is_admin BOOLEAN NOT NULL DEFAULT FALSE;
+
+-- Bans placed from the admin API; expires_at is NULL for permanent bans
+CREATE TABLE player_bans (
+    id UUID PRIMARY KEY,
+    player_id UUID NOT NULL REFERENCES players(id) ON DELETE CASCADE,
+    reason TEXT,
+    banned_by UUID REFERENCES players(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    expires_at TIMESTAMP WITH TIME ZONE,
+    lifted_at TIMESTAMP WITH TIME ZONE
+);
+
+CREATE INDEX idx_player_bans_player ON player_bans(player_id);
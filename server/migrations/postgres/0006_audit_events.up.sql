@@ -0,0 +1,33 @@
+-- Append-only record of gameplay-significant actions (game/systems/AuditSystem.js)
+
+-- actor_id is NULL for actions the server takes by itself, such as marking a
+-- flag abandoned. It is not a foreign key, so events outlive deleted accounts.
+CREATE TABLE audit_events (
+    id BIGSERIAL PRIMARY KEY,
+    created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+    actor_id UUID,
+    action VARCHAR(50) NOT NULL,
+    target_type VARCHAR(20) NOT NULL,
+    target_id VARCHAR(100),
+    lat DOUBLE PRECISION,
+    lng DOUBLE PRECISION,
+    before_state JSONB,
+    after_state JSONB,
+    details JSONB
+);
+
+CREATE INDEX idx_audit_events_created ON audit_events(created_at);
+CREATE INDEX idx_audit_events_actor ON audit_events(actor_id, id);
+CREATE INDEX idx_audit_events_target ON audit_events(target_type, target_id, id);
+CREATE INDEX idx_audit_events_position ON audit_events(lat, lng);
+
+-- Events are never changed or removed once written
+CREATE FUNCTION refuse_audit_event_change() RETURNS trigger AS $$
+BEGIN
+    RAISE EXCEPTION 'audit_events is append-only';
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER audit_events_append_only
+    BEFORE UPDATE OR DELETE ON audit_events
+    FOR EACH ROW EXECUTE FUNCTION refuse_audit_event_change();
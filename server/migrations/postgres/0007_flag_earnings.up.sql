@@ -0,0 +1,20 @@
+-- Gold paid to flag owners: tolls for teleporting to their flags and their
+-- share of gold earned on their land (game/systems/FlagEconomySystem.js)
+
+-- Entries are only ever added. No column is a foreign key, so the history
+-- outlives burned-down flags and deleted accounts; flag_name and payer_name
+-- are the names when the gold was paid.
+CREATE TABLE flag_earnings (
+    id BIGSERIAL PRIMARY KEY,
+    created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+    owner_id UUID NOT NULL,
+    flag_id VARCHAR(100) NOT NULL,
+    flag_name VARCHAR(100),
+    kind VARCHAR(20) NOT NULL,
+    payer_id UUID,
+    payer_name VARCHAR(100),
+    amount INTEGER NOT NULL CHECK (amount > 0)
+);
+
+CREATE INDEX idx_flag_earnings_owner ON flag_earnings(owner_id, id);
+CREATE INDEX idx_flag_earnings_flag ON flag_earnings(flag_id, id);
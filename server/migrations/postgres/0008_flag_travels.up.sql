@@ -0,0 +1,18 @@
+-- Jumps players made to flags, for their travel history and recent destinations
+-- (game/systems/FlagSystem.js). Only each player's newest jumps are kept.
+
+-- flag_id is not a foreign key, so the history outlives removed flags;
+-- flag_name and the position are the flag's when the player jumped.
+CREATE TABLE flag_travels (
+    id BIGSERIAL PRIMARY KEY,
+    player_id UUID NOT NULL REFERENCES players(id) ON DELETE CASCADE,
+    flag_id VARCHAR(100) NOT NULL,
+    flag_name VARCHAR(100),
+    lat DOUBLE PRECISION NOT NULL,
+    lng DOUBLE PRECISION NOT NULL,
+    feathers INTEGER NOT NULL DEFAULT 0,
+    toll INTEGER NOT NULL DEFAULT 0,
+    traveled_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX idx_flag_travels_player ON flag_travels(player_id, id);
@@ -0,0 +1,3 @@
+ALTER TABLE player_positions
+    DROP COLUMN IF EXISTS anchor_lat,
+    DROP COLUMN IF EXISTS anchor_lng;
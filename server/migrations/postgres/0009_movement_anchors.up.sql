@@ -0,0 +1,11 @@
+-- Where each player's movement radius is measured from: their last teleport
+-- (game/systems/MovementSystem.js). NULL means the spawn point.
+
+ALTER TABLE player_positions
+    ADD COLUMN anchor_lat DOUBLE PRECISION,
+    ADD COLUMN anchor_lng DOUBLE PRECISION;
+
+-- Players who already moved keep roaming from their last stored position
+UPDATE player_positions
+SET anchor_lat = ST_Y(position), anchor_lng = ST_X(position)
+WHERE position IS NOT NULL AND NOT (ST_X(position) = 0 AND ST_Y(position) = 0);
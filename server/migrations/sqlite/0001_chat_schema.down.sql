@@ -0,0 +1,7 @@
+DROP TABLE IF EXISTS chat_reports;
+DROP TABLE IF EXISTS chat_sanctions;
+DROP TABLE IF EXISTS room_settings;
+DROP TABLE IF EXISTS room_roles;
+DROP TABLE IF EXISTS room_users;
+DROP TABLE IF EXISTS messages;
+DROP TABLE IF EXISTS rooms;
@@ -0,0 +1,85 @@
+-- Chat rooms, messages and moderation
+-- Matches the tables the server created before migrations, so existing
+-- databases are adopted as they are.
+
+CREATE TABLE IF NOT EXISTS rooms (
+    id TEXT PRIMARY KEY,
+    name TEXT NOT NULL,
+    created_at TEXT NOT NULL,
+    is_private INTEGER DEFAULT 0,
+    password TEXT,
+    metadata TEXT
+);
+
+CREATE TABLE IF NOT EXISTS messages (
+    id TEXT PRIMARY KEY,
+    room_id TEXT NOT NULL,
+    sender TEXT NOT NULL,
+    message TEXT NOT NULL,
+    timestamp TEXT NOT NULL,
+    sender_id TEXT,
+    FOREIGN KEY (room_id) REFERENCES rooms (id) ON DELETE CASCADE
+);
+
+-- Users in rooms
+CREATE TABLE IF NOT EXISTS room_users (
+    room_id TEXT NOT NULL,
+    user_id TEXT NOT NULL,
+    joined_at TEXT NOT NULL,
+    PRIMARY KEY (room_id, user_id),
+    FOREIGN KEY (room_id) REFERENCES rooms (id) ON DELETE CASCADE
+);
+
+-- Owners and moderators of chat rooms
+CREATE TABLE IF NOT EXISTS room_roles (
+    room_id TEXT NOT NULL,
+    user_id TEXT NOT NULL,
+    role TEXT NOT NULL CHECK (role IN ('owner', 'moderator')),
+    granted_by TEXT,
+    granted_at TEXT NOT NULL,
+    PRIMARY KEY (room_id, user_id),
+    FOREIGN KEY (room_id) REFERENCES rooms (id) ON DELETE CASCADE
+);
+
+-- Per-room chat settings such as slow mode
+CREATE TABLE IF NOT EXISTS room_settings (
+    room_id TEXT PRIMARY KEY,
+    slow_mode_seconds INTEGER NOT NULL DEFAULT 0,
+    updated_by TEXT,
+    updated_at TEXT NOT NULL,
+    FOREIGN KEY (room_id) REFERENCES rooms (id) ON DELETE CASCADE
+);
+
+-- Room mutes and bans; expires_at NULL means until lifted
+CREATE TABLE IF NOT EXISTS chat_sanctions (
+    id TEXT PRIMARY KEY,
+    room_id TEXT NOT NULL,
+    user_id TEXT NOT NULL,
+    type TEXT NOT NULL CHECK (type IN ('mute', 'ban')),
+    reason TEXT,
+    issued_by TEXT NOT NULL,
+    created_at TEXT NOT NULL,
+    expires_at TEXT,
+    lifted_at TEXT,
+    FOREIGN KEY (room_id) REFERENCES rooms (id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_chat_sanctions_room_user
+ON chat_sanctions (room_id, user_id, type);
+
+-- Reported messages kept with context for review
+CREATE TABLE IF NOT EXISTS chat_reports (
+    id TEXT PRIMARY KEY,
+    message_id TEXT NOT NULL,
+    scope TEXT NOT NULL,
+    room_id TEXT,
+    reporter_id TEXT NOT NULL,
+    reported_id TEXT,
+    reported_name TEXT,
+    message TEXT NOT NULL,
+    context TEXT,
+    reason TEXT,
+    status TEXT NOT NULL DEFAULT 'open',
+    created_at TEXT NOT NULL,
+    UNIQUE (message_id, reporter_id)
+);
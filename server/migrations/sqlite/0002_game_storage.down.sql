@@ -0,0 +1,16 @@
+DROP TABLE IF EXISTS sessions;
+DROP TABLE IF EXISTS leaderboards;
+DROP TRIGGER IF EXISTS flags_rtree_insert;
+DROP TRIGGER IF EXISTS flags_rtree_update;
+DROP TRIGGER IF EXISTS flags_rtree_delete;
+DROP TABLE IF EXISTS flags_rtree;
+DROP TABLE IF EXISTS flags;
+DROP TABLE IF EXISTS areas;
+DROP TABLE IF EXISTS player_inventories;
+DROP TRIGGER IF EXISTS player_positions_rtree_insert;
+DROP TRIGGER IF EXISTS player_positions_rtree_update;
+DROP TRIGGER IF EXISTS player_positions_rtree_delete;
+DROP TABLE IF EXISTS player_positions_rtree;
+DROP TABLE IF EXISTS player_positions;
+DROP TABLE IF EXISTS player_profiles;
+DROP TABLE IF EXISTS players;
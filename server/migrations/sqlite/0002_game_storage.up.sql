@@ -0,0 +1,158 @@
+-- Game storage for SQLite (used when USE_SQLITE=true)
+-- Mirrors postgres/0001_initial_schema. Points are stored as lat/lng columns and indexed by
+-- R-tree virtual tables kept in sync by triggers. Timestamps are ISO 8601 text.
+
+-- Players Table
+CREATE TABLE IF NOT EXISTS players (
+    id TEXT PRIMARY KEY,
+    username TEXT UNIQUE NOT NULL,
+    email TEXT UNIQUE NOT NULL,
+    password_hash TEXT NOT NULL,
+    created_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+    last_login TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+    is_active INTEGER DEFAULT 1,
+    avatar_url TEXT
+);
+
+-- Player Profiles Table
+CREATE TABLE IF NOT EXISTS player_profiles (
+    player_id TEXT PRIMARY KEY REFERENCES players(id) ON DELETE CASCADE,
+    display_name TEXT,
+    bio TEXT,
+    experience INTEGER DEFAULT 0,
+    level INTEGER DEFAULT 1,
+    health INTEGER DEFAULT 100,
+    max_health INTEGER DEFAULT 100,
+    created_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+    updated_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+-- Player Positions Table (spatial_id is the key into player_positions_rtree)
+CREATE TABLE IF NOT EXISTS player_positions (
+    spatial_id INTEGER PRIMARY KEY,
+    player_id TEXT UNIQUE NOT NULL REFERENCES players(id) ON DELETE CASCADE,
+    lat REAL,
+    lng REAL,
+    direction REAL DEFAULT 0,
+    current_area TEXT,
+    last_update TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+CREATE VIRTUAL TABLE IF NOT EXISTS player_positions_rtree USING rtree(
+    id,
+    min_lat, max_lat,
+    min_lng, max_lng
+);
+
+CREATE TRIGGER IF NOT EXISTS player_positions_rtree_insert
+AFTER INSERT ON player_positions
+WHEN NEW.lat IS NOT NULL AND NEW.lng IS NOT NULL
+BEGIN
+    INSERT INTO player_positions_rtree (id, min_lat, max_lat, min_lng, max_lng)
+    VALUES (NEW.spatial_id, NEW.lat, NEW.lat, NEW.lng, NEW.lng);
+END;
+
+CREATE TRIGGER IF NOT EXISTS player_positions_rtree_update
+AFTER UPDATE OF lat, lng ON player_positions
+BEGIN
+    DELETE FROM player_positions_rtree WHERE id = OLD.spatial_id;
+    INSERT INTO player_positions_rtree (id, min_lat, max_lat, min_lng, max_lng)
+    SELECT NEW.spatial_id, NEW.lat, NEW.lat, NEW.lng, NEW.lng
+    WHERE NEW.lat IS NOT NULL AND NEW.lng IS NOT NULL;
+END;
+
+CREATE TRIGGER IF NOT EXISTS player_positions_rtree_delete
+AFTER DELETE ON player_positions
+BEGIN
+    DELETE FROM player_positions_rtree WHERE id = OLD.spatial_id;
+END;
+
+CREATE INDEX IF NOT EXISTS idx_player_positions_area ON player_positions(current_area);
+
+-- Player Inventory Table
+CREATE TABLE IF NOT EXISTS player_inventories (
+    player_id TEXT PRIMARY KEY REFERENCES players(id) ON DELETE CASCADE,
+    items TEXT DEFAULT '[]',
+    created_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+    updated_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+-- Areas Table (the boundary is kept as its bounding box)
+CREATE TABLE IF NOT EXISTS areas (
+    id TEXT PRIMARY KEY,
+    name TEXT NOT NULL,
+    area_type TEXT NOT NULL,
+    min_lat REAL NOT NULL,
+    max_lat REAL NOT NULL,
+    min_lng REAL NOT NULL,
+    max_lng REAL NOT NULL,
+    properties TEXT,
+    created_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+    updated_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+-- Flags Table (spatial_id is the key into flags_rtree)
+CREATE TABLE IF NOT EXISTS flags (
+    spatial_id INTEGER PRIMARY KEY,
+    id TEXT UNIQUE NOT NULL,
+    owner_id TEXT REFERENCES players(id) ON DELETE SET NULL,
+    name TEXT,
+    lat REAL NOT NULL,
+    lng REAL NOT NULL,
+    radius INTEGER DEFAULT 500,
+    properties TEXT,
+    created_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+    updated_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+CREATE VIRTUAL TABLE IF NOT EXISTS flags_rtree USING rtree(
+    id,
+    min_lat, max_lat,
+    min_lng, max_lng
+);
+
+CREATE TRIGGER IF NOT EXISTS flags_rtree_insert
+AFTER INSERT ON flags
+BEGIN
+    INSERT INTO flags_rtree (id, min_lat, max_lat, min_lng, max_lng)
+    VALUES (NEW.spatial_id, NEW.lat, NEW.lat, NEW.lng, NEW.lng);
+END;
+
+CREATE TRIGGER IF NOT EXISTS flags_rtree_update
+AFTER UPDATE OF lat, lng ON flags
+BEGIN
+    UPDATE flags_rtree
+    SET min_lat = NEW.lat, max_lat = NEW.lat, min_lng = NEW.lng, max_lng = NEW.lng
+    WHERE id = NEW.spatial_id;
+END;
+
+CREATE TRIGGER IF NOT EXISTS flags_rtree_delete
+AFTER DELETE ON flags
+BEGIN
+    DELETE FROM flags_rtree WHERE id = OLD.spatial_id;
+END;
+
+CREATE INDEX IF NOT EXISTS idx_flags_owner ON flags(owner_id);
+
+-- Leaderboards Table (one row per player per category)
+CREATE TABLE IF NOT EXISTS leaderboards (
+    category TEXT NOT NULL,
+    player_id TEXT NOT NULL,
+    player_name TEXT,
+    score INTEGER DEFAULT 0,
+    updated_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+    PRIMARY KEY (category, player_id)
+);
+
+-- Sessions Table (for authentication)
+CREATE TABLE IF NOT EXISTS sessions (
+    id TEXT PRIMARY KEY,
+    player_id TEXT REFERENCES players(id) ON DELETE CASCADE,
+    ip_address TEXT,
+    user_agent TEXT,
+    is_valid INTEGER DEFAULT 1,
+    created_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+    expires_at TEXT NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_sessions_ip ON sessions(ip_address);
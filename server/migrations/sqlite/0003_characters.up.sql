@@ -0,0 +1,13 @@
+-- Characters: stats, learned skills, inventory slots and equipment, owned by the server
+-- Mirrors postgres/0002_characters, with the JSON columns stored as text.
+
+CREATE TABLE characters (
+    player_id TEXT PRIMARY KEY REFERENCES players(id) ON DELETE CASCADE,
+    version INTEGER NOT NULL DEFAULT 1,
+    stats TEXT NOT NULL DEFAULT '{}',
+    skills TEXT NOT NULL DEFAULT '{}',
+    inventory TEXT NOT NULL DEFAULT '[]',
+    equipment TEXT NOT NULL DEFAULT '{}',
+    created_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+    updated_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
@@ -0,0 +1,21 @@
+-- Put inventories and equipment back on characters before dropping the item rows
+ALTER TABLE characters ADD COLUMN inventory TEXT NOT NULL DEFAULT '[]';
+ALTER TABLE characters ADD COLUMN equipment TEXT NOT NULL DEFAULT '{}';
+
+UPDATE characters SET
+    inventory = COALESCE((
+        SELECT json_group_array(json_object('id', item_id, 'quantity', quantity, 'slotIndex', slot))
+        FROM (
+            SELECT item_id, quantity, slot FROM player_inventory_items
+            WHERE player_id = characters.player_id AND slot IS NOT NULL
+            ORDER BY slot
+        )
+    ), '[]'),
+    equipment = COALESCE((
+        SELECT json_group_object(equipment_slot, item_id)
+        FROM player_inventory_items
+        WHERE player_id = characters.player_id AND equipment_slot IS NOT NULL
+    ), '{}');
+
+DROP TABLE IF EXISTS inventory_transactions;
+DROP TABLE IF EXISTS player_inventory_items;
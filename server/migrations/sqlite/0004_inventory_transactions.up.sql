@@ -0,0 +1,48 @@
+-- Inventory items owned by the server and changed only through inventory transactions
+-- Mirrors player_inventory_items from postgres/0001_initial_schema and the rest of
+-- postgres/0003_inventory_transactions.
+
+CREATE TABLE player_inventory_items (
+    id TEXT PRIMARY KEY,
+    player_id TEXT NOT NULL REFERENCES players(id) ON DELETE CASCADE,
+    item_id TEXT NOT NULL,
+    quantity INTEGER DEFAULT 1,
+    slot INTEGER,
+    is_equipped INTEGER DEFAULT 0,
+    equipment_slot TEXT,
+    properties TEXT,
+    created_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+    updated_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+-- A slot holds one stack and an equipment slot one item
+CREATE UNIQUE INDEX idx_player_inventory_items_slot
+    ON player_inventory_items(player_id, slot) WHERE slot IS NOT NULL;
+CREATE UNIQUE INDEX idx_player_inventory_items_equipment_slot
+    ON player_inventory_items(player_id, equipment_slot) WHERE equipment_slot IS NOT NULL;
+
+CREATE TABLE inventory_transactions (
+    player_id TEXT NOT NULL REFERENCES players(id) ON DELETE CASCADE,
+    idempotency_key TEXT NOT NULL,
+    kind TEXT NOT NULL,
+    status TEXT NOT NULL,
+    error TEXT,
+    created_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+    PRIMARY KEY (player_id, idempotency_key)
+);
+
+CREATE INDEX idx_inventory_transactions_created_at ON inventory_transactions(created_at);
+
+-- Move inventories and equipment saved with characters into item rows
+INSERT OR IGNORE INTO player_inventory_items (id, player_id, item_id, quantity, slot)
+SELECT lower(hex(randomblob(16))), c.player_id, json_extract(entry.value, '$.id'),
+       json_extract(entry.value, '$.quantity'), COALESCE(json_extract(entry.value, '$.slotIndex'), entry.key)
+FROM characters c, json_each(c.inventory) AS entry;
+
+INSERT INTO player_inventory_items (id, player_id, item_id, quantity, is_equipped, equipment_slot)
+SELECT lower(hex(randomblob(16))), c.player_id, equipped.value, 1, 1, equipped.key
+FROM characters c, json_each(c.equipment) AS equipped
+WHERE equipped.value IS NOT NULL;
+
+ALTER TABLE characters DROP COLUMN inventory;
+ALTER TABLE characters DROP COLUMN equipment;
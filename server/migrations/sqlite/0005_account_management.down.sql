@@ -0,0 +1,4 @@
+DROP TABLE IF EXISTS account_tokens;
+DROP INDEX IF EXISTS idx_players_delete_after;
+ALTER TABLE players DROP COLUMN delete_after;
+ALTER TABLE players DROP COLUMN email_verified_at;
@@ -0,0 +1,22 @@
+-- Email verification, password reset and account deletion
+-- Mirrors postgres/0004_account_management.
+
+ALTER TABLE players ADD COLUMN email_verified_at TEXT;
+ALTER TABLE players ADD COLUMN delete_after TEXT;
+
+-- Accounts waiting out their deletion grace period
+CREATE INDEX idx_players_delete_after ON players(delete_after) WHERE delete_after IS NOT NULL;
+
+-- One-time tokens sent by email; only a SHA-256 hash of each token is stored
+CREATE TABLE account_tokens (
+    token_hash TEXT PRIMARY KEY,
+    player_id TEXT NOT NULL REFERENCES players(id) ON DELETE CASCADE,
+    purpose TEXT NOT NULL CHECK (purpose IN ('verify-email', 'reset-password')),
+    email TEXT NOT NULL,
+    created_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+    expires_at TEXT NOT NULL,
+    used_at TEXT
+);
+
+CREATE INDEX idx_account_tokens_player ON account_tokens(player_id, purpose);
+CREATE INDEX idx_account_tokens_expires_at ON account_tokens(expires_at);
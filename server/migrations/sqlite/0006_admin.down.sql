@@ -0,0 +1,2 @@
+DROP TABLE IF EXISTS player_bans;
+ALTER TABLE players DROP COLUMN is_admin;
@@ -0,0 +1,17 @@
+-- Admin accounts and player bans
+-- Mirrors postgres/0005_admin.
+
+ALTER TABLE players ADD COLUMN is_admin INTEGER NOT NULL DEFAULT 0;
+
+-- Bans placed from the admin API; expires_at is NULL for permanent bans
+CREATE TABLE player_bans (
+    id TEXT PRIMARY KEY,
+    player_id TEXT NOT NULL REFERENCES players(id) ON DELETE CASCADE,
+    reason TEXT,
+    banned_by TEXT REFERENCES players(id) ON DELETE SET NULL,
+    created_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+    expires_at TEXT,
+    lifted_at TEXT
+);
+
+CREATE INDEX idx_player_bans_player ON player_bans(player_id);
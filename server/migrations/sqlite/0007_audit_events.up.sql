@@ -0,0 +1,36 @@
+-- Append-only record of gameplay-significant actions (game/systems/AuditSystem.js)
+-- Mirrors postgres/0006_audit_events.
+
+-- actor_id is NULL for actions the server takes by itself, such as marking a
+-- flag abandoned. It is not a foreign key, so events outlive deleted accounts.
+CREATE TABLE audit_events (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    created_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+    actor_id TEXT,
+    action TEXT NOT NULL,
+    target_type TEXT NOT NULL,
+    target_id TEXT,
+    lat REAL,
+    lng REAL,
+    before_state TEXT,
+    after_state TEXT,
+    details TEXT
+);
+
+CREATE INDEX idx_audit_events_created ON audit_events(created_at);
+CREATE INDEX idx_audit_events_actor ON audit_events(actor_id, id);
+CREATE INDEX idx_audit_events_target ON audit_events(target_type, target_id, id);
+CREATE INDEX idx_audit_events_position ON audit_events(lat, lng);
+
+-- Events are never changed or removed once written
+CREATE TRIGGER audit_events_no_update
+BEFORE UPDATE ON audit_events
+BEGIN
+    SELECT RAISE(ABORT, 'audit_events is append-only');
+END;
+
+CREATE TRIGGER audit_events_no_delete
+BEFORE DELETE ON audit_events
+BEGIN
+    SELECT RAISE(ABORT, 'audit_events is append-only');
+END;
@@ -0,0 +1,21 @@
+-- Gold paid to flag owners: tolls for teleporting to their flags and their
+-- share of gold earned on their land (game/systems/FlagEconomySystem.js)
+-- Mirrors postgres/0007_flag_earnings.
+
+-- Entries are only ever added. No column is a foreign key, so the history
+-- outlives burned-down flags and deleted accounts; flag_name and payer_name
+-- are the names when the gold was paid.
+CREATE TABLE flag_earnings (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    created_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+    owner_id TEXT NOT NULL,
+    flag_id TEXT NOT NULL,
+    flag_name TEXT,
+    kind TEXT NOT NULL,
+    payer_id TEXT,
+    payer_name TEXT,
+    amount INTEGER NOT NULL CHECK (amount > 0)
+);
+
+CREATE INDEX idx_flag_earnings_owner ON flag_earnings(owner_id, id);
+CREATE INDEX idx_flag_earnings_flag ON flag_earnings(flag_id, id);
@@ -0,0 +1,19 @@
+-- Jumps players made to flags, for their travel history and recent destinations
+-- (game/systems/FlagSystem.js). Only each player's newest jumps are kept.
+-- Mirrors postgres/0008_flag_travels.
+
+-- flag_id is not a foreign key, so the history outlives removed flags;
+-- flag_name and the position are the flag's when the player jumped.
+CREATE TABLE flag_travels (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    player_id TEXT NOT NULL REFERENCES players(id) ON DELETE CASCADE,
+    flag_id TEXT NOT NULL,
+    flag_name TEXT,
+    lat REAL NOT NULL,
+    lng REAL NOT NULL,
+    feathers INTEGER NOT NULL DEFAULT 0,
+    toll INTEGER NOT NULL DEFAULT 0,
+    traveled_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+CREATE INDEX idx_flag_travels_player ON flag_travels(player_id, id);
@@ -0,0 +1,2 @@
+ALTER TABLE player_positions DROP COLUMN anchor_lng;
+ALTER TABLE player_positions DROP COLUMN anchor_lat;
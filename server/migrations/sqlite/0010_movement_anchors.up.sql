@@ -0,0 +1,11 @@
+-- Where each player's movement radius is measured from: their last teleport
+-- (game/systems/MovementSystem.js). NULL means the spawn point.
+-- Mirrors postgres/0009_movement_anchors.
+
+ALTER TABLE player_positions ADD COLUMN anchor_lat REAL;
+ALTER TABLE player_positions ADD COLUMN anchor_lng REAL;
+
+-- Players who already moved keep roaming from their last stored position
+UPDATE player_positions
+SET anchor_lat = lat, anchor_lng = lng
+WHERE lat IS NOT NULL AND lng IS NOT NULL AND NOT (lat = 0 AND lng = 0);
@@ -4,6 +4,8 @@
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { useSqlite } from '../config/storage.js';
+import SqliteLeaderboardRepository from '../repositories/sqlite/LeaderboardRepository.js';
 
 // ES module compatibility
 const __filename = fileURLToPath(import.meta.url);
@@ -29,6 +31,16 @@ const LEADERBOARD_CATEGORIES = {
 
 // Initialize leaderboard data structure
 const initializeLeaderboards = () => {
+  // With USE_SQLITE=true leaderboards are kept in the SQLite database instead of the file
+  if (useSqlite) {
+    try {
+      return SqliteLeaderboardRepository.loadLeaderboards(Object.values(LEADERBOARD_CATEGORIES));
+    } catch (error) {
+      console.error('Error reading leaderboard data:', error);
+      return null;
+    }
+  }
+  
   // Create default structure if file doesn't exist
   if (!fs.existsSync(dataPath)) {
     const defaultData = {
@@ -64,7 +76,12 @@ const initializeLeaderboards = () => {
 const saveLeaderboards = (data) => {
   try {
     data.lastUpdated = new Date().toISOString();
-    fs.writeFileSync(dataPath, JSON.stringify(data, null, 2));
+    
+    if (useSqlite) {
+      SqliteLeaderboardRepository.saveLeaderboards(data);
+    } else {
+      fs.writeFileSync(dataPath, JSON.stringify(data, null, 2));
+    }
     return true;
   } catch (error) {
     console.error('Error saving leaderboard data:', error);
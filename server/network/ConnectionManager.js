@@ -5,14 +5,55 @@
 
 import logger from '../utils/logger.js';
 import PlayerStateSystem from '../game/systems/PlayerStateSystem.js';
+import GeospatialAreaSystem from '../game/systems/GeospatialAreaSystem.js';
+import FlagSystem from '../game/systems/FlagSystem.js';
+import MovementSystem from '../game/systems/MovementSystem.js';
+import InterestSystem from '../game/systems/InterestSystem.js';
+import ChatSystem from '../game/systems/ChatSystem.js';
+import ChatModerationSystem from '../game/systems/ChatModerationSystem.js';
+import ClusterSystem from '../game/systems/ClusterSystem.js';
+import roomController from '../controllers/roomController.js';
+import messageController from '../controllers/messageController.js';
+import moderationController from '../controllers/moderationController.js';
+import MessageRouter from './MessageRouter.js';
+import { registerPlayerHandlers } from './handlers/playerHandlers.js';
+import { registerFlagHandlers } from './handlers/flagHandlers.js';
+import { registerChatHandlers } from './handlers/chatHandlers.js';
+import { registerLeaderboardHandlers } from './handlers/leaderboardHandlers.js';
+import { registerCharacterHandlers } from './handlers/characterHandlers.js';
+import { registerInventoryHandlers } from './handlers/inventoryHandlers.js';
 import { v4 as uuidv4 } from 'uuid';
 
+// Why a player's connection is closed when they log in again
+const DEFAULT_DISCONNECT_REASON = 'Account logged in elsewhere';
+
 class ConnectionManager {
-  constructor(wss) {
+  /**
+   * @param {import('ws').WebSocketServer} wss - The WebSocket server
+   * @param {Object} clusterOptions - Options for ClusterSystem (tests pass an in-process Redis stand-in)
+   */
+  constructor(wss, clusterOptions = {}) {
     this.wss = wss;
     this.connections = new Map(); // socketId -> connection info
     this.playerSockets = new Map(); // playerId -> socketId
     
+    // Validates every client-reported move before it reaches player state
+    this.movementSystem = new MovementSystem(this, PlayerStateSystem, GeospatialAreaSystem, FlagSystem);
+    
+    // Pushes batched player deltas to each client's visible area every tick
+    this.interestSystem = new InterestSystem(this, PlayerStateSystem);
+    
+    // Room, area, proximity and whisper chat, and its moderation
+    this.chatModeration = new ChatModerationSystem(this, moderationController, messageController);
+    this.chatSystem = new ChatSystem(this, PlayerStateSystem, GeospatialAreaSystem, roomController, messageController, this.chatModeration);
+    
+    // Presence, fan-out and cell handoff between server instances (CLUSTER_MODE)
+    this.cluster = new ClusterSystem(this, PlayerStateSystem, FlagSystem, clusterOptions);
+    
+    // Message handlers registered by each subsystem
+    this.router = new MessageRouter();
+    this.registerDefaultHandlers();
+    
     this.setupWebSocketServer();
     
     logger.info('ConnectionManager initialized');
@@ -53,282 +94,130 @@ class ConnectionManager {
     });
   }
   
+  /**
+   * Register the built-in message handlers
+   */
+  registerDefaultHandlers() {
+    registerPlayerHandlers(this.router, this);
+    registerFlagHandlers(this.router, this);
+    registerChatHandlers(this.router, this);
+    registerLeaderboardHandlers(this.router, this);
+    registerCharacterHandlers(this.router, this);
+    registerInventoryHandlers(this.router, this);
+  }
+  
+  /**
+   * Register an additional message handler
+   * @param {string} type - The message type
+   * @param {Function} handler - Handler called with (data, context)
+   * @param {Object} options - Route options (schema, requiresAuth, rateLimit)
+   * @returns {ConnectionManager} - For method chaining
+   */
+  registerHandler(type, handler, options = {}) {
+    this.router.register(type, handler, options);
+    return this;
+  }
+  
   /**
    * Handle incoming WebSocket messages
    * @param {WebSocket} ws - The WebSocket connection
    * @param {Buffer|ArrayBuffer|Buffer[]} data - The raw message data
    */
   handleMessage(ws, data) {
+    let message;
+    
     try {
       // Parse the message
-      const message = JSON.parse(data.toString());
-      
-      // Check if the message has a type
-      if (!message.type) {
-        this.sendError(ws, 'Invalid message format: missing type');
-        return;
-      }
-      
-      // Route message to appropriate handler
-      switch (message.type) {
-        case 'authenticate':
-          this.handleAuthentication(ws, message.data);
-          break;
-          
-        case 'player-move':
-          this.handlePlayerMove(ws, message.data);
-          break;
-          
-        case 'get-players':
-          this.handleGetPlayers(ws, message.data);
-          break;
-          
-        case 'chat-message':
-          this.handleChatMessage(ws, message.data);
-          break;
-          
-        case 'request-flags':
-          this.handleRequestFlags(ws, message.data);
-          break;
-          
-        default:
-          this.sendError(ws, `Unknown message type: ${message.type}`);
-      }
+      message = JSON.parse(data.toString());
     } catch (error) {
-      logger.error(`Error handling WebSocket message: ${error.message}`);
+      logger.error(`Error parsing WebSocket message: ${error.message}`);
       this.sendError(ws, 'Invalid message format');
+      return;
     }
+    
+    // Check if the message has a type
+    if (!message?.type) {
+      this.sendError(ws, 'Invalid message format: missing type', message?.requestId);
+      return;
+    }
+    
+    const connection = this.connections.get(ws.id);
+    if (!connection) {
+      return;
+    }
+    
+    // Route message to the registered handler
+    this.router.route(message, this.createHandlerContext(ws, connection, message.requestId));
   }
   
   /**
-   * Handle player authentication
+   * Create the context passed to message handlers
+   * Replies sent through the context carry the request's correlation ID
    * @param {WebSocket} ws - The WebSocket connection
-   * @param {Object} data - The authentication data
+   * @param {Object} connection - The connection info
+   * @param {string} requestId - Correlation ID from the client, if any
+   * @returns {Object} - Handler context
    */
-  async handleAuthentication(ws, data) {
-    try {
-      const { playerId, username, token } = data;
-      
-      if (!playerId) {
-        this.sendError(ws, 'Missing player ID');
-        return;
-      }
-      
-      // TODO: Verify token with a proper auth system
-      
-      // Get the connection info
-      const connection = this.connections.get(ws.id);
-      
-      // Check if already authenticated
-      if (connection.isAuthenticated) {
-        this.sendError(ws, 'Already authenticated');
-        return;
-      }
-      
-      // Get or create player state
-      const existingPlayer = await PlayerStateSystem.getPlayer(playerId);
-      
-      if (existingPlayer) {
-        // If player exists, check if they're already connected
-        if (this.playerSockets.has(playerId)) {
-          // Get the existing socket
-          const existingSocketId = this.playerSockets.get(playerId);
-          const existingConnection = this.connections.get(existingSocketId);
-          
-          if (existingConnection) {
-            // Force disconnect the existing connection
-            this.sendToClient(existingConnection.ws, 'force-disconnect', { 
-              reason: 'Account logged in elsewhere' 
-            });
-            
-            existingConnection.ws.close();
-            
-            logger.info(`Forced disconnect of existing connection for player ${playerId}`);
-          }
-        }
-        
-        // Update the player's session
-        await PlayerStateSystem.updatePlayer(playerId, {
-          lastActive: Date.now()
-        });
-      } else {
-        // Register new player
-        await PlayerStateSystem.registerPlayer(playerId, {
-          isNewPlayer: true,
-          username: username || `Player-${playerId.substring(0, 6)}`,
-          profile: { displayName: username || `Player-${playerId.substring(0, 6)}` },
-          position: { lat: 0, lng: 0, currentArea: 'starting-area' },
-          sessionId: ws.id
-        });
-      }
-      
-      // Update connection info
-      connection.isAuthenticated = true;
-      connection.playerId = playerId;
-      this.connections.set(ws.id, connection);
-      
-      // Map player ID to socket
-      this.playerSockets.set(playerId, ws.id);
-      
-      // Send authentication success response
-      this.sendToClient(ws, 'authenticated', {
-        playerId,
-        playerData: await PlayerStateSystem.getPlayer(playerId)
-      });
-      
-      logger.info(`Player authenticated: ${playerId} (socket: ${ws.id})`);
-    } catch (error) {
-      logger.error(`Authentication error: ${error.message}`);
-      this.sendError(ws, 'Authentication failed');
-    }
+  createHandlerContext(ws, connection, requestId = null) {
+    return {
+      ws,
+      connection,
+      requestId,
+      reply: (type, data) => this.sendToClient(ws, type, data, requestId),
+      replyError: (message) => this.sendError(ws, message, requestId)
+    };
   }
   
   /**
-   * Handle player movement updates
+   * Mark a connection as authenticated for a player
    * @param {WebSocket} ws - The WebSocket connection
-   * @param {Object} data - The movement data
+   * @param {string} playerId - The player ID
    */
-  async handlePlayerMove(ws, data) {
-    try {
-      const connection = this.connections.get(ws.id);
-      
-      // Check if authenticated
-      if (!connection.isAuthenticated) {
-        this.sendError(ws, 'Not authenticated');
-        return;
-      }
-      
-      const { position } = data;
-      const playerId = connection.playerId;
-      
-      // Update player position
-      await PlayerStateSystem.updatePlayerPosition(playerId, position);
-      
-      // Send acknowledgment
-      this.sendToClient(ws, 'move-ack', { 
-        position,
-        timestamp: Date.now()
-      });
-      
-      // Notify nearby players of the movement
-      this.broadcastPlayerMove(playerId, position);
-    } catch (error) {
-      logger.error(`Error handling player move: ${error.message}`);
-      this.sendError(ws, 'Failed to process movement');
-    }
+  bindPlayer(ws, playerId) {
+    const connection = this.connections.get(ws.id);
+    
+    connection.isAuthenticated = true;
+    connection.playerId = playerId;
+    
+    // Map player ID to socket
+    this.playerSockets.set(playerId, ws.id);
+    
+    // Other instances route this player's messages here
+    this.cluster.addPlayer(playerId);
   }
   
   /**
-   * Handle request for players in area
-   * @param {WebSocket} ws - The WebSocket connection
-   * @param {Object} data - The query data
+   * Force disconnect any other connection already logged in as a player, on any instance
+   * @param {string} playerId - The player ID
+   * @param {string} reason - Reason shown to the player
+   * @returns {Promise<void>}
    */
-  async handleGetPlayers(ws, data) {
-    try {
-      const connection = this.connections.get(ws.id);
-      
-      // Check if authenticated
-      if (!connection.isAuthenticated) {
-        this.sendError(ws, 'Not authenticated');
-        return;
-      }
-      
-      const { areaId, bounds } = data;
-      const playerId = connection.playerId;
-      
-      let players;
-      
-      // Get players either by area ID or by bounding box
-      if (areaId) {
-        players = await PlayerStateSystem.getPlayersInArea(areaId);
-      } else if (bounds) {
-        players = await PlayerStateSystem.getPlayersInBounds(bounds);
-      } else {
-        this.sendError(ws, 'Missing area ID or bounds');
-        return;
-      }
-      
-      // Filter out the requesting player
-      const filteredPlayers = players.filter(p => p.id !== playerId);
-      
-      // Send player data
-      this.sendToClient(ws, 'players-list', {
-        players: filteredPlayers,
-        timestamp: Date.now()
-      });
-    } catch (error) {
-      logger.error(`Error getting players: ${error.message}`);
-      this.sendError(ws, 'Failed to get players');
-    }
+  async disconnectExistingSession(playerId, reason = DEFAULT_DISCONNECT_REASON) {
+    this.disconnectLocalSession(playerId, reason);
+    await this.cluster.disconnectElsewhere(playerId, reason);
   }
   
   /**
-   * Handle chat messages
-   * @param {WebSocket} ws - The WebSocket connection
-   * @param {Object} data - The chat message data
+   * Force disconnect a player's connection to this instance
+   * @param {string} playerId - The player ID
+   * @param {string} reason - Reason shown to the player
    */
-  handleChatMessage(ws, data) {
-    try {
-      const connection = this.connections.get(ws.id);
-      
-      // Check if authenticated
-      if (!connection.isAuthenticated) {
-        this.sendError(ws, 'Not authenticated');
-        return;
-      }
-      
-      const { message, scope, targetId } = data;
-      const playerId = connection.playerId;
-      
-      // Validate message
-      if (!message || message.trim().length === 0) {
-        this.sendError(ws, 'Empty message');
-        return;
-      }
+  disconnectLocalSession(playerId, reason = DEFAULT_DISCONNECT_REASON) {
+    if (!this.playerSockets.has(playerId)) {
+      return;
+    }
+    
+    // Get the existing socket
+    const existingSocketId = this.playerSockets.get(playerId);
+    const existingConnection = this.connections.get(existingSocketId);
+    
+    if (existingConnection) {
+      // Force disconnect the existing connection
+      this.sendToClient(existingConnection.ws, 'force-disconnect', { reason });
       
-      const chatMessage = {
-        id: uuidv4(),
-        senderId: playerId,
-        message,
-        timestamp: Date.now()
-      };
+      existingConnection.ws.close();
       
-      // Handle different chat scopes
-      switch (scope) {
-        case 'global':
-          // Send to all connected players
-          this.broadcastToAll('chat-message', chatMessage);
-          break;
-          
-        case 'area':
-          // Send to players in the same area
-          this.broadcastToArea(playerId, 'chat-message', chatMessage);
-          break;
-          
-        case 'private':
-          // Send to a specific player
-          if (!targetId) {
-            this.sendError(ws, 'Missing target ID for private message');
-            return;
-          }
-          this.sendToPlayer(targetId, 'chat-message', {
-            ...chatMessage,
-            isPrivate: true
-          });
-          // Also send confirmation back to sender
-          this.sendToClient(ws, 'chat-sent', {
-            messageId: chatMessage.id,
-            targetId,
-            timestamp: Date.now()
-          });
-          break;
-          
-        default:
-          this.sendError(ws, `Unknown chat scope: ${scope}`);
-      }
-    } catch (error) {
-      logger.error(`Error handling chat message: ${error.message}`);
-      this.sendError(ws, 'Failed to send chat message');
+      logger.info(`Forced disconnect of player ${playerId}: ${reason}`);
     }
   }
   
@@ -349,6 +238,18 @@ class ConnectionManager {
         // Remove player-to-socket mapping
         this.playerSockets.delete(playerId);
         
+        // Movement anchors are stored, so the next session loads them again
+        this.movementSystem.removePlayer(playerId);
+        
+        // Other clients see the player leave in their next delta
+        this.interestSystem.removePlayer(playerId);
+        
+        // Leave chat rooms and clear typing indicators
+        this.chatSystem.removePlayer(playerId);
+        
+        // Other instances stop routing to this player and showing them
+        await this.cluster.removePlayer(playerId);
+        
         // Update player state
         await PlayerStateSystem.updatePlayer(playerId, {
           lastActive: Date.now(),
@@ -376,11 +277,20 @@ class ConnectionManager {
    * @param {WebSocket} ws - The WebSocket connection
    * @param {string} type - The message type
    * @param {Object} data - The message data
+   * @param {string} requestId - Correlation ID when replying to a request
    */
-  sendToClient(ws, type, data) {
+  sendToClient(ws, type, data, requestId = null) {
     try {
       if (ws.readyState === ws.OPEN) {
-        ws.send(JSON.stringify({ type, data }));
+        // World-state snapshots go out as binary frames when the client negotiated it
+        const encoder = this.connections.get(ws.id)?.snapshotEncoder;
+        if (encoder && !requestId && encoder.canEncode(type)) {
+          ws.send(encoder.encode(type, data));
+          return;
+        }
+        
+        const message = requestId ? { type, data, requestId } : { type, data };
+        ws.send(JSON.stringify(message));
       }
     } catch (error) {
       logger.error(`Error sending message to client: ${error.message}`);
@@ -391,33 +301,67 @@ class ConnectionManager {
    * Send an error message to a client
    * @param {WebSocket} ws - The WebSocket connection
    * @param {string} message - The error message
+   * @param {string} requestId - Correlation ID when replying to a request
    */
-  sendError(ws, message) {
-    this.sendToClient(ws, 'error', { message });
+  sendError(ws, message, requestId = null) {
+    this.sendToClient(ws, 'error', { message }, requestId);
   }
   
   /**
-   * Send a message to a specific player
+   * Send a message to a specific player, wherever they are connected
    * @param {string} playerId - The player ID
    * @param {string} type - The message type
    * @param {Object} data - The message data
    */
   sendToPlayer(playerId, type, data) {
+    if (!this.sendToLocalPlayer(playerId, type, data)) {
+      this.cluster.sendToPlayer(playerId, type, data);
+    }
+  }
+  
+  /**
+   * Send a message to a player connected to this instance
+   * @param {string} playerId - The player ID
+   * @param {string} type - The message type
+   * @param {Object} data - The message data
+   * @returns {boolean} - Whether the player is connected here
+   */
+  sendToLocalPlayer(playerId, type, data) {
     const socketId = this.playerSockets.get(playerId);
-    if (socketId) {
-      const connection = this.connections.get(socketId);
-      if (connection) {
-        this.sendToClient(connection.ws, type, data);
-      }
+    const connection = socketId && this.connections.get(socketId);
+    if (!connection) {
+      return false;
     }
+    
+    this.sendToClient(connection.ws, type, data);
+    return true;
   }
   
   /**
-   * Broadcast a message to all connected clients
+   * Check whether a player is connected to any instance
+   * @param {string} playerId - The player ID
+   * @returns {Promise<boolean>} - Whether the player is online
+   */
+  async isPlayerOnline(playerId) {
+    return this.playerSockets.has(playerId) || Boolean(await this.cluster.getPresence(playerId));
+  }
+  
+  /**
+   * Broadcast a message to all connected clients, on every instance
    * @param {string} type - The message type
    * @param {Object} data - The message data
    */
   broadcastToAll(type, data) {
+    this.cluster.publish('all', { type, data });
+    this.deliverToAll(type, data);
+  }
+  
+  /**
+   * Send a message to every authenticated client of this instance
+   * @param {string} type - The message type
+   * @param {Object} data - The message data
+   */
+  deliverToAll(type, data) {
     for (const connection of this.connections.values()) {
       if (connection.isAuthenticated) {
         this.sendToClient(connection.ws, type, data);
@@ -426,72 +370,41 @@ class ConnectionManager {
   }
   
   /**
-   * Broadcast a player's movement to nearby players
+   * Broadcast a message to players in the same area as a specific player
    * @param {string} playerId - The player ID
-   * @param {Object} position - The player's position
+   * @param {string} type - The message type
+   * @param {Object} data - The message data
    */
-  async broadcastPlayerMove(playerId, position) {
+  async broadcastToArea(playerId, type, data) {
     try {
       // Get player data
       const player = await PlayerStateSystem.getPlayer(playerId);
-      if (!player) return;
-      
-      // Create movement update message
-      const moveUpdate = {
-        playerId,
-        position,
-        timestamp: Date.now()
-      };
-      
-      // Get nearby players
-      let nearbyPlayers;
-      
-      if (position.currentArea) {
-        nearbyPlayers = await PlayerStateSystem.getPlayersInArea(position.currentArea);
-      } else {
-        // Create a bounding box around the player's position
-        const bounds = {
-          minLat: position.lat - 0.05,
-          maxLat: position.lat + 0.05,
-          minLng: position.lng - 0.05,
-          maxLng: position.lng + 0.05
-        };
-        
-        nearbyPlayers = await PlayerStateSystem.getPlayersInBounds(bounds);
-      }
+      if (!player?.position?.currentArea) return;
       
-      // Send to all nearby players except the moving player
-      for (const nearbyPlayer of nearbyPlayers) {
-        if (nearbyPlayer.id !== playerId) {
-          this.sendToPlayer(nearbyPlayer.id, 'player-moved', moveUpdate);
-        }
-      }
+      this.cluster.publish('area', { areaId: player.position.currentArea, type, data });
+      await this.deliverToArea(player.position.currentArea, type, data);
     } catch (error) {
-      logger.error(`Error broadcasting player move: ${error.message}`);
+      logger.error(`Error broadcasting to area: ${error.message}`);
     }
   }
   
   /**
-   * Broadcast a message to players in the same area as a specific player
-   * @param {string} playerId - The player ID
+   * Send a message to the players of an area connected to this instance
+   * @param {string} areaId - The area ID
    * @param {string} type - The message type
    * @param {Object} data - The message data
    */
-  async broadcastToArea(playerId, type, data) {
+  async deliverToArea(areaId, type, data) {
     try {
-      // Get player data
-      const player = await PlayerStateSystem.getPlayer(playerId);
-      if (!player?.position?.currentArea) return;
-      
-      // Get players in the same area
-      const areaPlayers = await PlayerStateSystem.getPlayersInArea(player.position.currentArea);
+      // Get players in the area
+      const areaPlayers = await PlayerStateSystem.getPlayersInArea(areaId);
       
       // Send to all players in the area
       for (const areaPlayer of areaPlayers) {
-        this.sendToPlayer(areaPlayer.id, type, data);
+        this.sendToLocalPlayer(areaPlayer.id, type, data);
       }
     } catch (error) {
-      logger.error(`Error broadcasting to area: ${error.message}`);
+      logger.error(`Error delivering to area: ${error.message}`);
     }
   }
   
@@ -514,31 +427,83 @@ class ConnectionManager {
   }
 
   /**
-   * Handle flag request messages
-   * @param {WebSocket} ws - The WebSocket connection
+   * Send a flag event to every authenticated client whose viewport contains the flag, on every instance
+   * @param {Object} flag - The flag the event is about
+   * @param {string} type - The message type
+   * @param {Object} data - The message data
+   * @param {string} excludeSocketId - Socket to skip (usually the sender)
+   */
+  async broadcastToFlagViewers(flag, type, data, excludeSocketId = null) {
+    if (!flag?.position) return;
+    
+    this.cluster.publish('flag-viewers', { flag, type, data });
+    await this.deliverToFlagViewers(flag, type, data, excludeSocketId);
+  }
+  
+  /**
+   * Send a flag event to the clients of this instance whose viewport contains the flag
+   * @param {Object} flag - The flag the event is about
+   * @param {string} type - The message type
    * @param {Object} data - The message data
+   * @param {string} excludeSocketId - Socket to skip (usually the sender)
    */
-  handleRequestFlags(ws, data) {
+  async deliverToFlagViewers(flag, type, data, excludeSocketId = null) {
+    if (!flag?.position) return;
+    
     try {
-      // Get the player's connection info
-      const connection = this.connections.get(ws.id);
-      if (!connection?.playerId) {
-        this.sendError(ws, 'Not authenticated');
-        return;
+      for (const [socketId, connection] of this.connections.entries()) {
+        if (!connection.isAuthenticated || socketId === excludeSocketId) {
+          continue;
+        }
+        
+        const viewport = await this.getViewportBounds(connection);
+        if (viewport && this.isPositionInBounds(flag.position, viewport)) {
+          this.sendToClient(connection.ws, type, data);
+        }
       }
-
-      // For now, return an empty flag list
-      // TODO: Implement flag system or inject it as a dependency
-      const flags = [];
-
-      // Send flags back to the client
-      this.sendToClient(ws, 'flags-list', { flags });
-      
     } catch (error) {
-      logger.error(`Error handling flag request: ${error.message}`);
-      this.sendError(ws, 'Error processing flag request');
+      logger.error(`Error broadcasting flag event: ${error.message}`);
     }
   }
+  
+  /**
+   * Get the visible bounds for a connection
+   * Uses the last bounds the client asked for, falling back to a box around the player
+   * @param {Object} connection - The connection info
+   * @returns {Promise<Object|null>} - Bounds { minLat, maxLat, minLng, maxLng } or null
+   */
+  async getViewportBounds(connection) {
+    if (connection.viewport) {
+      return connection.viewport;
+    }
+    
+    const player = await PlayerStateSystem.getPlayer(connection.playerId);
+    if (!player?.position) {
+      return null;
+    }
+    
+    const { lat, lng } = player.position;
+    
+    return {
+      minLat: lat - 0.05,
+      maxLat: lat + 0.05,
+      minLng: lng - 0.05,
+      maxLng: lng + 0.05
+    };
+  }
+  
+  /**
+   * Check if a position is within bounds
+   * @param {Object} position - The position { lat, lng }
+   * @param {Object} bounds - The bounds { minLat, maxLat, minLng, maxLng }
+   * @returns {boolean} - Whether the position is in bounds
+   */
+  isPositionInBounds(position, bounds) {
+    const { lat, lng } = position;
+    const { minLat, maxLat, minLng, maxLng } = bounds;
+    
+    return lat >= minLat && lat <= maxLat && lng >= minLng && lng <= maxLng;
+  }
 }
 
 export default ConnectionManager; 
\ No newline at end of file
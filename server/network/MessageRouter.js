@@ -0,0 +1,155 @@
+/**
+ * MessageRouter.js
+ * Registry of WebSocket message handlers with declarative validation, auth and rate limits
+ */
+
+import logger from '../utils/logger.js';
+import { validateSchema } from '../utils/validation.js';
+
+// Defaults applied to every registered handler
+const ROUTE_DEFAULTS = {
+  requiresAuth: true,
+  schema: null,
+  rateLimit: null // { max, windowMs }
+};
+
+class MessageRouter {
+  constructor() {
+    this.routes = new Map(); // message type -> route definition
+
+    logger.info('MessageRouter initialized');
+  }
+
+  /**
+   * Register a handler for a message type
+   * @param {string} type - The message type
+   * @param {Function} handler - Handler called with (data, context)
+   * @param {Object} options - Route options
+   * @param {Object} options.schema - Field schema for message data (see validate)
+   * @param {boolean} options.requiresAuth - Whether the connection must be authenticated
+   * @param {Object} options.rateLimit - Rate limit { max, windowMs } per connection
+   * @returns {MessageRouter} - For method chaining
+   */
+  register(type, handler, options = {}) {
+    if (this.routes.has(type)) {
+      throw new Error(`Handler already registered for message type: ${type}`);
+    }
+
+    this.routes.set(type, { type, handler, ...ROUTE_DEFAULTS, ...options });
+    logger.debug(`Message handler registered: ${type}`);
+
+    return this;
+  }
+
+  /**
+   * Check if a handler is registered for a message type
+   * @param {string} type - The message type
+   * @returns {boolean} - Whether a handler exists
+   */
+  has(type) {
+    return this.routes.has(type);
+  }
+
+  /**
+   * Route a parsed message to its handler
+   * @param {Object} message - The parsed message { type, data, requestId }
+   * @param {Object} context - Handler context (connection, ws, reply, replyError)
+   * @returns {Promise<void>}
+   */
+  async route(message, context) {
+    const route = this.routes.get(message.type);
+
+    if (!route) {
+      context.replyError(`Unknown message type: ${message.type}`);
+      return;
+    }
+
+    // Check authentication
+    if (route.requiresAuth && !context.connection.isAuthenticated) {
+      context.replyError('Not authenticated');
+      return;
+    }
+
+    // Check rate limit
+    if (route.rateLimit && !this.consumeRateLimit(context.connection, route)) {
+      context.replyError(`Rate limit exceeded for ${route.type}`);
+      return;
+    }
+
+    const data = message.data ?? {};
+
+    // Validate the payload
+    if (route.schema) {
+      const validationError = this.validate(data, route.schema);
+      if (validationError) {
+        context.replyError(`Invalid ${route.type} message: ${validationError}`);
+        return;
+      }
+    }
+
+    try {
+      await route.handler(data, context);
+    } catch (error) {
+      logger.error(`Error handling ${route.type} message: ${error.message}`);
+      context.replyError(`Failed to process ${route.type}`);
+    }
+  }
+
+  /**
+   * Consume one unit of a connection's rate limit for a route
+   * @param {Object} connection - The connection info
+   * @param {Object} route - The route definition
+   * @returns {boolean} - Whether the message is allowed
+   */
+  consumeRateLimit(connection, route) {
+    const { max, windowMs } = route.rateLimit;
+    const now = Date.now();
+
+    if (!connection.rateLimits) {
+      connection.rateLimits = new Map();
+    }
+
+    let window = connection.rateLimits.get(route.type);
+
+    // Start a new window if none exists or the old one expired
+    if (!window || now - window.startedAt >= windowMs) {
+      window = { startedAt: now, count: 0 };
+      connection.rateLimits.set(route.type, window);
+    }
+
+    window.count++;
+
+    return window.count <= max;
+  }
+
+  /**
+   * Validate data against a field schema (see utils/validation.js)
+   * @param {Object} data - The data to validate
+   * @param {Object} schema - The schema
+   * @returns {string|null} - Error message, or null if valid
+   */
+  validate(data, schema) {
+    return validateSchema(data, schema);
+  }
+}
+
+/**
+ * Schema for a geographic position, shared by several handlers
+ */
+export const POSITION_SCHEMA = {
+  lat: { type: 'number', required: true, min: -90, max: 90 },
+  lng: { type: 'number', required: true, min: -180, max: 180 },
+  currentArea: { type: 'string', maxLength: 50 }
+};
+
+/**
+ * Schema for a bounding box, shared by several handlers
+ */
+export const BOUNDS_SCHEMA = {
+  minLat: { type: 'number', required: true, min: -90, max: 90 },
+  maxLat: { type: 'number', required: true, min: -90, max: 90 },
+  minLng: { type: 'number', required: true, min: -180, max: 180 },
+  maxLng: { type: 'number', required: true, min: -180, max: 180 }
+};
+
+export default MessageRouter;
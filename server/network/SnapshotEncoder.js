@@ -0,0 +1,312 @@
+/**
+ * SnapshotEncoder.js
+ * Compact binary encoding of world-state snapshots for one connection
+ *
+ * Frame layout (all integers are unsigned LEB128 varints, signed values are
+ * zigzag encoded first, strings are a varint byte length followed by UTF-8):
+ *
+ *   u8      frame kind (FRAME_PLAYERS)
+ *   varint  snapshot sequence
+ *   varint  base sequence the delta applies to (0 = empty base)
+ *   varint  timestamp (ms since epoch)
+ *   varint  entered count, then per entity:
+ *             varint index, string playerId, zigzag lat, zigzag lng, string displayName
+ *   varint  moved count, then per entity:
+ *             varint index, zigzag dLat, zigzag dLng (against the base snapshot)
+ *   varint  left count, then per entity: varint index
+ *
+ * Coordinates are quantized to 1e-6 degrees (about 11cm). Each delta is taken
+ * against the last snapshot the client acknowledged, so a lost or late ack
+ * only makes the next frame larger, never wrong.
+ */
+
+// Encoding name negotiated during authenticate
+export const SNAPSHOT_ENCODING = 'binary-v1';
+
+// Frame kinds
+const FRAME_PLAYERS = 1;
+
+// Degrees -> integer units
+const COORDINATE_SCALE = 1e6;
+
+// Number of unacknowledged snapshots that can still be acknowledged
+const MAX_SNAPSHOT_HISTORY = 64;
+
+/**
+ * Growable byte buffer with varint helpers
+ */
+class BinaryWriter {
+  constructor() {
+    this.bytes = [];
+  }
+
+  /**
+   * Write an unsigned integer as a varint
+   * @param {number} value - Non-negative integer (up to 2^53)
+   */
+  writeVarint(value) {
+    let remaining = value;
+    while (remaining >= 0x80) {
+      this.bytes.push((remaining % 0x80) | 0x80);
+      remaining = Math.floor(remaining / 0x80);
+    }
+    this.bytes.push(remaining);
+  }
+
+  /**
+   * Write a signed integer as a zigzag varint
+   * @param {number} value - Integer
+   */
+  writeSignedVarint(value) {
+    this.writeVarint(value >= 0 ? value * 2 : -value * 2 - 1);
+  }
+
+  /**
+   * Write a length-prefixed UTF-8 string
+   * @param {string} value - The string
+   */
+  writeString(value) {
+    const encoded = Buffer.from(value || '', 'utf8');
+    this.writeVarint(encoded.length);
+    for (const byte of encoded) {
+      this.bytes.push(byte);
+    }
+  }
+
+  /**
+   * Write a single byte
+   * @param {number} value - Byte value
+   */
+  writeByte(value) {
+    this.bytes.push(value & 0xff);
+  }
+
+  /**
+   * Get the written bytes
+   * @returns {Buffer} - The encoded frame
+   */
+  toBuffer() {
+    return Buffer.from(this.bytes);
+  }
+}
+
+class SnapshotEncoder {
+  constructor() {
+    // Current world state as seen by this client: playerId -> entity
+    this.players = new Map();
+
+    // Compact per-connection entity indexes: playerId -> index
+    this.indexes = new Map();
+    this.nextIndex = 1;
+
+    // Sent snapshots awaiting acknowledgement: sequence -> Map(index -> { lat, lng })
+    this.history = new Map();
+    this.sequence = 0;
+
+    // Last snapshot the client confirmed it decoded
+    this.ackedSequence = 0;
+    this.ackedState = new Map();
+  }
+
+  /**
+   * Whether a message type is sent as a binary frame
+   * @param {string} type - Message type
+   * @returns {boolean} - True if this encoder handles the type
+   */
+  canEncode(type) {
+    return type === 'players-delta';
+  }
+
+  /**
+   * Encode a message
+   * @param {string} type - Message type (see canEncode)
+   * @param {Object} data - Message data
+   * @returns {Buffer} - The binary frame
+   */
+  encode(type, data) {
+    if (type === 'players-delta') {
+      return this.encodePlayersDelta(data);
+    }
+
+    throw new Error(`Cannot binary-encode ${type}`);
+  }
+
+  /**
+   * Fold a players delta into the client's world state and encode a snapshot
+   * against the last acknowledged one
+   * @param {Object} delta - { entered, moved, left, timestamp }
+   * @returns {Buffer} - The binary frame
+   */
+  encodePlayersDelta(delta) {
+    this.applyDelta(delta);
+
+    const sequence = ++this.sequence;
+    const base = this.ackedState;
+    const state = new Map();
+
+    const entered = [];
+    const moved = [];
+    const left = [];
+
+    for (const [playerId, player] of this.players.entries()) {
+      const index = this.getIndex(playerId);
+      const lat = Math.round(player.position.lat * COORDINATE_SCALE);
+      const lng = Math.round(player.position.lng * COORDINATE_SCALE);
+      state.set(index, { lat, lng });
+
+      const previous = base.get(index);
+      if (!previous) {
+        entered.push({ index, playerId, lat, lng, displayName: player.displayName });
+      } else if (previous.lat !== lat || previous.lng !== lng) {
+        moved.push({ index, dLat: lat - previous.lat, dLng: lng - previous.lng });
+      }
+    }
+
+    for (const index of base.keys()) {
+      if (!state.has(index)) {
+        left.push(index);
+      }
+    }
+
+    this.history.set(sequence, state);
+    this.pruneHistory();
+
+    const writer = new BinaryWriter();
+    writer.writeByte(FRAME_PLAYERS);
+    writer.writeVarint(sequence);
+    writer.writeVarint(this.ackedSequence);
+    writer.writeVarint(delta.timestamp || Date.now());
+
+    writer.writeVarint(entered.length);
+    for (const entity of entered) {
+      writer.writeVarint(entity.index);
+      writer.writeString(entity.playerId);
+      writer.writeSignedVarint(entity.lat);
+      writer.writeSignedVarint(entity.lng);
+      writer.writeString(entity.displayName);
+    }
+
+    writer.writeVarint(moved.length);
+    for (const entity of moved) {
+      writer.writeVarint(entity.index);
+      writer.writeSignedVarint(entity.dLat);
+      writer.writeSignedVarint(entity.dLng);
+    }
+
+    writer.writeVarint(left.length);
+    for (const index of left) {
+      writer.writeVarint(index);
+    }
+
+    return writer.toBuffer();
+  }
+
+  /**
+   * Record that the client decoded a snapshot
+   * @param {number} sequence - The acknowledged snapshot sequence
+   * @returns {boolean} - Whether the ack was applied
+   */
+  acknowledge(sequence) {
+    // Ignore stale, duplicate or unknown acks
+    if (sequence <= this.ackedSequence || !this.history.has(sequence)) {
+      return false;
+    }
+
+    this.ackedSequence = sequence;
+    this.ackedState = this.history.get(sequence);
+
+    // Older snapshots can no longer be used as a base
+    for (const pending of this.history.keys()) {
+      if (pending < sequence) {
+        this.history.delete(pending);
+      }
+    }
+
+    this.pruneIndexes();
+
+    return true;
+  }
+
+  /**
+   * Apply a players delta to the current world state
+   * @private
+   * @param {Object} delta - { entered, moved, left }
+   */
+  applyDelta({ entered = [], moved = [], left = [] }) {
+    for (const player of entered) {
+      this.players.set(player.id, { position: player.position, displayName: player.displayName });
+    }
+
+    for (const player of moved) {
+      const existing = this.players.get(player.id);
+      if (existing) {
+        existing.position = player.position;
+      }
+    }
+
+    for (const playerId of left) {
+      this.players.delete(playerId);
+    }
+  }
+
+  /**
+   * Get or assign the compact index for a player
+   * @private
+   * @param {string} playerId - The player ID
+   * @returns {number} - The index
+   */
+  getIndex(playerId) {
+    let index = this.indexes.get(playerId);
+    if (index === undefined) {
+      index = this.nextIndex++;
+      this.indexes.set(playerId, index);
+    }
+    return index;
+  }
+
+  /**
+   * Forget the indexes of players who have left, once no snapshot the client
+   * may still decode against refers to them. Indexes are never reused, so a
+   * player who comes back gets a fresh one.
+   * @private
+   */
+  pruneIndexes() {
+    for (const [playerId, index] of this.indexes.entries()) {
+      if (this.players.has(playerId) || this.ackedState.has(index)) {
+        continue;
+      }
+
+      let referenced = false;
+      for (const state of this.history.values()) {
+        if (state.has(index)) {
+          referenced = true;
+          break;
+        }
+      }
+
+      if (!referenced) {
+        this.indexes.delete(playerId);
+      }
+    }
+  }
+
+  /**
+   * Drop the oldest unacknowledged snapshots. The acknowledged base is kept
+   * separately, so a client that stops acking only gets larger frames.
+   * @private
+   */
+  pruneHistory() {
+    if (this.history.size <= MAX_SNAPSHOT_HISTORY) {
+      return;
+    }
+
+    while (this.history.size > MAX_SNAPSHOT_HISTORY) {
+      const oldest = this.history.keys().next().value;
+      this.history.delete(oldest);
+    }
+
+    this.pruneIndexes();
+  }
+}
+
+export default SnapshotEncoder;
@@ -0,0 +1,91 @@
+/**
+ * characterHandlers.js
+ * WebSocket handlers for loading and saving the player's character
+ */
+
+import CharacterSystem from '../../game/systems/CharacterSystem.js';
+
+/**
+ * Tell both sides of a flag payment about their new gold, wherever they are connected
+ * The server changed their stored characters, so clients take the new version
+ * along with the change instead of finding out through a save conflict.
+ * @param {import('../ConnectionManager.js').default} connectionManager - The connection manager
+ * @param {Object} payment - Payment from the FlagEconomySystem
+ */
+export function sendGoldPayment(connectionManager, payment) {
+  const { kind, amount, flag } = payment;
+  const details = { reason: kind, flagId: flag.id, flagName: flag.name };
+
+  connectionManager.sendToPlayer(payment.payerId, 'character-updated', {
+    ...payment.payer,
+    goldChange: -amount,
+    ...details
+  });
+
+  connectionManager.sendToPlayer(payment.ownerId, 'character-updated', {
+    ...payment.owner,
+    goldChange: amount,
+    ...details,
+    payerName: payment.payerName || payment.payerId
+  });
+}
+
+/**
+ * Register character message handlers
+ * @param {import('../MessageRouter.js').default} router - The message router
+ * @param {import('../ConnectionManager.js').default} connectionManager - The connection manager
+ */
+export function registerCharacterHandlers(router, connectionManager) {
+  router.register('character-load', async (data, context) => {
+    const result = await CharacterSystem.loadCharacter(context.connection.playerId);
+
+    if (!result.success) {
+      context.replyError(result.error);
+      return;
+    }
+
+    context.reply('character-data', { character: result.character });
+  }, {
+    rateLimit: { max: 5, windowMs: 10000 }
+  });
+
+  router.register('character-save', async (data, context) => {
+    const { version, character } = data;
+
+    // Characters are always saved for the authenticated player
+    const result = await CharacterSystem.saveCharacter(context.connection.playerId, character, version);
+
+    if (result.conflict) {
+      context.reply('character-conflict', { character: result.character });
+      return;
+    }
+
+    if (!result.success) {
+      context.replyError(result.error);
+      return;
+    }
+
+    // Gold is the server's, so the client takes the stored amount whatever it sent
+    const saved = {
+      version: result.character.version,
+      updatedAt: result.character.updatedAt,
+      gold: result.character.stats.gold
+    };
+
+    // A first save also answers with the items imported from it
+    if (result.character.inventory) {
+      saved.inventory = result.character.inventory;
+      saved.equipment = result.character.equipment;
+    }
+
+    context.reply('character-saved', saved);
+  }, {
+    schema: {
+      version: { type: 'number', required: true, min: 0 },
+      character: { type: 'object', required: true }
+    },
+    rateLimit: { max: 10, windowMs: 10000 }
+  });
+}
+
+export default registerCharacterHandlers;
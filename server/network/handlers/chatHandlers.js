@@ -0,0 +1,205 @@
+/**
+ * chatHandlers.js
+ * WebSocket handlers for in-game chat and its moderation
+ * (see game/systems/ChatSystem.js and game/systems/ChatModerationSystem.js)
+ */
+
+import { ROOM_ID_PATTERN } from '../../controllers/roomController.js';
+
+// Scopes a chat message can be sent to
+export const CHAT_SCOPES = ['room', 'area', 'proximity', 'global', 'whisper'];
+
+// Actions owners and moderators can take against a room member
+export const MODERATION_ACTIONS = ['mute', 'unmute', 'kick', 'ban', 'unban'];
+
+// Longest a mute or ban can be given for; leave the duration out for one that lasts until lifted
+const MAX_SANCTION_DURATION = 30 * 24 * 3600; // seconds
+
+/**
+ * Register chat message handlers
+ * @param {import('../MessageRouter.js').default} router - The message router
+ * @param {import('../ConnectionManager.js').default} connectionManager - The connection manager
+ */
+export function registerChatHandlers(router, connectionManager) {
+  const chat = connectionManager.chatSystem;
+  const moderation = connectionManager.chatModeration;
+
+  router.register('chat-message', async (data, context) => {
+    const result = await chat.sendMessage(context.connection.playerId, data);
+
+    if (!result.success) {
+      context.replyError(result.error);
+      return;
+    }
+
+    // Confirms delivery; whisper senders also use it to show their own message
+    context.reply('chat-sent', result.message);
+  }, {
+    schema: {
+      message: { type: 'string', required: true, maxLength: 500 },
+      scope: { type: 'string', required: true, enum: CHAT_SCOPES },
+      roomId: { type: 'string', pattern: ROOM_ID_PATTERN },
+      targetId: { type: 'string', maxLength: 100 }
+    },
+    rateLimit: { max: 5, windowMs: 5000 }
+  });
+
+  router.register('chat-list-rooms', async (data, context) => {
+    context.reply('chat-rooms', { rooms: chat.listRooms() });
+  }, {
+    rateLimit: { max: 5, windowMs: 5000 }
+  });
+
+  router.register('chat-create-room', async (data, context) => {
+    const result = chat.createRoom(context.connection.playerId, data);
+
+    if (!result.success) {
+      context.replyError(result.error);
+      return;
+    }
+
+    context.reply('chat-room-created', { room: result.room });
+  }, {
+    schema: {
+      roomId: { type: 'string', required: true, pattern: ROOM_ID_PATTERN },
+      name: { type: 'string', maxLength: 100 },
+      isPrivate: { type: 'boolean' },
+      password: { type: 'string', maxLength: 100 }
+    },
+    rateLimit: { max: 2, windowMs: 10000 }
+  });
+
+  router.register('chat-join-room', async (data, context) => {
+    const result = chat.joinRoom(context.connection.playerId, data.roomId, data.password);
+
+    if (!result.success) {
+      context.replyError(result.error);
+      return;
+    }
+
+    context.reply('chat-room-joined', {
+      room: result.room,
+      role: result.role,
+      history: result.history,
+      members: result.members
+    });
+  }, {
+    schema: {
+      roomId: { type: 'string', required: true, pattern: ROOM_ID_PATTERN },
+      password: { type: 'string', maxLength: 100 }
+    },
+    rateLimit: { max: 5, windowMs: 5000 }
+  });
+
+  router.register('chat-leave-room', async (data, context) => {
+    const result = chat.leaveRoom(context.connection.playerId, data.roomId);
+
+    if (!result.success) {
+      context.replyError(result.error);
+      return;
+    }
+
+    context.reply('chat-room-left', { roomId: data.roomId });
+  }, {
+    schema: {
+      roomId: { type: 'string', required: true, pattern: ROOM_ID_PATTERN }
+    },
+    rateLimit: { max: 5, windowMs: 5000 }
+  });
+
+  router.register('chat-typing', async (data, context) => {
+    const result = chat.setTyping(context.connection.playerId, data);
+
+    if (!result.success) {
+      context.replyError(result.error);
+    }
+  }, {
+    schema: {
+      scope: { type: 'string', required: true, enum: ['room', 'whisper'] },
+      roomId: { type: 'string', pattern: ROOM_ID_PATTERN },
+      targetId: { type: 'string', maxLength: 100 },
+      isTyping: { type: 'boolean', required: true }
+    },
+    rateLimit: { max: 5, windowMs: 1000 }
+  });
+
+  router.register('chat-moderate', async (data, context) => {
+    const result = moderation.moderate(context.connection.playerId, data.action, data);
+
+    if (!result.success) {
+      context.replyError(result.error);
+      return;
+    }
+
+    context.reply('chat-moderated', {
+      action: data.action,
+      roomId: data.roomId,
+      targetId: data.targetId,
+      expiresAt: result.expiresAt
+    });
+  }, {
+    schema: {
+      action: { type: 'string', required: true, enum: MODERATION_ACTIONS },
+      roomId: { type: 'string', required: true, pattern: ROOM_ID_PATTERN },
+      targetId: { type: 'string', required: true, maxLength: 100 },
+      durationSeconds: { type: 'number', min: 1, max: MAX_SANCTION_DURATION },
+      reason: { type: 'string', maxLength: 200 }
+    },
+    rateLimit: { max: 10, windowMs: 10000 }
+  });
+
+  router.register('chat-set-role', async (data, context) => {
+    const result = moderation.setRole(context.connection.playerId, data);
+
+    if (!result.success) {
+      context.replyError(result.error);
+      return;
+    }
+
+    context.reply('chat-role-set', { roomId: data.roomId, targetId: data.targetId, role: data.role });
+  }, {
+    schema: {
+      roomId: { type: 'string', required: true, pattern: ROOM_ID_PATTERN },
+      targetId: { type: 'string', required: true, maxLength: 100 },
+      role: { type: 'string', required: true, enum: ['moderator', 'member'] }
+    },
+    rateLimit: { max: 5, windowMs: 10000 }
+  });
+
+  router.register('chat-set-slow-mode', async (data, context) => {
+    const result = moderation.setSlowMode(context.connection.playerId, data);
+
+    if (!result.success) {
+      context.replyError(result.error);
+      return;
+    }
+
+    context.reply('chat-slow-mode-set', { roomId: data.roomId, seconds: data.seconds });
+  }, {
+    schema: {
+      roomId: { type: 'string', required: true, pattern: ROOM_ID_PATTERN },
+      seconds: { type: 'number', required: true, min: 0, max: moderation.MAX_SLOW_MODE }
+    },
+    rateLimit: { max: 5, windowMs: 10000 }
+  });
+
+  router.register('chat-report', async (data, context) => {
+    const result = moderation.reportMessage(context.connection.playerId, data);
+
+    if (!result.success) {
+      context.replyError(result.error);
+      return;
+    }
+
+    context.reply('chat-reported', { reportId: result.reportId });
+  }, {
+    schema: {
+      messageId: { type: 'string', required: true, maxLength: 100 },
+      roomId: { type: 'string', pattern: ROOM_ID_PATTERN },
+      reason: { type: 'string', maxLength: 200 }
+    },
+    rateLimit: { max: 3, windowMs: 60000 }
+  });
+}
+
+export default registerChatHandlers;
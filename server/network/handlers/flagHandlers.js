@@ -0,0 +1,359 @@
+/**
+ * flagHandlers.js
+ * WebSocket handlers for the flag protocol
+ */
+
+import logger from '../../utils/logger.js';
+import FlagSystem, { MAX_RECENT_DESTINATIONS, MAX_TOLL } from '../../game/systems/FlagSystem.js';
+import FlagEconomySystem, { MAX_EARNINGS_LIMIT } from '../../game/systems/FlagEconomySystem.js';
+import PlayerStateSystem from '../../game/systems/PlayerStateSystem.js';
+import leaderboardController from '../../controllers/leaderboardController.js';
+import { sendAccountNotice } from '../../controllers/accountController.js';
+import { sendGoldPayment } from './characterHandlers.js';
+import { POSITION_SCHEMA, BOUNDS_SCHEMA } from '../MessageRouter.js';
+
+// Tolls are whole gold pieces
+const TOLL_SCHEMA = { type: 'number', integer: true, min: 0, max: MAX_TOLL };
+
+const FLAG_ID_SCHEMA = {
+  flagId: { type: 'string', required: true, maxLength: 100 }
+};
+
+/**
+ * Send the player their items after a flag action paid or refunded materials
+ * @param {Object} result - FlagSystem result, with items if the inventory changed
+ * @param {Object} context - Handler context
+ */
+function sendItems(result, context) {
+  if (result.items) {
+    context.reply('inventory-updated', result.items);
+  }
+}
+
+/**
+ * Tell a flag's owner about a siege step, and finish off a destroyed flag
+ * Burns run out in the game loop rather than in a request, so destroyed
+ * flags are announced to their viewers and credited to the attacker here.
+ * @param {import('../ConnectionManager.js').default} connectionManager - The connection manager
+ * @param {Object} siege - { event, flag, attackerId } from FlagSystem
+ * @returns {Promise<void>}
+ */
+async function handleSiegeEvent(connectionManager, { event, flag, attackerId }) {
+  const attacker = attackerId ? await PlayerStateSystem.getPlayer(attackerId) : null;
+  const attackerName = attacker?.profile?.displayName || attackerId;
+
+  connectionManager.sendToPlayer(flag.ownerId, 'flag-siege', {
+    event,
+    flagId: flag.id,
+    flagName: flag.name,
+    attackerId,
+    attackerName,
+    health: flag.health,
+    burnEndsAt: flag.burnEndsAt
+  });
+
+  if (event !== 'destroyed') {
+    return;
+  }
+
+  await connectionManager.broadcastToFlagViewers(flag, 'flag-removed', { success: true, flagId: flag.id });
+
+  // Each flag burned down counts once towards the attacker's flagsAttacked score
+  if (attackerId) {
+    const category = leaderboardController.LEADERBOARD_CATEGORIES.FLAGS_ATTACKED;
+    const result = leaderboardController.addToPlayerScore(attackerId, attackerName, category, 1);
+    if (result.success) {
+      connectionManager.broadcastToAll('leaderboard-updated', leaderboardController.getLeaderboard(category));
+    }
+  }
+}
+
+/**
+ * Register flag message handlers
+ * @param {import('../MessageRouter.js').default} router - The message router
+ * @param {import('../ConnectionManager.js').default} connectionManager - The connection manager
+ */
+export function registerFlagHandlers(router, connectionManager) {
+  router.register('request-flags', async (data, context) => {
+    const { bounds } = data;
+    let flags;
+
+    if (bounds) {
+      // Remember the client's viewport so flag changes can be pushed to it
+      context.connection.viewport = bounds;
+      flags = await FlagSystem.getFlagsInBoundingBox(bounds);
+    } else {
+      flags = FlagSystem.getAllFlags();
+    }
+
+    context.reply('flags-list', { flags });
+  }, {
+    schema: {
+      bounds: { type: 'object', properties: BOUNDS_SCHEMA }
+    },
+    rateLimit: { max: 5, windowMs: 1000 }
+  });
+
+  router.register('place-flag', async (data, context) => {
+    const { position } = data;
+    const { ws, connection } = context;
+    const playerId = connection.playerId;
+
+    // Options may be nested (FlagService) or sent inline (stress test)
+    const options = data.options || {
+      name: data.name,
+      isPublic: data.isPublic,
+      toll: data.toll
+    };
+
+    const result = await FlagSystem.placeFlag(playerId, position, options);
+    sendItems(result, context);
+
+    if (!result.success) {
+      context.reply('flag-placed', { success: false, error: result.error });
+      return;
+    }
+
+    // Confirm placement to the owner
+    context.reply('flag-placed', { success: true, flag: result.flag });
+
+    // Notify everyone else who can see the flag
+    connectionManager.broadcastToFlagViewers(result.flag, 'flag-placed', {
+      success: true,
+      ownerId: playerId,
+      flag: result.flag
+    }, ws.id);
+  }, {
+    schema: {
+      position: { type: 'object', required: true, properties: POSITION_SCHEMA },
+      options: {
+        type: 'object',
+        properties: {
+          name: { type: 'string', maxLength: 100 },
+          isPublic: { type: 'boolean' },
+          toll: TOLL_SCHEMA
+        }
+      },
+      name: { type: 'string', maxLength: 100 },
+      isPublic: { type: 'boolean' },
+      toll: TOLL_SCHEMA
+    },
+    rateLimit: { max: 2, windowMs: 1000 }
+  });
+
+  router.register('remove-flag', async (data, context) => {
+    const { flagId } = data;
+    const { ws, connection } = context;
+
+    // Keep a copy of the flag so we know where to broadcast after removal
+    const flag = await FlagSystem.getFlag(flagId);
+
+    const result = await FlagSystem.removeFlag(connection.playerId, flagId);
+    sendItems(result, context);
+
+    if (!result.success) {
+      context.reply('flag-removed', { success: false, flagId, error: result.error });
+      return;
+    }
+
+    // Confirm removal to the owner, including any refunded resources
+    context.reply('flag-removed', {
+      success: true,
+      flagId,
+      resources: result.resources
+    });
+
+    // Notify everyone else who could see the flag
+    connectionManager.broadcastToFlagViewers(flag, 'flag-removed', { success: true, flagId }, ws.id);
+  }, {
+    schema: FLAG_ID_SCHEMA,
+    rateLimit: { max: 2, windowMs: 1000 }
+  });
+
+  router.register('harden-flag', async (data, context) => {
+    const { flagId } = data;
+    const { ws, connection } = context;
+
+    const result = await FlagSystem.hardenFlag(connection.playerId, flagId);
+    sendItems(result, context);
+
+    if (!result.success) {
+      context.reply('flag-updated', { success: false, flagId, error: result.error });
+      return;
+    }
+
+    // Confirm to the owner and notify everyone else who can see the flag
+    context.reply('flag-updated', { success: true, flag: result.flag });
+    connectionManager.broadcastToFlagViewers(result.flag, 'flag-updated', {
+      success: true,
+      flag: result.flag
+    }, ws.id);
+  }, {
+    schema: FLAG_ID_SCHEMA,
+    rateLimit: { max: 2, windowMs: 1000 }
+  });
+
+  router.register('takeover-flag', async (data, context) => {
+    const { flagId, name } = data;
+    const { ws, connection } = context;
+    const playerId = connection.playerId;
+
+    const result = await FlagSystem.takeoverFlag(playerId, flagId, { name });
+    sendItems(result, context);
+
+    if (!result.success) {
+      context.reply('flag-updated', { success: false, flagId, error: result.error });
+      return;
+    }
+
+    context.reply('flag-updated', { success: true, flag: result.flag });
+    connectionManager.broadcastToFlagViewers(result.flag, 'flag-updated', {
+      success: true,
+      flag: result.flag
+    }, ws.id);
+
+    // Tell the previous owner, by email if they are away (as they usually are from an abandoned flag)
+    const newOwner = await PlayerStateSystem.getPlayer(playerId);
+    const newOwnerName = newOwner?.profile?.displayName || playerId;
+    const { previousOwnerId, flag } = result;
+
+    if (await connectionManager.isPlayerOnline(previousOwnerId)) {
+      connectionManager.sendToPlayer(previousOwnerId, 'flag-taken-over', {
+        flagId: flag.id,
+        flagName: flag.name,
+        newOwnerId: playerId,
+        newOwnerName
+      });
+    } else {
+      await sendAccountNotice(previousOwnerId, {
+        subject: 'Your abandoned flag was taken over',
+        text: `${newOwnerName} took over your abandoned flag at ${flag.position.lat.toFixed(5)}, ${flag.position.lng.toFixed(5)}.\n\nFlags left unvisited for a month can be claimed by other players.`
+      });
+    }
+  }, {
+    schema: {
+      ...FLAG_ID_SCHEMA,
+      name: { type: 'string', maxLength: 100 }
+    },
+    rateLimit: { max: 2, windowMs: 1000 }
+  });
+
+  // Siege actions answer like harden-flag, with the changed flag for its viewers too
+  const siegeActions = {
+    'attack-flag': (playerId, flagId) => FlagSystem.attackFlag(playerId, flagId),
+    'burn-flag': (playerId, flagId) => FlagSystem.burnFlag(playerId, flagId),
+    'extinguish-flag': (playerId, flagId) => FlagSystem.extinguishFlag(playerId, flagId)
+  };
+
+  for (const [type, action] of Object.entries(siegeActions)) {
+    router.register(type, async (data, context) => {
+      const { flagId } = data;
+      const { ws, connection } = context;
+
+      const result = await action(connection.playerId, flagId);
+      sendItems(result, context);
+
+      if (!result.success) {
+        context.reply('flag-updated', { success: false, flagId, error: result.error });
+        return;
+      }
+
+      context.reply('flag-updated', { success: true, flag: result.flag });
+      connectionManager.broadcastToFlagViewers(result.flag, 'flag-updated', {
+        success: true,
+        flag: result.flag
+      }, ws.id);
+    }, {
+      schema: FLAG_ID_SCHEMA,
+      rateLimit: { max: 2, windowMs: 1000 }
+    });
+  }
+
+  FlagSystem.addSiegeListener((siege) => {
+    handleSiegeEvent(connectionManager, siege).catch((error) => {
+      logger.error(`Error handling flag ${siege.event} event for flag ${siege.flag.id}: ${error.message}`);
+    });
+  });
+
+  router.register('teleport-to-flag', async (data, context) => {
+    const { flagId, maxToll } = data;
+    const playerId = context.connection.playerId;
+
+    const result = await FlagSystem.teleportToFlag(playerId, flagId, { maxToll });
+    sendItems(result, context);
+
+    if (!result.success) {
+      context.reply('teleport-result', { success: false, flagId, error: result.error });
+      return;
+    }
+
+    // The server position follows the teleport and movement is re-anchored there
+    const position = { lat: result.position.lat, lng: result.position.lng };
+    await connectionManager.movementSystem.relocatePlayer(playerId, position);
+
+    context.reply('teleport-result', {
+      success: true,
+      flagId,
+      position,
+      visualBoundary: result.visualBoundary,
+      tollPaid: result.payment?.amount ?? 0
+    });
+
+    if (result.payment) {
+      sendGoldPayment(connectionManager, result.payment);
+    }
+
+    // Let nearby players see the arrival in their next delta, on every instance
+    connectionManager.interestSystem.updatePlayerPosition(playerId, position);
+    await connectionManager.cluster.updatePlayerPosition(playerId, position);
+  }, {
+    schema: {
+      ...FLAG_ID_SCHEMA,
+      maxToll: { type: 'number', min: 0 }
+    },
+    rateLimit: { max: 1, windowMs: 1000 }
+  });
+
+  router.register('flag-earnings', async (data, context) => {
+    const { flagId, beforeId, limit } = data;
+
+    // Owners only ever see their own earnings
+    const result = await FlagEconomySystem.getEarnings(context.connection.playerId, { flagId, beforeId, limit });
+
+    if (!result.success) {
+      context.replyError(result.error);
+      return;
+    }
+
+    context.reply('flag-earnings-data', {
+      flagId: flagId ?? null,
+      entries: result.entries,
+      nextBeforeId: result.nextBeforeId
+    });
+  }, {
+    schema: {
+      flagId: { type: 'string', maxLength: 100 },
+      beforeId: { type: 'number', min: 1 },
+      limit: { type: 'number', min: 1, max: MAX_EARNINGS_LIMIT }
+    },
+    rateLimit: { max: 5, windowMs: 10000 }
+  });
+
+  router.register('travel-history', async (data, context) => {
+    const result = await FlagSystem.getRecentDestinations(context.connection.playerId, data.limit);
+
+    if (!result.success) {
+      context.replyError(result.error);
+      return;
+    }
+
+    context.reply('travel-history-data', { destinations: result.destinations });
+  }, {
+    schema: {
+      limit: { type: 'number', min: 1, max: MAX_RECENT_DESTINATIONS }
+    },
+    rateLimit: { max: 5, windowMs: 10000 }
+  });
+}
+
+export default registerFlagHandlers;
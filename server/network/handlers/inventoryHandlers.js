@@ -0,0 +1,100 @@
+/**
+ * inventoryHandlers.js
+ * WebSocket handlers for loading the player's items, applying inventory transactions and claiming loot
+ */
+
+import InventorySystem, { TRANSACTION_KINDS } from '../../game/systems/InventorySystem.js';
+import LootSystem from '../../game/systems/LootSystem.js';
+import { LOOT_SOURCES } from '../../game/LootTables.js';
+import { sendGoldPayment } from './characterHandlers.js';
+
+/**
+ * Register inventory message handlers
+ * @param {import('../MessageRouter.js').default} router - The message router
+ * @param {import('../ConnectionManager.js').default} connectionManager - The connection manager
+ */
+export function registerInventoryHandlers(router, connectionManager) {
+  router.register('inventory-load', async (data, context) => {
+    const result = await InventorySystem.getInventory(context.connection.playerId);
+
+    if (!result.success) {
+      context.replyError(result.error);
+      return;
+    }
+
+    context.reply('inventory-data', { inventory: result.inventory, equipment: result.equipment });
+  }, {
+    rateLimit: { max: 5, windowMs: 10000 }
+  });
+
+  router.register('inventory-transaction', async (data, context) => {
+    const { key, kind, params } = data;
+
+    // Transactions always change the authenticated player's items
+    const result = await InventorySystem.applyTransaction(context.connection.playerId, key, kind, params);
+
+    if (result.rejected) {
+      context.reply('inventory-rejected', {
+        key,
+        error: result.error,
+        inventory: result.inventory,
+        equipment: result.equipment
+      });
+      return;
+    }
+
+    if (!result.success) {
+      context.replyError(result.error);
+      return;
+    }
+
+    context.reply('inventory-committed', { key, inventory: result.inventory, equipment: result.equipment });
+  }, {
+    schema: {
+      key: { type: 'string', required: true, maxLength: 64, pattern: /^[\w-]+$/ },
+      kind: { type: 'string', required: true, enum: TRANSACTION_KINDS },
+      params: { type: 'object', required: true }
+    },
+    rateLimit: { max: 30, windowMs: 10000 }
+  });
+
+  router.register('loot-claim', async (data, context) => {
+    const result = await LootSystem.claim(context.connection.playerId, data.source);
+
+    if (!result.success) {
+      context.replyError(result.error);
+      return;
+    }
+
+    // The character's new version comes first, so the revenue share below applies on top of it
+    if (result.gold) {
+      const { version, gold, amount } = result.gold;
+      connectionManager.sendToPlayer(context.connection.playerId, 'character-updated', {
+        version,
+        gold,
+        goldChange: amount,
+        reason: 'loot'
+      });
+    }
+
+    context.reply('loot-granted', {
+      source: data.source,
+      items: result.items,
+      gold: result.gold?.amount ?? 0,
+      inventory: result.inventory,
+      equipment: result.equipment
+    });
+
+    // Gold earned on someone else's land pays them a share
+    if (result.revenueShare) {
+      sendGoldPayment(connectionManager, result.revenueShare);
+    }
+  }, {
+    schema: {
+      source: { type: 'string', required: true, enum: LOOT_SOURCES }
+    },
+    rateLimit: { max: 10, windowMs: 10000 }
+  });
+}
+
+export default registerInventoryHandlers;
@@ -0,0 +1,34 @@
+/**
+ * leaderboardHandlers.js
+ * WebSocket handlers for leaderboard queries
+ *
+ * Players cannot submit scores: the server keeps them (see
+ * leaderboardController.addToPlayerScore), and admins can set them through
+ * POST /api/leaderboards/:category/update.
+ */
+
+import leaderboardController from '../../controllers/leaderboardController.js';
+
+const CATEGORY_SCHEMA = {
+  type: 'string',
+  required: true,
+  enum: Object.values(leaderboardController.LEADERBOARD_CATEGORIES)
+};
+
+/**
+ * Register leaderboard message handlers
+ * @param {import('../MessageRouter.js').default} router - The message router
+ * @param {import('../ConnectionManager.js').default} connectionManager - The connection manager
+ */
+export function registerLeaderboardHandlers(router, connectionManager) {
+  router.register('get-leaderboard', async (data, context) => {
+    const leaderboard = leaderboardController.getLeaderboard(data.category);
+
+    context.reply('leaderboard-data', leaderboard);
+  }, {
+    schema: { category: CATEGORY_SCHEMA },
+    rateLimit: { max: 5, windowMs: 1000 }
+  });
+}
+
+export default registerLeaderboardHandlers;
@@ -0,0 +1,200 @@
+/**
+ * playerHandlers.js
+ * WebSocket handlers for authentication, movement and player queries
+ */
+
+import PlayerStateSystem from '../../game/systems/PlayerStateSystem.js';
+import CharacterSystem from '../../game/systems/CharacterSystem.js';
+import authController from '../../controllers/authController.js';
+import logger from '../../utils/logger.js';
+import { POSITION_SCHEMA, BOUNDS_SCHEMA } from '../MessageRouter.js';
+import SnapshotEncoder, { SNAPSHOT_ENCODING } from '../SnapshotEncoder.js';
+
+/**
+ * Register player message handlers
+ * @param {import('../MessageRouter.js').default} router - The message router
+ * @param {import('../ConnectionManager.js').default} connectionManager - The connection manager
+ */
+export function registerPlayerHandlers(router, connectionManager) {
+  router.register('authenticate', async (data, context) => {
+    const { token } = data;
+    const { ws, connection } = context;
+
+    // Check if already authenticated
+    if (connection.isAuthenticated) {
+      context.replyError('Already authenticated');
+      return;
+    }
+
+    // The player ID comes from the verified session, never from the client
+    const session = await authController.verifySessionToken(token);
+
+    if (!session.success) {
+      logger.warn(`Rejected authentication from ${connection.ip}: ${session.error}`);
+      context.replyError(`Authentication failed: ${session.error}`);
+      return;
+    }
+
+    const { playerId } = session.data;
+
+    // Get or create player state
+    const existingPlayer = await PlayerStateSystem.getPlayer(playerId);
+
+    if (existingPlayer) {
+      // If player exists, check if they're already connected here or on another instance
+      await connectionManager.disconnectExistingSession(playerId);
+
+      // Update the player's session
+      await PlayerStateSystem.updatePlayer(playerId, {
+        lastActive: Date.now()
+      });
+    } else {
+      // Register new player under their account's name, never one the client sends
+      const username = await PlayerStateSystem.getAccountName(playerId) || `Player-${playerId.substring(0, 6)}`;
+      await PlayerStateSystem.registerPlayer(playerId, {
+        isNewPlayer: true,
+        username,
+        profile: { displayName: username },
+        position: { lat: 0, lng: 0, currentArea: 'starting-area' },
+        sessionId: ws.id
+      });
+    }
+
+    // Update connection info and map player ID to socket
+    connectionManager.bindPlayer(ws, playerId);
+
+    // Negotiate the world-state encoding; JSON is the fallback
+    const encoding = data.encodings?.includes(SNAPSHOT_ENCODING) ? SNAPSHOT_ENCODING : 'json';
+    connection.snapshotEncoder = encoding === SNAPSHOT_ENCODING ? new SnapshotEncoder() : null;
+    connection.knownPlayers = null; // a fresh encoder needs every nearby player sent again
+
+    // Send authentication success response with the stored character (null until the first save)
+    const playerData = await PlayerStateSystem.getPlayer(playerId);
+    const { character = null } = await CharacterSystem.loadCharacter(playerId);
+    context.reply('authenticated', {
+      playerId,
+      encoding,
+      playerData,
+      character
+    });
+
+    // Show the player where they were stored, even before they move, and send them on if
+    // another instance owns that cell (new players have no position until they move)
+    const { lat = 0, lng = 0 } = playerData?.position || {};
+    if (lat !== 0 || lng !== 0) {
+      connectionManager.interestSystem.updatePlayerPosition(playerId, playerData.position);
+      await connectionManager.cluster.updatePlayerPosition(playerId, playerData.position);
+      await connectionManager.cluster.checkHandoff(playerId, playerData.position);
+    }
+
+    logger.info(`Player authenticated: ${playerId} (socket: ${ws.id})`);
+  }, {
+    requiresAuth: false,
+    schema: {
+      playerId: { type: 'string', maxLength: 100 },
+      token: { type: 'string', required: true, maxLength: 200 },
+      encodings: { type: 'array', maxLength: 10 }
+    },
+    rateLimit: { max: 5, windowMs: 60000 }
+  });
+
+  router.register('player-move', async (data, context) => {
+    const { position, direction } = data;
+    const playerId = context.connection.playerId;
+
+    // Every move is validated against range and speed limits
+    const result = await connectionManager.movementSystem.handleMovementUpdate({
+      playerId,
+      position,
+      direction
+    });
+
+    if (!result.success) {
+      if (!result.position) {
+        context.replyError(result.error);
+        return;
+      }
+
+      // Send the client back to where the server says it is
+      context.reply('position-correction', {
+        position: result.position,
+        reason: result.error,
+        timestamp: Date.now()
+      });
+      return;
+    }
+
+    // Send acknowledgment
+    context.reply('move-ack', {
+      position,
+      timestamp: Date.now()
+    });
+
+    // Nearby players receive the movement in their next delta, on every instance
+    connectionManager.interestSystem.updatePlayerPosition(playerId, position);
+    await connectionManager.cluster.updatePlayerPosition(playerId, position);
+  }, {
+    schema: {
+      position: { type: 'object', required: true, properties: POSITION_SCHEMA },
+      direction: { type: 'number' }
+    },
+    rateLimit: { max: 30, windowMs: 1000 }
+  });
+
+  router.register('update-viewport', async (data, context) => {
+    // Player deltas are pushed for the bounds the client can see
+    context.connection.viewport = data.bounds;
+  }, {
+    schema: {
+      bounds: { type: 'object', required: true, properties: BOUNDS_SCHEMA }
+    },
+    rateLimit: { max: 10, windowMs: 1000 }
+  });
+
+  router.register('snapshot-ack', async (data, context) => {
+    // Later binary snapshots are encoded against the acknowledged one
+    context.connection.snapshotEncoder?.acknowledge(data.sequence);
+  }, {
+    schema: {
+      sequence: { type: 'number', required: true, min: 1 }
+    },
+    rateLimit: { max: 40, windowMs: 1000 }
+  });
+
+  router.register('get-players', async (data, context) => {
+    const { areaId, bounds } = data;
+    const { connection } = context;
+    const playerId = connection.playerId;
+
+    let players;
+
+    // Get players either by area ID or by bounding box
+    if (areaId) {
+      players = await PlayerStateSystem.getPlayersInArea(areaId);
+    } else if (bounds) {
+      // Remember the client's viewport so flag changes can be pushed to it
+      connection.viewport = bounds;
+      players = await PlayerStateSystem.getPlayersInBounds(bounds);
+    } else {
+      context.replyError('Missing area ID or bounds');
+      return;
+    }
+
+    // Filter out the requesting player
+    const filteredPlayers = players.filter(p => p.id !== playerId);
+
+    // Send player data
+    context.reply('players-list', {
+      players: filteredPlayers,
+      timestamp: Date.now()
+    });
+  }, {
+    schema: {
+      areaId: { type: 'string', maxLength: 50 },
+      bounds: { type: 'object', properties: BOUNDS_SCHEMA }
+    },
+    rateLimit: { max: 5, windowMs: 1000 }
+  });
+}
+
+export default registerPlayerHandlers;
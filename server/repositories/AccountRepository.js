@@ -0,0 +1,11 @@
+/**
+ * AccountRepository.js
+ * Storage for account verification, password reset and deletion, backed by PostgreSQL or by SQLite
+ * when USE_SQLITE=true (see config/storage.js)
+ */
+
+import { useSqlite } from '../config/storage.js';
+import PostgresAccountRepository from './postgres/AccountRepository.js';
+import SqliteAccountRepository from './sqlite/AccountRepository.js';
+
+export default useSqlite ? SqliteAccountRepository : PostgresAccountRepository;
@@ -0,0 +1,11 @@
+/**
+ * AdminRepository.js
+ * Storage for admin accounts and player bans, backed by PostgreSQL or by SQLite
+ * when USE_SQLITE=true (see config/storage.js)
+ */
+
+import { useSqlite } from '../config/storage.js';
+import PostgresAdminRepository from './postgres/AdminRepository.js';
+import SqliteAdminRepository from './sqlite/AdminRepository.js';
+
+export default useSqlite ? SqliteAdminRepository : PostgresAdminRepository;
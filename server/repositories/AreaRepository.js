@@ -0,0 +1,11 @@
+/**
+ * AreaRepository.js
+ * Storage for game areas, backed by PostgreSQL or by SQLite when USE_SQLITE=true
+ * (see config/storage.js)
+ */
+
+import { useSqlite } from '../config/storage.js';
+import PostgresAreaRepository from './postgres/AreaRepository.js';
+import SqliteAreaRepository from './sqlite/AreaRepository.js';
+
+export default useSqlite ? SqliteAreaRepository : PostgresAreaRepository;
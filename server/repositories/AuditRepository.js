@@ -0,0 +1,11 @@
+/**
+ * AuditRepository.js
+ * Storage for the audit log, backed by PostgreSQL or by SQLite when
+ * USE_SQLITE=true (see config/storage.js)
+ */
+
+import { useSqlite } from '../config/storage.js';
+import PostgresAuditRepository from './postgres/AuditRepository.js';
+import SqliteAuditRepository from './sqlite/AuditRepository.js';
+
+export default useSqlite ? SqliteAuditRepository : PostgresAuditRepository;
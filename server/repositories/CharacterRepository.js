@@ -0,0 +1,11 @@
+/**
+ * CharacterRepository.js
+ * Storage for characters, backed by PostgreSQL or by SQLite when USE_SQLITE=true
+ * (see config/storage.js)
+ */
+
+import { useSqlite } from '../config/storage.js';
+import PostgresCharacterRepository from './postgres/CharacterRepository.js';
+import SqliteCharacterRepository from './sqlite/CharacterRepository.js';
+
+export default useSqlite ? SqliteCharacterRepository : PostgresCharacterRepository;
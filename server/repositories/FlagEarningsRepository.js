@@ -0,0 +1,11 @@
+/**
+ * FlagEarningsRepository.js
+ * Storage for gold paid to flag owners, backed by PostgreSQL or by SQLite when
+ * USE_SQLITE=true (see config/storage.js)
+ */
+
+import { useSqlite } from '../config/storage.js';
+import PostgresFlagEarningsRepository from './postgres/FlagEarningsRepository.js';
+import SqliteFlagEarningsRepository from './sqlite/FlagEarningsRepository.js';
+
+export default useSqlite ? SqliteFlagEarningsRepository : PostgresFlagEarningsRepository;
@@ -0,0 +1,11 @@
+/**
+ * FlagRepository.js
+ * Storage for territory flags, backed by PostgreSQL or by SQLite when USE_SQLITE=true
+ * (see config/storage.js)
+ */
+
+import { useSqlite } from '../config/storage.js';
+import PostgresFlagRepository from './postgres/FlagRepository.js';
+import SqliteFlagRepository from './sqlite/FlagRepository.js';
+
+export default useSqlite ? SqliteFlagRepository : PostgresFlagRepository;
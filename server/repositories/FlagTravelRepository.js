@@ -0,0 +1,11 @@
+/**
+ * FlagTravelRepository.js
+ * Storage for players' jumps to flags, backed by PostgreSQL or by SQLite when
+ * USE_SQLITE=true (see config/storage.js)
+ */
+
+import { useSqlite } from '../config/storage.js';
+import PostgresFlagTravelRepository from './postgres/FlagTravelRepository.js';
+import SqliteFlagTravelRepository from './sqlite/FlagTravelRepository.js';
+
+export default useSqlite ? SqliteFlagTravelRepository : PostgresFlagTravelRepository;
@@ -0,0 +1,11 @@
+/**
+ * InventoryRepository.js
+ * Storage for inventory items and transactions, backed by PostgreSQL or by SQLite when USE_SQLITE=true
+ * (see config/storage.js)
+ */
+
+import { useSqlite } from '../config/storage.js';
+import PostgresInventoryRepository from './postgres/InventoryRepository.js';
+import SqliteInventoryRepository from './sqlite/InventoryRepository.js';
+
+export default useSqlite ? SqliteInventoryRepository : PostgresInventoryRepository;
@@ -0,0 +1,11 @@
+/**
+ * SessionRepository.js
+ * Storage for authentication sessions, backed by PostgreSQL or by SQLite when USE_SQLITE=true
+ * (see config/storage.js)
+ */
+
+import { useSqlite } from '../config/storage.js';
+import PostgresSessionRepository from './postgres/SessionRepository.js';
+import SqliteSessionRepository from './sqlite/SessionRepository.js';
+
+export default useSqlite ? SqliteSessionRepository : PostgresSessionRepository;
@@ -0,0 +1,141 @@
+/**
+ * AdminRepository.js
+ * Handles PostgreSQL operations for admin accounts and player bans
+ */
+
+import { pool } from '../../config/postgres.js';
+import logger from '../../utils/logger.js';
+
+// Bans that have neither been lifted nor run out
+const ACTIVE_BAN_CONDITION = 'b.lifted_at IS NULL AND (b.expires_at IS NULL OR b.expires_at > NOW())';
+
+class AdminRepository {
+  /**
+   * Check whether a player may use the admin API
+   * @param {string} playerId - The player's ID
+   * @returns {Promise<boolean>} - True for active admin accounts
+   */
+  async isAdmin(playerId) {
+    try {
+      const result = await pool.query(
+        'SELECT 1 FROM players WHERE id = $1 AND is_admin = TRUE AND is_active = TRUE',
+        [playerId]
+      );
+
+      return result.rows.length > 0;
+    } catch (error) {
+      logger.error(`Error checking admin access for ${playerId}: ${error.message}`);
+      throw new Error(`Failed to check admin access: ${error.message}`);
+    }
+  }
+
+  /**
+   * Ban a player
+   * @param {Object} banData - Ban data
+   * @param {string} banData.id - The ban ID
+   * @param {string} banData.playerId - The banned player's ID
+   * @param {string|null} banData.reason - Why the player was banned
+   * @param {string} banData.bannedBy - The admin's player ID
+   * @param {Date|null} banData.expiresAt - When the ban ends, or null for a permanent ban
+   * @returns {Promise<Object>} - The stored ban
+   */
+  async createBan({ id, playerId, reason = null, bannedBy, expiresAt = null }) {
+    try {
+      const result = await pool.query(
+        `INSERT INTO player_bans (id, player_id, reason, banned_by, expires_at)
+         VALUES ($1, $2, $3, $4, $5)
+         RETURNING id, player_id, reason, banned_by, created_at, expires_at`,
+        [id, playerId, reason, bannedBy, expiresAt]
+      );
+
+      return this._mapBan(result.rows[0]);
+    } catch (error) {
+      logger.error(`Error banning player ${playerId}: ${error.message}`);
+      throw new Error(`Failed to ban player: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get the ban currently in force against a player
+   * @param {string} playerId - The player's ID
+   * @returns {Promise<Object|null>} - The ban that lasts longest, or null if none is in force
+   */
+  async getActiveBan(playerId) {
+    try {
+      const result = await pool.query(
+        `SELECT b.id, b.player_id, b.reason, b.banned_by, b.created_at, b.expires_at
+         FROM player_bans b
+         WHERE b.player_id = $1 AND ${ACTIVE_BAN_CONDITION}
+         ORDER BY b.expires_at DESC NULLS FIRST
+         LIMIT 1`,
+        [playerId]
+      );
+
+      return result.rows.length > 0 ? this._mapBan(result.rows[0]) : null;
+    } catch (error) {
+      logger.error(`Error fetching ban for ${playerId}: ${error.message}`);
+      throw new Error(`Failed to fetch ban: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get every ban in force, newest first
+   * @returns {Promise<Array<Object>>} - Bans with the banned player's username
+   */
+  async getActiveBans() {
+    try {
+      const result = await pool.query(
+        `SELECT b.id, b.player_id, p.username, b.reason, b.banned_by, b.created_at, b.expires_at
+         FROM player_bans b
+         JOIN players p ON p.id = b.player_id
+         WHERE ${ACTIVE_BAN_CONDITION}
+         ORDER BY b.created_at DESC`
+      );
+
+      return result.rows.map(row => this._mapBan(row));
+    } catch (error) {
+      logger.error(`Error fetching bans: ${error.message}`);
+      throw new Error(`Failed to fetch bans: ${error.message}`);
+    }
+  }
+
+  /**
+   * Lift every ban in force against a player
+   * @param {string} playerId - The player's ID
+   * @returns {Promise<boolean>} - True if any ban was lifted
+   */
+  async liftBans(playerId) {
+    try {
+      const result = await pool.query(
+        `UPDATE player_bans b SET lifted_at = NOW()
+         WHERE b.player_id = $1 AND ${ACTIVE_BAN_CONDITION}`,
+        [playerId]
+      );
+
+      return result.rowCount > 0;
+    } catch (error) {
+      logger.error(`Error lifting bans for ${playerId}: ${error.message}`);
+      throw new Error(`Failed to lift bans: ${error.message}`);
+    }
+  }
+
+  /**
+   * Map a player_bans row to a ban object
+   * @private
+   * @param {Object} row - Database row
+   * @returns {Object} - Ban object
+   */
+  _mapBan(row) {
+    return {
+      id: row.id,
+      playerId: row.player_id,
+      ...(row.username !== undefined && { username: row.username }),
+      reason: row.reason,
+      bannedBy: row.banned_by,
+      createdAt: row.created_at,
+      expiresAt: row.expires_at
+    };
+  }
+}
+
+export default new AdminRepository();
@@ -0,0 +1,104 @@
+/**
+ * AreaRepository.js
+ * Handles PostgreSQL operations for game areas
+ */
+
+import { pool } from '../../config/postgres.js';
+import logger from '../../utils/logger.js';
+
+class AreaRepository {
+  /**
+   * Insert an area, or overwrite the stored copy if it already exists
+   * @param {Object} area - Area definition as kept by GeospatialAreaSystem
+   * @returns {Promise<void>}
+   */
+  async saveArea(area) {
+    const { minLat, maxLat, minLng, maxLng } = area.boundingBox;
+    const properties = area.properties || {};
+
+    try {
+      await pool.query(`
+        INSERT INTO areas (id, name, area_type, boundary, properties, created_at, updated_at)
+        VALUES ($1, $2, $3, ST_MakeEnvelope($4, $5, $6, $7, 4326), $8, $9, $10)
+        ON CONFLICT (id) DO UPDATE SET
+          name = EXCLUDED.name,
+          area_type = EXCLUDED.area_type,
+          boundary = EXCLUDED.boundary,
+          properties = EXCLUDED.properties,
+          updated_at = EXCLUDED.updated_at
+      `, [
+        area.id,
+        area.name,
+        properties.type || 'custom',
+        minLng,
+        minLat,
+        maxLng,
+        maxLat,
+        JSON.stringify(properties),
+        new Date(area.createdAt || Date.now()),
+        new Date(area.updatedAt || area.createdAt || Date.now())
+      ]);
+    } catch (error) {
+      logger.error(`Error saving area ${area.id}: ${error.message}`);
+      throw new Error(`Failed to save area: ${error.message}`);
+    }
+  }
+
+  /**
+   * Delete an area
+   * @param {string} areaId - The area ID
+   * @returns {Promise<boolean>} - Whether an area was deleted
+   */
+  async deleteArea(areaId) {
+    try {
+      const result = await pool.query('DELETE FROM areas WHERE id = $1', [areaId]);
+      return result.rowCount > 0;
+    } catch (error) {
+      logger.error(`Error deleting area ${areaId}: ${error.message}`);
+      throw new Error(`Failed to delete area: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get every stored area, with its boundary reduced to a bounding box
+   * @returns {Promise<Array>} - Array of area definitions
+   */
+  async getAllAreas() {
+    try {
+      const result = await pool.query(`
+        SELECT
+          id,
+          name,
+          area_type,
+          ST_YMin(boundary) as min_lat,
+          ST_YMax(boundary) as max_lat,
+          ST_XMin(boundary) as min_lng,
+          ST_XMax(boundary) as max_lng,
+          properties,
+          created_at,
+          updated_at
+        FROM areas
+      `);
+
+      return result.rows.map(row => ({
+        id: row.id,
+        name: row.name,
+        boundingBox: {
+          minLat: Number.parseFloat(row.min_lat),
+          maxLat: Number.parseFloat(row.max_lat),
+          minLng: Number.parseFloat(row.min_lng),
+          maxLng: Number.parseFloat(row.max_lng)
+        },
+        properties: { type: row.area_type, ...(row.properties || {}) },
+        createdAt: new Date(row.created_at).getTime(),
+        updatedAt: new Date(row.updated_at).getTime()
+      }));
+    } catch (error) {
+      logger.error(`Error fetching areas: ${error.message}`);
+      throw new Error(`Failed to fetch areas: ${error.message}`);
+    }
+  }
+}
+
+// Export as singleton
+export default new AreaRepository();
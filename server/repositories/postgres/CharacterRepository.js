@@ -0,0 +1,118 @@
+/**
+ * CharacterRepository.js
+ * Handles PostgreSQL operations for characters (stats and learned skills)
+ */
+
+import { pool, transaction } from '../../config/postgres.js';
+import logger from '../../utils/logger.js';
+
+// Columns selected for every character query
+const CHARACTER_COLUMNS = 'player_id, version, stats, skills, updated_at';
+
+class CharacterRepository {
+  /**
+   * Get a player's character
+   * @param {string} playerId - The player's ID
+   * @returns {Promise<Object|null>} - The character, or null if none is stored
+   */
+  async getCharacter(playerId) {
+    try {
+      const result = await pool.query(
+        `SELECT ${CHARACTER_COLUMNS} FROM characters WHERE player_id = $1`,
+        [playerId]
+      );
+      
+      return result.rows.length > 0 ? this._mapCharacter(result.rows[0]) : null;
+    } catch (error) {
+      logger.error(`Error fetching character for player ${playerId}: ${error.message}`);
+      throw new Error(`Failed to fetch character: ${error.message}`);
+    }
+  }
+  
+  /**
+   * Store a character if the stored copy is still at the version the caller last saw
+   * Level, experience and health are copied to the player's profile in the same transaction.
+   * @param {string} playerId - The player's ID
+   * @param {Object} character - { stats, skills }
+   * @param {number} expectedVersion - Version the caller last saw (0 for a new character)
+   * @returns {Promise<Object|null>} - The stored character with its new version, or null if the version did not match
+   */
+  async saveCharacter(playerId, character, expectedVersion) {
+    const { stats, skills } = character;
+    const values = [playerId, JSON.stringify(stats), JSON.stringify(skills)];
+    
+    try {
+      return await transaction(async (client) => {
+        const result = expectedVersion === 0
+          ? await client.query(`
+              INSERT INTO characters (player_id, version, stats, skills)
+              VALUES ($1, 1, $2, $3)
+              ON CONFLICT (player_id) DO NOTHING
+              RETURNING ${CHARACTER_COLUMNS}
+            `, values)
+          : await client.query(`
+              UPDATE characters
+              SET version = version + 1, stats = $2, skills = $3, updated_at = NOW()
+              WHERE player_id = $1 AND version = $4
+              RETURNING ${CHARACTER_COLUMNS}
+            `, [...values, expectedVersion]);
+        
+        if (result.rows.length === 0) {
+          return null;
+        }
+        
+        await client.query(
+          'UPDATE player_profiles SET experience = $1, level = $2, health = $3, max_health = $4, updated_at = NOW() WHERE player_id = $5',
+          [stats.xp, stats.level, stats.health, stats.maxHealth, playerId]
+        );
+        
+        return this._mapCharacter(result.rows[0]);
+      });
+    } catch (error) {
+      logger.error(`Error saving character for player ${playerId}: ${error.message}`);
+      throw new Error(`Failed to save character: ${error.message}`);
+    }
+  }
+  
+  /**
+   * Add gold the server gave a player to their stored character, bumping its version
+   * @param {string} playerId - The player's ID
+   * @param {number} amount - Gold to add
+   * @returns {Promise<Object|null>} - The character's new { version, gold }, or null if the player has none
+   */
+  async addGold(playerId, amount) {
+    try {
+      const result = await pool.query(`
+        UPDATE characters
+        SET version = version + 1,
+            stats = jsonb_set(stats, '{gold}', to_jsonb(COALESCE((stats->>'gold')::numeric, 0) + $2)),
+            updated_at = NOW()
+        WHERE player_id = $1
+        RETURNING version, (stats->>'gold')::numeric AS gold
+      `, [playerId, amount]);
+      
+      return result.rows.length > 0 ? { version: result.rows[0].version, gold: Number(result.rows[0].gold) } : null;
+    } catch (error) {
+      logger.error(`Error adding ${amount} gold for player ${playerId}: ${error.message}`);
+      throw new Error(`Failed to add gold: ${error.message}`);
+    }
+  }
+  
+  /**
+   * Map a characters row to a character object
+   * @private
+   * @param {Object} row - Database row
+   * @returns {Object} - Character { playerId, version, stats, skills, updatedAt }
+   */
+  _mapCharacter(row) {
+    return {
+      playerId: row.player_id,
+      version: row.version,
+      stats: row.stats,
+      skills: row.skills,
+      updatedAt: new Date(row.updated_at).getTime()
+    };
+  }
+}
+
+export default new CharacterRepository();
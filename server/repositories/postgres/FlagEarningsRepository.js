@@ -0,0 +1,145 @@
+/**
+ * FlagEarningsRepository.js
+ * Handles PostgreSQL operations for gold paid to flag owners
+ */
+
+import { pool, transaction } from '../../config/postgres.js';
+import logger from '../../utils/logger.js';
+
+class FlagEarningsRepository {
+  /**
+   * Move gold from one character to a flag owner's and record it in the owner's earnings
+   * Both characters' versions go up by one, so sessions holding an older copy must reload.
+   * @param {Object} payment - Payment data
+   * @param {string} payment.payerId - The paying player's ID
+   * @param {string|null} payment.payerName - The paying player's name, kept with the entry
+   * @param {string} payment.ownerId - The flag owner's ID
+   * @param {number} payment.amount - Gold to move, more than 0
+   * @param {string} payment.kind - What the gold is for: 'toll' or 'revenue-share'
+   * @param {Object} payment.flag - The flag { id, name } it was paid for
+   * @returns {Promise<Object|null>} - { entryId, payer, owner } with each character's new { version, gold },
+   *   or null if the payer has too little gold
+   */
+  async transferGold({ payerId, payerName = null, ownerId, amount, kind, flag }) {
+    try {
+      return await transaction(async (client) => {
+        const payer = await client.query(`
+          UPDATE characters
+          SET version = version + 1,
+              stats = jsonb_set(stats, '{gold}', to_jsonb((stats->>'gold')::numeric - $2)),
+              updated_at = NOW()
+          WHERE player_id = $1 AND (stats->>'gold')::numeric >= $2
+          RETURNING version, (stats->>'gold')::numeric AS gold
+        `, [payerId, amount]);
+
+        if (payer.rows.length === 0) {
+          return null;
+        }
+
+        const owner = await client.query(`
+          UPDATE characters
+          SET version = version + 1,
+              stats = jsonb_set(stats, '{gold}', to_jsonb((stats->>'gold')::numeric + $2)),
+              updated_at = NOW()
+          WHERE player_id = $1
+          RETURNING version, (stats->>'gold')::numeric AS gold
+        `, [ownerId, amount]);
+
+        // Throwing rolls the payer's side back
+        if (owner.rows.length === 0) {
+          throw new Error(`owner ${ownerId} has no character`);
+        }
+
+        const entry = await client.query(
+          `INSERT INTO flag_earnings (owner_id, flag_id, flag_name, kind, payer_id, payer_name, amount)
+           VALUES ($1, $2, $3, $4, $5, $6, $7)
+           RETURNING id`,
+          [ownerId, flag.id, flag.name ?? null, kind, payerId, payerName, amount]
+        );
+
+        return {
+          entryId: Number(entry.rows[0].id),
+          payer: this._mapBalance(payer.rows[0]),
+          owner: this._mapBalance(owner.rows[0])
+        };
+      });
+    } catch (error) {
+      logger.error(`Error paying ${amount} gold from ${payerId} to ${ownerId}: ${error.message}`);
+      throw new Error(`Failed to transfer gold: ${error.message}`);
+    }
+  }
+
+  /**
+   * Find a flag owner's earnings, newest first
+   * @param {Object} filters - Filters
+   * @param {string} filters.ownerId - The flag owner's ID
+   * @param {string} [filters.flagId] - Only earnings from this flag
+   * @param {number} [filters.beforeId] - Only entries older than this one
+   * @param {number} filters.limit - Most entries to return
+   * @returns {Promise<Array<Object>>} - Entries
+   */
+  async getEarnings({ ownerId, flagId, beforeId, limit }) {
+    const conditions = [];
+    const params = [];
+    const param = (value) => {
+      params.push(value);
+      return `$${params.length}`;
+    };
+
+    conditions.push(`owner_id = ${param(ownerId)}`);
+    if (flagId) {
+      conditions.push(`flag_id = ${param(flagId)}`);
+    }
+    if (beforeId) {
+      conditions.push(`id < ${param(beforeId)}`);
+    }
+
+    try {
+      const result = await pool.query(
+        `SELECT id, created_at, flag_id, flag_name, kind, payer_id, payer_name, amount
+         FROM flag_earnings
+         WHERE ${conditions.join(' AND ')}
+         ORDER BY id DESC
+         LIMIT ${param(limit)}`,
+        params
+      );
+
+      return result.rows.map(row => this._mapEntry(row));
+    } catch (error) {
+      logger.error(`Error fetching flag earnings for ${ownerId}: ${error.message}`);
+      throw new Error(`Failed to fetch flag earnings: ${error.message}`);
+    }
+  }
+
+  /**
+   * Map a returned character balance
+   * pg returns numeric columns as strings.
+   * @private
+   * @param {Object} row - Database row { version, gold }
+   * @returns {Object} - { version, gold }
+   */
+  _mapBalance(row) {
+    return { version: row.version, gold: Number(row.gold) };
+  }
+
+  /**
+   * Map a flag_earnings row to an entry object
+   * @private
+   * @param {Object} row - Database row
+   * @returns {Object} - Entry { id, createdAt, flagId, flagName, kind, payerId, payerName, amount }
+   */
+  _mapEntry(row) {
+    return {
+      id: Number(row.id),
+      createdAt: new Date(row.created_at).getTime(),
+      flagId: row.flag_id,
+      flagName: row.flag_name,
+      kind: row.kind,
+      payerId: row.payer_id,
+      payerName: row.payer_name,
+      amount: row.amount
+    };
+  }
+}
+
+export default new FlagEarningsRepository();
@@ -0,0 +1,203 @@
+/**
+ * FlagRepository.js
+ * Handles PostgreSQL operations for territory flags
+ */
+
+import { pool } from '../../config/postgres.js';
+import logger from '../../utils/logger.js';
+
+// Columns selected for every flag query, with the point split into coordinates
+const FLAG_COLUMNS = `
+  id,
+  owner_id,
+  name,
+  ST_X(position) as lng,
+  ST_Y(position) as lat,
+  radius,
+  properties,
+  created_at,
+  updated_at
+`;
+
+class FlagRepository {
+  /**
+   * Insert a flag, or overwrite the stored copy if it already exists
+   * @param {Object} flag - Flag object as kept by FlagSystem
+   * @returns {Promise<void>}
+   */
+  async saveFlag(flag) {
+    const now = Date.now();
+    
+    try {
+      await pool.query(`
+        INSERT INTO flags (id, owner_id, name, position, radius, properties, created_at, updated_at)
+        VALUES ($1, $2, $3, ST_SetSRID(ST_MakePoint($4, $5), 4326), $6, $7, $8, $9)
+        ON CONFLICT (id) DO UPDATE SET
+          owner_id = EXCLUDED.owner_id,
+          name = EXCLUDED.name,
+          position = EXCLUDED.position,
+          radius = EXCLUDED.radius,
+          properties = EXCLUDED.properties,
+          updated_at = EXCLUDED.updated_at
+      `, [
+        flag.id,
+        flag.ownerId && flag.ownerId !== 'system' ? flag.ownerId : null,
+        flag.name || null,
+        flag.position.lng,
+        flag.position.lat,
+        flag.radius,
+        JSON.stringify(this._toProperties(flag)),
+        new Date(flag.createdAt || now),
+        new Date(flag.updatedAt || now)
+      ]);
+    } catch (error) {
+      logger.error(`Error saving flag ${flag.id}: ${error.message}`);
+      throw new Error(`Failed to save flag: ${error.message}`);
+    }
+  }
+  
+  /**
+   * Delete a flag
+   * @param {string} flagId - The flag ID
+   * @returns {Promise<boolean>} - Whether a flag was deleted
+   */
+  async deleteFlag(flagId) {
+    try {
+      const result = await pool.query('DELETE FROM flags WHERE id = $1', [flagId]);
+      return result.rowCount > 0;
+    } catch (error) {
+      logger.error(`Error deleting flag ${flagId}: ${error.message}`);
+      throw new Error(`Failed to delete flag: ${error.message}`);
+    }
+  }
+  
+  /**
+   * Get every stored flag
+   * @returns {Promise<Array>} - Array of flag objects
+   */
+  async getAllFlags() {
+    try {
+      const result = await pool.query(`SELECT ${FLAG_COLUMNS} FROM flags`);
+      return result.rows.map(row => this._mapFlag(row));
+    } catch (error) {
+      logger.error(`Error fetching flags: ${error.message}`);
+      throw new Error(`Failed to fetch flags: ${error.message}`);
+    }
+  }
+  
+  /**
+   * Get a flag by ID
+   * @param {string} flagId - The flag ID
+   * @returns {Promise<Object|null>} - The flag, or null if it does not exist
+   */
+  async getFlagById(flagId) {
+    try {
+      const result = await pool.query(`SELECT ${FLAG_COLUMNS} FROM flags WHERE id = $1`, [flagId]);
+      return result.rows.length > 0 ? this._mapFlag(result.rows[0]) : null;
+    } catch (error) {
+      logger.error(`Error fetching flag ${flagId}: ${error.message}`);
+      throw new Error(`Failed to fetch flag: ${error.message}`);
+    }
+  }
+  
+  /**
+   * Get the flags owned by a player
+   * @param {string} ownerId - The owner's player ID
+   * @returns {Promise<Array>} - Array of flag objects
+   */
+  async getFlagsByOwner(ownerId) {
+    try {
+      const result = await pool.query(`SELECT ${FLAG_COLUMNS} FROM flags WHERE owner_id = $1`, [ownerId]);
+      return result.rows.map(row => this._mapFlag(row));
+    } catch (error) {
+      logger.error(`Error fetching flags for owner ${ownerId}: ${error.message}`);
+      throw new Error(`Failed to fetch flags for owner: ${error.message}`);
+    }
+  }
+  
+  /**
+   * Get flags within a distance of a position
+   * @param {Object} position - Position { lat, lng }
+   * @param {number} range - Range in meters
+   * @returns {Promise<Array>} - Array of flag objects
+   */
+  async getFlagsInRange(position, range) {
+    try {
+      const result = await pool.query(`
+        SELECT ${FLAG_COLUMNS}
+        FROM flags
+        WHERE ST_DWithin(
+          position::geography,
+          ST_SetSRID(ST_MakePoint($1, $2), 4326)::geography,
+          $3
+        )
+      `, [position.lng, position.lat, range]);
+      
+      return result.rows.map(row => this._mapFlag(row));
+    } catch (error) {
+      logger.error(`Error fetching flags in range: ${error.message}`);
+      throw new Error(`Failed to fetch flags in range: ${error.message}`);
+    }
+  }
+  
+  /**
+   * Get flags within a geographic bounding box
+   * @param {Object} bounds - Bounding box coordinates { minLat, maxLat, minLng, maxLng }
+   * @returns {Promise<Array>} - Array of flag objects
+   */
+  async getFlagsInBoundingBox(bounds) {
+    const { minLat, maxLat, minLng, maxLng } = bounds;
+    
+    try {
+      const result = await pool.query(`
+        SELECT ${FLAG_COLUMNS}
+        FROM flags
+        WHERE position && ST_MakeEnvelope($1, $2, $3, $4, 4326)
+      `, [minLng, minLat, maxLng, maxLat]);
+      
+      return result.rows.map(row => this._mapFlag(row));
+    } catch (error) {
+      logger.error(`Error fetching flags in bounds: ${error.message}`);
+      throw new Error(`Failed to fetch flags in bounds: ${error.message}`);
+    }
+  }
+  
+  /**
+   * Convert a database row into the flag object FlagSystem works with
+   * @private
+   * @param {Object} row - Row selected with FLAG_COLUMNS
+   * @returns {Object} - Flag object
+   */
+  _mapFlag(row) {
+    const properties = row.properties || {};
+    
+    return {
+      ...properties,
+      id: row.id,
+      // System flags have no owning player row
+      ownerId: row.owner_id || (properties.type === 'system' ? 'system' : null),
+      name: row.name,
+      position: {
+        lat: Number.parseFloat(row.lat),
+        lng: Number.parseFloat(row.lng)
+      },
+      radius: row.radius,
+      createdAt: new Date(row.created_at).getTime(),
+      updatedAt: new Date(row.updated_at).getTime()
+    };
+  }
+  
+  /**
+   * Collect the flag fields without a column of their own into the properties document
+   * @private
+   * @param {Object} flag - Flag object
+   * @returns {Object} - Properties to store as JSONB
+   */
+  _toProperties(flag) {
+    const { id, ownerId, name, position, radius, createdAt, updatedAt, ...properties } = flag;
+    return properties;
+  }
+}
+
+// Export as singleton
+export default new FlagRepository();
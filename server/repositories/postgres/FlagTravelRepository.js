@@ -0,0 +1,86 @@
+/**
+ * FlagTravelRepository.js
+ * Handles PostgreSQL operations for players' jumps to flags
+ */
+
+import { pool, transaction } from '../../config/postgres.js';
+import logger from '../../utils/logger.js';
+
+class FlagTravelRepository {
+  /**
+   * Record a jump, dropping the player's older jumps beyond the newest keep
+   * @param {Object} travel - Jump data
+   * @param {string} travel.playerId - The player's ID
+   * @param {Object} travel.flag - The flag jumped to { id, name, position }
+   * @param {number} travel.feathers - Roc Feathers paid
+   * @param {number} travel.toll - Gold paid to the flag's owner
+   * @param {number} keep - Jumps to keep for the player
+   * @returns {Promise<void>}
+   */
+  async recordTravel({ playerId, flag, feathers, toll }, keep) {
+    try {
+      await transaction(async (client) => {
+        await client.query(
+          `INSERT INTO flag_travels (player_id, flag_id, flag_name, lat, lng, feathers, toll)
+           VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+          [playerId, flag.id, flag.name ?? null, flag.position.lat, flag.position.lng, feathers, toll]
+        );
+
+        await client.query(
+          `DELETE FROM flag_travels
+           WHERE player_id = $1 AND id NOT IN (
+             SELECT id FROM flag_travels WHERE player_id = $1 ORDER BY id DESC LIMIT $2
+           )`,
+          [playerId, keep]
+        );
+      });
+    } catch (error) {
+      logger.error(`Error recording travel of ${playerId} to flag ${flag.id}: ${error.message}`);
+      throw new Error(`Failed to record travel: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get a player's jumps, newest first
+   * @param {string} playerId - The player's ID
+   * @param {number} limit - Most jumps to return
+   * @returns {Promise<Array<Object>>} - Jumps
+   */
+  async getTravels(playerId, limit) {
+    try {
+      const result = await pool.query(
+        `SELECT id, flag_id, flag_name, lat, lng, feathers, toll, traveled_at
+         FROM flag_travels
+         WHERE player_id = $1
+         ORDER BY id DESC
+         LIMIT $2`,
+        [playerId, limit]
+      );
+
+      return result.rows.map(row => this._mapTravel(row));
+    } catch (error) {
+      logger.error(`Error fetching travels of ${playerId}: ${error.message}`);
+      throw new Error(`Failed to fetch travels: ${error.message}`);
+    }
+  }
+
+  /**
+   * Map a flag_travels row to a jump object
+   * @private
+   * @param {Object} row - Database row
+   * @returns {Object} - Jump { id, flagId, flagName, position, feathers, toll, traveledAt }
+   */
+  _mapTravel(row) {
+    return {
+      id: Number(row.id),
+      flagId: row.flag_id,
+      flagName: row.flag_name,
+      position: { lat: row.lat, lng: row.lng },
+      feathers: row.feathers,
+      toll: row.toll,
+      traveledAt: new Date(row.traveled_at).getTime()
+    };
+  }
+}
+
+export default new FlagTravelRepository();
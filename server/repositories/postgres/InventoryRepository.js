@@ -0,0 +1,167 @@
+/**
+ * InventoryRepository.js
+ * Handles PostgreSQL operations for inventory items and the transactions that change them
+ */
+
+import { pool, transaction } from '../../config/postgres.js';
+import logger from '../../utils/logger.js';
+
+class InventoryRepository {
+  /**
+   * Get a player's items, in their inventory slots and equipped
+   * @param {string} playerId - The player's ID
+   * @returns {Promise<Array<Object>>} - Items { id, itemId, quantity, slot, equipmentSlot }
+   */
+  async getItems(playerId) {
+    try {
+      const result = await pool.query(
+        `SELECT id, item_id, quantity, slot, equipment_slot
+         FROM player_inventory_items
+         WHERE player_id = $1
+         ORDER BY slot NULLS LAST, equipment_slot`,
+        [playerId]
+      );
+
+      return result.rows.map(row => this._mapItem(row));
+    } catch (error) {
+      logger.error(`Error fetching inventory for player ${playerId}: ${error.message}`);
+      throw new Error(`Failed to fetch inventory: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get a recorded transaction
+   * @param {string} playerId - The player's ID
+   * @param {string} key - The transaction's idempotency key
+   * @returns {Promise<Object|null>} - { kind, status, error }, or null if the key is unknown
+   */
+  async getTransaction(playerId, key) {
+    try {
+      const result = await pool.query(
+        'SELECT kind, status, error FROM inventory_transactions WHERE player_id = $1 AND idempotency_key = $2',
+        [playerId, key]
+      );
+
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error(`Error fetching inventory transaction ${key} for player ${playerId}: ${error.message}`);
+      throw new Error(`Failed to fetch inventory transaction: ${error.message}`);
+    }
+  }
+
+  /**
+   * Record a rejected transaction so a retry is rejected the same way
+   * @param {string} playerId - The player's ID
+   * @param {string} key - The transaction's idempotency key
+   * @param {string} kind - The transaction's kind
+   * @param {string} reason - Why it was rejected
+   * @returns {Promise<boolean>} - False if the key was already recorded
+   */
+  async recordRejection(playerId, key, kind, reason) {
+    try {
+      const result = await pool.query(
+        `INSERT INTO inventory_transactions (player_id, idempotency_key, kind, status, error)
+         VALUES ($1, $2, $3, 'rejected', $4)
+         ON CONFLICT (player_id, idempotency_key) DO NOTHING`,
+        [playerId, key, kind, reason]
+      );
+
+      return result.rowCount > 0;
+    } catch (error) {
+      logger.error(`Error recording inventory transaction ${key} for player ${playerId}: ${error.message}`);
+      throw new Error(`Failed to record inventory transaction: ${error.message}`);
+    }
+  }
+
+  /**
+   * Record a transaction and apply its changes to the player's items in one database transaction
+   * @param {string} playerId - The player's ID
+   * @param {string} key - The transaction's idempotency key
+   * @param {string} kind - The transaction's kind
+   * @param {Object} changes - { inserted: Array<Object>, updated: Array<Object>, deleted: Array<string> }
+   * @returns {Promise<boolean>} - False if the key was already recorded, in which case nothing is changed
+   */
+  async applyTransaction(playerId, key, kind, changes) {
+    try {
+      return await transaction(async (client) => {
+        const recorded = await client.query(
+          `INSERT INTO inventory_transactions (player_id, idempotency_key, kind, status)
+           VALUES ($1, $2, $3, 'committed')
+           ON CONFLICT (player_id, idempotency_key) DO NOTHING`,
+          [playerId, key, kind]
+        );
+
+        if (recorded.rowCount === 0) {
+          return false;
+        }
+
+        // Deletes first, so rows moving into a freed slot do not collide with the unique indexes
+        if (changes.deleted.length > 0) {
+          await client.query(
+            'DELETE FROM player_inventory_items WHERE player_id = $1 AND id = ANY($2::uuid[])',
+            [playerId, changes.deleted]
+          );
+        }
+
+        for (const item of changes.updated) {
+          await client.query(
+            `UPDATE player_inventory_items
+             SET quantity = $1, slot = $2, is_equipped = $3, equipment_slot = $4, updated_at = NOW()
+             WHERE player_id = $5 AND id = $6`,
+            [item.quantity, item.slot, item.equipmentSlot !== null, item.equipmentSlot, playerId, item.id]
+          );
+        }
+
+        for (const item of changes.inserted) {
+          await client.query(
+            `INSERT INTO player_inventory_items (id, player_id, item_id, quantity, slot, is_equipped, equipment_slot)
+             VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+            [item.id, playerId, item.itemId, item.quantity, item.slot, item.equipmentSlot !== null, item.equipmentSlot]
+          );
+        }
+
+        return true;
+      });
+    } catch (error) {
+      logger.error(`Error applying inventory transaction ${key} for player ${playerId}: ${error.message}`);
+      throw new Error(`Failed to apply inventory transaction: ${error.message}`);
+    }
+  }
+
+  /**
+   * Delete transaction records old enough that their keys will not be retried
+   * @param {Date} cutoff - Records created before this are deleted
+   * @returns {Promise<number>} - Number of records deleted
+   */
+  async deleteTransactionsBefore(cutoff) {
+    try {
+      const result = await pool.query(
+        'DELETE FROM inventory_transactions WHERE created_at < $1',
+        [cutoff]
+      );
+
+      return result.rowCount;
+    } catch (error) {
+      logger.error(`Error deleting old inventory transactions: ${error.message}`);
+      throw new Error(`Failed to delete inventory transactions: ${error.message}`);
+    }
+  }
+
+  /**
+   * Map a player_inventory_items row to an item object
+   * @private
+   * @param {Object} row - Database row
+   * @returns {Object} - Item { id, itemId, quantity, slot, equipmentSlot }
+   */
+  _mapItem(row) {
+    return {
+      id: row.id,
+      itemId: row.item_id,
+      quantity: row.quantity,
+      slot: row.slot,
+      equipmentSlot: row.equipment_slot
+    };
+  }
+}
+
+export default new InventoryRepository();
@@ -0,0 +1,176 @@
+/**
+ * SessionRepository.js
+ * Handles PostgreSQL operations for authentication sessions
+ */
+
+import { pool } from '../../config/postgres.js';
+import logger from '../../utils/logger.js';
+
+class SessionRepository {
+  /**
+   * Create a new session
+   * @param {Object} sessionData - Session data
+   * @param {string} sessionData.id - The session ID
+   * @param {string} sessionData.playerId - The owning player's ID
+   * @param {string} sessionData.ipAddress - IP address the session was created from
+   * @param {string} sessionData.userAgent - User agent the session was created from
+   * @param {Date} sessionData.expiresAt - When the session expires
+   * @returns {Promise<Object>} - The created session
+   */
+  async createSession(sessionData) {
+    const { id, playerId, ipAddress = null, userAgent = null, expiresAt } = sessionData;
+
+    try {
+      const result = await pool.query(
+        `INSERT INTO sessions (id, player_id, ip_address, user_agent, is_valid, expires_at)
+         VALUES ($1, $2, $3, $4, TRUE, $5)
+         RETURNING id, player_id, ip_address, created_at, expires_at`,
+        [id, playerId, ipAddress, userAgent, expiresAt]
+      );
+
+      return this._mapSession(result.rows[0]);
+    } catch (error) {
+      logger.error(`Error creating session for player ${playerId}: ${error.message}`);
+      throw new Error(`Failed to create session: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get a session that is still valid and unexpired
+   * @param {string} sessionId - The session ID
+   * @returns {Promise<Object|null>} - The session, or null if missing, revoked or expired
+   */
+  async getActiveSession(sessionId) {
+    try {
+      const result = await pool.query(
+        `SELECT id, player_id, ip_address, created_at, expires_at
+         FROM sessions
+         WHERE id = $1 AND is_valid = TRUE AND expires_at > NOW()`,
+        [sessionId]
+      );
+
+      if (result.rows.length === 0) {
+        return null;
+      }
+
+      return this._mapSession(result.rows[0]);
+    } catch (error) {
+      logger.error(`Error fetching session ${sessionId}: ${error.message}`);
+      throw new Error(`Failed to fetch session: ${error.message}`);
+    }
+  }
+
+  /**
+   * Revoke a single session
+   * @param {string} sessionId - The session ID
+   * @returns {Promise<boolean>} - True if a session was revoked
+   */
+  async revokeSession(sessionId) {
+    try {
+      const result = await pool.query(
+        'UPDATE sessions SET is_valid = FALSE WHERE id = $1 AND is_valid = TRUE',
+        [sessionId]
+      );
+
+      return result.rowCount > 0;
+    } catch (error) {
+      logger.error(`Error revoking session ${sessionId}: ${error.message}`);
+      throw new Error(`Failed to revoke session: ${error.message}`);
+    }
+  }
+
+  /**
+   * Revoke every session belonging to a player
+   * @param {string} playerId - The player's ID
+   * @returns {Promise<number>} - Number of sessions revoked
+   */
+  async revokeAllSessionsForPlayer(playerId) {
+    try {
+      const result = await pool.query(
+        'UPDATE sessions SET is_valid = FALSE WHERE player_id = $1 AND is_valid = TRUE',
+        [playerId]
+      );
+
+      return result.rowCount;
+    } catch (error) {
+      logger.error(`Error revoking sessions for player ${playerId}: ${error.message}`);
+      throw new Error(`Failed to revoke sessions: ${error.message}`);
+    }
+  }
+
+  /**
+   * Revoke every session belonging to a player except one
+   * @param {string} playerId - The player's ID
+   * @param {string} keepSessionId - The session to keep
+   * @returns {Promise<number>} - Number of sessions revoked
+   */
+  async revokeOtherSessionsForPlayer(playerId, keepSessionId) {
+    try {
+      const result = await pool.query(
+        'UPDATE sessions SET is_valid = FALSE WHERE player_id = $1 AND id <> $2 AND is_valid = TRUE',
+        [playerId, keepSessionId]
+      );
+
+      return result.rowCount;
+    } catch (error) {
+      logger.error(`Error revoking sessions for player ${playerId}: ${error.message}`);
+      throw new Error(`Failed to revoke sessions: ${error.message}`);
+    }
+  }
+
+  /**
+   * Count active sessions created from an IP address
+   * @param {string} ipAddress - The IP address
+   * @returns {Promise<number>} - Number of active sessions
+   */
+  async countActiveSessionsForIp(ipAddress) {
+    try {
+      const result = await pool.query(
+        `SELECT COUNT(*) AS count
+         FROM sessions
+         WHERE ip_address = $1 AND is_valid = TRUE AND expires_at > NOW()`,
+        [ipAddress]
+      );
+
+      return Number.parseInt(result.rows[0].count, 10);
+    } catch (error) {
+      logger.error(`Error counting sessions for IP ${ipAddress}: ${error.message}`);
+      throw new Error(`Failed to count sessions: ${error.message}`);
+    }
+  }
+
+  /**
+   * Delete sessions that have expired or been revoked
+   * @returns {Promise<number>} - Number of sessions deleted
+   */
+  async deleteExpiredSessions() {
+    try {
+      const result = await pool.query(
+        'DELETE FROM sessions WHERE is_valid = FALSE OR expires_at <= NOW()'
+      );
+
+      return result.rowCount;
+    } catch (error) {
+      logger.error(`Error deleting expired sessions: ${error.message}`);
+      throw new Error(`Failed to delete expired sessions: ${error.message}`);
+    }
+  }
+
+  /**
+   * Map a sessions row to a session object
+   * @private
+   * @param {Object} row - Database row
+   * @returns {Object} - Session object
+   */
+  _mapSession(row) {
+    return {
+      id: row.id,
+      playerId: row.player_id,
+      ipAddress: row.ip_address,
+      createdAt: row.created_at,
+      expiresAt: row.expires_at
+    };
+  }
+}
+
+export default new SessionRepository();
@@ -0,0 +1,281 @@
+/**
+ * AccountRepository.js
+ * Handles SQLite operations for account management: email verification,
+ * password reset tokens and scheduled account deletion
+ */
+
+import db from '../../config/database.js';
+import logger from '../../utils/logger.js';
+
+class AccountRepository {
+  /**
+   * Get a player's account details
+   * @param {string} playerId - The player's ID
+   * @returns {Promise<Object|null>} - { id, username, email, emailVerifiedAt, deleteAfter }, or null if missing
+   */
+  async getAccount(playerId) {
+    try {
+      const row = db.prepare(
+        'SELECT id, username, email, email_verified_at, delete_after FROM players WHERE id = ?'
+      ).get(playerId);
+
+      return row ? this._mapAccount(row) : null;
+    } catch (error) {
+      logger.error(`Error fetching account ${playerId}: ${error.message}`);
+      throw new Error(`Failed to fetch account: ${error.message}`);
+    }
+  }
+
+  /**
+   * Find an active account by email address, ignoring case
+   * @param {string} email - The email address
+   * @returns {Promise<Object|null>} - The account, or null if none
+   */
+  async findActiveAccountByEmail(email) {
+    try {
+      const row = db.prepare(
+        `SELECT id, username, email, email_verified_at, delete_after
+         FROM players
+         WHERE LOWER(email) = LOWER(?) AND is_active = 1`
+      ).get(email);
+
+      return row ? this._mapAccount(row) : null;
+    } catch (error) {
+      logger.error(`Error finding account by email: ${error.message}`);
+      throw new Error(`Failed to find account: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get a player's password hash
+   * @param {string} playerId - The player's ID
+   * @returns {Promise<string|null>} - The hash, or null if the player is missing
+   */
+  async getPasswordHash(playerId) {
+    try {
+      const row = db.prepare('SELECT password_hash FROM players WHERE id = ?').get(playerId);
+      return row ? row.password_hash : null;
+    } catch (error) {
+      logger.error(`Error fetching password for ${playerId}: ${error.message}`);
+      throw new Error(`Failed to fetch password: ${error.message}`);
+    }
+  }
+
+  /**
+   * Store a new token, replacing the player's unused tokens for the same purpose
+   * @param {Object} tokenData - Token data
+   * @param {string} tokenData.tokenHash - SHA-256 hash of the token
+   * @param {string} tokenData.playerId - The player's ID
+   * @param {string} tokenData.purpose - 'verify-email' or 'reset-password'
+   * @param {string} tokenData.email - Address the token was sent to
+   * @param {Date} tokenData.expiresAt - When the token expires
+   * @returns {Promise<void>}
+   */
+  async createToken({ tokenHash, playerId, purpose, email, expiresAt }) {
+    try {
+      db.transaction(() => {
+        db.prepare(
+          'DELETE FROM account_tokens WHERE player_id = ? AND purpose = ? AND used_at IS NULL'
+        ).run(playerId, purpose);
+
+        db.prepare(
+          `INSERT INTO account_tokens (token_hash, player_id, purpose, email, created_at, expires_at)
+           VALUES (?, ?, ?, ?, ?, ?)`
+        ).run(tokenHash, playerId, purpose, email, new Date().toISOString(), expiresAt.toISOString());
+      })();
+    } catch (error) {
+      logger.error(`Error creating ${purpose} token for ${playerId}: ${error.message}`);
+      throw new Error(`Failed to create token: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get when the player's newest token for a purpose was created
+   * @param {string} playerId - The player's ID
+   * @param {string} purpose - 'verify-email' or 'reset-password'
+   * @returns {Promise<Date|null>} - Creation time, or null if there is none
+   */
+  async getLatestTokenCreatedAt(playerId, purpose) {
+    try {
+      const row = db.prepare(
+        'SELECT MAX(created_at) AS created_at FROM account_tokens WHERE player_id = ? AND purpose = ?'
+      ).get(playerId, purpose);
+
+      return row.created_at ? new Date(row.created_at) : null;
+    } catch (error) {
+      logger.error(`Error fetching ${purpose} tokens for ${playerId}: ${error.message}`);
+      throw new Error(`Failed to fetch tokens: ${error.message}`);
+    }
+  }
+
+  /**
+   * Use up a token if it is unused and unexpired
+   * @param {string} tokenHash - SHA-256 hash of the token
+   * @param {string} purpose - 'verify-email' or 'reset-password'
+   * @returns {Promise<Object|null>} - { playerId, email }, or null if the token cannot be used
+   */
+  async consumeToken(tokenHash, purpose) {
+    try {
+      const now = new Date().toISOString();
+      const row = db.prepare(
+        `UPDATE account_tokens SET used_at = ?
+         WHERE token_hash = ? AND purpose = ? AND used_at IS NULL AND expires_at > ?
+         RETURNING player_id, email`
+      ).get(now, tokenHash, purpose, now);
+
+      return row ? { playerId: row.player_id, email: row.email } : null;
+    } catch (error) {
+      logger.error(`Error using ${purpose} token: ${error.message}`);
+      throw new Error(`Failed to use token: ${error.message}`);
+    }
+  }
+
+  /**
+   * Mark a player's email as verified if it is still the address that was verified
+   * @param {string} playerId - The player's ID
+   * @param {string} email - The verified address
+   * @returns {Promise<boolean>} - True if the account was updated
+   */
+  async markEmailVerified(playerId, email) {
+    try {
+      const result = db.prepare(
+        'UPDATE players SET email_verified_at = ? WHERE id = ? AND email = ?'
+      ).run(new Date().toISOString(), playerId, email);
+
+      return result.changes > 0;
+    } catch (error) {
+      logger.error(`Error verifying email for ${playerId}: ${error.message}`);
+      throw new Error(`Failed to verify email: ${error.message}`);
+    }
+  }
+
+  /**
+   * Replace a player's password hash
+   * @param {string} playerId - The player's ID
+   * @param {string} passwordHash - The new hash
+   * @returns {Promise<boolean>} - True if the account was updated
+   */
+  async updatePassword(playerId, passwordHash) {
+    try {
+      const result = db.prepare('UPDATE players SET password_hash = ? WHERE id = ?').run(passwordHash, playerId);
+      return result.changes > 0;
+    } catch (error) {
+      logger.error(`Error updating password for ${playerId}: ${error.message}`);
+      throw new Error(`Failed to update password: ${error.message}`);
+    }
+  }
+
+  /**
+   * Change a player's email address; the new address starts unverified
+   * @param {string} playerId - The player's ID
+   * @param {string} email - The new address
+   * @returns {Promise<boolean>} - True if the account was updated
+   */
+  async updateEmail(playerId, email) {
+    try {
+      const result = db.prepare(
+        'UPDATE players SET email = ?, email_verified_at = NULL WHERE id = ?'
+      ).run(email, playerId);
+
+      return result.changes > 0;
+    } catch (error) {
+      logger.error(`Error updating email for ${playerId}: ${error.message}`);
+      if (error.code === 'SQLITE_CONSTRAINT_UNIQUE' && error.message.includes('players.email')) {
+        throw new Error('Email already exists');
+      }
+      throw new Error(`Failed to update email: ${error.message}`);
+    }
+  }
+
+  /**
+   * Schedule a player's account for deletion
+   * @param {string} playerId - The player's ID
+   * @param {Date} deleteAfter - When the account is deleted
+   * @returns {Promise<boolean>} - True if the account was updated
+   */
+  async scheduleDeletion(playerId, deleteAfter) {
+    try {
+      const result = db.prepare(
+        'UPDATE players SET delete_after = ? WHERE id = ?'
+      ).run(deleteAfter.toISOString(), playerId);
+
+      return result.changes > 0;
+    } catch (error) {
+      logger.error(`Error scheduling deletion of ${playerId}: ${error.message}`);
+      throw new Error(`Failed to schedule account deletion: ${error.message}`);
+    }
+  }
+
+  /**
+   * Cancel a player's scheduled deletion
+   * @param {string} playerId - The player's ID
+   * @returns {Promise<boolean>} - True if a deletion was scheduled
+   */
+  async cancelDeletion(playerId) {
+    try {
+      const result = db.prepare(
+        'UPDATE players SET delete_after = NULL WHERE id = ? AND delete_after IS NOT NULL'
+      ).run(playerId);
+
+      return result.changes > 0;
+    } catch (error) {
+      logger.error(`Error cancelling deletion of ${playerId}: ${error.message}`);
+      throw new Error(`Failed to cancel account deletion: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get the accounts whose grace period has ended
+   * @param {Date} now - The current time
+   * @returns {Promise<Array<string>>} - Player IDs
+   */
+  async getAccountsDueForDeletion(now) {
+    try {
+      return db.prepare(
+        'SELECT id FROM players WHERE delete_after IS NOT NULL AND delete_after <= ?'
+      ).all(now.toISOString()).map(row => row.id);
+    } catch (error) {
+      logger.error(`Error fetching accounts due for deletion: ${error.message}`);
+      throw new Error(`Failed to fetch accounts due for deletion: ${error.message}`);
+    }
+  }
+
+  /**
+   * Delete tokens that have expired or been used
+   * @returns {Promise<number>} - Number of tokens deleted
+   */
+  async deleteExpiredTokens() {
+    try {
+      const result = db.prepare(
+        'DELETE FROM account_tokens WHERE expires_at <= ? OR used_at IS NOT NULL'
+      ).run(new Date().toISOString());
+
+      if (result.changes > 0) {
+        logger.info(`Deleted ${result.changes} expired account tokens`);
+      }
+
+      return result.changes;
+    } catch (error) {
+      logger.error(`Error deleting expired account tokens: ${error.message}`);
+      throw new Error(`Failed to delete expired account tokens: ${error.message}`);
+    }
+  }
+
+  /**
+   * Map a players row to an account object
+   * @private
+   * @param {Object} row - Database row
+   * @returns {Object} - Account object
+   */
+  _mapAccount(row) {
+    return {
+      id: row.id,
+      username: row.username,
+      email: row.email,
+      emailVerifiedAt: row.email_verified_at ? new Date(row.email_verified_at) : null,
+      deleteAfter: row.delete_after ? new Date(row.delete_after) : null
+    };
+  }
+}
+
+export default new AccountRepository();
@@ -0,0 +1,136 @@
+/**
+ * AdminRepository.js
+ * Handles SQLite operations for admin accounts and player bans
+ */
+
+import db from '../../config/database.js';
+import logger from '../../utils/logger.js';
+
+// Bans that have neither been lifted nor run out; the one parameter is the current time
+const ACTIVE_BAN_CONDITION = 'b.lifted_at IS NULL AND (b.expires_at IS NULL OR b.expires_at > ?)';
+
+class AdminRepository {
+  /**
+   * Check whether a player may use the admin API
+   * @param {string} playerId - The player's ID
+   * @returns {Promise<boolean>} - True for active admin accounts
+   */
+  async isAdmin(playerId) {
+    try {
+      const row = db.prepare(
+        'SELECT 1 FROM players WHERE id = ? AND is_admin = 1 AND is_active = 1'
+      ).get(playerId);
+
+      return Boolean(row);
+    } catch (error) {
+      logger.error(`Error checking admin access for ${playerId}: ${error.message}`);
+      throw new Error(`Failed to check admin access: ${error.message}`);
+    }
+  }
+
+  /**
+   * Ban a player
+   * @param {Object} banData - Ban data
+   * @param {string} banData.id - The ban ID
+   * @param {string} banData.playerId - The banned player's ID
+   * @param {string|null} banData.reason - Why the player was banned
+   * @param {string} banData.bannedBy - The admin's player ID
+   * @param {Date|null} banData.expiresAt - When the ban ends, or null for a permanent ban
+   * @returns {Promise<Object>} - The stored ban
+   */
+  async createBan({ id, playerId, reason = null, bannedBy, expiresAt = null }) {
+    try {
+      const row = db.prepare(
+        `INSERT INTO player_bans (id, player_id, reason, banned_by, created_at, expires_at)
+         VALUES (?, ?, ?, ?, ?, ?)
+         RETURNING id, player_id, reason, banned_by, created_at, expires_at`
+      ).get(id, playerId, reason, bannedBy, new Date().toISOString(), expiresAt ? expiresAt.toISOString() : null);
+
+      return this._mapBan(row);
+    } catch (error) {
+      logger.error(`Error banning player ${playerId}: ${error.message}`);
+      throw new Error(`Failed to ban player: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get the ban currently in force against a player
+   * @param {string} playerId - The player's ID
+   * @returns {Promise<Object|null>} - The ban that lasts longest, or null if none is in force
+   */
+  async getActiveBan(playerId) {
+    try {
+      const row = db.prepare(
+        `SELECT b.id, b.player_id, b.reason, b.banned_by, b.created_at, b.expires_at
+         FROM player_bans b
+         WHERE b.player_id = ? AND ${ACTIVE_BAN_CONDITION}
+         ORDER BY b.expires_at IS NULL DESC, b.expires_at DESC
+         LIMIT 1`
+      ).get(playerId, new Date().toISOString());
+
+      return row ? this._mapBan(row) : null;
+    } catch (error) {
+      logger.error(`Error fetching ban for ${playerId}: ${error.message}`);
+      throw new Error(`Failed to fetch ban: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get every ban in force, newest first
+   * @returns {Promise<Array<Object>>} - Bans with the banned player's username
+   */
+  async getActiveBans() {
+    try {
+      return db.prepare(
+        `SELECT b.id, b.player_id, p.username, b.reason, b.banned_by, b.created_at, b.expires_at
+         FROM player_bans b
+         JOIN players p ON p.id = b.player_id
+         WHERE ${ACTIVE_BAN_CONDITION}
+         ORDER BY b.created_at DESC`
+      ).all(new Date().toISOString()).map(row => this._mapBan(row));
+    } catch (error) {
+      logger.error(`Error fetching bans: ${error.message}`);
+      throw new Error(`Failed to fetch bans: ${error.message}`);
+    }
+  }
+
+  /**
+   * Lift every ban in force against a player
+   * @param {string} playerId - The player's ID
+   * @returns {Promise<boolean>} - True if any ban was lifted
+   */
+  async liftBans(playerId) {
+    try {
+      const now = new Date().toISOString();
+      const result = db.prepare(
+        `UPDATE player_bans AS b SET lifted_at = ?
+         WHERE b.player_id = ? AND ${ACTIVE_BAN_CONDITION}`
+      ).run(now, playerId, now);
+
+      return result.changes > 0;
+    } catch (error) {
+      logger.error(`Error lifting bans for ${playerId}: ${error.message}`);
+      throw new Error(`Failed to lift bans: ${error.message}`);
+    }
+  }
+
+  /**
+   * Map a player_bans row to a ban object
+   * @private
+   * @param {Object} row - Database row
+   * @returns {Object} - Ban object
+   */
+  _mapBan(row) {
+    return {
+      id: row.id,
+      playerId: row.player_id,
+      ...(row.username !== undefined && { username: row.username }),
+      reason: row.reason,
+      bannedBy: row.banned_by,
+      createdAt: new Date(row.created_at),
+      expiresAt: row.expires_at ? new Date(row.expires_at) : null
+    };
+  }
+}
+
+export default new AdminRepository();
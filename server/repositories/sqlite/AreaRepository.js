@@ -0,0 +1,92 @@
+/**
+ * AreaRepository.js
+ * Handles SQLite operations for game areas
+ */
+
+import db from '../../config/database.js';
+import logger from '../../utils/logger.js';
+import { safeJsonParse } from '../../utils/dbUtils.js';
+
+class AreaRepository {
+  /**
+   * Insert an area, or overwrite the stored copy if it already exists
+   * @param {Object} area - Area definition as kept by GeospatialAreaSystem
+   * @returns {Promise<void>}
+   */
+  async saveArea(area) {
+    const { minLat, maxLat, minLng, maxLng } = area.boundingBox;
+    const properties = area.properties || {};
+
+    try {
+      db.prepare(`
+        INSERT INTO areas (id, name, area_type, min_lat, max_lat, min_lng, max_lng, properties, created_at, updated_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        ON CONFLICT (id) DO UPDATE SET
+          name = excluded.name,
+          area_type = excluded.area_type,
+          min_lat = excluded.min_lat,
+          max_lat = excluded.max_lat,
+          min_lng = excluded.min_lng,
+          max_lng = excluded.max_lng,
+          properties = excluded.properties,
+          updated_at = excluded.updated_at
+      `).run(
+        area.id,
+        area.name,
+        properties.type || 'custom',
+        minLat,
+        maxLat,
+        minLng,
+        maxLng,
+        JSON.stringify(properties),
+        new Date(area.createdAt || Date.now()).toISOString(),
+        new Date(area.updatedAt || area.createdAt || Date.now()).toISOString()
+      );
+    } catch (error) {
+      logger.error(`Error saving area ${area.id}: ${error.message}`);
+      throw new Error(`Failed to save area: ${error.message}`);
+    }
+  }
+
+  /**
+   * Delete an area
+   * @param {string} areaId - The area ID
+   * @returns {Promise<boolean>} - Whether an area was deleted
+   */
+  async deleteArea(areaId) {
+    try {
+      return db.prepare('DELETE FROM areas WHERE id = ?').run(areaId).changes > 0;
+    } catch (error) {
+      logger.error(`Error deleting area ${areaId}: ${error.message}`);
+      throw new Error(`Failed to delete area: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get every stored area
+   * @returns {Promise<Array>} - Array of area definitions
+   */
+  async getAllAreas() {
+    try {
+      return db.prepare('SELECT * FROM areas').all().map(row => ({
+        id: row.id,
+        name: row.name,
+        boundingBox: {
+          minLat: row.min_lat,
+          maxLat: row.max_lat,
+          minLng: row.min_lng,
+          maxLng: row.max_lng
+        },
+        properties: { type: row.area_type, ...safeJsonParse(row.properties, {}) },
+        createdAt: new Date(row.created_at).getTime(),
+        updatedAt: new Date(row.updated_at).getTime()
+      }));
+    } catch (error) {
+      logger.error(`Error fetching areas: ${error.message}`);
+      throw new Error(`Failed to fetch areas: ${error.message}`);
+    }
+  }
+}
+
+// Export as singleton
+export default new AreaRepository();
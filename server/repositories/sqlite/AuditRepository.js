@@ -0,0 +1,145 @@
+/**
+ * AuditRepository.js
+ * Handles SQLite operations for the audit log
+ */
+
+import db from '../../config/database.js';
+import logger from '../../utils/logger.js';
+
+class AuditRepository {
+  /**
+   * Append an event to the audit log
+   * @param {Object} event - Event data
+   * @param {string|null} event.actorId - The acting player's ID, or null for the server
+   * @param {string} event.action - What was done, e.g. 'flag.place'
+   * @param {string} event.targetType - Kind of thing acted on, e.g. 'flag'
+   * @param {string|null} event.targetId - ID of the thing acted on
+   * @param {number|null} event.lat - Where it happened
+   * @param {number|null} event.lng - Where it happened
+   * @param {*} event.before - The target's state before, or null
+   * @param {*} event.after - The target's state afterwards, or null
+   * @param {Object|null} event.details - Anything else recorded with the event
+   * @returns {Promise<number>} - The event's ID
+   */
+  async appendEvent({ actorId = null, action, targetType, targetId = null, lat = null, lng = null, before = null, after = null, details = null }) {
+    try {
+      const result = db.prepare(
+        `INSERT INTO audit_events (created_at, actor_id, action, target_type, target_id, lat, lng, before_state, after_state, details)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`
+      ).run(
+        new Date().toISOString(),
+        actorId,
+        action,
+        targetType,
+        targetId,
+        lat,
+        lng,
+        this._toJson(before),
+        this._toJson(after),
+        this._toJson(details)
+      );
+
+      return Number(result.lastInsertRowid);
+    } catch (error) {
+      logger.error(`Error recording audit event ${action}: ${error.message}`);
+      throw new Error(`Failed to record audit event: ${error.message}`);
+    }
+  }
+
+  /**
+   * Find audit events, newest first
+   * @param {Object} filters - Filters, all optional except limit
+   * @param {string} [filters.playerId] - Events the player performed or was the target of
+   * @param {string} [filters.targetType] - Kind of thing acted on
+   * @param {string} [filters.targetId] - ID of the thing acted on
+   * @param {string} [filters.action] - An action, or a category such as 'flag' for every 'flag.*' action
+   * @param {Object} [filters.bounds] - { minLat, maxLat, minLng, maxLng } the events happened in
+   * @param {Date} [filters.from] - Earliest time
+   * @param {Date} [filters.to] - Latest time
+   * @param {number} [filters.beforeId] - Only events older than this one
+   * @param {number} filters.limit - Most events to return
+   * @returns {Promise<Array<Object>>} - Events
+   */
+  async queryEvents({ playerId, targetType, targetId, action, bounds, from, to, beforeId, limit }) {
+    const conditions = [];
+    const params = [];
+
+    if (playerId) {
+      conditions.push(`(actor_id = ? OR (target_type = 'player' AND target_id = ?))`);
+      params.push(playerId, playerId);
+    }
+    if (targetType) {
+      conditions.push('target_type = ?');
+      params.push(targetType);
+    }
+    if (targetId) {
+      conditions.push('target_id = ?');
+      params.push(targetId);
+    }
+    if (action) {
+      conditions.push('(action = ? OR action LIKE ?)');
+      params.push(action, `${action}.%`);
+    }
+    if (bounds) {
+      conditions.push('lat BETWEEN ? AND ? AND lng BETWEEN ? AND ?');
+      params.push(bounds.minLat, bounds.maxLat, bounds.minLng, bounds.maxLng);
+    }
+    if (from) {
+      conditions.push('created_at >= ?');
+      params.push(from.toISOString());
+    }
+    if (to) {
+      conditions.push('created_at <= ?');
+      params.push(to.toISOString());
+    }
+    if (beforeId) {
+      conditions.push('id < ?');
+      params.push(beforeId);
+    }
+
+    try {
+      return db.prepare(
+        `SELECT id, created_at, actor_id, action, target_type, target_id, lat, lng, before_state, after_state, details
+         FROM audit_events
+         ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+         ORDER BY id DESC
+         LIMIT ?`
+      ).all(...params, limit).map(row => this._mapEvent(row));
+    } catch (error) {
+      logger.error(`Error querying audit events: ${error.message}`);
+      throw new Error(`Failed to query audit events: ${error.message}`);
+    }
+  }
+
+  /**
+   * Serialize a value for a JSON column
+   * @private
+   * @param {*} value - The value
+   * @returns {string|null} - JSON text, or null
+   */
+  _toJson(value) {
+    return value === null || value === undefined ? null : JSON.stringify(value);
+  }
+
+  /**
+   * Map an audit_events row to an event object
+   * @private
+   * @param {Object} row - Database row
+   * @returns {Object} - Event object
+   */
+  _mapEvent(row) {
+    return {
+      id: row.id,
+      createdAt: new Date(row.created_at),
+      actorId: row.actor_id,
+      action: row.action,
+      target: { type: row.target_type, id: row.target_id },
+      position: row.lat !== null && row.lng !== null ? { lat: row.lat, lng: row.lng } : null,
+      before: row.before_state !== null ? JSON.parse(row.before_state) : null,
+      after: row.after_state !== null ? JSON.parse(row.after_state) : null,
+      details: row.details !== null ? JSON.parse(row.details) : null
+    };
+  }
+}
+
+export default new AuditRepository();
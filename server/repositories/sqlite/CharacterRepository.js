@@ -0,0 +1,113 @@
+/**
+ * CharacterRepository.js
+ * Handles SQLite operations for characters (stats and learned skills)
+ */
+
+import db from '../../config/database.js';
+import logger from '../../utils/logger.js';
+import { safeJsonParse } from '../../utils/dbUtils.js';
+
+class CharacterRepository {
+  /**
+   * Get a player's character
+   * @param {string} playerId - The player's ID
+   * @returns {Promise<Object|null>} - The character, or null if none is stored
+   */
+  async getCharacter(playerId) {
+    try {
+      const row = db.prepare(
+        'SELECT player_id, version, stats, skills, updated_at FROM characters WHERE player_id = ?'
+      ).get(playerId);
+
+      return row ? this._mapCharacter(row) : null;
+    } catch (error) {
+      logger.error(`Error fetching character for player ${playerId}: ${error.message}`);
+      throw new Error(`Failed to fetch character: ${error.message}`);
+    }
+  }
+
+  /**
+   * Store a character if the stored copy is still at the version the caller last saw
+   * Level, experience and health are copied to the player's profile in the same transaction.
+   * @param {string} playerId - The player's ID
+   * @param {Object} character - { stats, skills }
+   * @param {number} expectedVersion - Version the caller last saw (0 for a new character)
+   * @returns {Promise<Object|null>} - The stored character with its new version, or null if the version did not match
+   */
+  async saveCharacter(playerId, character, expectedVersion) {
+    const { stats, skills } = character;
+    const values = [JSON.stringify(stats), JSON.stringify(skills)];
+    const now = new Date().toISOString();
+
+    try {
+      const saved = db.transaction(() => {
+        const result = expectedVersion === 0
+          ? db.prepare(`
+              INSERT INTO characters (player_id, version, stats, skills, updated_at)
+              VALUES (?, 1, ?, ?, ?)
+              ON CONFLICT (player_id) DO NOTHING
+            `).run(playerId, ...values, now)
+          : db.prepare(`
+              UPDATE characters
+              SET version = version + 1, stats = ?, skills = ?, updated_at = ?
+              WHERE player_id = ? AND version = ?
+            `).run(...values, now, playerId, expectedVersion);
+
+        if (result.changes === 0) {
+          return false;
+        }
+
+        db.prepare(
+          'UPDATE player_profiles SET experience = ?, level = ?, health = ?, max_health = ?, updated_at = ? WHERE player_id = ?'
+        ).run(stats.xp, stats.level, stats.health, stats.maxHealth, now, playerId);
+
+        return true;
+      })();
+
+      return saved ? { playerId, version: expectedVersion + 1, ...character, updatedAt: Date.parse(now) } : null;
+    } catch (error) {
+      logger.error(`Error saving character for player ${playerId}: ${error.message}`);
+      throw new Error(`Failed to save character: ${error.message}`);
+    }
+  }
+
+  /**
+   * Add gold the server gave a player to their stored character, bumping its version
+   * @param {string} playerId - The player's ID
+   * @param {number} amount - Gold to add
+   * @returns {Promise<Object|null>} - The character's new { version, gold }, or null if the player has none
+   */
+  async addGold(playerId, amount) {
+    try {
+      const row = db.prepare(`
+        UPDATE characters
+        SET version = version + 1, stats = json_set(stats, '$.gold', COALESCE(json_extract(stats, '$.gold'), 0) + ?), updated_at = ?
+        WHERE player_id = ?
+        RETURNING version, json_extract(stats, '$.gold') AS gold
+      `).get(amount, new Date().toISOString(), playerId);
+
+      return row ? { version: row.version, gold: row.gold } : null;
+    } catch (error) {
+      logger.error(`Error adding ${amount} gold for player ${playerId}: ${error.message}`);
+      throw new Error(`Failed to add gold: ${error.message}`);
+    }
+  }
+
+  /**
+   * Map a characters row to a character object
+   * @private
+   * @param {Object} row - Database row
+   * @returns {Object} - Character { playerId, version, stats, skills, updatedAt }
+   */
+  _mapCharacter(row) {
+    return {
+      playerId: row.player_id,
+      version: row.version,
+      stats: safeJsonParse(row.stats, {}),
+      skills: safeJsonParse(row.skills, {}),
+      updatedAt: Date.parse(row.updated_at)
+    };
+  }
+}
+
+export default new CharacterRepository();
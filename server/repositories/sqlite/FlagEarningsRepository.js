@@ -0,0 +1,120 @@
+/**
+ * FlagEarningsRepository.js
+ * Handles SQLite operations for gold paid to flag owners
+ */
+
+import db from '../../config/database.js';
+import logger from '../../utils/logger.js';
+
+class FlagEarningsRepository {
+  /**
+   * Move gold from one character to a flag owner's and record it in the owner's earnings
+   * Both characters' versions go up by one, so sessions holding an older copy must reload.
+   * @param {Object} payment - Payment data
+   * @param {string} payment.payerId - The paying player's ID
+   * @param {string|null} payment.payerName - The paying player's name, kept with the entry
+   * @param {string} payment.ownerId - The flag owner's ID
+   * @param {number} payment.amount - Gold to move, more than 0
+   * @param {string} payment.kind - What the gold is for: 'toll' or 'revenue-share'
+   * @param {Object} payment.flag - The flag { id, name } it was paid for
+   * @returns {Promise<Object|null>} - { entryId, payer, owner } with each character's new { version, gold },
+   *   or null if the payer has too little gold
+   */
+  async transferGold({ payerId, payerName = null, ownerId, amount, kind, flag }) {
+    const now = new Date().toISOString();
+
+    try {
+      return db.transaction(() => {
+        const payer = db.prepare(`
+          UPDATE characters
+          SET version = version + 1, stats = json_set(stats, '$.gold', json_extract(stats, '$.gold') - ?), updated_at = ?
+          WHERE player_id = ? AND json_extract(stats, '$.gold') >= ?
+          RETURNING version, json_extract(stats, '$.gold') AS gold
+        `).get(amount, now, payerId, amount);
+
+        if (!payer) {
+          return null;
+        }
+
+        const owner = db.prepare(`
+          UPDATE characters
+          SET version = version + 1, stats = json_set(stats, '$.gold', json_extract(stats, '$.gold') + ?), updated_at = ?
+          WHERE player_id = ?
+          RETURNING version, json_extract(stats, '$.gold') AS gold
+        `).get(amount, now, ownerId);
+
+        // Throwing rolls the payer's side back
+        if (!owner) {
+          throw new Error(`owner ${ownerId} has no character`);
+        }
+
+        const entry = db.prepare(
+          `INSERT INTO flag_earnings (created_at, owner_id, flag_id, flag_name, kind, payer_id, payer_name, amount)
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?)`
+        ).run(now, ownerId, flag.id, flag.name ?? null, kind, payerId, payerName, amount);
+
+        return { entryId: Number(entry.lastInsertRowid), payer, owner };
+      })();
+    } catch (error) {
+      logger.error(`Error paying ${amount} gold from ${payerId} to ${ownerId}: ${error.message}`);
+      throw new Error(`Failed to transfer gold: ${error.message}`);
+    }
+  }
+
+  /**
+   * Find a flag owner's earnings, newest first
+   * @param {Object} filters - Filters
+   * @param {string} filters.ownerId - The flag owner's ID
+   * @param {string} [filters.flagId] - Only earnings from this flag
+   * @param {number} [filters.beforeId] - Only entries older than this one
+   * @param {number} filters.limit - Most entries to return
+   * @returns {Promise<Array<Object>>} - Entries
+   */
+  async getEarnings({ ownerId, flagId, beforeId, limit }) {
+    const conditions = ['owner_id = ?'];
+    const params = [ownerId];
+
+    if (flagId) {
+      conditions.push('flag_id = ?');
+      params.push(flagId);
+    }
+    if (beforeId) {
+      conditions.push('id < ?');
+      params.push(beforeId);
+    }
+
+    try {
+      return db.prepare(
+        `SELECT id, created_at, flag_id, flag_name, kind, payer_id, payer_name, amount
+         FROM flag_earnings
+         WHERE ${conditions.join(' AND ')}
+         ORDER BY id DESC
+         LIMIT ?`
+      ).all(...params, limit).map(row => this._mapEntry(row));
+    } catch (error) {
+      logger.error(`Error fetching flag earnings for ${ownerId}: ${error.message}`);
+      throw new Error(`Failed to fetch flag earnings: ${error.message}`);
+    }
+  }
+
+  /**
+   * Map a flag_earnings row to an entry object
+   * @private
+   * @param {Object} row - Database row
+   * @returns {Object} - Entry { id, createdAt, flagId, flagName, kind, payerId, payerName, amount }
+   */
+  _mapEntry(row) {
+    return {
+      id: row.id,
+      createdAt: Date.parse(row.created_at),
+      flagId: row.flag_id,
+      flagName: row.flag_name,
+      kind: row.kind,
+      payerId: row.payer_id,
+      payerName: row.payer_name,
+      amount: row.amount
+    };
+  }
+}
+
+export default new FlagEarningsRepository();
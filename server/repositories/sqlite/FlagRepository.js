@@ -0,0 +1,218 @@
+/**
+ * FlagRepository.js
+ * Handles SQLite operations for territory flags
+ */
+
+import db from '../../config/database.js';
+import logger from '../../utils/logger.js';
+import { safeJsonParse } from '../../utils/dbUtils.js';
+
+// Columns selected for every flag query
+const FLAG_COLUMNS = 'f.id, f.owner_id, f.name, f.lat, f.lng, f.radius, f.properties, f.created_at, f.updated_at';
+
+// Meters per degree of latitude, used to turn a range into a search box
+const METERS_PER_DEGREE = 111320;
+
+class FlagRepository {
+  /**
+   * Insert a flag, or overwrite the stored copy if it already exists
+   * @param {Object} flag - Flag object as kept by FlagSystem
+   * @returns {Promise<void>}
+   */
+  async saveFlag(flag) {
+    const now = Date.now();
+
+    try {
+      db.prepare(`
+        INSERT INTO flags (id, owner_id, name, lat, lng, radius, properties, created_at, updated_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+        ON CONFLICT (id) DO UPDATE SET
+          owner_id = excluded.owner_id,
+          name = excluded.name,
+          lat = excluded.lat,
+          lng = excluded.lng,
+          radius = excluded.radius,
+          properties = excluded.properties,
+          updated_at = excluded.updated_at
+      `).run(
+        flag.id,
+        flag.ownerId && flag.ownerId !== 'system' ? flag.ownerId : null,
+        flag.name || null,
+        flag.position.lat,
+        flag.position.lng,
+        flag.radius,
+        JSON.stringify(this._toProperties(flag)),
+        new Date(flag.createdAt || now).toISOString(),
+        new Date(flag.updatedAt || now).toISOString()
+      );
+    } catch (error) {
+      logger.error(`Error saving flag ${flag.id}: ${error.message}`);
+      throw new Error(`Failed to save flag: ${error.message}`);
+    }
+  }
+
+  /**
+   * Delete a flag
+   * @param {string} flagId - The flag ID
+   * @returns {Promise<boolean>} - Whether a flag was deleted
+   */
+  async deleteFlag(flagId) {
+    try {
+      return db.prepare('DELETE FROM flags WHERE id = ?').run(flagId).changes > 0;
+    } catch (error) {
+      logger.error(`Error deleting flag ${flagId}: ${error.message}`);
+      throw new Error(`Failed to delete flag: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get every stored flag
+   * @returns {Promise<Array>} - Array of flag objects
+   */
+  async getAllFlags() {
+    try {
+      return db.prepare(`SELECT ${FLAG_COLUMNS} FROM flags f`).all().map(row => this._mapFlag(row));
+    } catch (error) {
+      logger.error(`Error fetching flags: ${error.message}`);
+      throw new Error(`Failed to fetch flags: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get a flag by ID
+   * @param {string} flagId - The flag ID
+   * @returns {Promise<Object|null>} - The flag, or null if it does not exist
+   */
+  async getFlagById(flagId) {
+    try {
+      const row = db.prepare(`SELECT ${FLAG_COLUMNS} FROM flags f WHERE f.id = ?`).get(flagId);
+      return row ? this._mapFlag(row) : null;
+    } catch (error) {
+      logger.error(`Error fetching flag ${flagId}: ${error.message}`);
+      throw new Error(`Failed to fetch flag: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get the flags owned by a player
+   * @param {string} ownerId - The owner's player ID
+   * @returns {Promise<Array>} - Array of flag objects
+   */
+  async getFlagsByOwner(ownerId) {
+    try {
+      return db.prepare(`SELECT ${FLAG_COLUMNS} FROM flags f WHERE f.owner_id = ?`)
+        .all(ownerId)
+        .map(row => this._mapFlag(row));
+    } catch (error) {
+      logger.error(`Error fetching flags for owner ${ownerId}: ${error.message}`);
+      throw new Error(`Failed to fetch flags for owner: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get flags within a distance of a position
+   * @param {Object} position - Position { lat, lng }
+   * @param {number} range - Range in meters
+   * @returns {Promise<Array>} - Array of flag objects
+   */
+  async getFlagsInRange(position, range) {
+    // Search the box around the range, then keep the flags inside the circle
+    const latDelta = range / METERS_PER_DEGREE;
+    const lngDelta = Math.min(180, range / (METERS_PER_DEGREE * Math.max(Math.cos(position.lat * Math.PI / 180), 1e-6)));
+
+    const flags = await this.getFlagsInBoundingBox({
+      minLat: position.lat - latDelta,
+      maxLat: position.lat + latDelta,
+      minLng: position.lng - lngDelta,
+      maxLng: position.lng + lngDelta
+    });
+
+    return flags.filter(flag => this._calculateDistance(position, flag.position) <= range);
+  }
+
+  /**
+   * Get flags within a geographic bounding box
+   * @param {Object} bounds - Bounding box coordinates { minLat, maxLat, minLng, maxLng }
+   * @returns {Promise<Array>} - Array of flag objects
+   */
+  async getFlagsInBoundingBox(bounds) {
+    const { minLat, maxLat, minLng, maxLng } = bounds;
+
+    try {
+      // The R-tree narrows the search; its single-precision boxes are re-checked against the exact columns
+      const rows = db.prepare(`
+        SELECT ${FLAG_COLUMNS}
+        FROM flags_rtree r
+        JOIN flags f ON f.spatial_id = r.id
+        WHERE r.max_lat >= ? AND r.min_lat <= ? AND r.max_lng >= ? AND r.min_lng <= ?
+          AND f.lat BETWEEN ? AND ? AND f.lng BETWEEN ? AND ?
+      `).all(minLat, maxLat, minLng, maxLng, minLat, maxLat, minLng, maxLng);
+
+      return rows.map(row => this._mapFlag(row));
+    } catch (error) {
+      logger.error(`Error fetching flags in bounds: ${error.message}`);
+      throw new Error(`Failed to fetch flags in bounds: ${error.message}`);
+    }
+  }
+
+  /**
+   * Convert a database row into the flag object FlagSystem works with
+   * @private
+   * @param {Object} row - Row selected with FLAG_COLUMNS
+   * @returns {Object} - Flag object
+   */
+  _mapFlag(row) {
+    const properties = safeJsonParse(row.properties, {});
+
+    return {
+      ...properties,
+      id: row.id,
+      // System flags have no owning player row
+      ownerId: row.owner_id || (properties.type === 'system' ? 'system' : null),
+      name: row.name,
+      position: {
+        lat: row.lat,
+        lng: row.lng
+      },
+      radius: row.radius,
+      createdAt: new Date(row.created_at).getTime(),
+      updatedAt: new Date(row.updated_at).getTime()
+    };
+  }
+
+  /**
+   * Collect the flag fields without a column of their own into the properties document
+   * @private
+   * @param {Object} flag - Flag object
+   * @returns {Object} - Properties to store as JSON
+   */
+  _toProperties(flag) {
+    const { id, ownerId, name, position, radius, createdAt, updatedAt, ...properties } = flag;
+    return properties;
+  }
+
+  /**
+   * Calculate the distance between two points in meters
+   * @private
+   * @param {Object} point1 - {lat, lng}
+   * @param {Object} point2 - {lat, lng}
+   * @returns {number} Distance in meters
+   */
+  _calculateDistance(point1, point2) {
+    // Haversine formula, as in FlagSystem
+    const R = 6371e3;
+    const φ1 = point1.lat * Math.PI / 180;
+    const φ2 = point2.lat * Math.PI / 180;
+    const Δφ = (point2.lat - point1.lat) * Math.PI / 180;
+    const Δλ = (point2.lng - point1.lng) * Math.PI / 180;
+
+    const a = Math.sin(Δφ / 2) * Math.sin(Δφ / 2) +
+              Math.cos(φ1) * Math.cos(φ2) *
+              Math.sin(Δλ / 2) * Math.sin(Δλ / 2);
+
+    return R * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+  }
+}
+
+// Export as singleton
+export default new FlagRepository();
@@ -0,0 +1,81 @@
+/**
+ * FlagTravelRepository.js
+ * Handles SQLite operations for players' jumps to flags
+ */
+
+import db from '../../config/database.js';
+import logger from '../../utils/logger.js';
+
+class FlagTravelRepository {
+  /**
+   * Record a jump, dropping the player's older jumps beyond the newest keep
+   * @param {Object} travel - Jump data
+   * @param {string} travel.playerId - The player's ID
+   * @param {Object} travel.flag - The flag jumped to { id, name, position }
+   * @param {number} travel.feathers - Roc Feathers paid
+   * @param {number} travel.toll - Gold paid to the flag's owner
+   * @param {number} keep - Jumps to keep for the player
+   * @returns {Promise<void>}
+   */
+  async recordTravel({ playerId, flag, feathers, toll }, keep) {
+    try {
+      db.transaction(() => {
+        db.prepare(
+          `INSERT INTO flag_travels (player_id, flag_id, flag_name, lat, lng, feathers, toll, traveled_at)
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?)`
+        ).run(playerId, flag.id, flag.name ?? null, flag.position.lat, flag.position.lng, feathers, toll, new Date().toISOString());
+
+        db.prepare(
+          `DELETE FROM flag_travels
+           WHERE player_id = ? AND id NOT IN (
+             SELECT id FROM flag_travels WHERE player_id = ? ORDER BY id DESC LIMIT ?
+           )`
+        ).run(playerId, playerId, keep);
+      })();
+    } catch (error) {
+      logger.error(`Error recording travel of ${playerId} to flag ${flag.id}: ${error.message}`);
+      throw new Error(`Failed to record travel: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get a player's jumps, newest first
+   * @param {string} playerId - The player's ID
+   * @param {number} limit - Most jumps to return
+   * @returns {Promise<Array<Object>>} - Jumps
+   */
+  async getTravels(playerId, limit) {
+    try {
+      return db.prepare(
+        `SELECT id, flag_id, flag_name, lat, lng, feathers, toll, traveled_at
+         FROM flag_travels
+         WHERE player_id = ?
+         ORDER BY id DESC
+         LIMIT ?`
+      ).all(playerId, limit).map(row => this._mapTravel(row));
+    } catch (error) {
+      logger.error(`Error fetching travels of ${playerId}: ${error.message}`);
+      throw new Error(`Failed to fetch travels: ${error.message}`);
+    }
+  }
+
+  /**
+   * Map a flag_travels row to a jump object
+   * @private
+   * @param {Object} row - Database row
+   * @returns {Object} - Jump { id, flagId, flagName, position, feathers, toll, traveledAt }
+   */
+  _mapTravel(row) {
+    return {
+      id: row.id,
+      flagId: row.flag_id,
+      flagName: row.flag_name,
+      position: { lat: row.lat, lng: row.lng },
+      feathers: row.feathers,
+      toll: row.toll,
+      traveledAt: Date.parse(row.traveled_at)
+    };
+  }
+}
+
+export default new FlagTravelRepository();
@@ -0,0 +1,162 @@
+/**
+ * InventoryRepository.js
+ * Handles SQLite operations for inventory items and the transactions that change them
+ */
+
+import db from '../../config/database.js';
+import logger from '../../utils/logger.js';
+
+class InventoryRepository {
+  /**
+   * Get a player's items, in their inventory slots and equipped
+   * @param {string} playerId - The player's ID
+   * @returns {Promise<Array<Object>>} - Items { id, itemId, quantity, slot, equipmentSlot }
+   */
+  async getItems(playerId) {
+    try {
+      const rows = db.prepare(
+        `SELECT id, item_id, quantity, slot, equipment_slot
+         FROM player_inventory_items
+         WHERE player_id = ?
+         ORDER BY slot IS NULL, slot, equipment_slot`
+      ).all(playerId);
+
+      return rows.map(row => this._mapItem(row));
+    } catch (error) {
+      logger.error(`Error fetching inventory for player ${playerId}: ${error.message}`);
+      throw new Error(`Failed to fetch inventory: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get a recorded transaction
+   * @param {string} playerId - The player's ID
+   * @param {string} key - The transaction's idempotency key
+   * @returns {Promise<Object|null>} - { kind, status, error }, or null if the key is unknown
+   */
+  async getTransaction(playerId, key) {
+    try {
+      const row = db.prepare(
+        'SELECT kind, status, error FROM inventory_transactions WHERE player_id = ? AND idempotency_key = ?'
+      ).get(playerId, key);
+
+      return row || null;
+    } catch (error) {
+      logger.error(`Error fetching inventory transaction ${key} for player ${playerId}: ${error.message}`);
+      throw new Error(`Failed to fetch inventory transaction: ${error.message}`);
+    }
+  }
+
+  /**
+   * Record a rejected transaction so a retry is rejected the same way
+   * @param {string} playerId - The player's ID
+   * @param {string} key - The transaction's idempotency key
+   * @param {string} kind - The transaction's kind
+   * @param {string} reason - Why it was rejected
+   * @returns {Promise<boolean>} - False if the key was already recorded
+   */
+  async recordRejection(playerId, key, kind, reason) {
+    try {
+      const result = db.prepare(
+        `INSERT INTO inventory_transactions (player_id, idempotency_key, kind, status, error, created_at)
+         VALUES (?, ?, ?, 'rejected', ?, ?)
+         ON CONFLICT (player_id, idempotency_key) DO NOTHING`
+      ).run(playerId, key, kind, reason, new Date().toISOString());
+
+      return result.changes > 0;
+    } catch (error) {
+      logger.error(`Error recording inventory transaction ${key} for player ${playerId}: ${error.message}`);
+      throw new Error(`Failed to record inventory transaction: ${error.message}`);
+    }
+  }
+
+  /**
+   * Record a transaction and apply its changes to the player's items in one database transaction
+   * @param {string} playerId - The player's ID
+   * @param {string} key - The transaction's idempotency key
+   * @param {string} kind - The transaction's kind
+   * @param {Object} changes - { inserted: Array<Object>, updated: Array<Object>, deleted: Array<string> }
+   * @returns {Promise<boolean>} - False if the key was already recorded, in which case nothing is changed
+   */
+  async applyTransaction(playerId, key, kind, changes) {
+    const now = new Date().toISOString();
+
+    try {
+      return db.transaction(() => {
+        const recorded = db.prepare(
+          `INSERT INTO inventory_transactions (player_id, idempotency_key, kind, status, created_at)
+           VALUES (?, ?, ?, 'committed', ?)
+           ON CONFLICT (player_id, idempotency_key) DO NOTHING`
+        ).run(playerId, key, kind, now);
+
+        if (recorded.changes === 0) {
+          return false;
+        }
+
+        // Deletes first, so rows moving into a freed slot do not collide with the unique indexes
+        const deleteItem = db.prepare('DELETE FROM player_inventory_items WHERE player_id = ? AND id = ?');
+        for (const id of changes.deleted) {
+          deleteItem.run(playerId, id);
+        }
+
+        const updateItem = db.prepare(
+          `UPDATE player_inventory_items
+           SET quantity = ?, slot = ?, is_equipped = ?, equipment_slot = ?, updated_at = ?
+           WHERE player_id = ? AND id = ?`
+        );
+        for (const item of changes.updated) {
+          updateItem.run(item.quantity, item.slot, item.equipmentSlot !== null ? 1 : 0, item.equipmentSlot, now, playerId, item.id);
+        }
+
+        const insertItem = db.prepare(
+          `INSERT INTO player_inventory_items (id, player_id, item_id, quantity, slot, is_equipped, equipment_slot, created_at, updated_at)
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`
+        );
+        for (const item of changes.inserted) {
+          insertItem.run(item.id, playerId, item.itemId, item.quantity, item.slot, item.equipmentSlot !== null ? 1 : 0, item.equipmentSlot, now, now);
+        }
+
+        return true;
+      })();
+    } catch (error) {
+      logger.error(`Error applying inventory transaction ${key} for player ${playerId}: ${error.message}`);
+      throw new Error(`Failed to apply inventory transaction: ${error.message}`);
+    }
+  }
+
+  /**
+   * Delete transaction records old enough that their keys will not be retried
+   * @param {Date} cutoff - Records created before this are deleted
+   * @returns {Promise<number>} - Number of records deleted
+   */
+  async deleteTransactionsBefore(cutoff) {
+    try {
+      const result = db.prepare(
+        'DELETE FROM inventory_transactions WHERE created_at < ?'
+      ).run(cutoff.toISOString());
+
+      return result.changes;
+    } catch (error) {
+      logger.error(`Error deleting old inventory transactions: ${error.message}`);
+      throw new Error(`Failed to delete inventory transactions: ${error.message}`);
+    }
+  }
+
+  /**
+   * Map a player_inventory_items row to an item object
+   * @private
+   * @param {Object} row - Database row
+   * @returns {Object} - Item { id, itemId, quantity, slot, equipmentSlot }
+   */
+  _mapItem(row) {
+    return {
+      id: row.id,
+      itemId: row.item_id,
+      quantity: row.quantity,
+      slot: row.slot,
+      equipmentSlot: row.equipment_slot
+    };
+  }
+}
+
+export default new InventoryRepository();
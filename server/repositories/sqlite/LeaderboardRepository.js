@@ -0,0 +1,73 @@
+/**
+ * LeaderboardRepository.js
+ * Handles SQLite operations for leaderboards
+ *
+ * Unlike the other repositories these calls are synchronous, matching the
+ * JSON file store in models/leaderboardModel.js that they replace.
+ */
+
+import db from '../../config/database.js';
+
+class LeaderboardRepository {
+  /**
+   * Load every category's entries
+   * @param {Array<string>} categories - Category names to include even when empty
+   * @returns {Object} - { categories: { [category]: entries sorted by score }, lastUpdated }
+   */
+  loadLeaderboards(categories) {
+    const data = {
+      categories: Object.fromEntries(categories.map(category => [category, []])),
+      lastUpdated: null
+    };
+
+    const rows = db.prepare(`
+      SELECT category, player_id, player_name, score, updated_at
+      FROM leaderboards
+      ORDER BY category, score DESC
+    `).all();
+
+    for (const row of rows) {
+      if (!data.categories[row.category]) {
+        data.categories[row.category] = [];
+      }
+
+      data.categories[row.category].push({
+        playerId: row.player_id,
+        playerName: row.player_name,
+        score: row.score,
+        updatedAt: row.updated_at
+      });
+
+      if (!data.lastUpdated || row.updated_at > data.lastUpdated) {
+        data.lastUpdated = row.updated_at;
+      }
+    }
+
+    data.lastUpdated = data.lastUpdated || new Date().toISOString();
+    return data;
+  }
+
+  /**
+   * Replace the stored entries with the given leaderboard data
+   * @param {Object} data - { categories: { [category]: entries } }
+   */
+  saveLeaderboards(data) {
+    const insert = db.prepare(`
+      INSERT INTO leaderboards (category, player_id, player_name, score, updated_at)
+      VALUES (?, ?, ?, ?, ?)
+    `);
+
+    db.transaction(() => {
+      db.prepare('DELETE FROM leaderboards').run();
+
+      for (const [category, entries] of Object.entries(data.categories)) {
+        for (const entry of entries) {
+          insert.run(category, entry.playerId, entry.playerName, entry.score, entry.updatedAt);
+        }
+      }
+    })();
+  }
+}
+
+// Export as singleton
+export default new LeaderboardRepository();
@@ -0,0 +1,412 @@
+/**
+ * PlayerRepository.js
+ * Handles SQLite operations for player data
+ */
+
+import { v4 as uuidv4 } from 'uuid';
+import db from '../../config/database.js';
+import logger from '../../utils/logger.js';
+import { verifyPassword } from '../../utils/passwordUtils.js';
+import { safeJsonParse } from '../../utils/dbUtils.js';
+
+class PlayerRepository {
+  /**
+   * Create a new player with profile and initial position
+   * @param {Object} playerData - Player data including credentials and profile
+   * @returns {Promise<string>} - The ID of the created player
+   */
+  async createPlayer(playerData) {
+    const {
+      username,
+      email,
+      passwordHash,
+      displayName = username,
+      startPosition = { lat: 0, lng: 0 },
+      startArea = 'starting-area'
+    } = playerData;
+    const playerId = uuidv4();
+
+    try {
+      db.transaction(() => {
+        db.prepare(
+          'INSERT INTO players (id, username, email, password_hash, last_login) VALUES (?, ?, ?, ?, ?)'
+        ).run(playerId, username, email, passwordHash, new Date().toISOString());
+
+        db.prepare(
+          'INSERT INTO player_profiles (player_id, display_name, experience, level) VALUES (?, ?, 0, 1)'
+        ).run(playerId, displayName);
+
+        db.prepare(
+          'INSERT INTO player_positions (player_id, lat, lng, current_area) VALUES (?, ?, ?, ?)'
+        ).run(playerId, startPosition.lat, startPosition.lng, startArea);
+
+        db.prepare(
+          'INSERT INTO player_inventories (player_id, items) VALUES (?, ?)'
+        ).run(playerId, JSON.stringify([]));
+      })();
+
+      logger.info(`Created new player: ${username} (${playerId})`);
+      return playerId;
+    } catch (error) {
+      logger.error(`Error creating player: ${error.message}`);
+      if (error.code === 'SQLITE_CONSTRAINT_UNIQUE') {
+        if (error.message.includes('players.username')) {
+          throw new Error('Username already exists');
+        }
+        if (error.message.includes('players.email')) {
+          throw new Error('Email already exists');
+        }
+      }
+      throw new Error(`Failed to create player: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get a player by ID with optional profile, position, and inventory data
+   * @param {string} playerId - The player's ID
+   * @param {Object} options - Options for what related data to include
+   * @returns {Promise<Object>} - The player data
+   */
+  async getPlayerById(playerId, options = { includeProfile: true, includePosition: true, includeInventory: false }) {
+    const { includeProfile, includePosition, includeInventory } = options;
+
+    try {
+      const row = db.prepare(
+        'SELECT id, username, email, created_at, last_login FROM players WHERE id = ?'
+      ).get(playerId);
+
+      if (!row) {
+        return null;
+      }
+
+      const player = {
+        ...row,
+        created_at: new Date(row.created_at),
+        last_login: row.last_login ? new Date(row.last_login) : null
+      };
+
+      if (includeProfile) {
+        const profile = db.prepare(
+          'SELECT display_name, experience, level FROM player_profiles WHERE player_id = ?'
+        ).get(playerId);
+        if (profile) {
+          player.profile = profile;
+        }
+      }
+
+      if (includePosition) {
+        const position = db.prepare(
+          'SELECT lat, lng, current_area FROM player_positions WHERE player_id = ?'
+        ).get(playerId);
+        if (position) {
+          player.position = this._mapPosition(position);
+        }
+      }
+
+      if (includeInventory) {
+        const inventory = db.prepare(
+          'SELECT items FROM player_inventories WHERE player_id = ?'
+        ).get(playerId);
+        if (inventory) {
+          player.inventory = safeJsonParse(inventory.items, []);
+        }
+      }
+
+      return player;
+    } catch (error) {
+      logger.error(`Error fetching player ${playerId}: ${error.message}`);
+      throw new Error(`Failed to fetch player: ${error.message}`);
+    }
+  }
+
+  /**
+   * Update a player's data
+   * @param {string} playerId - The player's ID
+   * @param {Object} updates - The fields to update
+   * @returns {Promise<boolean>} - True if successful
+   */
+  async updatePlayer(playerId, updates) {
+    try {
+      const { profile, position, inventory, ...playerFields } = updates;
+
+      db.transaction(() => {
+        if (Object.keys(playerFields).length > 0) {
+          this._updateColumns('players', 'id', playerId, playerFields);
+        }
+
+        if (profile && Object.keys(profile).length > 0) {
+          this._updateColumns('player_profiles', 'player_id', playerId, profile);
+        }
+
+        if (position) {
+          if (position.lat !== undefined && position.lng !== undefined) {
+            db.prepare(
+              'UPDATE player_positions SET lat = ?, lng = ? WHERE player_id = ?'
+            ).run(position.lat, position.lng, playerId);
+          }
+
+          if (position.currentArea !== undefined) {
+            db.prepare(
+              'UPDATE player_positions SET current_area = ? WHERE player_id = ?'
+            ).run(position.currentArea, playerId);
+          }
+        }
+
+        if (inventory) {
+          db.prepare(
+            'UPDATE player_inventories SET items = ? WHERE player_id = ?'
+          ).run(JSON.stringify(inventory), playerId);
+        }
+      })();
+
+      logger.info(`Updated player ${playerId}`);
+      return true;
+    } catch (error) {
+      logger.error(`Error updating player ${playerId}: ${error.message}`);
+      throw new Error(`Failed to update player: ${error.message}`);
+    }
+  }
+
+  /**
+   * Update a player's position
+   * @param {string} playerId - The player's ID
+   * @param {Object} position - The new position { lat, lng, currentArea? }
+   * @returns {Promise<boolean>} - True if successful
+   */
+  async updatePlayerPosition(playerId, position) {
+    const { lat, lng, currentArea } = position;
+
+    try {
+      db.prepare(`
+        UPDATE player_positions
+        SET lat = ?, lng = ?, current_area = COALESCE(?, current_area), last_update = ?
+        WHERE player_id = ?
+      `).run(lat, lng, currentArea ?? null, new Date().toISOString(), playerId);
+
+      return true;
+    } catch (error) {
+      logger.error(`Error updating position for player ${playerId}: ${error.message}`);
+      throw new Error(`Failed to update player position: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get the position of a player
+   * @param {string} playerId - The player's ID
+   * @returns {Promise<Object>} - The player's position { lat, lng, currentArea }
+   */
+  async getPlayerPosition(playerId) {
+    try {
+      const row = db.prepare(
+        'SELECT lat, lng, current_area FROM player_positions WHERE player_id = ?'
+      ).get(playerId);
+
+      return row ? this._mapPosition(row) : null;
+    } catch (error) {
+      logger.error(`Error fetching position for player ${playerId}: ${error.message}`);
+      throw new Error(`Failed to fetch player position: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get the point a player's movement radius is measured from
+   * @param {string} playerId - The player's ID
+   * @returns {Promise<Object|null>} - The anchor { lat, lng }, or null if none is stored
+   */
+  async getMovementAnchor(playerId) {
+    try {
+      const row = db.prepare(
+        'SELECT anchor_lat, anchor_lng FROM player_positions WHERE player_id = ?'
+      ).get(playerId);
+
+      if (!row || row.anchor_lat === null || row.anchor_lng === null) {
+        return null;
+      }
+
+      return { lat: row.anchor_lat, lng: row.anchor_lng };
+    } catch (error) {
+      logger.error(`Error fetching movement anchor for player ${playerId}: ${error.message}`);
+      throw new Error(`Failed to fetch movement anchor: ${error.message}`);
+    }
+  }
+
+  /**
+   * Store the point a player's movement radius is measured from
+   * @param {string} playerId - The player's ID
+   * @param {Object} anchor - The anchor { lat, lng }
+   * @returns {Promise<boolean>} - True if successful
+   */
+  async setMovementAnchor(playerId, anchor) {
+    try {
+      db.prepare(
+        'UPDATE player_positions SET anchor_lat = ?, anchor_lng = ? WHERE player_id = ?'
+      ).run(anchor.lat, anchor.lng, playerId);
+
+      return true;
+    } catch (error) {
+      logger.error(`Error updating movement anchor for player ${playerId}: ${error.message}`);
+      throw new Error(`Failed to update movement anchor: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get players within a geographic bounding box
+   * @param {Object} bounds - Bounding box coordinates { minLat, maxLat, minLng, maxLng }
+   * @returns {Promise<Array>} - Array of players with positions
+   */
+  async getPlayersInBounds(bounds) {
+    const { minLat, maxLat, minLng, maxLng } = bounds;
+
+    try {
+      // The R-tree narrows the search; its single-precision boxes are re-checked against the exact columns
+      const rows = db.prepare(`
+        SELECT p.id, p.username, pp.display_name, pp.level, pos.lat, pos.lng, pos.current_area
+        FROM player_positions_rtree r
+        JOIN player_positions pos ON pos.spatial_id = r.id
+        JOIN players p ON p.id = pos.player_id
+        JOIN player_profiles pp ON pp.player_id = p.id
+        WHERE r.max_lat >= ? AND r.min_lat <= ? AND r.max_lng >= ? AND r.min_lng <= ?
+          AND pos.lat BETWEEN ? AND ? AND pos.lng BETWEEN ? AND ?
+      `).all(minLat, maxLat, minLng, maxLng, minLat, maxLat, minLng, maxLng);
+
+      return rows.map(row => ({
+        id: row.id,
+        username: row.username,
+        displayName: row.display_name,
+        level: row.level,
+        position: this._mapPosition(row)
+      }));
+    } catch (error) {
+      logger.error(`Error fetching players in bounds: ${error.message}`);
+      throw new Error(`Failed to fetch players in bounds: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get players in a specific area
+   * @param {string} areaId - The area ID
+   * @returns {Promise<Array>} - Array of players in the area
+   */
+  async getPlayersByArea(areaId) {
+    try {
+      const rows = db.prepare(`
+        SELECT p.id, p.username, pp.display_name, pp.level, pos.lat, pos.lng
+        FROM players p
+        JOIN player_positions pos ON p.id = pos.player_id
+        JOIN player_profiles pp ON p.id = pp.player_id
+        WHERE pos.current_area = ?
+      `).all(areaId);
+
+      return rows.map(row => ({
+        id: row.id,
+        username: row.username,
+        displayName: row.display_name,
+        level: row.level,
+        position: {
+          lng: row.lng,
+          lat: row.lat,
+          currentArea: areaId
+        }
+      }));
+    } catch (error) {
+      logger.error(`Error fetching players in area ${areaId}: ${error.message}`);
+      throw new Error(`Failed to fetch players in area: ${error.message}`);
+    }
+  }
+
+  /**
+   * Delete a player and all associated data
+   * @param {string} playerId - The player's ID
+   * @returns {Promise<boolean>} - True if successful
+   */
+  async deletePlayer(playerId) {
+    try {
+      // Profiles, positions, inventories and sessions go with the player through ON DELETE CASCADE
+      db.prepare('DELETE FROM players WHERE id = ?').run(playerId);
+
+      logger.info(`Deleted player ${playerId}`);
+      return true;
+    } catch (error) {
+      logger.error(`Error deleting player ${playerId}: ${error.message}`);
+      throw new Error(`Failed to delete player: ${error.message}`);
+    }
+  }
+
+  /**
+   * Authenticate a player by username and password
+   * @param {string} username - The player's username
+   * @param {string} password - The plain-text password to verify
+   * @returns {Promise<Object|null>} - The player data if authentication succeeds, null otherwise
+   */
+  async authenticatePlayer(username, password) {
+    try {
+      const row = db.prepare(
+        'SELECT id, username, email, password_hash FROM players WHERE username = ? AND is_active = 1'
+      ).get(username);
+
+      if (!row) {
+        return null;
+      }
+
+      const { password_hash: storedHash, ...player } = row;
+
+      if (!(await verifyPassword(password, storedHash))) {
+        return null;
+      }
+
+      db.prepare('UPDATE players SET last_login = ? WHERE id = ?').run(new Date().toISOString(), player.id);
+
+      return player;
+    } catch (error) {
+      logger.error(`Authentication error for ${username}: ${error.message}`);
+      throw new Error(`Authentication failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Update columns of one row from a camelCase object
+   * @private
+   * @param {string} table - Table name
+   * @param {string} keyColumn - Column identifying the row
+   * @param {string} key - Value of the key column
+   * @param {Object} fields - camelCase column names and their new values
+   */
+  _updateColumns(table, keyColumn, key, fields) {
+    const assignments = Object.keys(fields).map(field => `${this._snakeCase(field)} = ?`);
+    // SQLite has no boolean or date types
+    const values = Object.values(fields).map(value => {
+      if (typeof value === 'boolean') return value ? 1 : 0;
+      if (value instanceof Date) return value.toISOString();
+      return value;
+    });
+
+    db.prepare(`UPDATE ${table} SET ${assignments.join(', ')} WHERE ${keyColumn} = ?`)
+      .run(...values, key);
+  }
+
+  /**
+   * Map a player_positions row to a position object
+   * @private
+   * @param {Object} row - Row with lat, lng and current_area
+   * @returns {Object} - Position { lng, lat, currentArea }
+   */
+  _mapPosition(row) {
+    return {
+      lng: row.lng,
+      lat: row.lat,
+      currentArea: row.current_area
+    };
+  }
+
+  /**
+   * Convert a camelCase string to snake_case for SQL
+   * @private
+   * @param {string} str - The camelCase string
+   * @returns {string} - The snake_case string
+   */
+  _snakeCase(str) {
+    return str.replace(/[A-Z]/g, letter => `_${letter.toLowerCase()}`);
+  }
+}
+
+export default new PlayerRepository();
@@ -0,0 +1,170 @@
+/**
+ * SessionRepository.js
+ * Handles SQLite operations for authentication sessions
+ */
+
+import db from '../../config/database.js';
+import logger from '../../utils/logger.js';
+
+class SessionRepository {
+  /**
+   * Create a new session
+   * @param {Object} sessionData - Session data
+   * @param {string} sessionData.id - The session ID
+   * @param {string} sessionData.playerId - The owning player's ID
+   * @param {string} sessionData.ipAddress - IP address the session was created from
+   * @param {string} sessionData.userAgent - User agent the session was created from
+   * @param {Date} sessionData.expiresAt - When the session expires
+   * @returns {Promise<Object>} - The created session
+   */
+  async createSession(sessionData) {
+    const { id, playerId, ipAddress = null, userAgent = null, expiresAt } = sessionData;
+
+    try {
+      const row = db.prepare(
+        `INSERT INTO sessions (id, player_id, ip_address, user_agent, is_valid, created_at, expires_at)
+         VALUES (?, ?, ?, ?, 1, ?, ?)
+         RETURNING id, player_id, ip_address, created_at, expires_at`
+      ).get(id, playerId, ipAddress, userAgent, new Date().toISOString(), expiresAt.toISOString());
+
+      return this._mapSession(row);
+    } catch (error) {
+      logger.error(`Error creating session for player ${playerId}: ${error.message}`);
+      throw new Error(`Failed to create session: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get a session that is still valid and unexpired
+   * @param {string} sessionId - The session ID
+   * @returns {Promise<Object|null>} - The session, or null if missing, revoked or expired
+   */
+  async getActiveSession(sessionId) {
+    try {
+      const row = db.prepare(
+        `SELECT id, player_id, ip_address, created_at, expires_at
+         FROM sessions
+         WHERE id = ? AND is_valid = 1 AND expires_at > ?`
+      ).get(sessionId, new Date().toISOString());
+
+      if (!row) {
+        return null;
+      }
+
+      return this._mapSession(row);
+    } catch (error) {
+      logger.error(`Error fetching session ${sessionId}: ${error.message}`);
+      throw new Error(`Failed to fetch session: ${error.message}`);
+    }
+  }
+
+  /**
+   * Revoke a single session
+   * @param {string} sessionId - The session ID
+   * @returns {Promise<boolean>} - True if a session was revoked
+   */
+  async revokeSession(sessionId) {
+    try {
+      const result = db.prepare(
+        'UPDATE sessions SET is_valid = 0 WHERE id = ? AND is_valid = 1'
+      ).run(sessionId);
+
+      return result.changes > 0;
+    } catch (error) {
+      logger.error(`Error revoking session ${sessionId}: ${error.message}`);
+      throw new Error(`Failed to revoke session: ${error.message}`);
+    }
+  }
+
+  /**
+   * Revoke every session belonging to a player
+   * @param {string} playerId - The player's ID
+   * @returns {Promise<number>} - Number of sessions revoked
+   */
+  async revokeAllSessionsForPlayer(playerId) {
+    try {
+      const result = db.prepare(
+        'UPDATE sessions SET is_valid = 0 WHERE player_id = ? AND is_valid = 1'
+      ).run(playerId);
+
+      return result.changes;
+    } catch (error) {
+      logger.error(`Error revoking sessions for player ${playerId}: ${error.message}`);
+      throw new Error(`Failed to revoke sessions: ${error.message}`);
+    }
+  }
+
+  /**
+   * Revoke every session belonging to a player except one
+   * @param {string} playerId - The player's ID
+   * @param {string} keepSessionId - The session to keep
+   * @returns {Promise<number>} - Number of sessions revoked
+   */
+  async revokeOtherSessionsForPlayer(playerId, keepSessionId) {
+    try {
+      const result = db.prepare(
+        'UPDATE sessions SET is_valid = 0 WHERE player_id = ? AND id <> ? AND is_valid = 1'
+      ).run(playerId, keepSessionId);
+
+      return result.changes;
+    } catch (error) {
+      logger.error(`Error revoking sessions for player ${playerId}: ${error.message}`);
+      throw new Error(`Failed to revoke sessions: ${error.message}`);
+    }
+  }
+
+  /**
+   * Count active sessions created from an IP address
+   * @param {string} ipAddress - The IP address
+   * @returns {Promise<number>} - Number of active sessions
+   */
+  async countActiveSessionsForIp(ipAddress) {
+    try {
+      const row = db.prepare(
+        `SELECT COUNT(*) AS count
+         FROM sessions
+         WHERE ip_address = ? AND is_valid = 1 AND expires_at > ?`
+      ).get(ipAddress, new Date().toISOString());
+
+      return row.count;
+    } catch (error) {
+      logger.error(`Error counting sessions for IP ${ipAddress}: ${error.message}`);
+      throw new Error(`Failed to count sessions: ${error.message}`);
+    }
+  }
+
+  /**
+   * Delete sessions that have expired or been revoked
+   * @returns {Promise<number>} - Number of sessions deleted
+   */
+  async deleteExpiredSessions() {
+    try {
+      const result = db.prepare(
+        'DELETE FROM sessions WHERE is_valid = 0 OR expires_at <= ?'
+      ).run(new Date().toISOString());
+
+      return result.changes;
+    } catch (error) {
+      logger.error(`Error deleting expired sessions: ${error.message}`);
+      throw new Error(`Failed to delete expired sessions: ${error.message}`);
+    }
+  }
+
+  /**
+   * Map a sessions row to a session object
+   * @private
+   * @param {Object} row - Database row
+   * @returns {Object} - Session object
+   */
+  _mapSession(row) {
+    return {
+      id: row.id,
+      playerId: row.player_id,
+      ipAddress: row.ip_address,
+      createdAt: new Date(row.created_at),
+      expiresAt: new Date(row.expires_at)
+    };
+  }
+}
+
+export default new SessionRepository();
@@ -0,0 +1,289 @@
+import express from 'express';
+import adminController, { ANNOUNCEMENT_LEVELS } from '../controllers/adminController.js';
+import { MAX_AUDIT_QUERY_LIMIT } from '../game/systems/AuditSystem.js';
+import { MAX_TOLL } from '../game/systems/FlagSystem.js';
+import { validateBody, validateParams, validateQuery, parseIntegerQuery } from '../middleware/validateRequest.js';
+import { validateSchema } from '../utils/validation.js';
+import { POSITION_SCHEMA, BOUNDS_SCHEMA } from '../network/MessageRouter.js';
+
+// Mounted behind requireSession and requireAdmin, so req.session identifies an admin
+
+const AREA_ID_PATTERN = /^[a-zA-Z0-9_-]{1,50}$/;
+
+const PLAYER_PARAMS_SCHEMA = {
+  playerId: { type: 'string', required: true, maxLength: 100 }
+};
+
+const FLAG_PARAMS_SCHEMA = {
+  flagId: { type: 'string', required: true, maxLength: 100 }
+};
+
+const AREA_PARAMS_SCHEMA = {
+  areaId: { type: 'string', required: true, pattern: AREA_ID_PATTERN }
+};
+
+const REASON_SCHEMA = { type: 'string', maxLength: 200 };
+
+const AUDIT_QUERY_SCHEMA = {
+  playerId: { type: 'string', maxLength: 100 },
+  targetType: { type: 'string', pattern: /^[a-z-]{1,20}$/ },
+  targetId: { type: 'string', maxLength: 100 },
+  action: { type: 'string', pattern: /^[a-z-]{1,20}(\.[a-z-]{1,29})?$/ },
+  from: { type: 'string', maxLength: 40 },
+  to: { type: 'string', maxLength: 40 }
+};
+
+const BOUNDS_FIELDS = Object.keys(BOUNDS_SCHEMA);
+
+/**
+ * Send a controller result as JSON
+ * @param {import('express').Response} res - The response
+ * @param {Object} result - Controller result
+ * @param {number} successStatus - Status code on success
+ */
+const sendResult = (res, result, successStatus = 200) => {
+  if (!result.success) {
+    return res.status(result.status).json({ success: false, error: result.error });
+  }
+
+  res.status(successStatus).json({ success: true, data: result.data });
+};
+
+/**
+ * Turn the audit log's query parameters into AuditSystem filters
+ * @param {Object} query - Query parameters, already checked against AUDIT_QUERY_SCHEMA
+ * @returns {Object} - { filters } or { error }
+ */
+const parseAuditQuery = (query) => {
+  const { playerId, targetType, targetId, action } = query;
+  const filters = { playerId, targetType, targetId, action };
+
+  const boundsGiven = BOUNDS_FIELDS.filter(field => query[field] !== undefined);
+  if (boundsGiven.length > 0) {
+    if (boundsGiven.length < BOUNDS_FIELDS.length) {
+      return { error: 'Give all of minLat, maxLat, minLng and maxLng, or none of them' };
+    }
+
+    const bounds = Object.fromEntries(BOUNDS_FIELDS.map(field => [field, Number(query[field])]));
+    const error = validateSchema(bounds, BOUNDS_SCHEMA, 'query');
+    if (error) {
+      return { error };
+    }
+    filters.bounds = bounds;
+  }
+
+  for (const field of ['from', 'to']) {
+    if (query[field] !== undefined) {
+      filters[field] = new Date(query[field]);
+      if (Number.isNaN(filters[field].getTime())) {
+        return { error: `query.${field} must be a date` };
+      }
+    }
+  }
+
+  filters.beforeId = parseIntegerQuery(query.beforeId, { defaultValue: undefined, min: 1, max: Number.MAX_SAFE_INTEGER });
+  if (filters.beforeId === null) {
+    return { error: 'query.beforeId must be a positive integer' };
+  }
+
+  filters.limit = parseIntegerQuery(query.limit, { defaultValue: undefined, min: 1, max: MAX_AUDIT_QUERY_LIMIT });
+  if (filters.limit === null) {
+    return { error: `query.limit must be an integer between 1 and ${MAX_AUDIT_QUERY_LIMIT}` };
+  }
+
+  return { filters };
+};
+
+/**
+ * Build the admin routes for a running server
+ * @param {import('../network/ConnectionManager.js').default} connectionManager - The connection manager
+ * @returns {import('express').Router} - The router
+ */
+export const createAdminRoutes = (connectionManager) => {
+  const router = express.Router();
+
+  /**
+   * GET /api/admin/connections
+   * List the connections to this server instance
+   */
+  router.get('/connections', async (req, res) => {
+    sendResult(res, await adminController.listConnections(connectionManager));
+  });
+
+  /**
+   * POST /api/admin/players/:playerId/kick
+   * Disconnect a player
+   */
+  router.post(
+    '/players/:playerId/kick',
+    validateParams(PLAYER_PARAMS_SCHEMA),
+    validateBody({ reason: REASON_SCHEMA }),
+    async (req, res) => {
+      const result = await adminController.kickPlayer(connectionManager, req.session, req.params.playerId, req.body);
+      sendResult(res, result);
+    }
+  );
+
+  /**
+   * POST /api/admin/players/:playerId/ban
+   * Ban a player, for durationHours or until unbanned
+   */
+  router.post(
+    '/players/:playerId/ban',
+    validateParams(PLAYER_PARAMS_SCHEMA),
+    validateBody({
+      reason: REASON_SCHEMA,
+      durationHours: { type: 'number', min: 0, max: 24 * 365 * 10 }
+    }),
+    async (req, res) => {
+      const result = await adminController.banPlayer(connectionManager, req.session, req.params.playerId, req.body);
+      sendResult(res, result, 201);
+    }
+  );
+
+  /**
+   * DELETE /api/admin/players/:playerId/ban
+   * Lift a player's ban
+   */
+  router.delete('/players/:playerId/ban', validateParams(PLAYER_PARAMS_SCHEMA), async (req, res) => {
+    sendResult(res, await adminController.unbanPlayer(req.session, req.params.playerId));
+  });
+
+  /**
+   * GET /api/admin/bans
+   * List the bans in force
+   */
+  router.get('/bans', async (req, res) => {
+    sendResult(res, await adminController.listBans());
+  });
+
+  /**
+   * POST /api/admin/players/:playerId/teleport
+   * Move a player connected to this instance
+   */
+  router.post(
+    '/players/:playerId/teleport',
+    validateParams(PLAYER_PARAMS_SCHEMA),
+    validateBody({ position: { type: 'object', required: true, properties: POSITION_SCHEMA } }),
+    async (req, res) => {
+      const result = await adminController.teleportPlayer(connectionManager, req.session, req.params.playerId, req.body);
+      sendResult(res, result);
+    }
+  );
+
+  /**
+   * POST /api/admin/players/:playerId/items
+   * Give items to a player's inventory
+   */
+  router.post(
+    '/players/:playerId/items',
+    validateParams(PLAYER_PARAMS_SCHEMA),
+    validateBody({
+      items: { type: 'object', required: true },
+      reason: REASON_SCHEMA
+    }),
+    async (req, res) => {
+      const result = await adminController.grantItems(connectionManager, req.session, req.params.playerId, req.body);
+      sendResult(res, result);
+    }
+  );
+
+  /**
+   * GET /api/admin/flags?ownerId=
+   * List every flag, or one player's
+   */
+  router.get('/flags', async (req, res) => {
+    const ownerId = typeof req.query.ownerId === 'string' ? req.query.ownerId : undefined;
+    sendResult(res, await adminController.listFlags({ ownerId }));
+  });
+
+  /**
+   * PATCH /api/admin/flags/:flagId
+   * Change a flag's settings
+   */
+  router.patch(
+    '/flags/:flagId',
+    validateParams(FLAG_PARAMS_SCHEMA),
+    validateBody({
+      name: { type: 'string', maxLength: 100 },
+      isPublic: { type: 'boolean' },
+      toll: { type: 'number', integer: true, min: 0, max: MAX_TOLL },
+      isHardened: { type: 'boolean' },
+      isAbandoned: { type: 'boolean' },
+      health: { type: 'number', min: 0, max: 10000 }
+    }),
+    async (req, res) => {
+      const result = await adminController.editFlag(connectionManager, req.session, req.params.flagId, req.body);
+      sendResult(res, result);
+    }
+  );
+
+  /**
+   * DELETE /api/admin/flags/:flagId
+   * Remove a flag without refunding its owner
+   */
+  router.delete('/flags/:flagId', validateParams(FLAG_PARAMS_SCHEMA), async (req, res) => {
+    sendResult(res, await adminController.removeFlag(connectionManager, req.session, req.params.flagId));
+  });
+
+  /**
+   * GET /api/admin/areas
+   * List game areas
+   */
+  router.get('/areas', (req, res) => {
+    sendResult(res, adminController.listAreas());
+  });
+
+  /**
+   * POST /api/admin/areas
+   * Register a new game area
+   */
+  router.post('/areas', validateBody({
+    id: { type: 'string', required: true, pattern: AREA_ID_PATTERN },
+    name: { type: 'string', required: true, maxLength: 100 },
+    boundingBox: { type: 'object', required: true, properties: BOUNDS_SCHEMA },
+    properties: { type: 'object' }
+  }), async (req, res) => {
+    sendResult(res, await adminController.registerArea(req.session, req.body), 201);
+  });
+
+  /**
+   * PATCH /api/admin/areas/:areaId
+   * Update a game area
+   */
+  router.patch('/areas/:areaId', validateParams(AREA_PARAMS_SCHEMA), validateBody({
+    name: { type: 'string', maxLength: 100 },
+    boundingBox: { type: 'object', properties: BOUNDS_SCHEMA },
+    properties: { type: 'object' }
+  }), async (req, res) => {
+    sendResult(res, await adminController.updateArea(req.session, req.params.areaId, req.body));
+  });
+
+  /**
+   * POST /api/admin/announcements
+   * Show a message to every connected player
+   */
+  router.post('/announcements', validateBody({
+    message: { type: 'string', required: true, maxLength: 500 },
+    level: { type: 'string', enum: ANNOUNCEMENT_LEVELS }
+  }), async (req, res) => {
+    sendResult(res, await adminController.announce(connectionManager, req.session, req.body), 201);
+  });
+
+  /**
+   * GET /api/admin/audit?playerId=&targetType=&targetId=&action=&minLat=&maxLat=&minLng=&maxLng=&from=&to=&beforeId=&limit=
+   * Search the audit log, newest first; pass a page's nextBeforeId as beforeId for the next page
+   */
+  router.get('/audit', validateQuery(AUDIT_QUERY_SCHEMA), async (req, res) => {
+    const { filters, error } = parseAuditQuery(req.query);
+    if (error) {
+      return res.status(400).json({ success: false, error });
+    }
+
+    sendResult(res, await adminController.queryAuditLog(filters));
+  });
+
+  return router;
+};
+
+export default createAdminRoutes;
@@ -0,0 +1,155 @@
+import express from 'express';
+import authController from '../controllers/authController.js';
+import accountController from '../controllers/accountController.js';
+import { requireSession, getRequestToken } from '../middleware/sessionAuth.js';
+import { validateBody } from '../middleware/validateRequest.js';
+
+const router = express.Router();
+
+const TOKEN_SCHEMA = { type: 'string', required: true, pattern: /^[0-9a-f]{64}$/ };
+const PASSWORD_SCHEMA = { type: 'string', required: true, maxLength: 200 };
+const EMAIL_SCHEMA = { type: 'string', required: true, maxLength: 255 };
+
+/**
+ * Client details recorded against new sessions
+ * @param {import('express').Request} req - The request
+ * @returns {Object} - { ip, userAgent }
+ */
+const getClientInfo = (req) => ({
+  ip: req.ip,
+  userAgent: req.get('user-agent') || null
+});
+
+/**
+ * Send a controller result as JSON
+ * @param {import('express').Response} res - The response
+ * @param {Object} result - Controller result
+ * @param {number} successStatus - Status code on success
+ */
+const sendResult = (res, result, successStatus = 200) => {
+  if (!result.success) {
+    return res.status(result.status).json({ success: false, error: result.error });
+  }
+
+  res.status(successStatus).json({ success: true, data: result.data });
+};
+
+/**
+ * POST /api/auth/register
+ * Create an account and return a session token
+ */
+router.post('/register', async (req, res) => {
+  const result = await authController.register(req.body, getClientInfo(req));
+  sendResult(res, result, 201);
+});
+
+/**
+ * POST /api/auth/login
+ * Exchange credentials for a session token
+ */
+router.post('/login', async (req, res) => {
+  const result = await authController.login(req.body, getClientInfo(req));
+  sendResult(res, result);
+});
+
+/**
+ * POST /api/auth/logout
+ * Revoke the current session
+ */
+router.post('/logout', requireSession, async (req, res) => {
+  const result = await authController.logout(getRequestToken(req));
+  sendResult(res, result);
+});
+
+/**
+ * GET /api/auth/session
+ * Describe the current session
+ */
+router.get('/session', requireSession, (req, res) => {
+  res.status(200).json({
+    success: true,
+    data: {
+      playerId: req.session.playerId,
+      expiresAt: req.session.expiresAt
+    }
+  });
+});
+
+/**
+ * GET /api/auth/account
+ * Describe the current player's account
+ */
+router.get('/account', requireSession, async (req, res) => {
+  const result = await accountController.getAccount(req.session.playerId);
+  sendResult(res, result);
+});
+
+/**
+ * POST /api/auth/verify-email
+ * Verify an email address with the token from a verification email
+ */
+router.post('/verify-email', validateBody({ token: TOKEN_SCHEMA }), async (req, res) => {
+  const result = await accountController.verifyEmail(req.body);
+  sendResult(res, result);
+});
+
+/**
+ * POST /api/auth/verify-email/resend
+ * Send another verification email for the current address
+ */
+router.post('/verify-email/resend', requireSession, async (req, res) => {
+  const result = await accountController.requestEmailVerification(req.session.playerId);
+  sendResult(res, result);
+});
+
+/**
+ * POST /api/auth/password-reset
+ * Email a password reset link; succeeds whether or not the address has an account
+ */
+router.post('/password-reset', validateBody({ email: EMAIL_SCHEMA }), async (req, res) => {
+  const result = await accountController.requestPasswordReset(req.body);
+  sendResult(res, result, 202);
+});
+
+/**
+ * POST /api/auth/password-reset/confirm
+ * Set a new password with the token from a reset email
+ */
+router.post('/password-reset/confirm', validateBody({ token: TOKEN_SCHEMA, password: PASSWORD_SCHEMA }), async (req, res) => {
+  const result = await accountController.resetPassword(req.body);
+  sendResult(res, result);
+});
+
+/**
+ * POST /api/auth/password
+ * Change the current player's password
+ */
+router.post(
+  '/password',
+  requireSession,
+  validateBody({ currentPassword: PASSWORD_SCHEMA, newPassword: PASSWORD_SCHEMA }),
+  async (req, res) => {
+    const result = await accountController.changePassword(req.session, req.body);
+    sendResult(res, result);
+  }
+);
+
+/**
+ * POST /api/auth/email
+ * Change the current player's email address
+ */
+router.post('/email', requireSession, validateBody({ password: PASSWORD_SCHEMA, email: EMAIL_SCHEMA }), async (req, res) => {
+  const result = await accountController.changeEmail(req.session, req.body);
+  sendResult(res, result);
+});
+
+/**
+ * POST /api/auth/account/delete
+ * Schedule the current player's account for deletion; logging in again cancels it
+ */
+router.post('/account/delete', requireSession, validateBody({ password: PASSWORD_SCHEMA }), async (req, res) => {
+  const result = await accountController.requestDeletion(req.session, req.body);
+  sendResult(res, result, 202);
+});
+
+export default router;
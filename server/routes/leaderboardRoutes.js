@@ -1,85 +1,103 @@
 // leaderboardRoutes.js
 // This file defines the API routes for leaderboard functionality
+// Mounted behind requireSession, so req.session identifies the player; admin routes add requireAdmin
 
 import express from 'express';
 import leaderboardController from '../controllers/leaderboardController.js';
+import AuditSystem from '../game/systems/AuditSystem.js';
+import { requireAdmin } from '../middleware/sessionAuth.js';
+import { validateBody, validateParams } from '../middleware/validateRequest.js';
 
 const router = express.Router();
 
+const CATEGORY_PARAMS_SCHEMA = {
+  category: {
+    type: 'string',
+    required: true,
+    enum: Object.values(leaderboardController.LEADERBOARD_CATEGORIES)
+  }
+};
+
 // Get all leaderboards
 router.get('/', (req, res) => {
   const leaderboards = leaderboardController.getAllLeaderboards();
-  res.status(200).json(leaderboards);
+  res.status(200).json({ success: true, data: leaderboards });
 });
 
 // Get a specific leaderboard by category
-router.get('/:category', (req, res) => {
+router.get('/:category', validateParams(CATEGORY_PARAMS_SCHEMA), (req, res) => {
   const { category } = req.params;
   const leaderboard = leaderboardController.getLeaderboard(category);
   
   if (leaderboard.error) {
-    return res.status(400).json({ error: leaderboard.error });
+    return res.status(400).json({ success: false, error: leaderboard.error });
   }
   
-  res.status(200).json(leaderboard);
+  res.status(200).json({ success: true, data: leaderboard });
 });
 
 // Get a player's rank in a specific leaderboard
-router.get('/:category/player/:playerId', (req, res) => {
+router.get('/:category/player/:playerId', validateParams({
+  ...CATEGORY_PARAMS_SCHEMA,
+  playerId: { type: 'string', required: true, maxLength: 100 }
+}), (req, res) => {
   const { category, playerId } = req.params;
   const playerRank = leaderboardController.getPlayerRank(playerId, category);
   
   if (playerRank.error) {
-    return res.status(400).json({ error: playerRank.error });
+    return res.status(400).json({ success: false, error: playerRank.error });
   }
   
-  res.status(200).json(playerRank);
+  res.status(200).json({ success: true, data: playerRank });
 });
 
-// Update a player's score in a leaderboard
-router.post('/:category/update', (req, res) => {
+// Set a player's score in a leaderboard (admin only); game scores are kept by the server
+router.post('/:category/update', requireAdmin, validateParams(CATEGORY_PARAMS_SCHEMA), validateBody({
+  playerId: { type: 'string', required: true, maxLength: 100 },
+  playerName: { type: 'string', required: true, maxLength: 50 },
+  score: { type: 'number', required: true, min: 0 }
+}), async (req, res) => {
   const { category } = req.params;
   const { playerId, playerName, score } = req.body;
   
-  // Validate required fields
-  if (!playerId || !playerName || score === undefined) {
-    return res.status(400).json({ 
-      error: 'Missing required fields: playerId, playerName, and score are required' 
-    });
-  }
-  
-  // Validate score is a number
-  if (isNaN(score)) {
-    return res.status(400).json({ error: 'Score must be a number' });
-  }
-  
   const result = leaderboardController.updatePlayerScore(
-    playerId, 
-    playerName, 
-    category, 
-    Number(score)
+    playerId,
+    playerName,
+    category,
+    score
   );
   
   if (!result.success) {
-    return res.status(400).json({ error: result.message });
+    return res.status(500).json({ success: false, error: result.message });
   }
   
-  res.status(200).json({ message: result.message });
+  await AuditSystem.record({
+    actorId: req.session.playerId,
+    action: 'admin.leaderboard-update',
+    target: { type: 'leaderboard', id: category },
+    details: { playerId, score }
+  });
+  
+  res.status(200).json({ success: true, message: result.message });
 });
 
-// Reset a leaderboard (admin only - would need auth middleware in production)
-router.delete('/:category/reset', (req, res) => {
+// Reset a leaderboard (admin only)
+router.delete('/:category/reset', requireAdmin, validateParams(CATEGORY_PARAMS_SCHEMA), async (req, res) => {
   const { category } = req.params;
   
-  // TODO: Add authentication middleware to protect this route
-  
   const result = leaderboardController.resetLeaderboard(category);
   
   if (!result.success) {
-    return res.status(400).json({ error: result.message });
+    return res.status(500).json({ success: false, error: result.message });
   }
   
-  res.status(200).json({ message: result.message });
+  await AuditSystem.record({
+    actorId: req.session.playerId,
+    action: 'admin.leaderboard-reset',
+    target: { type: 'leaderboard', id: category }
+  });
+  
+  res.status(200).json({ success: true, message: result.message });
 });
 
 export default router; 
\ No newline at end of file
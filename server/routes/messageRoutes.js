@@ -1,74 +1,172 @@
 import express from 'express';
 import messageController from '../controllers/messageController.js';
+import roomController, { ROOM_ID_PATTERN } from '../controllers/roomController.js';
+import moderationController from '../controllers/moderationController.js';
+import PlayerRepository from '../repositories/PlayerRepository.js';
+import { validateBody, validateParams, parseIntegerQuery } from '../middleware/validateRequest.js';
 
-const router = express.Router();
+// Mounted behind requireSession, so req.session identifies the player
 
-/**
- * GET /api/messages/:roomId
- * Get messages for a specific room
- */
-router.get('/:roomId', (req, res) => {
-  const { roomId } = req.params;
-  const limit = req.query.limit ? parseInt(req.query.limit) : 50;
-  
-  const messages = messageController.getMessagesForRoom(roomId, limit);
-  
-  res.status(200).json({
-    success: true,
-    count: messages.length,
-    data: messages
-  });
-});
+const ROOM_PARAMS_SCHEMA = {
+  roomId: { type: 'string', required: true, pattern: ROOM_ID_PATTERN }
+};
+
+const MAX_MESSAGE_LENGTH = 500;
+const MAX_HISTORY_LIMIT = 100;
 
 /**
- * POST /api/messages/:roomId
- * Create a new message in a room
+ * Load the room named in the URL and check the player may use it
+ * Private rooms are only readable and writable by players who joined them.
  */
-router.post('/:roomId', (req, res) => {
-  const { roomId } = req.params;
-  const { message, sender } = req.body;
+const requireRoomAccess = (req, res, next) => {
+  const room = roomController.getRoom(req.params.roomId);
   
-  if (!message || !sender) {
-    return res.status(400).json({
+  if (!room) {
+    return res.status(404).json({
       success: false,
-      error: 'Please provide message and sender'
+      error: 'Room not found'
     });
   }
   
-  const newMessage = messageController.storeMessage(roomId, {
-    message,
-    sender,
-    timestamp: new Date().toISOString()
-  });
+  if (room.isPrivate && !roomController.isUserInRoom(room.id, req.session.playerId)) {
+    return res.status(403).json({
+      success: false,
+      error: 'Join this room before using it'
+    });
+  }
   
-  // In a real app, you might emit this via Socket.io here
+  if (moderationController.getActiveSanction(room.id, req.session.playerId, 'ban')) {
+    return res.status(403).json({
+      success: false,
+      error: 'You are banned from this room'
+    });
+  }
   
-  res.status(201).json({
-    success: true,
-    data: newMessage
-  });
-});
+  req.room = room;
+  next();
+};
 
 /**
- * DELETE /api/messages/:roomId/:messageId
- * Delete a message
+ * Build the message routes for a running server
+ * @param {import('../network/ConnectionManager.js').default} connectionManager - The connection manager
+ * @returns {import('express').Router} - The router
  */
-router.delete('/:roomId/:messageId', (req, res) => {
-  const { roomId, messageId } = req.params;
-  
-  const success = messageController.deleteMessage(roomId, messageId);
-  
-  if (!success) {
-    return res.status(404).json({
-      success: false,
-      error: 'Message not found'
+export const createMessageRoutes = (connectionManager) => {
+  const router = express.Router();
+  const chat = connectionManager.chatSystem;
+
+  /**
+   * GET /api/messages/:roomId
+   * Get messages for a specific room
+   */
+  router.get('/:roomId', validateParams(ROOM_PARAMS_SCHEMA), requireRoomAccess, (req, res) => {
+    const { roomId } = req.params;
+    const limit = parseIntegerQuery(req.query.limit, { defaultValue: 50, min: 1, max: MAX_HISTORY_LIMIT });
+    
+    if (limit === null) {
+      return res.status(400).json({
+        success: false,
+        error: `limit must be an integer between 1 and ${MAX_HISTORY_LIMIT}`
+      });
+    }
+    
+    const messages = messageController.getMessagesForRoom(roomId, limit);
+    
+    res.status(200).json({
+      success: true,
+      count: messages.length,
+      data: messages
     });
-  }
-  
-  res.status(200).json({
-    success: true,
-    data: {}
   });
-});
 
-export default router; 
\ No newline at end of file
+  /**
+   * POST /api/messages/:roomId
+   * Create a new message in a room, sent as the session's player
+   */
+  router.post('/:roomId', validateParams(ROOM_PARAMS_SCHEMA), validateBody({
+    message: { type: 'string', required: true, maxLength: MAX_MESSAGE_LENGTH }
+  }), requireRoomAccess, async (req, res, next) => {
+    const { roomId } = req.params;
+    const message = req.body.message.trim();
+    
+    if (!message) {
+      return res.status(400).json({
+        success: false,
+        error: 'message must not be empty'
+      });
+    }
+    
+    try {
+      // Mutes, slow mode, flood limits and the word filter apply as they do over the WebSocket
+      const result = await chat.postToRoom(req.session.playerId, roomId, message);
+      
+      if (!result.success) {
+        return res.status(result.error === 'Player not found' ? 404 : 403).json({
+          success: false,
+          error: result.error
+        });
+      }
+      
+      res.status(201).json({
+        success: true,
+        data: result.message
+      });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  /**
+   * DELETE /api/messages/:roomId/:messageId
+   * Delete one of the session player's own messages, or any message as the room's owner or a moderator
+   */
+  router.delete('/:roomId/:messageId', validateParams({
+    ...ROOM_PARAMS_SCHEMA,
+    messageId: { type: 'string', required: true, maxLength: 50 }
+  }), requireRoomAccess, async (req, res, next) => {
+    const { roomId, messageId } = req.params;
+    
+    try {
+      const existing = messageController.getMessage(roomId, messageId);
+      
+      if (!existing) {
+        return res.status(404).json({
+          success: false,
+          error: 'Message not found'
+        });
+      }
+      
+      const player = await PlayerRepository.getPlayerById(req.session.playerId, { includeProfile: false });
+      const isOwnMessage = player && (existing.senderId
+        ? existing.senderId === player.id
+        : existing.sender === player.username);
+      
+      if (!isOwnMessage && !moderationController.getUserRole(roomId, req.session.playerId)) {
+        return res.status(403).json({
+          success: false,
+          error: 'You can only delete your own messages'
+        });
+      }
+      
+      const success = messageController.deleteMessage(roomId, messageId);
+      
+      if (!success) {
+        return res.status(404).json({
+          success: false,
+          error: 'Message not found'
+        });
+      }
+      
+      res.status(200).json({
+        success: true,
+        data: {}
+      });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  return router;
+};
+
+export default createMessageRoutes;
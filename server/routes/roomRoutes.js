@@ -1,141 +1,181 @@
 import express from 'express';
-import roomController from '../controllers/roomController.js';
+import roomController, { ROOM_ID_PATTERN } from '../controllers/roomController.js';
+import AdminRepository from '../repositories/AdminRepository.js';
+import { validateBody, validateParams } from '../middleware/validateRequest.js';
 
-const router = express.Router();
+// Mounted behind requireSession, so req.session identifies the player
 
-/**
- * GET /api/rooms
- * Get all rooms (in a real app, you'd add pagination)
- */
-router.get('/', (req, res) => {
-  // Get all rooms
-  const rooms = roomController.getAllRooms();
-  
-  res.status(200).json({
-    success: true,
-    count: rooms.length,
-    data: rooms
-  });
-});
+const ROOM_PARAMS_SCHEMA = {
+  roomId: { type: 'string', required: true, pattern: ROOM_ID_PATTERN }
+};
 
 /**
- * GET /api/rooms/:roomId
- * Get a specific room
+ * Build the room routes for a running server
+ * @param {import('../network/ConnectionManager.js').default} connectionManager - The connection manager
+ * @returns {import('express').Router} - The router
  */
-router.get('/:roomId', (req, res) => {
-  const { roomId } = req.params;
-  
-  const room = roomController.getRoom(roomId);
-  
-  if (!room) {
-    return res.status(404).json({
-      success: false,
-      error: 'Room not found'
+export const createRoomRoutes = (connectionManager) => {
+  const router = express.Router();
+  const chat = connectionManager.chatSystem;
+
+  /**
+   * GET /api/rooms
+   * Get all rooms (in a real app, you'd add pagination)
+   */
+  router.get('/', (req, res) => {
+    // Get all rooms
+    const rooms = roomController.getAllRooms();
+    
+    res.status(200).json({
+      success: true,
+      count: rooms.length,
+      data: rooms
     });
-  }
-  
-  res.status(200).json({
-    success: true,
-    data: room
   });
-});
 
-/**
- * POST /api/rooms
- * Create a new room
- */
-router.post('/', (req, res) => {
-  const { roomId, name, isPrivate, password, metadata } = req.body;
-  
-  if (!roomId) {
-    return res.status(400).json({
-      success: false,
-      error: 'Please provide a room ID'
-    });
-  }
-  
-  // Validate that private rooms have a password
-  if (isPrivate && !password) {
-    return res.status(400).json({
-      success: false,
-      error: 'Private rooms must have a password'
+  /**
+   * GET /api/rooms/:roomId
+   * Get a specific room
+   */
+  router.get('/:roomId', validateParams(ROOM_PARAMS_SCHEMA), (req, res) => {
+    const { roomId } = req.params;
+    
+    const room = roomController.getRoom(roomId);
+    
+    if (!room) {
+      return res.status(404).json({
+        success: false,
+        error: 'Room not found'
+      });
+    }
+    
+    res.status(200).json({
+      success: true,
+      data: room
     });
-  }
-  
-  const room = roomController.createRoom(roomId, { name, isPrivate, password, metadata });
-  
-  res.status(201).json({
-    success: true,
-    data: room
   });
-});
 
-/**
- * POST /api/rooms/:roomId/join
- * Join a room (with password for private rooms)
- */
-router.post('/:roomId/join', (req, res) => {
-  const { roomId } = req.params;
-  const { userId, password } = req.body;
-  
-  if (!userId) {
-    return res.status(400).json({
-      success: false,
-      error: 'Please provide a user ID'
+  /**
+   * POST /api/rooms
+   * Create a new room owned by the session's player
+   */
+  router.post('/', validateBody({
+    roomId: { type: 'string', required: true, pattern: ROOM_ID_PATTERN },
+    name: { type: 'string', maxLength: 100 },
+    isPrivate: { type: 'boolean' },
+    password: { type: 'string', maxLength: 100 },
+    metadata: { type: 'object' }
+  }), (req, res) => {
+    const { roomId, name, isPrivate, password, metadata } = req.body;
+    
+    const result = chat.createRoom(req.session.playerId, { roomId, name, isPrivate, password, metadata });
+    
+    if (!result.success) {
+      const status = { 'Private rooms must have a password': 400, 'Room already exists': 409 }[result.error] || 500;
+      return res.status(status).json({
+        success: false,
+        error: result.error
+      });
+    }
+    
+    res.status(201).json({
+      success: true,
+      data: result.room
     });
-  }
-  
-  const result = roomController.addUserToRoom(roomId, userId, password);
-  
-  if (!result.success) {
-    return res.status(400).json({
-      success: false,
-      error: result.message
-    });
-  }
-  
-  res.status(200).json({
-    success: true,
-    message: result.message
   });
-});
 
-/**
- * GET /api/rooms/:roomId/users
- * Get users in a room
- */
-router.get('/:roomId/users', (req, res) => {
-  const { roomId } = req.params;
-  
-  const users = roomController.getUsersInRoom(roomId);
-  
-  res.status(200).json({
-    success: true,
-    count: users.length,
-    data: users
+  /**
+   * POST /api/rooms/:roomId/join
+   * Join a room as the session's player (with password for private rooms)
+   */
+  router.post('/:roomId/join', validateParams(ROOM_PARAMS_SCHEMA), validateBody({
+    password: { type: 'string', maxLength: 100 }
+  }), (req, res) => {
+    const { roomId } = req.params;
+    const { password } = req.body;
+    
+    const result = chat.admitToRoom(req.session.playerId, roomId, password);
+    
+    // Unknown rooms are 404; wrong passwords and bans are 403
+    if (!result.success) {
+      return res.status(result.error === 'Room not found' ? 404 : 403).json({
+        success: false,
+        error: result.error
+      });
+    }
+    
+    res.status(200).json({
+      success: true,
+      data: result.room
+    });
   });
-});
 
-/**
- * DELETE /api/rooms/:roomId
- * Delete a room
- */
-router.delete('/:roomId', (req, res) => {
-  const { roomId } = req.params;
-  
-  const success = roomController.deleteRoom(roomId);
-  
-  if (!success) {
-    return res.status(404).json({
-      success: false,
-      error: 'Room not found'
+  /**
+   * GET /api/rooms/:roomId/users
+   * Get users in a room
+   */
+  router.get('/:roomId/users', validateParams(ROOM_PARAMS_SCHEMA), (req, res) => {
+    const { roomId } = req.params;
+    
+    if (!roomController.getRoom(roomId)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Room not found'
+      });
+    }
+    
+    const users = roomController.getUsersInRoom(roomId);
+    
+    res.status(200).json({
+      success: true,
+      count: users.length,
+      data: users
     });
-  }
-  
-  res.status(200).json({
-    success: true,
-    data: {}
   });
-});
 
-export default router; 
\ No newline at end of file
+  /**
+   * DELETE /api/rooms/:roomId
+   * Delete a room; only its owner or an admin may
+   */
+  router.delete('/:roomId', validateParams(ROOM_PARAMS_SCHEMA), async (req, res, next) => {
+    const { roomId } = req.params;
+    
+    if (!roomController.getRoom(roomId)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Room not found'
+      });
+    }
+    
+    try {
+      const isOwner = connectionManager.chatModeration.getRole(roomId, req.session.playerId) === 'owner';
+      
+      if (!isOwner && !(await AdminRepository.isAdmin(req.session.playerId))) {
+        return res.status(403).json({
+          success: false,
+          error: 'Only the room owner or an admin can delete a room'
+        });
+      }
+      
+      const success = roomController.deleteRoom(roomId);
+      
+      if (!success) {
+        return res.status(404).json({
+          success: false,
+          error: 'Room not found'
+        });
+      }
+      
+      res.status(200).json({
+        success: true,
+        data: {}
+      });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  return router;
+};
+
+export default createRoomRoutes;
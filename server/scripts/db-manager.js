@@ -4,14 +4,35 @@
  * Database management script
  * 
  * Usage:
- *   node db-manager.js [command]
+ *   node db-manager.js [command] [options]
  * 
  * Commands:
+ *   migrate   - Apply pending schema migrations
+ *   rollback  - Undo the last applied migration
+ *   status    - List migrations and whether they are applied
  *   reset     - Reset the database (delete all data)
  *   seed      - Seed the database with sample data
- *   backup    - Backup the database
- *   restore   - Restore the database from backup
+ *   backup    - Take a snapshot of every data store and delete expired ones
+ *   restore   - List snapshots, or restore one (all data, or one player's)
+ *   verify    - Restore a snapshot into scratch databases and check it
+ *   prune     - Delete snapshots the retention policy no longer keeps
+ *   admin     - Give a player access to the admin API, or take it away
  *   stats     - Show database statistics
+ * 
+ * Migration options:
+ *   --db=sqlite|postgres  Only this database (default: SQLite, plus PostgreSQL unless USE_SQLITE=true)
+ *   --dry-run             Print the SQL instead of running it
+ *   --to=VERSION          migrate: stop after VERSION; rollback: undo everything above VERSION
+ *   --steps=N             rollback: undo the last N migrations (default 1)
+ * 
+ * Backup options:
+ *   --snapshot=ID         restore/verify: the snapshot (verify defaults to the newest)
+ *   --player=PLAYER_ID    restore: only this player's data
+ *   --force               restore: confirm replacing all data with the snapshot's
+ * 
+ * Admin options:
+ *   --username=NAME       The player
+ *   --revoke              Take admin access away instead of granting it
  */
 
 import fs from 'fs';
@@ -19,6 +40,9 @@ import path from 'path';
 import { fileURLToPath } from 'url';
 import Database from 'better-sqlite3';
 import dotenv from 'dotenv';
+import { pool } from '../config/postgres.js';
+import { MigrationRunner, createSqliteDriver, createPostgresDriver } from '../utils/migrationRunner.js';
+import { BackupManager } from '../utils/backupManager.js';
 
 // Load environment variables
 dotenv.config();
@@ -31,6 +55,7 @@ const __dirname = path.dirname(__filename);
 const dataDir = path.join(__dirname, '..', 'data');
 const dbPath = process.env.DB_PATH || path.join(dataDir, 'game.db');
 const backupDir = path.join(dataDir, 'backups');
+const migrationsDir = path.join(__dirname, '..', 'migrations');
 
 // Ensure backup directory exists
 if (!fs.existsSync(backupDir)) {
@@ -43,47 +68,211 @@ const db = new Database(dbPath, { verbose: console.log });
 // Enable foreign keys
 db.pragma('foreign_keys = ON');
 
+// Whether PostgreSQL was used, so its pool can be closed
+let usedPostgres = false;
+
+/**
+ * Parse --name=value and --flag options
+ * @param {Array<string>} args - Arguments after the command
+ * @returns {Object} - Options by name
+ */
+function parseOptions(args) {
+  const options = {};
+  
+  args.forEach(arg => {
+    const match = arg.match(/^--([\w-]+)(?:=(.*))?$/);
+    if (match) {
+      options[match[1]] = match[2] === undefined ? true : match[2];
+    }
+  });
+  
+  return options;
+}
+
+/**
+ * Get migration runners for the databases the options select
+ * @param {Object} options - Parsed options
+ * @returns {Array<Object>} - { label, runner }
+ */
+function getMigrationTargets(options) {
+  const useSqlite = process.env.USE_SQLITE === 'true';
+  const targets = [];
+  
+  if (options.db && !['sqlite', 'postgres'].includes(options.db)) {
+    throw new Error(`Unknown database "${options.db}" (use sqlite or postgres)`);
+  }
+  
+  if (!options.db || options.db === 'sqlite') {
+    targets.push({
+      label: 'SQLite',
+      runner: new MigrationRunner(createSqliteDriver(db), path.join(migrationsDir, 'sqlite'))
+    });
+  }
+  
+  if (options.db === 'postgres' || (!options.db && !useSqlite)) {
+    usedPostgres = true;
+    targets.push({
+      label: 'PostgreSQL',
+      runner: new MigrationRunner(createPostgresDriver(pool), path.join(migrationsDir, 'postgres'))
+    });
+  }
+  
+  return targets;
+}
+
+/**
+ * Print the migrations a command ran, or their SQL on a dry run
+ * @param {string} label - Database label
+ * @param {Array<Object>} results - Migrations with their SQL
+ * @param {string} direction - 'up' or 'down'
+ * @param {boolean} dryRun - Whether nothing was run
+ */
+function printMigrations(label, results, direction, dryRun) {
+  if (results.length === 0) {
+    console.log(`${label}: nothing to ${direction === 'up' ? 'migrate' : 'roll back'}`);
+    return;
+  }
+  
+  results.forEach(migration => {
+    const id = `${migration.version}_${migration.name}`;
+    
+    if (dryRun) {
+      console.log(`-- ${label}: ${id} (${direction})`);
+      console.log(migration.sql.trim());
+      console.log('');
+    } else {
+      console.log(`${label}: ${direction === 'up' ? 'applied' : 'rolled back'} ${id}`);
+    }
+  });
+}
+
+/**
+ * Parse a whole-number option
+ * @param {string|undefined} value - Option value
+ * @param {string} name - Option name, for the error message
+ * @returns {number|undefined} - The number, or undefined if the option was not given
+ */
+function parseCount(value, name) {
+  if (value === undefined) {
+    return undefined;
+  }
+  
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 0) {
+    throw new Error(`--${name} must be a whole number`);
+  }
+  
+  return number;
+}
+
+/**
+ * Get a backup manager for the configured databases
+ * @returns {BackupManager} - Backup manager
+ */
+function getBackupManager() {
+  const useSqlite = process.env.USE_SQLITE === 'true';
+  
+  if (!useSqlite) {
+    usedPostgres = true;
+  }
+  
+  return new BackupManager({ db, pool: useSqlite ? null : pool, backupDir });
+}
+
+/**
+ * Print the snapshots, and any single-file backups from before snapshots existed
+ * @param {BackupManager} manager - Backup manager
+ */
+function printSnapshots(manager) {
+  const snapshots = manager.listSnapshots();
+  const legacyBackups = fs.readdirSync(backupDir)
+    .filter(file => file.endsWith('.db'))
+    .sort()
+    .reverse();
+  
+  if (snapshots.length === 0 && legacyBackups.length === 0) {
+    console.log('No backups found');
+    return;
+  }
+  
+  console.log('Available backups:');
+  snapshots.forEach((snapshot, index) => {
+    const stores = ['sqlite', 'postgres', 'leaderboards'].filter(store => snapshot.manifest[store]);
+    console.log(`${index + 1}. ${snapshot.id} (${stores.join(', ')}; ${snapshot.size} bytes)`);
+  });
+  
+  if (snapshots.length > 0) {
+    console.log('\nTo restore, stop the server and run:');
+    console.log(`node server/scripts/db-manager.js restore --snapshot=${snapshots[0].id} --force`);
+    console.log('or restore one player with --player=PLAYER_ID instead of --force');
+  }
+  
+  if (legacyBackups.length > 0) {
+    console.log('\nSQLite copies from before snapshots (restore by copying over the database):');
+    legacyBackups.forEach(backup => {
+      console.log(`- ${backup}: cp "${path.join(backupDir, backup)}" "${dbPath}"`);
+    });
+  }
+}
+
 // Command handlers
 const commands = {
+  // Apply pending schema migrations
+  migrate: async (options) => {
+    const to = parseCount(options.to, 'to');
+    
+    for (const { label, runner } of getMigrationTargets(options)) {
+      const results = await runner.migrate({ to, dryRun: Boolean(options['dry-run']) });
+      printMigrations(label, results, 'up', Boolean(options['dry-run']));
+    }
+  },
+  
+  // Undo applied migrations
+  rollback: async (options) => {
+    const to = parseCount(options.to, 'to');
+    const steps = parseCount(options.steps, 'steps');
+    
+    for (const { label, runner } of getMigrationTargets(options)) {
+      const results = await runner.rollback({
+        steps: steps ?? 1,
+        to: to ?? null,
+        dryRun: Boolean(options['dry-run'])
+      });
+      printMigrations(label, results, 'down', Boolean(options['dry-run']));
+    }
+  },
+  
+  // List migrations and whether they are applied
+  status: async (options) => {
+    for (const { label, runner } of getMigrationTargets(options)) {
+      console.log(`${label} migrations:`);
+      
+      const rows = await runner.status();
+      if (rows.length === 0) {
+        console.log('  (none)');
+      }
+      
+      rows.forEach(row => {
+        const appliedAt = row.appliedAt ? `  ${new Date(row.appliedAt).toISOString()}` : '';
+        console.log(`  ${String(row.version).padStart(4, '0')}  ${row.name.padEnd(32)} ${row.state.padEnd(8)}${appliedAt}`);
+      });
+      
+      if (rows.some(row => row.state === 'modified' || row.state === 'missing')) {
+        console.log('  Applied migrations were changed or deleted; migrate and rollback will refuse to run');
+      }
+    }
+  },
+  
   // Reset the database (delete all data)
-  reset: () => {
+  reset: async () => {
     console.log('Resetting database...');
     
-    // Drop tables
-    db.exec('DROP TABLE IF EXISTS room_users');
-    db.exec('DROP TABLE IF EXISTS messages');
-    db.exec('DROP TABLE IF EXISTS rooms');
-    
-    // Recreate tables
-    db.exec(`
-      CREATE TABLE IF NOT EXISTS rooms (
-        id TEXT PRIMARY KEY,
-        name TEXT NOT NULL,
-        created_at TEXT NOT NULL,
-        metadata TEXT
-      )
-    `);
-    
-    db.exec(`
-      CREATE TABLE IF NOT EXISTS messages (
-        id TEXT PRIMARY KEY,
-        room_id TEXT NOT NULL,
-        sender TEXT NOT NULL,
-        message TEXT NOT NULL,
-        timestamp TEXT NOT NULL,
-        FOREIGN KEY (room_id) REFERENCES rooms (id) ON DELETE CASCADE
-      )
-    `);
+    const runner = new MigrationRunner(createSqliteDriver(db), path.join(migrationsDir, 'sqlite'));
     
-    db.exec(`
-      CREATE TABLE IF NOT EXISTS room_users (
-        room_id TEXT NOT NULL,
-        user_id TEXT NOT NULL,
-        joined_at TEXT NOT NULL,
-        PRIMARY KEY (room_id, user_id),
-        FOREIGN KEY (room_id) REFERENCES rooms (id) ON DELETE CASCADE
-      )
-    `);
+    // Record any tables created before migrations existed, then drop and recreate everything
+    await runner.migrate();
+    await runner.rollback({ to: 0 });
+    await runner.migrate();
     
     console.log('Database reset successfully');
   },
@@ -147,47 +336,100 @@ const commands = {
     console.log('Database seeded successfully');
   },
   
-  // Backup the database
-  backup: () => {
-    console.log('Backing up database...');
+  // Take a compressed, checksummed snapshot and apply the retention policy
+  backup: async () => {
+    const manager = getBackupManager();
+    const manifest = await manager.createSnapshot();
     
-    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-    const backupPath = path.join(backupDir, `game-${timestamp}.db`);
+    console.log(`Backed up to ${path.join(backupDir, manifest.id)}`);
+    Object.entries(manifest.files).forEach(([file, { size }]) => {
+      console.log(`- ${file} (${size} bytes)`);
+    });
     
-    try {
-      // Create a backup using fs.copyFileSync instead of db.backup
-      fs.copyFileSync(dbPath, backupPath);
-      console.log(`Database backed up to ${backupPath}`);
-    } catch (err) {
-      console.error('Backup failed:', err);
-    }
+    manager.pruneSnapshots().forEach(id => {
+      console.log(`Deleted ${id} (retention policy)`);
+    });
   },
   
-  // Restore the database from backup
-  restore: () => {
-    console.log('Available backups:');
+  // Restore a snapshot, or one player's data from it; lists snapshots without --snapshot
+  restore: async (options) => {
+    const manager = getBackupManager();
     
-    // List available backups
-    const backups = fs.readdirSync(backupDir)
-      .filter(file => file.endsWith('.db'))
-      .sort()
-      .reverse();
+    if (!options.snapshot) {
+      printSnapshots(manager);
+      return;
+    }
     
-    if (backups.length === 0) {
-      console.log('No backups found');
+    if (options.player) {
+      const restored = await manager.restorePlayer(options.snapshot, options.player);
+      console.log(`Restored player ${options.player} from ${options.snapshot}:`);
+      Object.entries(restored).forEach(([table, count]) => {
+        console.log(`- ${table}: ${count} rows`);
+      });
       return;
     }
     
-    backups.forEach((backup, index) => {
-      const stats = fs.statSync(path.join(backupDir, backup));
-      console.log(`${index + 1}. ${backup} (${stats.size} bytes)`);
+    if (!options.force) {
+      throw new Error('Restoring a whole snapshot replaces all data; stop the server and pass --force');
+    }
+    
+    await manager.restoreSnapshot(options.snapshot);
+    console.log(`Restored ${options.snapshot}`);
+  },
+  
+  // Restore a snapshot into scratch databases and check it (default: the newest)
+  verify: async (options) => {
+    const manager = getBackupManager();
+    const id = options.snapshot || manager.listSnapshots()[0]?.id;
+    
+    if (!id) {
+      throw new Error('No backups found');
+    }
+    
+    const { success, checks } = await manager.verifySnapshot(id);
+    
+    checks.forEach(({ name, ok, message }) => {
+      console.log(`${ok ? 'ok  ' : 'FAIL'} ${name}: ${message}`);
     });
+    console.log(success ? `${id} verified` : `${id} failed verification`);
+    
+    if (!success) {
+      process.exitCode = 1;
+    }
+  },
+  
+  // Delete snapshots the retention policy no longer keeps
+  prune: () => {
+    const deleted = getBackupManager().pruneSnapshots();
     
-    console.log('\nTo restore, run:');
-    console.log(`cp "${path.join(backupDir, backups[0])}" "${dbPath}"`);
+    console.log(deleted.length === 0 ? 'No backups to delete' : `Deleted ${deleted.join(', ')}`);
   },
   
-  // Show database statistics
+  // Give a player access to the admin API, or take it away with --revoke
+  admin: async (options) => {
+    if (typeof options.username !== 'string') {
+      throw new Error('--username=NAME is required');
+    }
+    
+    const isAdmin = !options.revoke;
+    let changed;
+    
+    if (process.env.USE_SQLITE === 'true') {
+      changed = db.prepare('UPDATE players SET is_admin = ? WHERE username = ?')
+        .run(isAdmin ? 1 : 0, options.username).changes;
+    } else {
+      usedPostgres = true;
+      changed = (await pool.query('UPDATE players SET is_admin = $1 WHERE username = $2', [isAdmin, options.username])).rowCount;
+    }
+    
+    if (changed === 0) {
+      throw new Error(`No player named ${options.username}`);
+    }
+    
+    console.log(`${options.username} ${isAdmin ? 'is now an admin' : 'is no longer an admin'}`);
+  },
+  
+    // Show database statistics
   stats: () => {
     console.log('Database statistics:');
     
@@ -214,8 +456,16 @@ if (!command || !commands[command]) {
     console.log(`- ${cmd}`);
   });
 } else {
-  commands[command]();
+  try {
+    await commands[command](parseOptions(process.argv.slice(3)));
+  } catch (error) {
+    console.error(`${command} failed: ${error.message}`);
+    process.exitCode = 1;
+  }
 }
 
-// Close database connection
-db.close(); 
\ No newline at end of file
+// Close database connections
+db.close();
+if (usedPostgres) {
+  await pool.end();
+}
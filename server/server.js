@@ -19,8 +19,26 @@ import PlayerStateSystem from './game/systems/PlayerStateSystem.js';
 import MovementSystem from './game/systems/MovementSystem.js';
 import GeospatialAreaSystem from './game/systems/GeospatialAreaSystem.js';
 import FlagSystem from './game/systems/FlagSystem.js';
+import InventorySystem from './game/systems/InventorySystem.js';
+import LootSystem from './game/systems/LootSystem.js';
+import GameLoop from './game/GameLoop.js';
+import SessionRepository from './repositories/SessionRepository.js';
+import AccountRepository from './repositories/AccountRepository.js';
+import { purgeDeletedAccounts } from './controllers/accountController.js';
 import { connectRedis } from './config/redis.js';
-import { initializeDatabase } from './config/postgres.js';
+import { initializeStorage, useSqlite } from './config/storage.js';
+import db from './config/database.js';
+import { pool } from './config/postgres.js';
+import { BackupManager } from './utils/backupManager.js';
+
+// REST routes
+import authRoutes from './routes/authRoutes.js';
+import createRoomRoutes from './routes/roomRoutes.js';
+import createMessageRoutes from './routes/messageRoutes.js';
+import leaderboardRoutes from './routes/leaderboardRoutes.js';
+import createAdminRoutes from './routes/adminRoutes.js';
+import { requireSession, requireAdmin } from './middleware/sessionAuth.js';
+import { notFoundHandler, errorHandler } from './middleware/errorHandlers.js';
 
 // Connection manager for WebSockets
 import ConnectionManager from './network/ConnectionManager.js';
@@ -32,6 +50,22 @@ const __dirname = dirname(__filename);
 // Default port
 const PORT = process.env.PORT || 3000;
 
+// How often periodic sweepers run
+const ABANDONED_FLAG_SWEEP_INTERVAL = 60 * 1000;
+const FLAG_BURN_SWEEP_INTERVAL = 1000;
+const FLAG_INDEX_RETRY_INTERVAL = 30 * 1000;
+const EXPIRED_SESSION_SWEEP_INTERVAL = 60 * 60 * 1000;
+const INVENTORY_TRANSACTION_PRUNE_INTERVAL = 60 * 60 * 1000;
+const LOOT_CLAIM_PRUNE_INTERVAL = 10 * 60 * 1000;
+const ACCOUNT_DELETION_SWEEP_INTERVAL = 60 * 60 * 1000;
+const EXPIRED_ACCOUNT_TOKEN_SWEEP_INTERVAL = 60 * 60 * 1000;
+const CHAT_TYPING_SWEEP_INTERVAL = 1000;
+const CHAT_MODERATION_SWEEP_INTERVAL = 60 * 1000;
+const CLUSTER_HEARTBEAT_INTERVAL = 5 * 1000;
+
+// How often a backup snapshot is taken; BACKUP_INTERVAL_HOURS=0 turns scheduled backups off
+const BACKUP_INTERVAL = Number.parseFloat(process.env.BACKUP_INTERVAL_HOURS || '6') * 60 * 60 * 1000;
+
 /**
  * Initialize the server
  */
@@ -42,8 +76,8 @@ async function initializeServer() {
     // Connect to Redis if enabled
     await connectRedis();
     
-    // Initialize PostgreSQL
-    await initializeDatabase();
+    // Initialize PostgreSQL, or SQLite when USE_SQLITE=true
+    await initializeStorage();
     
     // Create Express app
     const app = express();
@@ -61,6 +95,12 @@ async function initializeServer() {
       res.status(200).json({ status: 'ok', message: 'Server is running' });
     });
     
+    // Account registration, login and sessions
+    app.use('/api/auth', authRoutes);
+    
+    // Leaderboards need a logged-in player
+    app.use('/api/leaderboards', requireSession, leaderboardRoutes);
+    
     // Create HTTP server
     const server = createServer(app);
     
@@ -70,12 +110,90 @@ async function initializeServer() {
     // Initialize the connection manager
     const connectionManager = new ConnectionManager(wss);
     
+    // Chat rooms and chat history need a logged-in player, and go through the same chat systems as the game
+    app.use('/api/rooms', requireSession, createRoomRoutes(connectionManager));
+    app.use('/api/messages', requireSession, createMessageRoutes(connectionManager));
+    
+    // Live server operations, for admin accounts only
+    app.use('/api/admin', requireSession, requireAdmin, createAdminRoutes(connectionManager));
+    
     // Set up game areas
     await GeospatialAreaSystem.setupInitialAreas();
     
-    // Set up initial game flags
+    // Load stored flags into memory, then make sure the system flags exist
+    await FlagSystem.loadFlags();
     await FlagSystem.setupInitialFlags();
     
+    // Share presence and events with other server instances when CLUSTER_MODE=true
+    await connectionManager.cluster.start();
+    
+    // Set up the game loop and its systems
+    const gameLoop = new GameLoop();
+    
+    if (BACKUP_INTERVAL > 0) {
+      const backupManager = new BackupManager({ db, pool: useSqlite ? null : pool });
+      gameLoop.registerSystem(
+        { update: () => backupManager.runScheduledBackup() },
+        { name: 'BackupScheduler', interval: BACKUP_INTERVAL }
+      );
+    }
+    
+    gameLoop
+      .registerSystem(connectionManager.movementSystem)
+      .registerSystem(connectionManager.interestSystem)
+      .registerSystem(connectionManager.chatSystem, { interval: CHAT_TYPING_SWEEP_INTERVAL })
+      .registerSystem(connectionManager.chatModeration, { interval: CHAT_MODERATION_SWEEP_INTERVAL })
+      .registerSystem(connectionManager.cluster, { interval: CLUSTER_HEARTBEAT_INTERVAL })
+      .registerSystem(
+        {
+          // Retry a failed boot load so flag queries stop falling back to the database
+          update: async () => {
+            if (!FlagSystem.indexLoaded && await FlagSystem.loadFlags()) {
+              await FlagSystem.setupInitialFlags();
+            }
+          }
+        },
+        { name: 'FlagIndexLoader', interval: FLAG_INDEX_RETRY_INTERVAL }
+      )
+      .registerSystem(
+        { update: () => FlagSystem.checkForAbandonedFlags() },
+        { name: 'AbandonedFlagSweeper', interval: ABANDONED_FLAG_SWEEP_INTERVAL }
+      )
+      .registerSystem(
+        { update: () => FlagSystem.burnDownFlags() },
+        { name: 'FlagBurnSweeper', interval: FLAG_BURN_SWEEP_INTERVAL }
+      )
+      .registerSystem(
+        { update: () => SessionRepository.deleteExpiredSessions() },
+        { name: 'ExpiredSessionSweeper', interval: EXPIRED_SESSION_SWEEP_INTERVAL }
+      )
+      .registerSystem(
+        { update: () => InventorySystem.pruneTransactions() },
+        { name: 'InventoryTransactionPruner', interval: INVENTORY_TRANSACTION_PRUNE_INTERVAL }
+      )
+      .registerSystem(
+        { update: () => LootSystem.pruneClaims() },
+        { name: 'LootClaimPruner', interval: LOOT_CLAIM_PRUNE_INTERVAL }
+      )
+      .registerSystem(
+        { update: () => purgeDeletedAccounts() },
+        { name: 'AccountDeletionSweeper', interval: ACCOUNT_DELETION_SWEEP_INTERVAL }
+      )
+      .registerSystem(
+        { update: () => AccountRepository.deleteExpiredTokens() },
+        { name: 'ExpiredAccountTokenSweeper', interval: EXPIRED_ACCOUNT_TOKEN_SWEEP_INTERVAL }
+      )
+      .start();
+    
+    // Game loop timing metrics, for admin accounts only
+    app.get('/api/metrics', requireSession, requireAdmin, (req, res) => {
+      res.status(200).json({ gameLoop: gameLoop.getMetrics() });
+    });
+    
+    // Unknown API routes and uncaught route errors answer with JSON
+    app.use('/api', notFoundHandler);
+    app.use(errorHandler);
+    
     // Start the server
     server.listen(PORT, () => {
       logger.info(`Server running on port ${PORT}`);
@@ -88,6 +206,9 @@ async function initializeServer() {
     const gracefulShutdown = async () => {
       logger.info('Server shutdown initiated...');
       
+      // Stop ticking systems and let in-flight updates finish
+      await gameLoop.stop();
+      
       // Close the HTTP server
       server.close(() => {
         logger.info('HTTP server closed');
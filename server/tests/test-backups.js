@@ -0,0 +1,119 @@
+/**
+ * Test script for the backup retention policy
+ * Builds snapshot lists at known times and checks which ones
+ * selectExpiredSnapshots would delete.
+ * Run with: NODE_ENV=test node tests/test-backups.js
+ */
+
+import assert from 'node:assert/strict';
+import { logger } from '../utils/logger.js';
+import { selectExpiredSnapshots } from '../utils/backupManager.js';
+
+// Set environment to test
+process.env.NODE_ENV = 'test';
+
+/**
+ * Snapshots taken every few hours, oldest first
+ * @param {string} start - ISO time of the first snapshot
+ * @param {number} count - How many snapshots
+ * @param {number} hours - Hours between snapshots
+ * @returns {Array<Object>} - { id, createdAt }
+ */
+function createSnapshots(start, count, hours) {
+  return Array.from({ length: count }, (_, index) => {
+    const createdAt = new Date(new Date(start).getTime() + index * hours * 60 * 60 * 1000);
+    return { id: `snapshot-${createdAt.toISOString()}`, createdAt };
+  });
+}
+
+/**
+ * Get the times of the snapshots a policy keeps
+ * @param {Array<Object>} snapshots - Snapshots
+ * @param {Object} policy - Retention policy
+ * @returns {Array<string>} - Kept snapshot times, newest first
+ */
+function keptTimes(snapshots, policy) {
+  const expired = new Set(selectExpiredSnapshots(snapshots, policy));
+  return snapshots
+    .filter(snapshot => !expired.has(snapshot))
+    .map(snapshot => snapshot.createdAt.toISOString())
+    .sort()
+    .reverse();
+}
+
+/**
+ * The newest snapshots are kept
+ */
+function testKeepLast() {
+  logger.info('Testing keepLast...');
+
+  const snapshots = createSnapshots('2026-01-01T00:00:00Z', 5, 6);
+  assert.deepEqual(keptTimes(snapshots, { keepLast: 2 }), [
+    '2026-01-02T00:00:00.000Z',
+    '2026-01-01T18:00:00.000Z'
+  ]);
+  assert.equal(selectExpiredSnapshots(snapshots, { keepLast: 10 }).length, 0);
+  assert.equal(selectExpiredSnapshots(snapshots, {}).length, 5);
+
+  logger.info('keepLast tests passed');
+}
+
+/**
+ * The newest snapshot of each recent day is kept
+ */
+function testKeepDaily() {
+  logger.info('Testing keepDaily...');
+
+  // Four a day from Monday 5 January to Friday 9 January 2026
+  const snapshots = createSnapshots('2026-01-05T00:00:00Z', 20, 6);
+  assert.deepEqual(keptTimes(snapshots, { keepLast: 1, keepDaily: 3 }), [
+    '2026-01-09T18:00:00.000Z',
+    '2026-01-08T18:00:00.000Z',
+    '2026-01-07T18:00:00.000Z'
+  ]);
+
+  logger.info('keepDaily tests passed');
+}
+
+/**
+ * The newest snapshot of each recent week is kept, weeks starting on Monday
+ */
+function testKeepWeekly() {
+  logger.info('Testing keepWeekly...');
+
+  // One a day from Thursday 1 January to Wednesday 21 January 2026
+  const snapshots = createSnapshots('2026-01-01T12:00:00Z', 21, 24);
+  assert.deepEqual(keptTimes(snapshots, { keepDaily: 2, keepWeekly: 3 }), [
+    '2026-01-21T12:00:00.000Z',
+    '2026-01-20T12:00:00.000Z',
+    '2026-01-18T12:00:00.000Z',
+    '2026-01-11T12:00:00.000Z'
+  ]);
+
+  // Unsorted input gives the same answer
+  assert.deepEqual(
+    keptTimes([...snapshots].reverse(), { keepWeekly: 2 }),
+    ['2026-01-21T12:00:00.000Z', '2026-01-18T12:00:00.000Z']
+  );
+
+  logger.info('keepWeekly tests passed');
+}
+
+/**
+ * Run all tests
+ */
+function runTests() {
+  try {
+    testKeepLast();
+    testKeepDaily();
+    testKeepWeekly();
+
+    logger.info('All backup tests completed successfully');
+  } catch (error) {
+    logger.error('Test failed', { error: error.message, stack: error.stack });
+    process.exitCode = 1;
+  }
+}
+
+// Run tests
+runTests();
@@ -0,0 +1,252 @@
+/**
+ * Test script for running several server instances against one Redis
+ * Two ClusterSystem instances share an in-process Redis stand-in; their
+ * connection managers only record what they would send to clients.
+ * Run with: NODE_ENV=test node tests/test-cluster.js
+ */
+
+import assert from 'node:assert/strict';
+import { logger } from '../utils/logger.js';
+import { MemoryRedisServer } from '../utils/memoryRedis.js';
+import ClusterSystem from '../game/systems/ClusterSystem.js';
+
+// Set environment to test
+process.env.NODE_ENV = 'test';
+
+/**
+ * Connection manager stand-in recording deliveries to its local players
+ * @param {Array<string>} localPlayers - Players connected to this instance
+ * @returns {Object} - Mock connection manager
+ */
+function createMockConnectionManager(localPlayers) {
+  const sent = [];
+  const interestEntries = new Map();
+
+  return {
+    sent,
+    playerSockets: new Map(localPlayers.map(playerId => [playerId, `socket-${playerId}`])),
+    sendToLocalPlayer(playerId, type, data) {
+      if (!this.playerSockets.has(playerId)) return false;
+      sent.push({ playerId, type, data });
+      return true;
+    },
+    deliverToAll(type, data) {
+      for (const playerId of this.playerSockets.keys()) {
+        sent.push({ playerId, type, data });
+      }
+    },
+    deliverToArea() {},
+    deliverToFlagViewers(flag, type, data) {
+      sent.push({ flagId: flag.id, type, data });
+    },
+    disconnectLocalSession(playerId) {
+      sent.push({ playerId, type: 'force-disconnect' });
+    },
+    chatSystem: {
+      deliverToRoom(roomId, type, data) {
+        sent.push({ roomId, type, data });
+      },
+      removeOnlineMember() {}
+    },
+    interestSystem: {
+      entries: interestEntries,
+      updatePlayerPosition(playerId, position, displayName) {
+        interestEntries.set(playerId, { position, displayName });
+      },
+      removePlayer(playerId) {
+        interestEntries.delete(playerId);
+      }
+    }
+  };
+}
+
+/**
+ * FlagSystem stand-in recording changes applied from other instances
+ * @returns {Object} - Mock flag system
+ */
+function createMockFlagSystem() {
+  const listeners = new Set();
+
+  return {
+    applied: [],
+    addChangeListener(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+    applyChange(change) {
+      this.applied.push(change);
+    },
+    saveLocally(change) {
+      listeners.forEach(listener => listener(change));
+    }
+  };
+}
+
+/**
+ * Create one instance of the cluster
+ * @param {MemoryRedisServer} redis - Shared Redis stand-in
+ * @param {string} instanceId - Instance ID
+ * @param {Array<string>} localPlayers - Players connected to this instance
+ * @returns {Object} - { cluster, connections, flags }
+ */
+function createInstance(redis, instanceId, localPlayers) {
+  const connections = createMockConnectionManager(localPlayers);
+  const flags = createMockFlagSystem();
+  const playerState = { players: new Map(localPlayers.map(id => [id, { profile: { displayName: `Name-${id}` } }])) };
+
+  const cluster = new ClusterSystem(connections, playerState, flags, {
+    enabled: true,
+    client: redis.createClient(),
+    subscriber: redis.createClient(),
+    instanceId,
+    instanceUrl: `ws://${instanceId}.example:3000`,
+    cellSize: 1
+  });
+
+  return { cluster, connections, flags };
+}
+
+// Published messages are delivered on the next turn of the event loop
+const settle = () => new Promise(resolve => setImmediate(resolve));
+
+/**
+ * Presence and messages routed to the instance holding a player
+ * @param {Object} a - Instance A
+ * @param {Object} b - Instance B
+ */
+async function testPresenceAndRouting(a, b) {
+  await a.cluster.addPlayer('alice');
+  await b.cluster.addPlayer('bob');
+
+  assert.equal((await a.cluster.getPresence('bob')).instanceId, 'b');
+
+  // A whisper from a player on A to bob reaches B only
+  assert.equal(await a.cluster.sendToPlayer('bob', 'chat-message', { message: 'hi' }), true);
+  assert.equal(await a.cluster.sendToPlayer('alice', 'chat-message', { message: 'self' }), false);
+  await settle();
+
+  assert.deepEqual(b.connections.sent.pop(), { playerId: 'bob', type: 'chat-message', data: { message: 'hi' } });
+  assert.equal(a.connections.sent.length, 0);
+
+  // Logging in on A closes bob's session on B
+  await a.cluster.disconnectElsewhere('bob');
+  await settle();
+  assert.deepEqual(b.connections.sent.pop(), { playerId: 'bob', type: 'force-disconnect' });
+
+  logger.info('Presence and routing passed');
+}
+
+/**
+ * Chat and flag events fanned out to the other instance
+ * @param {Object} a - Instance A
+ * @param {Object} b - Instance B
+ */
+async function testFanOut(a, b) {
+  a.cluster.publish('all', { type: 'chat-message', data: { message: 'global' } });
+  a.cluster.publish('room', { roomId: 'lobby', type: 'chat-message', data: { message: 'room' } });
+
+  const flag = { id: 'flag-1', position: { lat: 10.5, lng: 20.5 } };
+  a.flags.saveLocally({ flag });
+  a.cluster.publish('flag-viewers', { flag, type: 'flag-placed', data: { flag } });
+  await settle();
+
+  assert.deepEqual(b.connections.sent, [
+    { playerId: 'bob', type: 'chat-message', data: { message: 'global' } },
+    { roomId: 'lobby', type: 'chat-message', data: { message: 'room' } },
+    { flagId: 'flag-1', type: 'flag-placed', data: { flag } }
+  ]);
+  assert.deepEqual(b.flags.applied, [{ flag }]);
+
+  // An instance does not hear its own messages back
+  assert.equal(a.connections.sent.length, 0);
+  assert.equal(a.flags.applied.length, 0);
+
+  b.connections.sent.length = 0;
+  logger.info('Fan-out passed');
+}
+
+/**
+ * Remote players shown through the interest system until they leave
+ * @param {Object} a - Instance A
+ * @param {Object} b - Instance B
+ */
+async function testRemotePlayers(a, b) {
+  await b.cluster.updatePlayerPosition('bob', { lat: 50.2, lng: 8.2 });
+  await settle();
+
+  assert.deepEqual(a.connections.interestSystem.entries.get('bob'), {
+    position: { lat: 50.2, lng: 8.2 },
+    displayName: 'Name-bob'
+  });
+
+  await b.cluster.removePlayer('bob');
+  await settle();
+
+  assert.equal(a.connections.interestSystem.entries.has('bob'), false);
+  assert.equal(await a.cluster.getPresence('bob'), null);
+
+  await b.cluster.addPlayer('bob');
+  logger.info('Remote players passed');
+}
+
+/**
+ * Cell ownership and handoff when a player enters another instance's cell
+ * @param {Object} a - Instance A
+ * @param {Object} b - Instance B
+ */
+async function testCellHandoff(a, b) {
+  // A claims the cell alice is in
+  assert.equal(await a.cluster.checkHandoff('alice', { lat: 40.5, lng: -3.5 }), null);
+
+  // bob walks into it on B and is sent to A
+  const owner = await b.cluster.checkHandoff('bob', { lat: 40.7, lng: -3.2 });
+  assert.deepEqual(owner, { instanceId: 'a', url: 'ws://a.example:3000' });
+  assert.deepEqual(b.connections.sent.pop(), {
+    playerId: 'bob',
+    type: 'instance-handoff',
+    data: { instanceId: 'a', url: 'ws://a.example:3000', cell: '40:-4' }
+  });
+
+  // Moving within the same cell does not ask again
+  assert.equal(await b.cluster.checkHandoff('bob', { lat: 40.8, lng: -3.1 }), null);
+  assert.equal(b.connections.sent.length, 0);
+
+  // Once A stops, B takes its cells over and its players are offline
+  await a.cluster.stop();
+  assert.equal(await b.cluster.claimCell('40:-4'), null);
+  assert.equal(await b.cluster.client.get('cluster:cell:40:-4'), 'b');
+  assert.equal(await b.cluster.getPresence('alice'), null);
+
+  logger.info('Cell handoff passed');
+}
+
+/**
+ * Run all tests
+ */
+async function runTests() {
+  try {
+    logger.info('Starting cluster tests...');
+
+    const redis = new MemoryRedisServer();
+    const a = createInstance(redis, 'a', ['alice']);
+    const b = createInstance(redis, 'b', ['bob']);
+
+    assert.equal(await a.cluster.start(), true);
+    assert.equal(await b.cluster.start(), true);
+
+    await testPresenceAndRouting(a, b);
+    await testFanOut(a, b);
+    await testRemotePlayers(a, b);
+    await testCellHandoff(a, b);
+
+    await b.cluster.stop();
+
+    logger.info('All cluster tests completed successfully');
+  } catch (error) {
+    logger.error('Test failed', { error: error.message, stack: error.stack });
+    process.exitCode = 1;
+  }
+}
+
+// Run tests
+runTests();
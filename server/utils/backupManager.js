@@ -0,0 +1,888 @@
+/**
+ * backupManager.js
+ * Takes, verifies, prunes and restores point-in-time snapshots of the server's data
+ *
+ * A snapshot is a directory in data/backups named snapshot-<timestamp> holding:
+ *   game.db.gz            - the SQLite file (chat, plus the game tables with USE_SQLITE=true)
+ *   leaderboards.json.gz  - data/leaderboards.json, if it exists
+ *   postgres.json.gz      - the PostgreSQL game tables as JSON rows, unless USE_SQLITE=true
+ *   manifest.json         - checksums, migration versions and row counts of the above
+ * A snapshot is written under a .partial name and renamed once complete, so a
+ * directory with a manifest is always a whole snapshot.
+ *
+ * Sessions are not backed up; restoring a snapshot logs everyone out. The
+ * audit log is backed up but never rolled back: a restore only adds back
+ * events missing from it.
+ */
+
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import crypto from 'node:crypto';
+import zlib from 'node:zlib';
+import { pipeline } from 'node:stream/promises';
+import { fileURLToPath } from 'node:url';
+import Database from 'better-sqlite3';
+import logger from './logger.js';
+
+// ES module compatibility
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const DATA_DIR = path.join(__dirname, '..', 'data');
+const DEFAULT_BACKUP_DIR = path.join(DATA_DIR, 'backups');
+const DEFAULT_LEADERBOARDS_PATH = path.join(DATA_DIR, 'leaderboards.json');
+
+const SNAPSHOT_PREFIX = 'snapshot-';
+const PARTIAL_SUFFIX = '.partial';
+const MANIFEST_FILE = 'manifest.json';
+const SQLITE_FILE = 'game.db.gz';
+const LEADERBOARDS_FILE = 'leaderboards.json.gz';
+const POSTGRES_FILE = 'postgres.json.gz';
+
+// Bumped when the snapshot layout changes
+const SNAPSHOT_FORMAT = 1;
+
+// PostgreSQL tables in the order they can be inserted without breaking foreign keys
+const POSTGRES_TABLES = [
+  'players',
+  'player_profiles',
+  'player_positions',
+  'player_inventories',
+  'player_inventory_items',
+  'areas',
+  'flags',
+  'leaderboards',
+  'characters',
+  'inventory_transactions',
+  'player_bans',
+  'audit_events',
+  'flag_earnings',
+  'flag_travels'
+];
+
+// Append-only tables, kept through a restore rather than replaced
+const APPEND_ONLY_TABLES = ['audit_events', 'flag_earnings'];
+
+// Tables holding one player's data, restored by restorePlayer besides their players row.
+// Inventory transactions stay as they are so a retried key is never applied twice.
+const PLAYER_TABLES = [
+  'player_profiles',
+  'player_positions',
+  'player_inventories',
+  'player_inventory_items',
+  'characters',
+  'leaderboards',
+  'flag_travels'
+];
+
+// Columns that must name an existing player: table -> column
+const PLAYER_REFERENCES = {
+  player_profiles: 'player_id',
+  player_positions: 'player_id',
+  player_inventories: 'player_id',
+  player_inventory_items: 'player_id',
+  flags: 'owner_id',
+  leaderboards: 'player_id',
+  characters: 'player_id',
+  inventory_transactions: 'player_id',
+  player_bans: 'player_id',
+  flag_travels: 'player_id'
+};
+
+/**
+ * Read the retention policy from the environment
+ * @returns {Object} - { keepLast, keepDaily, keepWeekly }
+ */
+export function getRetentionPolicy() {
+  const read = (name, fallback) => {
+    const value = Number.parseInt(process.env[name] ?? '', 10);
+    return Number.isInteger(value) && value >= 0 ? value : fallback;
+  };
+
+  return {
+    keepLast: read('BACKUP_KEEP_LAST', 7),
+    keepDaily: read('BACKUP_KEEP_DAILY', 7),
+    keepWeekly: read('BACKUP_KEEP_WEEKLY', 4)
+  };
+}
+
+/**
+ * Pick the snapshots a retention policy no longer keeps
+ * The newest keepLast snapshots are kept, plus the newest snapshot of each of
+ * the latest keepDaily days and keepWeekly weeks (UTC, weeks starting Monday).
+ * @param {Array<Object>} snapshots - Snapshots with a createdAt Date
+ * @param {Object} policy - { keepLast, keepDaily, keepWeekly }
+ * @returns {Array<Object>} - The snapshots to delete, newest first
+ */
+export function selectExpiredSnapshots(snapshots, { keepLast = 0, keepDaily = 0, keepWeekly = 0 }) {
+  const newestFirst = [...snapshots].sort((a, b) => b.createdAt - a.createdAt);
+  const kept = new Set(newestFirst.slice(0, keepLast));
+
+  const keepNewestPer = (periodOf, count) => {
+    const periods = new Set();
+
+    for (const snapshot of newestFirst) {
+      const period = periodOf(snapshot.createdAt);
+      if (periods.has(period)) continue;
+      if (periods.size >= count) break;
+
+      periods.add(period);
+      kept.add(snapshot);
+    }
+  };
+
+  keepNewestPer(date => date.toISOString().slice(0, 10), keepDaily);
+  keepNewestPer(date => {
+    const monday = new Date(date);
+    monday.setUTCDate(monday.getUTCDate() - ((monday.getUTCDay() + 6) % 7));
+    return monday.toISOString().slice(0, 10);
+  }, keepWeekly);
+
+  return newestFirst.filter(snapshot => !kept.has(snapshot));
+}
+
+export class BackupManager {
+  /**
+   * @param {Object} options
+   * @param {import('better-sqlite3').Database} options.db - The SQLite database
+   * @param {import('pg').Pool|null} options.pool - The PostgreSQL pool, or null with USE_SQLITE=true
+   * @param {string} options.backupDir - Directory holding the snapshots
+   * @param {string} options.leaderboardsPath - The leaderboards file
+   * @param {Object} options.retention - { keepLast, keepDaily, keepWeekly }
+   */
+  constructor({
+    db,
+    pool = null,
+    backupDir = DEFAULT_BACKUP_DIR,
+    leaderboardsPath = DEFAULT_LEADERBOARDS_PATH,
+    retention = getRetentionPolicy()
+  }) {
+    this.db = db;
+    this.pool = pool;
+    this.backupDir = backupDir;
+    this.leaderboardsPath = leaderboardsPath;
+    this.retention = retention;
+  }
+
+  /**
+   * Take a snapshot of every data store
+   * @returns {Promise<Object>} - The snapshot's manifest
+   */
+  async createSnapshot() {
+    const createdAt = new Date();
+    const id = `${SNAPSHOT_PREFIX}${createdAt.toISOString().replace(/[:.]/g, '-')}`;
+    const partialDir = path.join(this.backupDir, `${id}${PARTIAL_SUFFIX}`);
+
+    fs.mkdirSync(partialDir, { recursive: true });
+
+    try {
+      const manifest = { format: SNAPSHOT_FORMAT, id, createdAt: createdAt.toISOString(), files: {} };
+
+      // SQLite: an online backup, counted from the copy so the counts match the file
+      const sqliteCopy = path.join(partialDir, 'game.db');
+      await this.db.backup(sqliteCopy);
+      manifest.sqlite = this._describeSqlite(sqliteCopy);
+      await this._gzipFile(sqliteCopy, path.join(partialDir, SQLITE_FILE));
+      fs.unlinkSync(sqliteCopy);
+
+      if (fs.existsSync(this.leaderboardsPath)) {
+        const leaderboards = JSON.parse(fs.readFileSync(this.leaderboardsPath, 'utf8'));
+        manifest.leaderboards = { entries: this._countLeaderboardEntries(leaderboards) };
+        await this._gzipFile(this.leaderboardsPath, path.join(partialDir, LEADERBOARDS_FILE));
+      }
+
+      if (this.pool) {
+        const { migration, tables } = await this._exportPostgres();
+        manifest.postgres = {
+          migration,
+          tables: Object.fromEntries(Object.entries(tables).map(([table, rows]) => [table, rows.length]))
+        };
+        fs.writeFileSync(path.join(partialDir, POSTGRES_FILE), zlib.gzipSync(JSON.stringify({ tables })));
+      }
+
+      for (const file of fs.readdirSync(partialDir)) {
+        const filePath = path.join(partialDir, file);
+        manifest.files[file] = { sha256: await this._checksum(filePath), size: fs.statSync(filePath).size };
+      }
+
+      fs.writeFileSync(path.join(partialDir, MANIFEST_FILE), JSON.stringify(manifest, null, 2));
+      fs.renameSync(partialDir, path.join(this.backupDir, id));
+
+      logger.info(`Backup ${id} created`);
+      return manifest;
+    } catch (error) {
+      fs.rmSync(partialDir, { recursive: true, force: true });
+      throw new Error(`Failed to create backup: ${error.message}`);
+    }
+  }
+
+  /**
+   * List complete snapshots
+   * @returns {Array<Object>} - { id, createdAt, manifest, size }, newest first
+   */
+  listSnapshots() {
+    if (!fs.existsSync(this.backupDir)) {
+      return [];
+    }
+
+    return fs.readdirSync(this.backupDir)
+      .filter(name => name.startsWith(SNAPSHOT_PREFIX) && !name.endsWith(PARTIAL_SUFFIX))
+      .map(name => {
+        const manifestPath = path.join(this.backupDir, name, MANIFEST_FILE);
+        if (!fs.existsSync(manifestPath)) {
+          return null;
+        }
+
+        const manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+        const size = Object.values(manifest.files).reduce((total, file) => total + file.size, 0);
+        return { id: name, createdAt: new Date(manifest.createdAt), manifest, size };
+      })
+      .filter(Boolean)
+      .sort((a, b) => b.createdAt - a.createdAt);
+  }
+
+  /**
+   * Delete the snapshots the retention policy no longer keeps
+   * @returns {Array<string>} - IDs of the deleted snapshots
+   */
+  pruneSnapshots() {
+    const expired = selectExpiredSnapshots(this.listSnapshots(), this.retention);
+
+    for (const snapshot of expired) {
+      fs.rmSync(path.join(this.backupDir, snapshot.id), { recursive: true, force: true });
+      logger.info(`Backup ${snapshot.id} deleted by the retention policy`);
+    }
+
+    return expired.map(snapshot => snapshot.id);
+  }
+
+  /**
+   * Take a snapshot, then prune old ones; run by the game loop
+   * @returns {Promise<void>}
+   */
+  async runScheduledBackup() {
+    await this.createSnapshot();
+    this.pruneSnapshots();
+  }
+
+  /**
+   * Check that a snapshot can be restored
+   * Checksums are compared, the SQLite file is restored into a scratch file and
+   * checked for corruption and broken foreign keys, and the PostgreSQL rows are
+   * loaded into a scratch schema that is rolled back afterwards.
+   * @param {string} id - Snapshot ID
+   * @returns {Promise<Object>} - { success, checks: [{ name, ok, message }] }
+   */
+  async verifySnapshot(id) {
+    const checks = [];
+    const check = (name, ok, message) => checks.push({ name, ok, message });
+    const { dir, manifest } = this._openSnapshot(id);
+    const scratchDir = fs.mkdtempSync(path.join(os.tmpdir(), 'backup-verify-'));
+
+    try {
+      for (const [file, { sha256 }] of Object.entries(manifest.files)) {
+        const filePath = path.join(dir, file);
+        const actual = fs.existsSync(filePath) ? await this._checksum(filePath) : null;
+        check(`checksum ${file}`, actual === sha256, actual ? (actual === sha256 ? 'matches' : 'does not match') : 'file missing');
+      }
+
+      // Corrupt files are not worth decompressing
+      if (checks.some(entry => !entry.ok)) {
+        return { success: false, checks };
+      }
+
+      const sqlitePath = path.join(scratchDir, 'game.db');
+      await this._gunzipFile(path.join(dir, SQLITE_FILE), sqlitePath);
+      this._verifySqlite(sqlitePath, manifest.sqlite, check);
+
+      if (manifest.leaderboards) {
+        this._verifyLeaderboards(this._readGzipJson(path.join(dir, LEADERBOARDS_FILE)), manifest.leaderboards, check);
+      }
+
+      if (manifest.postgres) {
+        if (this.pool) {
+          await this._verifyPostgres(this._readGzipJson(path.join(dir, POSTGRES_FILE)).tables, manifest.postgres, check);
+        } else {
+          check('postgres', false, 'snapshot has PostgreSQL data but PostgreSQL is not in use');
+        }
+      }
+    } catch (error) {
+      check('restore', false, error.message);
+    } finally {
+      fs.rmSync(scratchDir, { recursive: true, force: true });
+    }
+
+    return { success: checks.every(entry => entry.ok), checks };
+  }
+
+  /**
+   * Replace all data with a snapshot's
+   * The server should be stopped first: it keeps flags and leaderboards in memory.
+   * @param {string} id - Snapshot ID
+   * @returns {Promise<void>}
+   */
+  async restoreSnapshot(id) {
+    const { dir, manifest } = await this._prepareRestore(id);
+    const scratchDir = fs.mkdtempSync(path.join(os.tmpdir(), 'backup-restore-'));
+
+    try {
+      const sqlitePath = path.join(scratchDir, 'game.db');
+      await this._gunzipFile(path.join(dir, SQLITE_FILE), sqlitePath);
+
+      // Copying the snapshot over the database replaces every table, so the
+      // append-only ones are set aside first and merged back afterwards
+      const keptPath = path.join(scratchDir, 'kept.db');
+      this._setAsideAppendOnlyTables(keptPath);
+
+      const snapshotDb = new Database(sqlitePath, { readonly: true });
+      try {
+        await snapshotDb.backup(this.db.name);
+      } finally {
+        snapshotDb.close();
+      }
+
+      this._mergeAppendOnlyTables(keptPath);
+
+      if (manifest.leaderboards) {
+        await this._gunzipFile(path.join(dir, LEADERBOARDS_FILE), `${this.leaderboardsPath}.tmp`);
+        fs.renameSync(`${this.leaderboardsPath}.tmp`, this.leaderboardsPath);
+      }
+
+      if (manifest.postgres) {
+        const { tables } = this._readGzipJson(path.join(dir, POSTGRES_FILE));
+        const restored = POSTGRES_TABLES.filter(table => tables[table] && !APPEND_ONLY_TABLES.includes(table));
+
+        await this._postgresTransaction(async (client) => {
+          await client.query(`TRUNCATE ${[...restored].reverse().join(', ')} CASCADE`);
+
+          for (const table of restored) {
+            await this._insertJsonRows(client, table, tables[table]);
+          }
+
+          for (const table of APPEND_ONLY_TABLES.filter(name => tables[name])) {
+            await this._insertJsonRows(client, table, tables[table], { skipExisting: true });
+            // Keep new IDs past any rows added back
+            await client.query(`SELECT setval(pg_get_serial_sequence('${table}', 'id'), MAX(id)) FROM ${table}`);
+          }
+        });
+      }
+
+      logger.info(`Restored backup ${id}`);
+    } catch (error) {
+      throw new Error(`Failed to restore backup ${id}: ${error.message}`);
+    } finally {
+      fs.rmSync(scratchDir, { recursive: true, force: true });
+    }
+  }
+
+  /**
+   * Put one player's data back as it was in a snapshot, leaving everyone else's alone
+   * Restores their account, profile, position, inventory, character and
+   * leaderboard scores. The player should be offline.
+   * @param {string} id - Snapshot ID
+   * @param {string} playerId - The player's ID
+   * @returns {Promise<Object>} - Rows restored by table
+   */
+  async restorePlayer(id, playerId) {
+    const { dir, manifest } = await this._prepareRestore(id);
+    const scratchDir = fs.mkdtempSync(path.join(os.tmpdir(), 'backup-restore-'));
+
+    try {
+      let restored;
+
+      if (this.pool) {
+        const { tables } = this._readGzipJson(path.join(dir, POSTGRES_FILE));
+        restored = await this._restorePostgresPlayer(tables, playerId);
+      } else {
+        const sqlitePath = path.join(scratchDir, 'game.db');
+        await this._gunzipFile(path.join(dir, SQLITE_FILE), sqlitePath);
+        restored = this._restoreSqlitePlayer(sqlitePath, playerId);
+      }
+
+      // With PostgreSQL, leaderboards are kept in the file
+      if (this.pool && manifest.leaderboards) {
+        restored['leaderboards.json'] = this._restoreLeaderboardEntries(
+          this._readGzipJson(path.join(dir, LEADERBOARDS_FILE)),
+          playerId
+        );
+      }
+
+      logger.info(`Restored player ${playerId} from backup ${id}`);
+      return restored;
+    } catch (error) {
+      throw new Error(`Failed to restore player ${playerId} from backup ${id}: ${error.message}`);
+    } finally {
+      fs.rmSync(scratchDir, { recursive: true, force: true });
+    }
+  }
+
+  /**
+   * Read a snapshot's manifest
+   * @private
+   * @param {string} id - Snapshot ID
+   * @returns {Object} - { dir, manifest }
+   */
+  _openSnapshot(id) {
+    const dir = path.join(this.backupDir, path.basename(id));
+    const manifestPath = path.join(dir, MANIFEST_FILE);
+
+    if (!id.startsWith(SNAPSHOT_PREFIX) || !fs.existsSync(manifestPath)) {
+      throw new Error(`Backup ${id} not found`);
+    }
+
+    const manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+    if (manifest.format !== SNAPSHOT_FORMAT) {
+      throw new Error(`Backup ${id} has unsupported format ${manifest.format}`);
+    }
+
+    return { dir, manifest };
+  }
+
+  /**
+   * Verify a snapshot and check it matches the current schema before restoring it
+   * @private
+   * @param {string} id - Snapshot ID
+   * @returns {Promise<Object>} - { dir, manifest }
+   */
+  async _prepareRestore(id) {
+    const snapshot = this._openSnapshot(id);
+    const { manifest } = snapshot;
+
+    const verification = await this.verifySnapshot(id);
+    if (!verification.success) {
+      const failed = verification.checks.filter(entry => !entry.ok).map(entry => `${entry.name}: ${entry.message}`);
+      throw new Error(`Backup ${id} failed verification (${failed.join('; ')})`);
+    }
+
+    const sqliteVersion = this._sqliteMigration(this.db);
+    if (manifest.sqlite.migration !== sqliteVersion) {
+      throw new Error(`Backup is at SQLite migration ${manifest.sqlite.migration} but the database is at ${sqliteVersion}; migrate or roll back first`);
+    }
+
+    if (manifest.postgres) {
+      const { rows } = await this.pool.query('SELECT MAX(version) AS version FROM schema_migrations');
+      const postgresVersion = Number(rows[0].version);
+
+      if (manifest.postgres.migration !== postgresVersion) {
+        throw new Error(`Backup is at PostgreSQL migration ${manifest.postgres.migration} but the database is at ${postgresVersion}; migrate or roll back first`);
+      }
+    } else if (this.pool) {
+      throw new Error('Backup has no PostgreSQL data; it was taken with USE_SQLITE=true');
+    }
+
+    return snapshot;
+  }
+
+  /**
+   * Count the rows of a SQLite file's tables
+   * @private
+   * @param {string} filePath - The SQLite file
+   * @returns {Object} - { migration, tables: table -> row count }
+   */
+  _describeSqlite(filePath) {
+    const db = new Database(filePath, { readonly: true });
+
+    try {
+      const tables = {};
+      for (const table of this._sqliteTables(db)) {
+        tables[table] = db.prepare(`SELECT COUNT(*) AS count FROM "${table}"`).get().count;
+      }
+
+      return { migration: this._sqliteMigration(db), tables };
+    } finally {
+      db.close();
+    }
+  }
+
+  /**
+   * List a SQLite database's ordinary tables, leaving out R-tree and internal tables
+   * @private
+   * @param {import('better-sqlite3').Database} db - The database
+   * @param {string} schema - 'main' or an attached database's name
+   * @returns {Array<string>} - Table names
+   */
+  _sqliteTables(db, schema = 'main') {
+    return db.prepare(`SELECT name FROM pragma_table_list WHERE schema = ? AND type = 'table' AND name NOT LIKE 'sqlite_%' ORDER BY name`)
+      .all(schema)
+      .map(row => row.name);
+  }
+
+  /**
+   * Get a SQLite database's latest applied migration
+   * @private
+   * @param {import('better-sqlite3').Database} db - The database
+   * @returns {number} - Migration version, 0 if none
+   */
+  _sqliteMigration(db) {
+    const hasTable = db.prepare("SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = 'schema_migrations'").get();
+    return hasTable ? db.prepare('SELECT MAX(version) AS version FROM schema_migrations').get().version ?? 0 : 0;
+  }
+
+  /**
+   * Check a restored SQLite file
+   * @private
+   * @param {string} filePath - The scratch copy
+   * @param {Object} expected - The manifest's sqlite entry
+   * @param {Function} check - Records a check
+   */
+  _verifySqlite(filePath, expected, check) {
+    const db = new Database(filePath, { readonly: true });
+
+    try {
+      const integrity = db.pragma('integrity_check', { simple: true });
+      check('sqlite integrity', integrity === 'ok', integrity);
+
+      const brokenKeys = db.pragma('foreign_key_check');
+      check('sqlite foreign keys', brokenKeys.length === 0, `${brokenKeys.length} rows reference missing rows`);
+
+      const migration = this._sqliteMigration(db);
+      check('sqlite migration', migration === expected.migration, `version ${migration}`);
+
+      const tables = this._sqliteTables(db);
+      for (const [table, count] of Object.entries(expected.tables)) {
+        const actual = tables.includes(table) ? db.prepare(`SELECT COUNT(*) AS count FROM "${table}"`).get().count : null;
+        check(`sqlite ${table}`, actual === count, actual === null ? 'table missing' : `${actual} of ${count} rows`);
+      }
+    } finally {
+      db.close();
+    }
+  }
+
+  /**
+   * Check a snapshot's leaderboards
+   * @private
+   * @param {Object} leaderboards - Parsed leaderboards file
+   * @param {Object} expected - The manifest's leaderboards entry
+   * @param {Function} check - Records a check
+   */
+  _verifyLeaderboards(leaderboards, expected, check) {
+    const entries = Object.values(leaderboards?.categories || {}).flat();
+    const valid = entries.every(entry => typeof entry?.playerId === 'string' && Number.isFinite(entry.score));
+
+    check('leaderboards entries', valid, valid ? 'well formed' : 'entries without a playerId or numeric score');
+    check('leaderboards count', entries.length === expected.entries, `${entries.length} of ${expected.entries} entries`);
+  }
+
+  /**
+   * Load a snapshot's PostgreSQL rows into a scratch schema and check them
+   * The schema's tables copy the live tables' columns, constraints and indexes,
+   * so duplicate keys and missing required values fail the load. The transaction
+   * is rolled back, leaving nothing behind.
+   * @private
+   * @param {Object} tables - table -> rows
+   * @param {Object} expected - The manifest's postgres entry
+   * @param {Function} check - Records a check
+   * @returns {Promise<void>}
+   */
+  async _verifyPostgres(tables, expected, check) {
+    const schema = `backup_verify_${crypto.randomBytes(4).toString('hex')}`;
+    const client = await this.pool.connect();
+
+    try {
+      await client.query('BEGIN');
+      await client.query(`CREATE SCHEMA ${schema}`);
+
+      for (const table of POSTGRES_TABLES.filter(name => tables[name])) {
+        await client.query(`CREATE TABLE ${schema}.${table} (LIKE public.${table} INCLUDING ALL)`);
+        await client.query('SAVEPOINT load_table');
+
+        try {
+          await this._insertJsonRows(client, `${schema}.${table}`, tables[table]);
+          await client.query('RELEASE SAVEPOINT load_table');
+          check(`postgres ${table}`, tables[table].length === expected.tables[table], `${tables[table].length} of ${expected.tables[table]} rows`);
+        } catch (error) {
+          await client.query('ROLLBACK TO SAVEPOINT load_table');
+          check(`postgres ${table}`, false, error.message);
+        }
+      }
+
+      for (const [table, column] of Object.entries(PLAYER_REFERENCES)) {
+        if (!tables[table] || !tables.players) continue;
+
+        const { rows } = await client.query(
+          `SELECT COUNT(*) AS count FROM ${schema}.${table} t
+           WHERE t.${column} IS NOT NULL AND NOT EXISTS (SELECT 1 FROM ${schema}.players p WHERE p.id = t.${column})`
+        );
+        const orphans = Number(rows[0].count);
+        check(`postgres ${table}.${column}`, orphans === 0, `${orphans} rows reference missing players`);
+      }
+    } finally {
+      await client.query('ROLLBACK').catch(() => {});
+      client.release();
+    }
+  }
+
+  /**
+   * Export the PostgreSQL game tables from one consistent view of the database
+   * @private
+   * @returns {Promise<Object>} - { migration, tables: table -> rows }
+   */
+  async _exportPostgres() {
+    const client = await this.pool.connect();
+
+    try {
+      await client.query('BEGIN ISOLATION LEVEL REPEATABLE READ READ ONLY');
+
+      const tables = {};
+      for (const table of POSTGRES_TABLES) {
+        const { rows } = await client.query(`SELECT COALESCE(json_agg(t), '[]'::json) AS rows FROM ${table} t`);
+        tables[table] = rows[0].rows;
+      }
+
+      const { rows } = await client.query('SELECT MAX(version) AS version FROM schema_migrations');
+      await client.query('COMMIT');
+
+      return { migration: Number(rows[0].version), tables };
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Copy the live SQLite database's append-only tables into a scratch file
+   * @private
+   * @param {string} filePath - Scratch database file
+   */
+  _setAsideAppendOnlyTables(filePath) {
+    this.db.prepare('ATTACH DATABASE ? AS kept').run(filePath);
+
+    try {
+      for (const table of APPEND_ONLY_TABLES) {
+        this.db.exec(`CREATE TABLE kept.${table} AS SELECT * FROM main.${table}`);
+      }
+    } finally {
+      this.db.exec('DETACH DATABASE kept');
+    }
+  }
+
+  /**
+   * Add rows set aside by _setAsideAppendOnlyTables back to the live SQLite database
+   * Rows the restored database already has are left as they are.
+   * @private
+   * @param {string} filePath - Scratch database file
+   */
+  _mergeAppendOnlyTables(filePath) {
+    this.db.prepare('ATTACH DATABASE ? AS kept').run(filePath);
+
+    try {
+      for (const table of APPEND_ONLY_TABLES) {
+        this.db.exec(`INSERT OR IGNORE INTO main.${table} SELECT * FROM kept.${table}`);
+      }
+    } finally {
+      this.db.exec('DETACH DATABASE kept');
+    }
+  }
+
+  /**
+   * Insert exported rows into a table with the same columns
+   * @private
+   * @param {import('pg').PoolClient} client - Client inside a transaction
+   * @param {string} table - Table to fill, optionally schema-qualified
+   * @param {Array<Object>} rows - Rows as exported by json_agg
+   * @param {Object} options - { skipExisting: leave rows whose keys are taken alone instead of failing }
+   * @returns {Promise<void>}
+   */
+  async _insertJsonRows(client, table, rows, { skipExisting = false } = {}) {
+    if (rows.length === 0) {
+      return;
+    }
+
+    await client.query(
+      `INSERT INTO ${table} SELECT * FROM json_populate_recordset(NULL::${table}, $1::json)${skipExisting ? ' ON CONFLICT DO NOTHING' : ''}`,
+      [JSON.stringify(rows)]
+    );
+  }
+
+  /**
+   * Replace one player's PostgreSQL rows with a snapshot's
+   * @private
+   * @param {Object} tables - Snapshot table -> rows
+   * @param {string} playerId - The player's ID
+   * @returns {Promise<Object>} - Rows restored by table
+   */
+  async _restorePostgresPlayer(tables, playerId) {
+    const player = tables.players.find(row => row.id === playerId);
+    if (!player) {
+      throw new Error('Player is not in the backup');
+    }
+
+    const columns = Object.keys(player).filter(column => column !== 'id');
+    const restored = { players: 1 };
+
+    await this._postgresTransaction(async (client) => {
+      await client.query(
+        `INSERT INTO players SELECT * FROM json_populate_recordset(NULL::players, $1::json)
+         ON CONFLICT (id) DO UPDATE SET ${columns.map(column => `${column} = EXCLUDED.${column}`).join(', ')}`,
+        [JSON.stringify([player])]
+      );
+
+      for (const table of PLAYER_TABLES.filter(name => tables[name])) {
+        const rows = tables[table].filter(row => row.player_id === playerId);
+
+        await client.query(`DELETE FROM ${table} WHERE player_id = $1`, [playerId]);
+        await this._insertJsonRows(client, table, rows);
+        restored[table] = rows.length;
+      }
+    });
+
+    return restored;
+  }
+
+  /**
+   * Replace one player's SQLite rows with those in a restored snapshot file
+   * @private
+   * @param {string} filePath - The scratch copy
+   * @param {string} playerId - The player's ID
+   * @returns {Object} - Rows restored by table
+   */
+  _restoreSqlitePlayer(filePath, playerId) {
+    this.db.prepare('ATTACH DATABASE ? AS snapshot').run(filePath);
+
+    try {
+      if (!this.db.prepare('SELECT 1 FROM snapshot.players WHERE id = ?').get(playerId)) {
+        throw new Error('Player is not in the backup');
+      }
+
+      const snapshotTables = this._sqliteTables(this.db, 'snapshot');
+      const columnsOf = table => this.db.prepare('SELECT name FROM pragma_table_info(?, ?)').all(table, 'main').map(row => row.name);
+
+      return this.db.transaction(() => {
+        const restored = { players: 1 };
+        const playerColumns = columnsOf('players');
+        const updates = playerColumns.filter(column => column !== 'id').map(column => `${column} = excluded.${column}`);
+
+        this.db.prepare(
+          `INSERT INTO main.players (${playerColumns.join(', ')})
+           SELECT ${playerColumns.join(', ')} FROM snapshot.players WHERE id = ?
+           ON CONFLICT(id) DO UPDATE SET ${updates.join(', ')}`
+        ).run(playerId);
+
+        for (const table of PLAYER_TABLES.filter(name => snapshotTables.includes(name))) {
+          const columns = columnsOf(table).join(', ');
+
+          this.db.prepare(`DELETE FROM main.${table} WHERE player_id = ?`).run(playerId);
+          restored[table] = this.db.prepare(
+            `INSERT INTO main.${table} (${columns}) SELECT ${columns} FROM snapshot.${table} WHERE player_id = ?`
+          ).run(playerId).changes;
+        }
+
+        return restored;
+      })();
+    } finally {
+      this.db.prepare('DETACH DATABASE snapshot').run();
+    }
+  }
+
+  /**
+   * Replace one player's entries in the leaderboards file with a snapshot's
+   * @private
+   * @param {Object} snapshotLeaderboards - The snapshot's leaderboards
+   * @param {string} playerId - The player's ID
+   * @returns {number} - Entries restored
+   */
+  _restoreLeaderboardEntries(snapshotLeaderboards, playerId) {
+    const leaderboards = fs.existsSync(this.leaderboardsPath)
+      ? JSON.parse(fs.readFileSync(this.leaderboardsPath, 'utf8'))
+      : { categories: {} };
+    let restored = 0;
+
+    const categories = new Set([...Object.keys(leaderboards.categories), ...Object.keys(snapshotLeaderboards.categories)]);
+    for (const category of categories) {
+      const current = (leaderboards.categories[category] || []).filter(entry => entry.playerId !== playerId);
+      const saved = (snapshotLeaderboards.categories[category] || []).filter(entry => entry.playerId === playerId);
+
+      leaderboards.categories[category] = [...current, ...saved].sort((a, b) => b.score - a.score);
+      restored += saved.length;
+    }
+
+    leaderboards.lastUpdated = new Date().toISOString();
+    fs.writeFileSync(`${this.leaderboardsPath}.tmp`, JSON.stringify(leaderboards, null, 2));
+    fs.renameSync(`${this.leaderboardsPath}.tmp`, this.leaderboardsPath);
+
+    return restored;
+  }
+
+  /**
+   * Count the entries in a leaderboards file
+   * @private
+   * @param {Object} leaderboards - Parsed leaderboards file
+   * @returns {number} - Entries across all categories
+   */
+  _countLeaderboardEntries(leaderboards) {
+    return Object.values(leaderboards.categories || {}).reduce((total, entries) => total + entries.length, 0);
+  }
+
+  /**
+   * Run queries in a PostgreSQL transaction
+   * @private
+   * @param {Function} callback - Receives the client
+   * @returns {Promise<void>}
+   */
+  async _postgresTransaction(callback) {
+    const client = await this.pool.connect();
+
+    try {
+      await client.query('BEGIN');
+      await callback(client);
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Compress a file
+   * @private
+   * @param {string} source - File to compress
+   * @param {string} destination - Where to write it
+   * @returns {Promise<void>}
+   */
+  _gzipFile(source, destination) {
+    return pipeline(fs.createReadStream(source), zlib.createGzip(), fs.createWriteStream(destination));
+  }
+
+  /**
+   * Decompress a file
+   * @private
+   * @param {string} source - Compressed file
+   * @param {string} destination - Where to write it
+   * @returns {Promise<void>}
+   */
+  _gunzipFile(source, destination) {
+    return pipeline(fs.createReadStream(source), zlib.createGunzip(), fs.createWriteStream(destination));
+  }
+
+  /**
+   * Read a compressed JSON file
+   * @private
+   * @param {string} filePath - The file
+   * @returns {Object} - Parsed contents
+   */
+  _readGzipJson(filePath) {
+    return JSON.parse(zlib.gunzipSync(fs.readFileSync(filePath)).toString('utf8'));
+  }
+
+  /**
+   * Checksum a file
+   * @private
+   * @param {string} filePath - The file
+   * @returns {Promise<string>} - Hex SHA-256 digest
+   */
+  async _checksum(filePath) {
+    const hash = crypto.createHash('sha256');
+    for await (const chunk of fs.createReadStream(filePath)) {
+      hash.update(chunk);
+    }
+
+    return hash.digest('hex');
+  }
+}
+
+export default BackupManager;
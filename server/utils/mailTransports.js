@@ -0,0 +1,73 @@
+/**
+ * mailTransports.js
+ * Ways of sending outbound email
+ *
+ * A transport is any object with an async send({ from, to, subject, text })
+ * method. The two here are for development: one logs each message, the other
+ * writes it to a .eml file that any mail client can open. Production plugs in
+ * its own transport with setMailTransport (see config/mail.js), such as a
+ * wrapper around an SMTP client or a mail provider's HTTP API.
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import crypto from 'node:crypto';
+import logger from './logger.js';
+
+/**
+ * Logs each message instead of sending it
+ */
+export class ConsoleMailTransport {
+  /**
+   * Log a message
+   * @param {Object} message - { from, to, subject, text }
+   * @returns {Promise<void>}
+   */
+  async send({ from, to, subject, text }) {
+    logger.info(`Mail from ${from} to ${to}: ${subject}\n${text}`);
+  }
+}
+
+/**
+ * Writes each message to its own file in a directory
+ */
+export class FileMailTransport {
+  /**
+   * @param {string} directory - Directory the messages are written to
+   */
+  constructor(directory) {
+    this.directory = directory;
+  }
+
+  /**
+   * Write a message as a .eml file
+   * @param {Object} message - { from, to, subject, text }
+   * @returns {Promise<string>} - Path of the file
+   */
+  async send({ from, to, subject, text }) {
+    await fs.promises.mkdir(this.directory, { recursive: true });
+
+    const sentAt = new Date();
+    const fileName = `${sentAt.toISOString().replace(/[:.]/g, '-')}-${crypto.randomBytes(4).toString('hex')}.eml`;
+    const filePath = path.join(this.directory, fileName);
+    const contents = [
+      `From: ${from}`,
+      `To: ${to}`,
+      `Subject: ${subject}`,
+      `Date: ${sentAt.toUTCString()}`,
+      'Content-Type: text/plain; charset=utf-8',
+      '',
+      text
+    ].join('\r\n');
+
+    await fs.promises.writeFile(filePath, contents);
+    logger.info(`Mail to ${to} written to ${filePath}`);
+
+    return filePath;
+  }
+}
+
+export default {
+  ConsoleMailTransport,
+  FileMailTransport
+};
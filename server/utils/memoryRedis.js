@@ -0,0 +1,382 @@
+/**
+ * memoryRedis.js
+ * In-process stand-in for a Redis server
+ *
+ * Implements the part of the node-redis v4 client API the server uses:
+ * strings with NX/PX, hashes, sets and pub/sub. Clients created from the
+ * same MemoryRedisServer (or duplicated from one another) share data and
+ * channels, so several server instances can run against it in one process.
+ */
+
+/**
+ * Data and channels shared by every client of one stand-in server
+ */
+export class MemoryRedisServer {
+  constructor() {
+    // key -> { type: 'string'|'hash'|'set', value, expiresAt }
+    this.keys = new Map();
+
+    // channel -> Set of listener(message, channel)
+    this.channels = new Map();
+  }
+
+  /**
+   * Create a client connected to this server
+   * @returns {MemoryRedisClient} - A new client
+   */
+  createClient() {
+    return new MemoryRedisClient(this);
+  }
+
+  /**
+   * Get a live key's entry, dropping it if it has expired
+   * @param {string} key - The key
+   * @param {string} type - Type the caller expects
+   * @returns {Object|null} - The entry, or null if the key does not exist
+   */
+  getEntry(key, type) {
+    const entry = this.keys.get(key);
+    if (!entry) {
+      return null;
+    }
+
+    if (entry.expiresAt !== null && entry.expiresAt <= Date.now()) {
+      this.keys.delete(key);
+      return null;
+    }
+
+    if (entry.type !== type) {
+      throw new Error('WRONGTYPE Operation against a key holding the wrong kind of value');
+    }
+
+    return entry;
+  }
+
+  /**
+   * Get a key's entry, creating it if it does not exist
+   * @param {string} key - The key
+   * @param {string} type - 'hash' or 'set'
+   * @returns {Object} - The entry
+   */
+  getOrCreateEntry(key, type) {
+    let entry = this.getEntry(key, type);
+    if (!entry) {
+      entry = { type, value: type === 'hash' ? new Map() : new Set(), expiresAt: null };
+      this.keys.set(key, entry);
+    }
+
+    return entry;
+  }
+
+  /**
+   * Remove a hash or set that has become empty, as Redis does
+   * @param {string} key - The key
+   * @param {Object} entry - Its entry
+   */
+  dropIfEmpty(key, entry) {
+    if (entry.value.size === 0) {
+      this.keys.delete(key);
+    }
+  }
+}
+
+/**
+ * One connection to a MemoryRedisServer
+ */
+export class MemoryRedisClient {
+  /**
+   * @param {MemoryRedisServer} server - The server to use
+   */
+  constructor(server) {
+    this.server = server;
+    this.isOpen = false;
+
+    // channel -> listener registered by this client
+    this.subscriptions = new Map();
+  }
+
+  /**
+   * Open the connection
+   * @returns {Promise<MemoryRedisClient>} - This client
+   */
+  async connect() {
+    this.isOpen = true;
+    return this;
+  }
+
+  /**
+   * Close the connection, dropping its subscriptions
+   * @returns {Promise<string>} - 'OK'
+   */
+  async quit() {
+    await this.unsubscribe();
+    this.isOpen = false;
+    return 'OK';
+  }
+
+  /**
+   * Close the connection immediately
+   */
+  disconnect() {
+    this.quit();
+  }
+
+  /**
+   * Create another client on the same server
+   * @returns {MemoryRedisClient} - A new, unconnected client
+   */
+  duplicate() {
+    return new MemoryRedisClient(this.server);
+  }
+
+  /**
+   * Accept event listeners; the stand-in never emits connection events
+   * @returns {MemoryRedisClient} - For method chaining
+   */
+  on() {
+    return this;
+  }
+
+  /**
+   * Check the connection
+   * @returns {Promise<string>} - 'PONG'
+   */
+  async ping() {
+    return 'PONG';
+  }
+
+  /**
+   * Get a string value
+   * @param {string} key - The key
+   * @returns {Promise<string|null>} - The value, or null if the key does not exist
+   */
+  async get(key) {
+    return this.server.getEntry(key, 'string')?.value ?? null;
+  }
+
+  /**
+   * Set a string value
+   * @param {string} key - The key
+   * @param {string} value - The value
+   * @param {Object} options - { NX: only if the key does not exist, PX: expiry in milliseconds }
+   * @returns {Promise<string|null>} - 'OK', or null if NX prevented the write
+   */
+  async set(key, value, options = {}) {
+    const existing = this.server.keys.get(key);
+    const isLive = existing && (existing.expiresAt === null || existing.expiresAt > Date.now());
+
+    if (options.NX && isLive) {
+      return null;
+    }
+
+    this.server.keys.set(key, {
+      type: 'string',
+      value: String(value),
+      expiresAt: options.PX ? Date.now() + options.PX : null
+    });
+
+    return 'OK';
+  }
+
+  /**
+   * Delete keys
+   * @param {string|Array<string>} keys - Key or keys
+   * @returns {Promise<number>} - Number of keys deleted
+   */
+  async del(keys) {
+    let deleted = 0;
+
+    for (const key of [].concat(keys)) {
+      const entry = this.server.keys.get(key);
+      if (entry && (entry.expiresAt === null || entry.expiresAt > Date.now())) {
+        deleted++;
+      }
+      this.server.keys.delete(key);
+    }
+
+    return deleted;
+  }
+
+  /**
+   * Set a key's time to live
+   * @param {string} key - The key
+   * @param {number} milliseconds - Time to live
+   * @returns {Promise<boolean>} - Whether the key exists
+   */
+  async pExpire(key, milliseconds) {
+    const entry = this.server.keys.get(key);
+    if (!entry || (entry.expiresAt !== null && entry.expiresAt <= Date.now())) {
+      return false;
+    }
+
+    entry.expiresAt = Date.now() + milliseconds;
+    return true;
+  }
+
+  /**
+   * Set a hash field
+   * @param {string} key - The hash key
+   * @param {string} field - The field
+   * @param {string} value - The value
+   * @returns {Promise<number>} - 1 if the field is new, otherwise 0
+   */
+  async hSet(key, field, value) {
+    const hash = this.server.getOrCreateEntry(key, 'hash').value;
+    const isNew = !hash.has(field);
+
+    hash.set(field, String(value));
+    return isNew ? 1 : 0;
+  }
+
+  /**
+   * Get a hash field
+   * @param {string} key - The hash key
+   * @param {string} field - The field
+   * @returns {Promise<string|null>} - The value, or null if it does not exist
+   */
+  async hGet(key, field) {
+    return this.server.getEntry(key, 'hash')?.value.get(field) ?? null;
+  }
+
+  /**
+   * Get every field of a hash
+   * @param {string} key - The hash key
+   * @returns {Promise<Object>} - field -> value
+   */
+  async hGetAll(key) {
+    const entry = this.server.getEntry(key, 'hash');
+    return entry ? Object.fromEntries(entry.value) : {};
+  }
+
+  /**
+   * Delete hash fields
+   * @param {string} key - The hash key
+   * @param {string|Array<string>} fields - Field or fields
+   * @returns {Promise<number>} - Number of fields deleted
+   */
+  async hDel(key, fields) {
+    const entry = this.server.getEntry(key, 'hash');
+    if (!entry) {
+      return 0;
+    }
+
+    const deleted = [].concat(fields).filter(field => entry.value.delete(field)).length;
+    this.server.dropIfEmpty(key, entry);
+    return deleted;
+  }
+
+  /**
+   * Add set members
+   * @param {string} key - The set key
+   * @param {string|Array<string>} members - Member or members
+   * @returns {Promise<number>} - Number of members added
+   */
+  async sAdd(key, members) {
+    const set = this.server.getOrCreateEntry(key, 'set').value;
+    let added = 0;
+
+    for (const member of [].concat(members)) {
+      if (!set.has(String(member))) {
+        set.add(String(member));
+        added++;
+      }
+    }
+
+    return added;
+  }
+
+  /**
+   * Remove set members
+   * @param {string} key - The set key
+   * @param {string|Array<string>} members - Member or members
+   * @returns {Promise<number>} - Number of members removed
+   */
+  async sRem(key, members) {
+    const entry = this.server.getEntry(key, 'set');
+    if (!entry) {
+      return 0;
+    }
+
+    const removed = [].concat(members).filter(member => entry.value.delete(String(member))).length;
+    this.server.dropIfEmpty(key, entry);
+    return removed;
+  }
+
+  /**
+   * Get every member of a set
+   * @param {string} key - The set key
+   * @returns {Promise<Array<string>>} - Members
+   */
+  async sMembers(key) {
+    const entry = this.server.getEntry(key, 'set');
+    return entry ? [...entry.value] : [];
+  }
+
+  /**
+   * Publish a message to a channel
+   * Delivery is asynchronous, as it is from a real server.
+   * @param {string} channel - The channel
+   * @param {string} message - The message
+   * @returns {Promise<number>} - Number of subscribers the message was sent to
+   */
+  async publish(channel, message) {
+    const listeners = [...(this.server.channels.get(channel) || [])];
+
+    setImmediate(() => {
+      for (const listener of listeners) {
+        listener(String(message), channel);
+      }
+    });
+
+    return listeners.length;
+  }
+
+  /**
+   * Subscribe to channels
+   * @param {string|Array<string>} channels - Channel or channels
+   * @param {Function} listener - Called with (message, channel)
+   * @returns {Promise<void>}
+   */
+  async subscribe(channels, listener) {
+    for (const channel of [].concat(channels)) {
+      if (!this.server.channels.has(channel)) {
+        this.server.channels.set(channel, new Set());
+      }
+
+      this.server.channels.get(channel).add(listener);
+      this.subscriptions.set(channel, listener);
+    }
+  }
+
+  /**
+   * Unsubscribe from channels
+   * @param {string|Array<string>} channels - Channel or channels (default: all of this client's)
+   * @returns {Promise<void>}
+   */
+  async unsubscribe(channels = [...this.subscriptions.keys()]) {
+    for (const channel of [].concat(channels)) {
+      const listener = this.subscriptions.get(channel);
+      const listeners = this.server.channels.get(channel);
+
+      if (listener && listeners) {
+        listeners.delete(listener);
+        if (listeners.size === 0) {
+          this.server.channels.delete(channel);
+        }
+      }
+
+      this.subscriptions.delete(channel);
+    }
+  }
+}
+
+/**
+ * Create a client on a new stand-in server
+ * Use duplicate() for more clients sharing its data.
+ * @returns {MemoryRedisClient} - An unconnected client
+ */
+export function createMemoryRedis() {
+  return new MemoryRedisServer().createClient();
+}
+
+export default createMemoryRedis;
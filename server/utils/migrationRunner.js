@@ -0,0 +1,330 @@
+/**
+ * migrationRunner.js
+ * Applies and rolls back numbered schema migrations
+ *
+ * A migration is a pair of files in a migrations directory:
+ *   0003_add_flag_costs.up.sql    - applied by migrate
+ *   0003_add_flag_costs.down.sql  - run by rollback to undo it
+ * Applied migrations are recorded in schema_migrations with a checksum of
+ * their up file. Editing a migration after it was applied is an error; add
+ * a new migration instead.
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import crypto from 'node:crypto';
+
+const MIGRATION_FILE_PATTERN = /^(\d+)_([\w-]+)\.(up|down)\.sql$/;
+
+// Columns SQLite databases made before migrations may lack, added before 0001
+// adopts their tables: table -> [column, definition]
+const LEGACY_SQLITE_COLUMNS = {
+  messages: [['sender_id', 'TEXT']]
+};
+
+/**
+ * Driver for a better-sqlite3 database
+ * @param {import('better-sqlite3').Database} db - The database connection
+ * @returns {Object} - Migration driver
+ */
+export const createSqliteDriver = (db) => ({
+  dialect: 'sqlite',
+
+  /**
+   * Create schema_migrations if it does not exist
+   * Tables made before migrations get the columns they lack first, as 0001
+   * only creates missing tables and would leave them as they are.
+   */
+  ensureMigrationsTable() {
+    for (const [table, columns] of Object.entries(LEGACY_SQLITE_COLUMNS)) {
+      const existing = db.prepare(`PRAGMA table_info(${table})`).all();
+      if (existing.length === 0) {
+        continue;
+      }
+
+      for (const [column, definition] of columns) {
+        if (!existing.some(({ name }) => name === column)) {
+          db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+        }
+      }
+    }
+
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS schema_migrations (
+        version INTEGER PRIMARY KEY,
+        name TEXT NOT NULL,
+        checksum TEXT NOT NULL,
+        applied_at TEXT NOT NULL
+      )
+    `);
+  },
+
+  /**
+   * Get the recorded migrations
+   * @returns {Array<Object>} - schema_migrations rows, oldest first
+   */
+  getAppliedMigrations() {
+    return db.prepare('SELECT version, name, checksum, applied_at FROM schema_migrations ORDER BY version').all();
+  },
+
+  /**
+   * Run a migration's SQL and record or remove it in one transaction
+   * @param {Object} migration - The migration
+   * @param {string} sql - SQL to run
+   * @param {string} direction - 'up' or 'down'
+   */
+  runMigration(migration, sql, direction) {
+    db.transaction(() => {
+      db.exec(sql);
+
+      if (direction === 'up') {
+        db.prepare('INSERT INTO schema_migrations (version, name, checksum, applied_at) VALUES (?, ?, ?, ?)')
+          .run(migration.version, migration.name, migration.checksum, new Date().toISOString());
+      } else {
+        db.prepare('DELETE FROM schema_migrations WHERE version = ?').run(migration.version);
+      }
+    })();
+  }
+});
+
+/**
+ * Driver for a node-postgres pool
+ * @param {import('pg').Pool} pool - The connection pool
+ * @returns {Object} - Migration driver
+ */
+export const createPostgresDriver = (pool) => ({
+  dialect: 'postgres',
+
+  /**
+   * Create schema_migrations if it does not exist
+   * @returns {Promise<void>}
+   */
+  async ensureMigrationsTable() {
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS schema_migrations (
+        version INTEGER PRIMARY KEY,
+        name VARCHAR(255) NOT NULL,
+        checksum VARCHAR(64) NOT NULL,
+        applied_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+      )
+    `);
+  },
+
+  /**
+   * Get the recorded migrations
+   * @returns {Promise<Array<Object>>} - schema_migrations rows, oldest first
+   */
+  async getAppliedMigrations() {
+    const result = await pool.query('SELECT version, name, checksum, applied_at FROM schema_migrations ORDER BY version');
+    return result.rows;
+  },
+
+  /**
+   * Run a migration's SQL and record or remove it in one transaction
+   * @param {Object} migration - The migration
+   * @param {string} sql - SQL to run
+   * @param {string} direction - 'up' or 'down'
+   * @returns {Promise<void>}
+   */
+  async runMigration(migration, sql, direction) {
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      await client.query(sql);
+
+      if (direction === 'up') {
+        await client.query(
+          'INSERT INTO schema_migrations (version, name, checksum) VALUES ($1, $2, $3)',
+          [migration.version, migration.name, migration.checksum]
+        );
+      } else {
+        await client.query('DELETE FROM schema_migrations WHERE version = $1', [migration.version]);
+      }
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+});
+
+export class MigrationRunner {
+  /**
+   * @param {Object} driver - A driver from createSqliteDriver or createPostgresDriver
+   * @param {string} directory - Directory holding the migration files
+   */
+  constructor(driver, directory) {
+    this.driver = driver;
+    this.directory = directory;
+  }
+
+  /**
+   * Read the migrations in the directory, oldest first
+   * @returns {Array<Object>} - { version, name, upPath, downPath, checksum }
+   */
+  loadMigrations() {
+    const migrations = new Map();
+
+    for (const file of fs.readdirSync(this.directory)) {
+      const match = file.match(MIGRATION_FILE_PATTERN);
+      if (!match) continue;
+
+      const version = Number.parseInt(match[1], 10);
+      const [, , name, direction] = match;
+      const migration = migrations.get(version) || { version, name };
+
+      if (migration.name !== name) {
+        throw new Error(`Migration ${version} has files with different names: ${migration.name}, ${name}`);
+      }
+
+      migration[`${direction}Path`] = path.join(this.directory, file);
+      migrations.set(version, migration);
+    }
+
+    return Array.from(migrations.values())
+      .sort((a, b) => a.version - b.version)
+      .map(migration => {
+        if (!migration.upPath || !migration.downPath) {
+          throw new Error(`Migration ${migration.version}_${migration.name} needs both an .up.sql and a .down.sql file`);
+        }
+
+        return { ...migration, checksum: this._checksum(fs.readFileSync(migration.upPath, 'utf8')) };
+      });
+  }
+
+  /**
+   * Describe every known migration and whether it has been applied
+   * @returns {Promise<Array<Object>>} - { version, name, state, appliedAt } where state is
+   *   'applied', 'pending', 'modified' (file changed since it was applied) or 'missing' (file deleted)
+   */
+  async status() {
+    await this.driver.ensureMigrationsTable();
+
+    const migrations = this.loadMigrations();
+    const applied = new Map((await this.driver.getAppliedMigrations()).map(row => [Number(row.version), row]));
+    const rows = migrations.map(migration => {
+      const record = applied.get(migration.version);
+      let state = 'pending';
+
+      if (record) {
+        state = record.checksum === migration.checksum ? 'applied' : 'modified';
+      }
+
+      return { version: migration.version, name: migration.name, state, appliedAt: record ? record.applied_at : null };
+    });
+
+    for (const [version, record] of applied) {
+      if (!migrations.some(migration => migration.version === version)) {
+        rows.push({ version, name: record.name, state: 'missing', appliedAt: record.applied_at });
+      }
+    }
+
+    return rows.sort((a, b) => a.version - b.version);
+  }
+
+  /**
+   * Apply pending migrations in order
+   * @param {Object} options - { to: highest version to apply, dryRun: return the SQL without running it }
+   * @returns {Promise<Array<Object>>} - The migrations applied (or that would be), each with its sql
+   */
+  async migrate({ to = Infinity, dryRun = false } = {}) {
+    const { migrations, applied } = await this._prepare();
+    const pending = migrations.filter(migration => !applied.has(migration.version) && migration.version <= to);
+    const results = [];
+
+    for (const migration of pending) {
+      const sql = fs.readFileSync(migration.upPath, 'utf8');
+
+      if (!dryRun) {
+        await this._run(migration, sql, 'up');
+      }
+
+      results.push({ version: migration.version, name: migration.name, sql });
+    }
+
+    return results;
+  }
+
+  /**
+   * Undo applied migrations, newest first
+   * @param {Object} options - { steps: how many to undo (default 1), to: undo everything above this
+   *   version instead, dryRun: return the SQL without running it }
+   * @returns {Promise<Array<Object>>} - The migrations rolled back (or that would be), each with its sql
+   */
+  async rollback({ steps = 1, to = null, dryRun = false } = {}) {
+    const { migrations, applied } = await this._prepare();
+    const appliedMigrations = migrations.filter(migration => applied.has(migration.version)).reverse();
+    const targets = to === null
+      ? appliedMigrations.slice(0, steps)
+      : appliedMigrations.filter(migration => migration.version > to);
+    const results = [];
+
+    for (const migration of targets) {
+      const sql = fs.readFileSync(migration.downPath, 'utf8');
+
+      if (!dryRun) {
+        await this._run(migration, sql, 'down');
+      }
+
+      results.push({ version: migration.version, name: migration.name, sql });
+    }
+
+    return results;
+  }
+
+  /**
+   * Load migrations and verify the applied ones still match their files
+   * @private
+   * @returns {Promise<Object>} - { migrations, applied: Map of version -> record }
+   */
+  async _prepare() {
+    await this.driver.ensureMigrationsTable();
+
+    const migrations = this.loadMigrations();
+    const applied = new Map((await this.driver.getAppliedMigrations()).map(row => [Number(row.version), row]));
+
+    for (const [version, record] of applied) {
+      const migration = migrations.find(candidate => candidate.version === version);
+
+      if (!migration) {
+        throw new Error(`Applied migration ${version}_${record.name} is missing from ${this.directory}`);
+      }
+
+      if (migration.checksum !== record.checksum) {
+        throw new Error(`Migration ${version}_${migration.name} was changed after it was applied (checksum mismatch)`);
+      }
+    }
+
+    return { migrations, applied };
+  }
+
+  /**
+   * Run one migration, naming it in any error
+   * @private
+   * @param {Object} migration - The migration
+   * @param {string} sql - SQL to run
+   * @param {string} direction - 'up' or 'down'
+   */
+  async _run(migration, sql, direction) {
+    try {
+      await this.driver.runMigration(migration, sql, direction);
+    } catch (error) {
+      throw new Error(`Migration ${migration.version}_${migration.name} (${direction}) failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Checksum of a migration file, ignoring line-ending differences
+   * @private
+   * @param {string} sql - File contents
+   * @returns {string} - Hex SHA-256 digest
+   */
+  _checksum(sql) {
+    return crypto.createHash('sha256').update(sql.replace(/\r\n/g, '\n')).digest('hex');
+  }
+}
+
+export default MigrationRunner;
@@ -0,0 +1,47 @@
+/**
+ * Password hashing helpers using Node's built-in scrypt
+ */
+
+import crypto from 'node:crypto';
+import { promisify } from 'node:util';
+
+const scrypt = promisify(crypto.scrypt);
+
+// Length of the derived key and salt in bytes
+const KEY_LENGTH = 64;
+const SALT_LENGTH = 16;
+
+/**
+ * Hash a password with a random salt
+ * @param {string} password - The plain-text password
+ * @returns {Promise<string>} - Encoded hash in the form scrypt$<salt>$<hash>
+ */
+export const hashPassword = async (password) => {
+  const salt = crypto.randomBytes(SALT_LENGTH).toString('hex');
+  const derivedKey = await scrypt(password, salt, KEY_LENGTH);
+
+  return `scrypt$${salt}$${derivedKey.toString('hex')}`;
+};
+
+/**
+ * Verify a password against a stored hash
+ * @param {string} password - The plain-text password
+ * @param {string} storedHash - Hash produced by hashPassword
+ * @returns {Promise<boolean>} - Whether the password matches
+ */
+export const verifyPassword = async (password, storedHash) => {
+  if (!password || !storedHash) return false;
+
+  const [scheme, salt, hash] = storedHash.split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) return false;
+
+  const expected = Buffer.from(hash, 'hex');
+  const derivedKey = await scrypt(password, salt, expected.length);
+
+  return expected.length === derivedKey.length && crypto.timingSafeEqual(expected, derivedKey);
+};
+
+export default {
+  hashPassword,
+  verifyPassword
+};
@@ -0,0 +1,82 @@
+/**
+ * validation.js
+ * Declarative field-schema validation shared by WebSocket handlers and REST routes
+ */
+
+/**
+ * Validate data against a field schema
+ *
+ * Each schema key describes one field:
+ * { type, required, integer, min, max, maxLength, pattern, enum, properties }
+ * where type is 'string', 'number', 'boolean', 'object' or 'array',
+ * integer requires a number to be whole, pattern is a RegExp strings must
+ * match and properties is a nested schema for objects.
+ *
+ * @param {Object} data - The data to validate
+ * @param {Object} schema - The schema
+ * @param {string} path - Field path prefix for error messages
+ * @returns {string|null} - Error message, or null if valid
+ */
+export const validateSchema = (data, schema, path = '') => {
+  if (data === null || typeof data !== 'object' || Array.isArray(data)) {
+    return `${path || 'data'} must be an object`;
+  }
+
+  for (const [field, rules] of Object.entries(schema)) {
+    const value = data[field];
+    const fieldPath = path ? `${path}.${field}` : field;
+
+    if (value === undefined || value === null) {
+      if (rules.required) {
+        return `${fieldPath} is required`;
+      }
+      continue;
+    }
+
+    const actualType = Array.isArray(value) ? 'array' : typeof value;
+    if (rules.type && actualType !== rules.type) {
+      return `${fieldPath} must be of type ${rules.type}`;
+    }
+
+    if (rules.type === 'number' && !Number.isFinite(value)) {
+      return `${fieldPath} must be a finite number`;
+    }
+
+    if (rules.integer && !Number.isInteger(value)) {
+      return `${fieldPath} must be an integer`;
+    }
+
+    if (rules.min !== undefined && value < rules.min) {
+      return `${fieldPath} must be at least ${rules.min}`;
+    }
+
+    if (rules.max !== undefined && value > rules.max) {
+      return `${fieldPath} must be at most ${rules.max}`;
+    }
+
+    if (rules.maxLength !== undefined && value.length > rules.maxLength) {
+      return `${fieldPath} must be at most ${rules.maxLength} characters`;
+    }
+
+    if (rules.pattern && !rules.pattern.test(value)) {
+      return `${fieldPath} has an invalid format`;
+    }
+
+    if (rules.enum && !rules.enum.includes(value)) {
+      return `${fieldPath} must be one of: ${rules.enum.join(', ')}`;
+    }
+
+    if (rules.properties) {
+      const nestedError = validateSchema(value, rules.properties, fieldPath);
+      if (nestedError) {
+        return nestedError;
+      }
+    }
+  }
+
+  return null;
+};
+
+export default {
+  validateSchema
+};
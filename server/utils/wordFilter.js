@@ -0,0 +1,96 @@
+/**
+ * wordFilter.js
+ * Masks blocked words in chat messages
+ *
+ * Words match whole words, ignoring case. A trailing `*` also matches
+ * longer words starting with the same letters ("damn*" masks "damned").
+ * CHAT_BLOCKED_WORDS (comma-separated) adds to the default list, and
+ * CHAT_FILTER_DEFAULTS=false drops the defaults.
+ */
+
+export const DEFAULT_BLOCKED_WORDS = [
+  'fuck*',
+  'shit*',
+  'bitch*',
+  'cunt*',
+  'asshole*',
+  'bastard*',
+  'dickhead*',
+  'motherfuck*',
+  'wanker*',
+  'twat*',
+  'nigger*',
+  'faggot*',
+  'retard*'
+];
+
+// The filter is rebuilt only when the configured words change
+let cachedConfig = null;
+let cachedPattern = null;
+
+/**
+ * Build a pattern matching any of the given words
+ * @param {Array<string>} words - Blocked words, optionally ending in `*`
+ * @returns {RegExp|null} - The pattern, or null if there are no words
+ */
+export const buildWordPattern = (words) => {
+  const alternatives = words
+    .map(word => word.trim().toLowerCase())
+    .filter(word => word.length > 0 && word !== '*')
+    .map(word => {
+      const isPrefix = word.endsWith('*');
+      const stem = (isPrefix ? word.slice(0, -1) : word).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      return isPrefix ? `${stem}\\w*` : stem;
+    });
+
+  if (alternatives.length === 0) {
+    return null;
+  }
+
+  return new RegExp(`\\b(?:${alternatives.join('|')})\\b`, 'gi');
+};
+
+/**
+ * Get the pattern for the configured blocked words
+ * Read lazily because the environment is loaded after modules are imported.
+ * @returns {RegExp|null} - The pattern, or null if nothing is blocked
+ */
+const getConfiguredPattern = () => {
+  const config = `${process.env.CHAT_FILTER_DEFAULTS}|${process.env.CHAT_BLOCKED_WORDS || ''}`;
+
+  if (config !== cachedConfig) {
+    const useDefaults = process.env.CHAT_FILTER_DEFAULTS !== 'false';
+    const extraWords = (process.env.CHAT_BLOCKED_WORDS || '').split(',');
+
+    cachedPattern = buildWordPattern([...(useDefaults ? DEFAULT_BLOCKED_WORDS : []), ...extraWords]);
+    cachedConfig = config;
+  }
+
+  return cachedPattern;
+};
+
+/**
+ * Mask blocked words with asterisks
+ * @param {string} text - The message text
+ * @param {RegExp|null} pattern - Pattern to use (defaults to the configured words)
+ * @returns {Object} - { text, filtered } where filtered says whether anything was masked
+ */
+export const filterMessage = (text, pattern = getConfiguredPattern()) => {
+  if (!pattern) {
+    return { text, filtered: false };
+  }
+
+  let filtered = false;
+  const cleaned = text.replace(pattern, (match) => {
+    filtered = true;
+    return '*'.repeat(match.length);
+  });
+
+  return { text: cleaned, filtered };
+};
+
+export default {
+  DEFAULT_BLOCKED_WORDS,
+  buildWordPattern,
+  filterMessage
+};
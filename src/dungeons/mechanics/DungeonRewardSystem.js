@@ -33,10 +33,7 @@ export class DungeonRewardSystem {
       this.giveXP(rewards.xp);
     }
     
-    // Give gold
-    if (rewards.gold) {
-      this.giveGold(rewards.gold);
-    }
+    // Gold comes from the server with the dungeon's loot, claimed on leaving a completed dungeon
     
     // Give items
     if (rewards.items && rewards.items.length > 0) {
@@ -61,23 +58,6 @@ export class DungeonRewardSystem {
     logger.info(LogCategory.DUNGEON, `Gave ${amount} XP to player`);
   }
   
-  /**
-   * Give gold to the player
-   * @param {number} amount - The amount of gold to give
-   */
-  giveGold(amount) {
-    if (!amount || amount <= 0) return;
-    
-    playerStatsService.addGold(amount);
-    
-    // Show message
-    if (this.uiManager) {
-      this.uiManager.showMedievalMessage(`+${amount} Gold`, 'success', 2000);
-    }
-    
-    logger.info(LogCategory.DUNGEON, `Gave ${amount} gold to player`);
-  }
-  
   /**
    * Give items to the player
    * @param {Array} items - The items to give
@@ -86,9 +66,6 @@ export class DungeonRewardSystem {
     if (!items || !items.length) return;
     
     items.forEach(itemId => {
-      // Add the item to the player's inventory (handled in the main game scene)
-      this.scene.registry.set('addItemToInventory', itemId);
-      
       // Show message
       if (this.uiManager) {
         this.uiManager.showMedievalMessage(`Found item: ${itemId}`, 'success', 2000);
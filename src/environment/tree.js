@@ -29,14 +29,12 @@ export class TreeSystem {
                 texture: 'tree',
                 scale: 1.2,
                 health: 150,
-                woodYield: 3,
                 description: 'A sturdy oak tree with strong branches.'
             },
             healingSpruce: {
                 texture: 'spruce-tree',
                 scale: 1.3,
                 health: 130,
-                woodYield: 2,
                 description: 'A magical spruce tree with healing properties.',
                 healingPower: 5
             }
@@ -222,7 +220,6 @@ export class TreeSystem {
         tree.setData('health', treeData.health || 100);
         tree.setData('isHealingSpruce', isHealingSpruce);
         tree.setData('treeName', isHealingSpruce ? 'Healing Spruce' : 'Oak Tree');
-        tree.setData('woodYield', treeData.woodYield || 1);
         tree.setData('lat', lat);
         tree.setData('lng', lng);
         tree.setData('treeType', isHealingSpruce ? 'healingSpruce' : 'oak');
@@ -341,18 +338,16 @@ export class TreeSystem {
             return;
         }
 
-        // Determine wood amount based on tree type
-        const woodYield = tree.getData('woodYield') || 1;
         const treeName = tree.getData('treeName') || 'Tree';
         
         // Create wood chip particles
         this.createWoodChipParticles(tree.x, tree.y);
         
-        // Add wood to inventory
-        this.scene.events.emit('add-item-to-inventory', { itemId: 'wood', quantity: woodYield });
+        // The server decides how much wood the tree gives
+        this.scene.claimLoot('tree');
         
         // Show success message
-        const message = `You gathered ${woodYield} wood from the ${treeName}!`;
+        const message = `You chopped down the ${treeName}!`;
         const woodMsg = this.scene.add.text(tree.x, tree.y - 50, message, {
             fontSize: '16px',
             fontFamily: 'Arial',
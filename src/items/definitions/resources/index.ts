@@ -31,5 +31,50 @@ export const resourceDefinitions: ResourceDefinition[] = [
         stackable: true,
         maxStackSize: 20,
         usable: false
+    },
+    
+    // Stone
+    {
+        id: 'stone',
+        name: 'Stone',
+        description: 'A block of quarried stone. Used for hardening flags and building structures.',
+        imagePath: '/items/stone.png',
+        type: ItemType.RESOURCE,
+        rarity: ItemRarity.COMMON,
+        weight: 1.0,
+        value: 2,
+        stackable: true,
+        maxStackSize: 50,
+        usable: false
+    },
+    
+    // Crude Oil
+    {
+        id: 'crude_oil',
+        name: 'Crude Oil',
+        description: 'Thick, black and flammable. Used to set besieged flags on fire.',
+        imagePath: '/items/crude_oil.png',
+        type: ItemType.RESOURCE,
+        rarity: ItemRarity.UNCOMMON,
+        weight: 0.5,
+        value: 5,
+        stackable: true,
+        maxStackSize: 50,
+        usable: false
+    },
+    
+    // Roc Feather
+    {
+        id: 'roc_feather',
+        name: 'Roc Feather',
+        description: 'A flight feather of the giant roc. Two are spent on every jump between flags.',
+        imagePath: '/items/roc_feather.png',
+        type: ItemType.RESOURCE,
+        rarity: ItemRarity.UNCOMMON,
+        weight: 0.1,
+        value: 10,
+        stackable: true,
+        maxStackSize: 100,
+        usable: false
     }
 ]; 
\ No newline at end of file
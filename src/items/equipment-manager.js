@@ -1,5 +1,6 @@
 import { logger, LogCategory } from '../utils/Logger';
 import { ItemType, WeaponType, ArmorType } from './item-types';
+import inventoryTransactions from '../utils/InventoryTransactionService';
 
 /**
  * EquipmentManager - Manages the player's equipped items
@@ -112,6 +113,8 @@ export class EquipmentManager {
         
         logger.info(LogCategory.INVENTORY, `Equipped ${item.name} in ${slot} slot`);
         
+        inventoryTransactions.submit('equip', { slot: slotIndex });
+        
         return true;
     }
     
@@ -150,6 +153,8 @@ export class EquipmentManager {
         
         logger.info(LogCategory.INVENTORY, `Unequipped ${item.name} from ${slot} slot`);
         
+        inventoryTransactions.submit('unequip', { equipmentSlot: slot });
+        
         return true;
     }
     
@@ -244,21 +249,59 @@ export class EquipmentManager {
         }
     }
     
+    /**
+     * Get the equipped items for saving
+     * @returns {Object} - Slot name -> item ID, or null for an empty slot
+     */
+    serialize() {
+        const serializedEquipment = {};
+        
+        for (const [slot, item] of Object.entries(this.equipment)) {
+            serializedEquipment[slot] = item ? item.id : null;
+        }
+        
+        return serializedEquipment;
+    }
+    
+    /**
+     * Replace the equipped items with saved ones
+     * @param {Object} equipmentData - Data from serialize()
+     */
+    deserialize(equipmentData) {
+        // Clear current equipment
+        for (const slot in this.equipment) {
+            this.equipment[slot] = null;
+        }
+        
+        // Load each item
+        for (const [slot, itemId] of Object.entries(equipmentData)) {
+            if (itemId && slot in this.equipment) {
+                // Create the item
+                const item = this.inventoryManager.itemSystem.createItem(itemId);
+                
+                if (item) {
+                    this.equipment[slot] = item;
+                } else {
+                    logger.warn(LogCategory.INVENTORY, `Failed to load item ${itemId} for slot ${slot}`);
+                }
+            }
+        }
+        
+        // Update player stats based on equipment
+        this.updatePlayerStats();
+        
+        // Refresh UI if available
+        this.refreshUI();
+    }
+    
     /**
      * Save equipment to local storage
      * @param {string} key - The storage key
      */
     saveEquipment(key = 'player_equipment') {
         try {
-            // Convert equipment to a serializable format
-            const serializedEquipment = {};
-            
-            for (const [slot, item] of Object.entries(this.equipment)) {
-                serializedEquipment[slot] = item ? item.id : null;
-            }
-            
             // Save to local storage
-            localStorage.setItem(key, JSON.stringify(serializedEquipment));
+            localStorage.setItem(key, JSON.stringify(this.serialize()));
             
             logger.info(LogCategory.INVENTORY, `Equipment saved to ${key}`);
         } catch (e) {
@@ -281,33 +324,8 @@ export class EquipmentManager {
                 return false;
             }
             
-            // Parse the serialized equipment
-            const equipmentData = JSON.parse(serializedEquipment);
-            
-            // Clear current equipment
-            for (const slot in this.equipment) {
-                this.equipment[slot] = null;
-            }
-            
-            // Load each item
-            for (const [slot, itemId] of Object.entries(equipmentData)) {
-                if (itemId) {
-                    // Create the item
-                    const item = this.inventoryManager.itemSystem.createItem(itemId);
-                    
-                    if (item) {
-                        this.equipment[slot] = item;
-                    } else {
-                        logger.warn(LogCategory.INVENTORY, `Failed to load item ${itemId} for slot ${slot}`);
-                    }
-                }
-            }
-            
-            // Update player stats based on equipment
-            this.updatePlayerStats();
-            
-            // Refresh UI if available
-            this.refreshUI();
+            // Parse the serialized equipment and equip it
+            this.deserialize(JSON.parse(serializedEquipment));
             
             logger.info(LogCategory.INVENTORY, `Equipment loaded from ${key}`);
             
@@ -1,9 +1,17 @@
+import Phaser from "phaser";
 import { logger, LogCategory } from "../utils/Logger";
 import { Inventory } from "./inventory";
+import { ItemType } from "./item-types";
 import { ItemRegistry } from "./definitions";
+import inventoryTransactions from "../utils/InventoryTransactionService";
 
 /**
  * InventoryManager - Manages the player's inventory and provides methods for adding/removing items
+ *
+ * Player actions (useItem, dropItem, moveItem, splitStack) change the inventory straight away
+ * and are sent to the server as inventory transactions. The other methods only change the
+ * local copy, which the server's copy replaces where they differ. Items are only gained from
+ * the server, e.g. as loot (see InventoryTransactionService.claimLoot).
  */
 export class InventoryManager {
     /**
@@ -17,6 +25,9 @@ export class InventoryManager {
         this.itemSystem = itemSystem;
         this.inventoryUI = null;
         
+        // Event emitter for inventory changes
+        this.events = new Phaser.Events.EventEmitter();
+        
         // Get the asset manager from the item system
         this.assetManager = itemSystem.getAssetManager();
         
@@ -82,6 +93,7 @@ export class InventoryManager {
         // Add resources
         this.addItem('wood', 10);
         this.addItem('leather', 5);
+        this.addItem('roc_feather', 10);
         
         // Add consumables
         this.addItem('food_apple', 3);
@@ -248,6 +260,22 @@ export class InventoryManager {
         return removed;
     }
     
+    /**
+     * Drop items from a slot and send the drop to the server
+     * @param {number} slotIndex - The index of the slot to drop from
+     * @param {number} quantity - The quantity to drop
+     * @returns {number} - The actual quantity dropped
+     */
+    dropItem(slotIndex, quantity = 1) {
+        const removed = this.removeItemFromSlot(slotIndex, quantity);
+        
+        if (removed > 0) {
+            inventoryTransactions.submit('drop', { slot: slotIndex, quantity: removed });
+        }
+        
+        return removed;
+    }
+    
     /**
      * Move an item from one slot to another
      * @param {number} fromSlot - The source slot index
@@ -278,6 +306,8 @@ export class InventoryManager {
             
             // Refresh the inventory UI if it's visible and available
             this.refreshUI();
+            
+            inventoryTransactions.submit('move', { fromSlot, toSlot, quantity });
         } else {
             logger.warn(LogCategory.INVENTORY, `Failed to move ${quantity}x ${sourceSlot.item.name} from slot ${fromSlot} to slot ${toSlot}`);
         }
@@ -285,6 +315,32 @@ export class InventoryManager {
         return success;
     }
     
+    /**
+     * Split part of a stack into an empty slot
+     * @param {number} fromSlot - The slot holding the stack
+     * @param {number} toSlot - The empty slot for the split-off items
+     * @param {number} quantity - How many to split off (less than the whole stack)
+     * @returns {boolean} - Whether the stack was split
+     */
+    splitStack(fromSlot, toSlot, quantity) {
+        const sourceSlot = this.inventory.getSlot(fromSlot);
+        if (!sourceSlot || quantity < 1 || quantity >= sourceSlot.quantity || this.inventory.getSlot(toSlot)) {
+            logger.warn(LogCategory.INVENTORY, `Cannot split ${quantity} from slot ${fromSlot} into slot ${toSlot}`);
+            return false;
+        }
+        
+        const success = this.inventory.moveItem(fromSlot, toSlot, quantity);
+        
+        if (success) {
+            logger.info(LogCategory.INVENTORY, `Split ${quantity}x ${sourceSlot.item.name} from slot ${fromSlot} into slot ${toSlot}`);
+            this.refreshUI();
+            
+            inventoryTransactions.submit('split', { fromSlot, toSlot, quantity });
+        }
+        
+        return success;
+    }
+    
     /**
      * Check if the player has a specific item in their inventory
      * @param {string} itemId - The ID of the item to check for
@@ -346,14 +402,16 @@ export class InventoryManager {
         const used = item.use();
         
         if (used) {
-            // If the item is now empty (all uses consumed), remove it from inventory
-            if (itemStack.isEmpty()) {
+            // Consumables are used up one at a time; other items are removed once all their uses are consumed
+            if (item.type === ItemType.CONSUMABLE || itemStack.isEmpty()) {
                 this.inventory.removeItem(slotIndex, 1);
             }
             
             // Refresh the inventory UI if it's visible and available
             this.refreshUI();
             
+            inventoryTransactions.submit('use', { slot: slotIndex });
+            
             return true;
         }
         
@@ -362,13 +420,58 @@ export class InventoryManager {
     
     /**
      * Refresh the inventory UI if it's visible and available
+     * Every change to the inventory ends here, so listeners are told about it too.
      */
     refreshUI() {
+        this.events.emit('inventory-changed');
+        
         if (this.inventoryUI && this.inventoryUI.isVisible) {
             this.inventoryUI.refreshInventory();
         }
     }
     
+    /**
+     * Get the inventory's contents for saving
+     * @returns {Array<{id: string, quantity: number, slotIndex: number}>} - One entry per filled slot
+     */
+    serialize() {
+        const slots = this.inventory.getAllSlots();
+        
+        return this.inventory.getAllItems().map(stack => ({
+            id: stack.item.id,
+            quantity: stack.quantity,
+            slotIndex: slots.indexOf(stack)
+        }));
+    }
+    
+    /**
+     * Replace the inventory's contents with saved ones
+     * @param {Array<{id: string, quantity: number, slotIndex: number}>} items - Data from serialize()
+     */
+    deserialize(items) {
+        // Clear the current inventory
+        this.inventory.clear();
+        
+        // Add each item to the inventory
+        items.forEach(itemData => {
+            const item = this.itemSystem.getItem(itemData.id);
+            if (item) {
+                // If a slot index is specified, try to add to that slot
+                if (itemData.slotIndex !== undefined) {
+                    this.inventory.addItemToSlot(itemData.slotIndex, item, itemData.quantity);
+                } else {
+                    // Otherwise, add to the first available slot
+                    this.inventory.addItem(item, itemData.quantity);
+                }
+            } else {
+                logger.warn(LogCategory.INVENTORY, `Failed to load item ${itemData.id}: Item not found`);
+            }
+        });
+        
+        // Refresh the UI
+        this.refreshUI();
+    }
+    
     /**
      * Save the inventory to local storage
      * @param {string} key - The key to save the inventory under
@@ -376,15 +479,8 @@ export class InventoryManager {
      */
     saveInventory(key = 'player_inventory') {
         try {
-            // Get all items in the inventory
-            const items = this.inventory.getAllItems().map(stack => ({
-                id: stack.item.id,
-                quantity: stack.quantity,
-                slotIndex: this.inventory.getAllSlots().indexOf(stack)
-            }));
-            
             // Save to local storage
-            localStorage.setItem(key, JSON.stringify(items));
+            localStorage.setItem(key, JSON.stringify(this.serialize()));
             
             logger.info(LogCategory.INVENTORY, `Inventory saved to local storage with key: ${key}`);
             return true;
@@ -408,30 +504,8 @@ export class InventoryManager {
                 return false;
             }
             
-            // Parse the saved data
-            const items = JSON.parse(savedData);
-            
-            // Clear the current inventory
-            this.clear();
-            
-            // Add each item to the inventory
-            items.forEach(itemData => {
-                const item = this.itemSystem.getItem(itemData.id);
-                if (item) {
-                    // If a slot index is specified, try to add to that slot
-                    if (itemData.slotIndex !== undefined) {
-                        this.inventory.addItemToSlot(itemData.slotIndex, item, itemData.quantity);
-                    } else {
-                        // Otherwise, add to the first available slot
-                        this.inventory.addItem(item, itemData.quantity);
-                    }
-                } else {
-                    logger.warn(LogCategory.INVENTORY, `Failed to load item ${itemData.id}: Item not found`);
-                }
-            });
-            
-            // Refresh the UI
-            this.refreshUI();
+            // Parse the saved data and replace the current inventory with it
+            this.deserialize(JSON.parse(savedData));
             
             logger.info(LogCategory.INVENTORY, `Inventory loaded from local storage with key: ${key}`);
             return true;
@@ -454,6 +528,7 @@ export class InventoryManager {
      * Destroy the inventory manager
      */
     destroy() {
+        this.events.removeAllListeners();
         this.inventory = null;
         this.inventoryUI = null;
         logger.info(LogCategory.INVENTORY, "Inventory manager destroyed");
@@ -873,13 +873,7 @@ export class DungeonScene extends Scene {
           }
         }
 
-        // Add some gold as well
-        this.playerStats.gold += king.goldReward || 500;
-        this.uiManager.showMedievalMessage(
-          `You found ${king.goldReward || 500} gold!`,
-          "success",
-          3000,
-        );
+        // The king's gold comes from the server with the dungeon's loot
 
         // Add experience
         this.playerStats.experience += king.experienceReward || 1000;
@@ -1200,7 +1194,8 @@ export class DungeonScene extends Scene {
       const dungeonCompleted = this.registry.get("dungeonCompleted");
 
       // If the dungeon was completed, update its status in the main game
-      if (dungeonCompleted === this.currentDungeon.id) {
+      const completed = dungeonCompleted === this.currentDungeon.id;
+      if (completed) {
         this.registry.set("updateDungeonStatus", {
           id: this.currentDungeon.id,
           completed: true,
@@ -1221,6 +1216,11 @@ export class DungeonScene extends Scene {
         this.scene.start("MMOGame");
       }
 
+      // The server rolls the dungeon's loot into the main game's inventory
+      if (completed) {
+        this.scene.get("MMOGame").claimLoot("dungeon");
+      }
+
       logger.info(LogCategory.DUNGEON, "Successfully exited dungeon");
     } catch (error) {
       logger.error(LogCategory.DUNGEON, `Error exiting dungeon: ${error}`);
@@ -24,6 +24,7 @@ import { chatService } from "../utils/ChatService";
 import { dungeonConfigRegistry } from "../dungeons/core/DungeonConfig";
 // Import the PlayerReferenceService
 import playerReferenceService from "../utils/player/PlayerReferenceService";
+import inventoryTransactions from "../utils/InventoryTransactionService";
 
 export class Game extends Scene {
   constructor(sceneKey = "Game") {
@@ -235,11 +236,6 @@ export class Game extends Scene {
       this.handleDoubleClickMove(data);
     });
     
-    // Listen for add-item-to-inventory event
-    this.events.on("add-item-to-inventory", (data) => {
-      this.handleAddItemToInventory(data);
-    });
-    
     // Listen for monster-click event
     this.events.on("monster-click", (monster) => {
       this.handleMonsterClick(monster);
@@ -336,54 +332,38 @@ export class Game extends Scene {
   }
 
   /**
-   * Handle adding an item to the inventory
-   * @param {Object} data - Data containing itemId and quantity
+   * Claim the loot of something the player gathered or defeated
+   * The server decides what drops and adds it to the inventory, and any gold to the character.
+   * @param {string} source - 'tree', 'dungeon' or 'monster:' + the monster's type
+   * @returns {Promise<void>}
    */
-  handleAddItemToInventory(data) {
-    if (!data || !data.itemId || !data.quantity) return;
-    
-    // Log the item being added
-    logger.info(LogCategory.INVENTORY, `Adding ${data.quantity}x ${data.itemId} to inventory`);
-    
-    // Get the item from the item system
-    const item = this.itemSystem.getItem(data.itemId);
-    if (!item) {
-      logger.error(LogCategory.INVENTORY, `Item ${data.itemId} not found in item database`);
-      return;
-    }
-    
-    // Ensure the item has the correct icon URL from the asset manager
+  async claimLoot(source) {
+    let loot;
     try {
-      if (typeof item.updateIconUrl === 'function') {
-        item.updateIconUrl();
-      } else {
-        logger.warn(LogCategory.INVENTORY, "Item does not have updateIconUrl method");
-      }
+      loot = await inventoryTransactions.claimLoot(source);
     } catch (error) {
-      logger.warn(LogCategory.INVENTORY, "Could not update item icon URL:", error);
+      logger.warn(LogCategory.INVENTORY, `Loot from ${source} was refused: ${error.message}`);
+      this.uiManager?.showMedievalMessage(`Thou gainest nothing: ${error.message}`, "warning");
+      return;
     }
     
-    // Add the item to the player's inventory using the inventory manager
-    const added = this.inventoryManager.addItem(data.itemId, data.quantity);
+    if (!this.uiManager) return;
     
-    // Show appropriate message based on whether all items were added
-    if (!added) {
-      this.uiManager.showMedievalMessage(
-        `Thou cannot carry any more ${item.name}!`, 
-        "warning"
-      );
-    } else {
-      const quantity = this.inventoryManager.getItemQuantity(data.itemId);
-      this.uiManager.showMedievalMessage(`Thou hast acquired ${data.quantity}x ${item.name}!`, "success");
+    if (loot.gold > 0) {
+      this.uiManager.showMedievalMessage(`Gained ${loot.gold} gold!`, 'success', 2000);
     }
     
-    // Update any UI elements that show inventory
-    if (this.uiManager) {
-      // Increment the new items counter
-      this.playerStats.newItems = (this.playerStats.newItems || 0) + 1;
-      // Update the inventory badge
-      this.uiManager.updateMenuBadge('inventory', this.playerStats.newItems);
+    const gained = Object.entries(loot.items);
+    if (gained.length === 0) return;
+    
+    for (const [itemId, quantity] of gained) {
+      const item = this.itemSystem.getItem(itemId);
+      this.uiManager.showMedievalMessage(`Thou hast acquired ${quantity}x ${item?.name || itemId}!`, "success", 3000);
     }
+    
+    // Increment the new items counter and update the inventory badge
+    this.playerStats.newItems = (this.playerStats.newItems || 0) + gained.length;
+    this.uiManager.updateMenuBadge('inventory', this.playerStats.newItems);
   }
 
   /**
@@ -446,34 +426,12 @@ export class Game extends Scene {
     logger.info(LogCategory.INVENTORY, `Dropping item: ${item.name}`);
     
     // Remove one of the item from inventory
-    this.inventoryManager.removeItemFromSlot(index, 1);
+    this.inventoryManager.dropItem(index, 1);
     
     // Show message
     this.uiManager.showMedievalMessage(`Thou hast dropped ${item.name}!`, "info");
   }
 
-  /**
-   * Give an item to the player
-   * @param {string} itemId - The ID of the item to give
-   * @param {number} quantity - The quantity of the item to give
-   */
-  givePlayerItem(itemId, quantity = 1) {
-    // Log the item being given
-    logger.info(LogCategory.INVENTORY, `Giving player ${quantity}x ${itemId}`);
-    
-    // Add the item to the player's inventory
-    this.events.emit('add-item-to-inventory', { itemId, quantity });
-    
-    // Show a message to the player
-    if (this.uiManager) {
-      const item = this.itemSystem.getItem(itemId);
-      if (item) {
-        const itemName = item.name || itemId;
-        this.uiManager.showMedievalMessage(`Thou hast acquired ${quantity}x ${itemName}!`, 'success', 3000);
-      }
-    }
-  }
-
   /**
    * Add XP to the player
    * @param {number} amount - The amount of XP to add
@@ -495,23 +453,6 @@ export class Game extends Scene {
     }
   }
 
-  /**
-   * Add gold to the player
-   * @param {number} amount - The amount of gold to add
-   */
-  addGold(amount) {
-    // Use PlayerStatsService to add gold
-    playerStatsService.addGold(amount);
-    
-    // Update our reference to the stats
-    this.playerStats = playerStatsService.getStats();
-    
-    // Show a message to the player
-    if (this.uiManager) {
-      this.uiManager.showMedievalMessage(`Gained ${amount} gold!`, 'success', 2000);
-    }
-  }
-
   /**
    * Handle a click on a monster
    * @param {Object} monster - The monster that was clicked
@@ -621,7 +562,6 @@ export class Game extends Scene {
     
     // Clean up custom event listeners
     this.events.off("double-click-move");
-    this.events.off("add-item-to-inventory");
     this.events.off("monster-click");
     this.events.off("openInventory");
     this.events.off("openEquipment");
@@ -789,20 +729,6 @@ export class Game extends Scene {
       this.registry.remove('updateDungeonStatus');
     }
     
-    // Check if we need to add items to inventory
-    const addItemToInventory = this.registry.get('addItemToInventory');
-    if (addItemToInventory) {
-      // Add the item to inventory when the scene is fully created
-      this.events.once('create-complete', () => {
-        if (this.inventoryManager) {
-          this.inventoryManager.addItemById(addItemToInventory);
-          logger.info(LogCategory.INVENTORY, `Added item from dungeon: ${addItemToInventory}`);
-        }
-      });
-      
-      // Clear the registry value
-      this.registry.remove('addItemToInventory');
-    }
   }
 
   /**
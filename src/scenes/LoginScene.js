@@ -2,6 +2,7 @@ import { Scene } from 'phaser';
 import { LoginScreen } from '../ui/LoginScreen';
 import { RegisterScreen } from '../ui/RegisterScreen';
 import { logger, LogCategory } from '../utils/Logger';
+import authService from '../utils/AuthService';
 
 /**
  * LoginScene - The initial scene of the game that shows the login screen
@@ -36,19 +37,25 @@ export class LoginScene extends Scene {
             gameVersion: '1.0.0',
             
             // Handle login
-            onLogin: (username, password, rememberMe) => {
+            onLogin: async (username, password, rememberMe) => {
                 logger.info(LogCategory.AUTH, `Login attempt for user: ${username}`);
                 
-                // Here you would typically validate the credentials with a server
-                // For this example, we'll just check if both fields are filled
                 if (!username || !password) {
                     // Show error message
                     this.showLoginMessage('Please enter both username and password!', 'error');
                     return false; // Return false to keep the login screen open
                 }
                 
-                // Store the username for use in the game
-                this.storeUserData(username, rememberMe);
+                // Validate the credentials with the server
+                const result = await authService.login(username, password, rememberMe);
+                
+                if (!result.success) {
+                    this.showLoginMessage(result.error || 'Login failed!', 'error');
+                    return false;
+                }
+                
+                // Store the session for use in the game
+                this.storeUserData(result.session, rememberMe);
                 
                 // Show success message
                 this.showLoginMessage('Welcome, brave adventurer!');
@@ -84,19 +91,25 @@ export class LoginScene extends Scene {
             gameVersion: '1.0.0',
             
             // Handle registration
-            onRegister: (username, password, email) => {
+            onRegister: async (username, password, email) => {
                 logger.info(LogCategory.AUTH, `Registration attempt for user: ${username}`);
                 
-                // Here you would typically send the registration data to a server
-                // For this example, we'll just check if all fields are filled
                 if (!username || !password || !email) {
                     // Show error message
                     this.showLoginMessage('Please fill in all fields!', 'error');
                     return false; // Return false to keep the registration screen open
                 }
                 
-                // Store the username for use in the game
-                this.storeUserData(username, true);
+                // Create the account on the server
+                const result = await authService.register(username, password, email);
+                
+                if (!result.success) {
+                    this.registerScreen.showError(result.error || 'Registration failed!');
+                    return false;
+                }
+                
+                // Store the session for use in the game
+                this.storeUserData(result.session, true);
                 
                 // Show success message
                 this.showLoginMessage('Account created successfully!', 'success');
@@ -216,12 +229,16 @@ export class LoginScene extends Scene {
     
     /**
      * Store user data for use in the game
-     * @param {string} username - The username
+     * @param {Object} session - The session returned by the auth server
      * @param {boolean} rememberMe - Whether to remember the user
      */
-    storeUserData(username, rememberMe) {
-        // Store the username in the game registry for use in other scenes
+    storeUserData(session, rememberMe) {
+        const { username, playerId, token } = session;
+        
+        // Store the session in the game registry for use in other scenes
         this.registry.set('username', username);
+        this.registry.set('playerId', playerId);
+        this.registry.set('authToken', token);
         
         // Store the username in localStorage if remember me is checked
         if (rememberMe) {
@@ -399,12 +416,18 @@ export class LoginScene extends Scene {
      * Enter MMO mode
      */
     enterMMOMode() {
-        // Check if logged in or use guest mode
-        const usernameInput = document.getElementById('username-input');
-        const username = usernameInput?.value || `Guest_${Math.floor(Math.random() * 10000)}`;
+        // The MMO server only accepts players with a valid session
+        const session = authService.getSession();
         
-        // Set username in registry
-        this.registry.set('username', username);
+        if (!session) {
+            this.showLoginMessage('Log in to enter MMO mode!', 'warning');
+            return;
+        }
+        
+        // Set session details in registry
+        this.registry.set('username', session.username);
+        this.registry.set('playerId', session.playerId);
+        this.registry.set('authToken', session.token);
         
         // Show loading message
         this.showLoginMessage('Connecting to MMO server...');
@@ -2,6 +2,9 @@ import { Game } from './Game';
 import { logger, LogCategory } from '../utils/Logger';
 import webSocketClient from '../utils/WebSocketClient';
 import flagService from '../utils/FlagService';
+import characterService from '../utils/CharacterService';
+import inventoryTransactions from '../utils/InventoryTransactionService';
+import { ABANDONED_FLAG_TINT, ABANDONED_FLAG_ALPHA } from '../utils/FlagManager';
 import { v4 as uuidv4 } from 'uuid';
 
 /**
@@ -42,6 +45,10 @@ export class MMOGame extends Game {
     
     logger.info(LogCategory.PLAYER, `Setting up MMO functionality for player: ${username} (${this.playerId})`);
     
+    // Stats, skills, inventory and equipment are loaded from and saved to the server
+    characterService.attach(this);
+    inventoryTransactions.attach(this);
+    
     // Set up websocket connection
     this.setupWebSocketConnection(username);
     
@@ -66,16 +73,22 @@ export class MMOGame extends Game {
     // Initialize WebSocket client with player information
     webSocketClient.playerId = this.playerId;
     webSocketClient.username = username;
+    webSocketClient.token = this.registry.get('authToken');
     
     // Set up authentication callback
     webSocketClient.onAuthenticatedCallback = (data) => {
       this.isAuthenticated = true;
+      
+      // The server's player ID comes from the session and is authoritative
+      this.playerId = data.playerId;
+      this.registry.set('playerId', data.playerId);
       logger.info(LogCategory.AUTH, 'Player authenticated with server:', data);
       
       // Request initial flags
       flagService.requestFlags();
       
-      // Update player position on the server
+      // Tell the server what we can see straight away, then where we are
+      this.sendViewport();
       this.sendPlayerPosition();
       
       // Show notification
@@ -86,6 +99,12 @@ export class MMOGame extends Game {
     webSocketClient.onDisconnectCallback = (event) => {
       this.isConnected = false;
       this.isAuthenticated = false;
+      
+      // A new connection starts with no viewport and no known players
+      this.lastViewport = null;
+      for (const playerId of [...this.remotePlayers.keys()]) {
+        this.removeRemotePlayer(playerId);
+      }
       logger.warn(LogCategory.NETWORK, 'Disconnected from server:', event);
       
       // Show notification
@@ -102,6 +121,27 @@ export class MMOGame extends Game {
       this.handleRemotePlayerDisconnect(data);
     });
     
+    // Set up movement correction handler
+    webSocketClient.registerHandler('position-correction', (data) => {
+      this.handlePositionCorrection(data);
+    });
+    
+    // An admin moved the player
+    webSocketClient.registerHandler('admin-teleport', (data) => {
+      this.teleportPlayer(data.position);
+      flagService.updatePlayerPosition(data.position);
+    });
+    
+    // Messages from the server operators
+    webSocketClient.registerHandler('server-announcement', (data) => {
+      this.showNotification(data.message, data.level === 'warning' ? 'warning' : 'info');
+    });
+    
+    // Set up area-of-interest delta handler
+    webSocketClient.registerHandler('players-delta', (data) => {
+      this.handlePlayersDelta(data);
+    });
+    
     // Set up players list handler
     webSocketClient.registerHandler('players-list', (data) => {
       this.handlePlayersList(data);
@@ -116,7 +156,7 @@ export class MMOGame extends Game {
           
           // Only authenticate if not already being handled by WebSocketClient
           if (!webSocketClient.isAuthenticated && !webSocketClient.authenticate) {
-            webSocketClient.authenticate(this.playerId, username);
+            webSocketClient.authenticate(this.playerId, username, webSocketClient.token);
           }
         } else {
           logger.error(LogCategory.NETWORK, 'Failed to connect to MMO server');
@@ -166,9 +206,15 @@ export class MMOGame extends Game {
       this.createServerFlag(flag);
     });
     
-    flagService.onFlagRemoved((flagId) => {
+    flagService.onFlagRemoved((flagId, resources) => {
       logger.info(LogCategory.FLAG, 'Flag removed:', flagId);
       this.removeServerFlag(flagId);
+      
+      // Only the owner's own removals return materials
+      if (resources && Object.keys(resources).length > 0) {
+        const returned = Object.entries(resources).map(([itemId, quantity]) => `${quantity} ${itemId}`);
+        this.showNotification(`Flag removed; got back ${returned.join(', ')}`, 'success');
+      }
     });
     
     flagService.onFlagUpdate((flag) => {
@@ -181,6 +227,44 @@ export class MMOGame extends Game {
       this.teleportPlayer(position, visualBoundary);
     });
     
+    // E.g. not enough materials to place or harden a flag
+    flagService.onFlagError((error) => {
+      this.showNotification(error, 'error');
+    });
+    
+    // Tell the player when another player claims one of their abandoned flags
+    flagService.onFlagTakenOver((takeover) => {
+      this.showNotification(`${takeover.newOwnerName} took over your abandoned flag ${takeover.flagName}`, 'warning');
+    });
+    
+    // Gold the server moved for flag tolls and revenue shares; loot is announced by claimLoot
+    characterService.addUpdateListener((update) => {
+      if (!update.goldChange || update.reason === 'loot') {
+        return;
+      }
+      
+      if (update.goldChange > 0) {
+        const earning = update.reason === 'toll' ? 'paid a toll of' : 'shared';
+        this.showNotification(`${update.payerName} ${earning} ${update.goldChange} gold at ${update.flagName}`, 'success');
+      } else if (update.reason === 'toll') {
+        this.showNotification(`Paid a toll of ${-update.goldChange} gold`, 'info');
+      } else {
+        this.showNotification(`${-update.goldChange} gold went to the owner of ${update.flagName}`, 'info');
+      }
+    });
+    
+    // Warn the player when one of their flags is besieged
+    flagService.onFlagSiege((siege) => {
+      const messages = {
+        attacked: [`${siege.flagName} was attacked by ${siege.attackerName} (${siege.health} health left)`, 'warning'],
+        burning: [`${siege.flagName} was set on fire by ${siege.attackerName}! It burns down ${new Date(siege.burnEndsAt).toLocaleString()}`, 'error'],
+        extinguished: [`The fire on ${siege.flagName} is out`, 'success'],
+        destroyed: [`${siege.flagName} burned down`, 'error']
+      };
+      const [message, type] = messages[siege.event] || [`${siege.flagName}: ${siege.event}`, 'info'];
+      this.showNotification(message, type);
+    });
+    
     // Listen for initial flags loaded
     window.addEventListener('flags-loaded', (event) => {
       logger.info(LogCategory.FLAG, `Loaded ${event.detail.length} flags from server`);
@@ -231,13 +315,8 @@ export class MMOGame extends Game {
     // Create a group for remote players
     this.remotePlayerGroup = this.add.group();
     
-    // Request players near the current position
-    this.time.addEvent({
-      delay: 5000, // Every 5 seconds
-      callback: this.requestNearbyPlayers,
-      callbackScope: this,
-      loop: true
-    });
+    // Nearby players are pushed by the server as deltas for our viewport
+    this.lastViewport = null;
   }
   
   /**
@@ -424,22 +503,108 @@ export class MMOGame extends Game {
       content.appendChild(status);
     }
     
-    // Add teleport button
+    if (flag.isAbandoned) {
+      const abandoned = document.createElement('p');
+      abandoned.textContent = isOwnFlag ? 'Abandoned - visit it to keep it' : 'Abandoned';
+      abandoned.style.color = '#A0A0A0';
+      abandoned.style.fontWeight = 'bold';
+      content.appendChild(abandoned);
+    }
+    
+    // Flag health and fire
+    if (!isSystemFlag) {
+      const health = document.createElement('p');
+      health.textContent = `Health: ${flag.health}`;
+      content.appendChild(health);
+    }
+    
+    const isBurning = Boolean(flag.burnEndsAt);
+    if (isBurning) {
+      const burning = document.createElement('p');
+      burning.textContent = `Burning! Destroyed ${new Date(flag.burnEndsAt).toLocaleString()}`;
+      burning.style.color = '#FF4500';
+      burning.style.fontWeight = 'bold';
+      content.appendChild(burning);
+    }
+    
+    // Siege buttons for other players' flags; the server checks range and cooldown
+    if (!isOwnFlag && !isSystemFlag && !isBurning) {
+      // Attacks take flags down to half health, then they must be burned
+      const canBurn = flag.health <= 100;
+      const siegeBtn = document.createElement('button');
+      siegeBtn.textContent = canBurn ? 'Set on Fire (20 Crude Oil)' : 'Attack Flag';
+      siegeBtn.className = 'flag-attack-btn';
+      siegeBtn.onclick = () => {
+        this.uiManager.popupSystem.closeCurrentPopup();
+        
+        if (canBurn) {
+          flagService.burnFlag(flag.id);
+        } else {
+          flagService.attackFlag(flag.id);
+        }
+      };
+      content.appendChild(siegeBtn);
+    }
+    
+    // Take over button for other players' abandoned flags; Roc Shrines and Guard Towers cannot be taken
+    const canTakeOver = flag.type !== 'roc-shrine' && flag.type !== 'guard-tower';
+    if (!isOwnFlag && !isSystemFlag && flag.isAbandoned && canTakeOver && !isBurning) {
+      const takeoverBtn = document.createElement('button');
+      takeoverBtn.textContent = 'Take Over (3 Leather, 3 Wood)';
+      takeoverBtn.className = 'flag-takeover-btn';
+      takeoverBtn.onclick = () => {
+        this.uiManager.popupSystem.closeCurrentPopup();
+        // The flag keeps its name
+        flagService.takeoverFlag(flag.id);
+        this.showNotification('Taking over flag...', 'info');
+      };
+      content.appendChild(takeoverBtn);
+    }
+    
+    // Add extinguish button if the player's own flag is burning
+    if (isOwnFlag && isBurning) {
+      const extinguishBtn = document.createElement('button');
+      extinguishBtn.textContent = 'Put Out Fire';
+      extinguishBtn.className = 'flag-extinguish-btn';
+      extinguishBtn.onclick = () => {
+        this.uiManager.popupSystem.closeCurrentPopup();
+        flagService.extinguishFlag(flag.id);
+        this.showNotification('Putting out the fire...', 'info');
+      };
+      content.appendChild(extinguishBtn);
+    }
+    
+    // Add teleport button; every jump costs Roc Feathers
     const teleportBtn = document.createElement('button');
-    teleportBtn.textContent = 'Teleport Here';
+    teleportBtn.textContent = 'Teleport Here (2 Roc Feathers)';
     teleportBtn.className = 'flag-teleport-btn';
     teleportBtn.onclick = () => {
       // Close the popup
       this.uiManager.popupSystem.closeCurrentPopup();
       
-      // Teleport to flag
-      flagService.teleportToFlag(flag.id);
-      
-      // Show notification
-      this.showNotification('Teleporting...', 'info');
+      this.startTeleport(flag);
     };
     content.appendChild(teleportBtn);
     
+    // Flags the player jumped to lately, filled in once the server answers
+    const recent = document.createElement('div');
+    recent.className = 'flag-recent-destinations';
+    recent.hidden = true;
+    content.appendChild(recent);
+    this.showRecentDestinations(recent, flag);
+    
+    // Add earnings button if player owns the flag
+    if (isOwnFlag) {
+      const earningsBtn = document.createElement('button');
+      earningsBtn.textContent = 'Earnings';
+      earningsBtn.className = 'flag-earnings-btn';
+      earningsBtn.onclick = () => {
+        this.uiManager.popupSystem.closeCurrentPopup();
+        this.showFlagEarnings(flag);
+      };
+      content.appendChild(earningsBtn);
+    }
+    
     // Add harden button if player owns the flag and it's not hardened
     if (isOwnFlag && !flag.isHardened) {
       const hardenBtn = document.createElement('button');
@@ -458,8 +623,8 @@ export class MMOGame extends Game {
       content.appendChild(hardenBtn);
     }
     
-    // Add remove button if player owns the flag
-    if (isOwnFlag) {
+    // Add remove button if player owns the flag; burning flags cannot be taken down
+    if (isOwnFlag && !isBurning) {
       const removeBtn = document.createElement('button');
       removeBtn.textContent = 'Remove Flag';
       removeBtn.className = 'flag-remove-btn';
@@ -485,6 +650,161 @@ export class MMOGame extends Game {
     });
   }
   
+  /**
+   * Teleport to a flag, asking the player to confirm its toll first if it charges one
+   * @param {Object} flag - Flag data
+   */
+  startTeleport(flag) {
+    // Other players' public flags charge a toll, which the player confirms first
+    const toll = flagService.getToll(flag);
+    if (toll > 0) {
+      this.confirmToll(flag, toll);
+      return;
+    }
+    
+    // Teleport to flag
+    flagService.teleportToFlag(flag.id, 0);
+    
+    // Show notification
+    this.showNotification('Teleporting...', 'info');
+  }
+  
+  /**
+   * List the player's recent destinations in a flag's info popup
+   * @param {HTMLElement} container - Element to fill, shown once there is a destination to list
+   * @param {Object} flag - The flag the popup is about, left out of the list
+   */
+  async showRecentDestinations(container, flag) {
+    let destinations;
+    try {
+      destinations = await flagService.requestRecentDestinations();
+    } catch (error) {
+      logger.warn(LogCategory.FLAG, `Could not load recent destinations: ${error.message}`);
+      return;
+    }
+    
+    const others = destinations.filter(destination => destination.flag.id !== flag.id);
+    if (others.length === 0) {
+      return;
+    }
+    
+    const title = document.createElement('h4');
+    title.textContent = 'Recent Destinations';
+    container.appendChild(title);
+    
+    for (const { flag: destination, toll } of others) {
+      const jumpBtn = document.createElement('button');
+      jumpBtn.textContent = toll > 0 ? `${destination.name} (${toll} gold toll)` : destination.name;
+      jumpBtn.className = 'flag-teleport-btn';
+      jumpBtn.onclick = () => {
+        this.uiManager.popupSystem.closeCurrentPopup();
+        this.startTeleport(destination);
+      };
+      container.appendChild(jumpBtn);
+    }
+    
+    container.hidden = false;
+  }
+  
+  /**
+   * Ask the player to pay a flag's toll before teleporting there
+   * The agreed toll goes to the server as the most the player will pay, in case the owner raises it.
+   * @param {Object} flag - Flag data
+   * @param {number} toll - Gold the teleport costs
+   */
+  confirmToll(flag, toll) {
+    const content = document.createElement('div');
+    content.className = 'flag-popup';
+    
+    const title = document.createElement('h3');
+    title.textContent = `Teleport to ${flag.name}?`;
+    content.appendChild(title);
+    
+    const message = document.createElement('p');
+    message.textContent = `The owner charges a toll of ${toll} gold.`;
+    content.appendChild(message);
+    
+    const payBtn = document.createElement('button');
+    payBtn.textContent = `Pay ${toll} Gold`;
+    payBtn.className = 'flag-teleport-btn';
+    payBtn.onclick = () => {
+      this.uiManager.popupSystem.closeCurrentPopup();
+      flagService.teleportToFlag(flag.id, toll);
+      this.showNotification('Teleporting...', 'info');
+    };
+    content.appendChild(payBtn);
+    
+    const cancelBtn = document.createElement('button');
+    cancelBtn.textContent = 'Cancel';
+    cancelBtn.onclick = () => {
+      this.uiManager.popupSystem.closeCurrentPopup();
+    };
+    content.appendChild(cancelBtn);
+    
+    this.uiManager.popupSystem.showPopup({
+      content: content,
+      position: 'center',
+      duration: 0,
+      closeButton: true
+    });
+  }
+  
+  /**
+   * Show the tolls and revenue shares one of the player's flags has earned
+   * @param {Object} flag - Flag data
+   */
+  async showFlagEarnings(flag) {
+    const content = document.createElement('div');
+    content.className = 'flag-popup';
+    
+    const title = document.createElement('h3');
+    title.textContent = `Earnings of ${flag.name}`;
+    content.appendChild(title);
+    
+    const list = document.createElement('ul');
+    list.className = 'flag-earnings-list';
+    content.appendChild(list);
+    
+    const moreBtn = document.createElement('button');
+    moreBtn.textContent = 'Show Older';
+    moreBtn.hidden = true;
+    content.appendChild(moreBtn);
+    
+    // Add a page of entries, newest first
+    const loadPage = async (beforeId = undefined) => {
+      try {
+        const page = await flagService.requestEarnings({ flagId: flag.id, beforeId });
+        
+        for (const entry of page.entries) {
+          const item = document.createElement('li');
+          const what = entry.kind === 'toll' ? 'toll' : 'revenue share';
+          item.textContent = `${new Date(entry.createdAt).toLocaleString()}: ${entry.amount} gold ${what} from ${entry.payerName || entry.payerId}`;
+          list.appendChild(item);
+        }
+        
+        if (list.children.length === 0) {
+          const empty = document.createElement('li');
+          empty.textContent = 'No tolls or revenue shares yet';
+          list.appendChild(empty);
+        }
+        
+        moreBtn.hidden = page.nextBeforeId === null;
+        moreBtn.onclick = () => loadPage(page.nextBeforeId);
+      } catch (error) {
+        this.showNotification(`Could not load earnings: ${error.message}`, 'error');
+      }
+    };
+    
+    this.uiManager.popupSystem.showPopup({
+      content: content,
+      position: 'center',
+      duration: 0,
+      closeButton: true
+    });
+    
+    await loadPage();
+  }
+  
   /**
    * Color a flag sprite based on ownership
    * @param {Phaser.GameObjects.Image} flagSprite - Flag sprite
@@ -494,6 +814,10 @@ export class MMOGame extends Game {
     if (flag.ownerId === 'system') {
       // System flags are gold
       flagSprite.setTint(0xFFD700);
+    } else if (flag.isAbandoned) {
+      // Abandoned flags are faded grey, even the player's own, as anyone may take them over
+      flagSprite.setTint(ABANDONED_FLAG_TINT);
+      flagSprite.setAlpha(ABANDONED_FLAG_ALPHA);
     } else if (flag.ownerId === this.playerId) {
       // Player's own flags are green
       flagSprite.setTint(0x00FF00);
@@ -506,6 +830,21 @@ export class MMOGame extends Game {
     }
   }
   
+  /**
+   * Handle the server rejecting a move
+   * @param {Object} data - Correction data ({ position, reason })
+   */
+  handlePositionCorrection(data) {
+    const { position, reason } = data;
+    
+    logger.warn(LogCategory.PLAYER, `Server corrected position: ${reason}`);
+    
+    this.mapManager.reconcilePosition(position.lat, position.lng);
+    
+    // Keep the flag service in step with the corrected position
+    flagService.updatePlayerPosition(position);
+  }
+  
   /**
    * Teleport the player to a position
    * @param {Object} position - Position {lat, lng}
@@ -513,7 +852,7 @@ export class MMOGame extends Game {
    */
   teleportPlayer(position, visualBoundary) {
     // Update map position
-    this.mapManager.jumpToPosition(position.lat, position.lng);
+    this.mapManager.jumpToFlag(position.lat, position.lng);
     
     // Update player position
     if (this.playerManager) {
@@ -576,6 +915,29 @@ export class MMOGame extends Game {
     }
   }
   
+  /**
+   * Handle a batched area-of-interest update
+   * @param {Object} data - Delta data ({ entered, moved, left })
+   */
+  handlePlayersDelta(data) {
+    const { entered, moved, left } = data;
+    
+    for (const player of entered) {
+      this.updateRemotePlayer(player.id, player.position, player);
+    }
+    
+    for (const player of moved) {
+      this.updateRemotePlayer(player.id, player.position);
+    }
+    
+    for (const playerId of left) {
+      this.removeRemotePlayer(playerId);
+    }
+    
+    // Update visible player count
+    this.updateOnlinePlayerCount(this.remotePlayers.size + 1); // +1 for self
+  }
+  
   /**
    * Update or create a remote player
    * @param {string} playerId - Player ID
@@ -733,10 +1095,10 @@ export class MMOGame extends Game {
   }
   
   /**
-   * Request nearby players
+   * Send the visible bounds to the server if they have changed
    */
-  requestNearbyPlayers() {
-    // Only request when connected
+  sendViewport() {
+    // Only send when connected
     if (!this.isAuthenticated) {
       return;
     }
@@ -755,8 +1117,15 @@ export class MMOGame extends Game {
       maxLng: playerPos.lng + 0.01
     };
     
-    // Request players in this bounding box
-    webSocketClient.getPlayersInBounds(boundingBox);
+    // Skip small changes; the box is generous enough to cover them
+    if (this.lastViewport &&
+        Math.abs(this.lastViewport.minLat - boundingBox.minLat) < 0.002 &&
+        Math.abs(this.lastViewport.minLng - boundingBox.minLng) < 0.002) {
+      return;
+    }
+    
+    this.lastViewport = boundingBox;
+    webSocketClient.updateViewport(boundingBox);
   }
   
   /**
@@ -777,6 +1146,9 @@ export class MMOGame extends Game {
     // Send position update
     webSocketClient.sendPlayerMove(playerPos);
     
+    // Keep the server's view of what we can see up to date
+    this.sendViewport();
+    
     // Update flagService with player position
     flagService.updatePlayerPosition(playerPos);
   }
@@ -830,6 +1202,10 @@ export class MMOGame extends Game {
    * Shutdown the scene
    */
   shutdown() {
+    // Save the character while the connection is still open
+    characterService.detach();
+    inventoryTransactions.detach();
+    
     // Disconnect from server
     if (webSocketClient.isConnected) {
       webSocketClient.disconnect();
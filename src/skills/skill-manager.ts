@@ -2,6 +2,15 @@ import Phaser from 'phaser';
 import { EnhancedSkill } from './skill';
 import { EnhancedSkillEffectSystem, PlayerStats } from './skill-effect-system';
 
+/**
+ * Learned skills and unspent points, as saved with the character.
+ */
+export interface SkillSaveData {
+  skillPoints: number;
+  specializationPath: string | null;
+  learned: { id: string; level: number }[];
+}
+
 /**
  * Manages all skills and their effects for a player.
  */
@@ -166,19 +175,7 @@ export class EnhancedSkillManager extends Phaser.Events.EventEmitter {
     // Get a copy of the skill for the player
     let playerSkill = this.playerSkills.get(skillId);
     if (!playerSkill) {
-      // Create a new instance with the same properties
-      playerSkill = new EnhancedSkill({
-        id: skill.id,
-        name: skill.name,
-        description: skill.description,
-        category: skill.category,
-        levels: skill.levels,
-        prerequisites: skill.prerequisites,
-        specialUnlockRequirements: skill.specialUnlockRequirements,
-        isSpecialization: skill.isSpecialization,
-        specializationPath: skill.specializationPath,
-        iconUrl: skill.iconUrl
-      });
+      playerSkill = this.createPlayerSkill(skill);
       this.playerSkills.set(skillId, playerSkill);
     }
     
@@ -286,20 +283,8 @@ export class EnhancedSkillManager extends Phaser.Events.EventEmitter {
     // Get a copy of the skill for the player
     let playerSkill = this.playerSkills.get(skillId);
     if (!playerSkill) {
-      // Create a new instance with the same properties
-      playerSkill = new EnhancedSkill({
-        id: skill.id,
-        name: skill.name,
-        description: skill.description,
-        category: skill.category,
-        levels: skill.levels,
-        prerequisites: skill.prerequisites,
-        specialUnlockRequirements: skill.specialUnlockRequirements,
-        isSpecialization: skill.isSpecialization,
-        specializationPath: skill.specializationPath,
-        iconUrl: skill.iconUrl
-      });
       // Don't add it to playerSkills yet, just check if it can be learned
+      playerSkill = this.createPlayerSkill(skill);
     }
     
     return playerSkill.canUpgrade(this.skillPoints, this.playerSkills);
@@ -312,4 +297,69 @@ export class EnhancedSkillManager extends Phaser.Events.EventEmitter {
   getLearnableSkills(): EnhancedSkill[] {
     return this.getAllSkills().filter(skill => this.canLearnSkill(skill.id));
   }
+  
+  /**
+   * Gets the learned skills and unspent points for saving.
+   * @returns Skill points, specialization path and the level of each learned skill
+   */
+  serialize(): SkillSaveData {
+    return {
+      skillPoints: this.skillPoints,
+      specializationPath: this.specializationPath,
+      learned: this.getPlayerSkills()
+        .filter(skill => skill.level > 0)
+        .map(skill => ({ id: skill.id, level: skill.level }))
+    };
+  }
+  
+  /**
+   * Replaces the learned skills and unspent points with saved ones.
+   * Skills that no longer exist are skipped and levels are capped at each skill's maximum.
+   * @param data Data from serialize()
+   */
+  deserialize(data: SkillSaveData): void {
+    this.playerSkills.clear();
+    
+    for (const { id, level } of data.learned) {
+      const skill = this.availableSkills.get(id);
+      if (!skill) {
+        continue;
+      }
+      
+      const playerSkill = this.createPlayerSkill(skill);
+      playerSkill.level = Math.min(level, skill.maxLevel);
+      this.playerSkills.set(id, playerSkill);
+    }
+    
+    this.skillPoints = data.skillPoints;
+    this.specializationPath = data.specializationPath;
+    
+    // Update the effect system
+    this.effectSystem.updatePlayerSkills(this.playerSkills);
+    
+    // Emit events
+    this.emit('skills-loaded');
+    this.emit('skill-points-changed', this.skillPoints);
+    this.emit('specialization-changed', this.specializationPath);
+  }
+  
+  /**
+   * Creates the player's own copy of an available skill, at level 0.
+   * @param skill The available skill
+   * @returns A new skill instance with the same properties
+   */
+  private createPlayerSkill(skill: EnhancedSkill): EnhancedSkill {
+    return new EnhancedSkill({
+      id: skill.id,
+      name: skill.name,
+      description: skill.description,
+      category: skill.category,
+      levels: skill.levels,
+      prerequisites: skill.prerequisites,
+      specialUnlockRequirements: skill.specialUnlockRequirements,
+      isSpecialization: skill.isSpecialization,
+      specializationPath: skill.specializationPath,
+      iconUrl: skill.iconUrl
+    });
+  }
 } 
\ No newline at end of file
@@ -12,7 +12,7 @@ export class LoginScreen {
         this.options = Object.assign({
             onLogin: (username, password, rememberMe) => {
                 console.log('Login attempt:', { username, password, rememberMe });
-                return true; // Return true to indicate successful login
+                return true; // Return true (or a promise of true) to indicate successful login
             },
             onCreateAccount: () => {
                 console.log('Create account clicked');
@@ -150,7 +150,7 @@ export class LoginScreen {
         const createAccountLink = this.loginElement.querySelector('#create-account');
         
         // Form submission
-        loginForm.addEventListener('submit', (e) => {
+        loginForm.addEventListener('submit', async (e) => {
             e.preventDefault();
             
             const username = usernameInput.value.trim();
@@ -158,7 +158,13 @@ export class LoginScreen {
             const rememberMe = rememberMeCheckbox.checked;
             
             // Call the onLogin callback
-            const loginSuccess = this.options.onLogin(username, password, rememberMe);
+            // The callback may return a promise while it talks to the server
+            const submitButton = loginForm.querySelector('button[type="submit"]');
+            if (submitButton) submitButton.disabled = true;
+            
+            const loginSuccess = await this.options.onLogin(username, password, rememberMe);
+            
+            if (submitButton) submitButton.disabled = false;
             
             // If login is successful, hide the login screen
             if (loginSuccess) {
@@ -12,7 +12,7 @@ export class RegisterScreen {
         this.options = Object.assign({
             onRegister: (username, password, email) => {
                 console.log('Registration attempt:', { username, password, email });
-                return true; // Return true to indicate successful registration
+                return true; // Return true (or a promise of true) to indicate successful registration
             },
             onCancel: () => {
                 console.log('Registration cancelled');
@@ -152,7 +152,7 @@ export class RegisterScreen {
         const backToLoginLink = this.registerElement.querySelector('#back-to-login');
         
         // Form submission
-        registerForm.addEventListener('submit', (e) => {
+        registerForm.addEventListener('submit', async (e) => {
             e.preventDefault();
             
             const username = usernameInput.value.trim();
@@ -167,7 +167,13 @@ export class RegisterScreen {
             }
             
             // Call the onRegister callback
-            const registerSuccess = this.options.onRegister(username, password, email);
+            // The callback may return a promise while it talks to the server
+            const submitButton = registerForm.querySelector('button[type="submit"]');
+            if (submitButton) submitButton.disabled = true;
+            
+            const registerSuccess = await this.options.onRegister(username, password, email);
+            
+            if (submitButton) submitButton.disabled = false;
             
             // If registration is successful, hide the registration screen
             if (registerSuccess) {
@@ -18,8 +18,7 @@ export class ChatExample {
             width: 500,
             height: 600,
             title: 'Game Chat',
-            defaultRoom: 'lobby',
-            serverUrl: '/' // Use relative URL with Vite proxy
+            defaultRoom: 'lobby'
         });
         
         // Create chat toggle button
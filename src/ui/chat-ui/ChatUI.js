@@ -1,10 +1,54 @@
 import { MedievalPanel } from '../medieval-panel';
 import { chatService } from '../../utils/ChatService';
+import webSocketClient from '../../utils/WebSocketClient';
 import { logger, LogCategory } from '../../utils/Logger';
 import { DOMUIHelper } from '../../utils/DOMUIHelper';
 
+// Channels a message can be sent to from the input area
+const CHANNELS = [
+    { value: 'room', label: 'Room' },
+    { value: 'area', label: 'Area' },
+    { value: 'proximity', label: 'Nearby' },
+    { value: 'global', label: 'Global' }
+];
+
+// Labels shown before messages that did not come from the current room
+const SCOPE_LABELS = {
+    area: '[Area]',
+    proximity: '[Nearby]',
+    global: '[Global]',
+    whisper: '[Whisper]'
+};
+
+// Idle time after which the player no longer counts as typing
+const TYPING_IDLE_TIMEOUT = 4000;
+
+// Moderation offered in a message's context menu
+const MUTE_OPTIONS = [
+    { label: 'Mute 5 minutes', durationSeconds: 5 * 60 },
+    { label: 'Mute 1 hour', durationSeconds: 60 * 60 },
+    { label: 'Mute until unmuted', durationSeconds: null }
+];
+
+const BAN_OPTIONS = [
+    { label: 'Ban 1 day', durationSeconds: 24 * 60 * 60 },
+    { label: 'Ban permanently', durationSeconds: null }
+];
+
+// Reasons offered when reporting a message
+const REPORT_REASONS = ['Spam', 'Harassment', 'Offensive language', 'Cheating or scams', 'Other'];
+
+// Slow mode intervals offered in the room context menu
+const SLOW_MODE_OPTIONS = [
+    { label: 'Off', seconds: 0 },
+    { label: '5 seconds', seconds: 5 },
+    { label: '30 seconds', seconds: 30 },
+    { label: '2 minutes', seconds: 120 }
+];
+
 /**
  * UI component for chat and communication
+ * Messages go over the game WebSocket through chatService.
  */
 export class ChatUI {
     /**
@@ -18,6 +62,10 @@ export class ChatUI {
         this.messages = [];
         this.currentRoom = null;
         this.rooms = [];
+        this.whisperTarget = null; // { playerId, name }
+        this.typingPlayers = new Map(); // playerId -> name
+        this.typingIdleTimer = null;
+        this.contextMenu = null;
         
         // Default options
         this.options = {
@@ -27,7 +75,6 @@ export class ChatUI {
             position: options.position || { x: 'right', y: 'center' },
             onClose: options.onClose || null,
             autoConnect: options.autoConnect !== undefined ? options.autoConnect : true,
-            serverUrl: options.serverUrl || 'http://localhost:3000',
             defaultRoom: options.defaultRoom || 'lobby'
         };
         
@@ -182,6 +229,15 @@ export class ChatUI {
         
         // Add to chat container
         this.chatContainer.appendChild(this.messageListContainer);
+        
+        // Create typing indicator
+        this.typingIndicator = document.createElement('div');
+        this.typingIndicator.className = 'chat-typing-indicator';
+        this.typingIndicator.style.minHeight = '1.2em';
+        this.typingIndicator.style.fontSize = '0.8em';
+        this.typingIndicator.style.fontStyle = 'italic';
+        this.typingIndicator.style.color = '#8b5a2b';
+        this.chatContainer.appendChild(this.typingIndicator);
     }
     
     /**
@@ -193,6 +249,25 @@ export class ChatUI {
         this.inputContainer.style.display = 'flex';
         this.inputContainer.style.marginTop = '5px';
         
+        // Create channel selector
+        this.channelSelector = document.createElement('select');
+        this.channelSelector.className = 'medieval-select';
+        this.channelSelector.title = 'Send to';
+        this.channelSelector.style.marginRight = '10px';
+        this.channelSelector.style.padding = '8px';
+        this.channelSelector.style.backgroundColor = '#2a1a0a';
+        this.channelSelector.style.color = '#c8a165';
+        this.channelSelector.style.border = '1px solid #8b5a2b';
+        this.channelSelector.style.borderRadius = '4px';
+        this.channelSelector.style.outline = 'none';
+        
+        CHANNELS.forEach(channel => {
+            const option = document.createElement('option');
+            option.value = channel.value;
+            option.textContent = channel.label;
+            this.channelSelector.appendChild(option);
+        });
+        
         // Create message input
         this.messageInput = document.createElement('input');
         this.messageInput.type = 'text';
@@ -218,6 +293,7 @@ export class ChatUI {
         this.sendButton.style.cursor = 'pointer';
         
         // Add elements to container
+        this.inputContainer.appendChild(this.channelSelector);
         this.inputContainer.appendChild(this.messageInput);
         this.inputContainer.appendChild(this.sendButton);
         
@@ -247,6 +323,22 @@ export class ChatUI {
             this.showCreateRoomDialog();
         });
         
+        // Room settings for owners and moderators
+        this.roomSelectorContainer.addEventListener('contextmenu', (event) => {
+            event.preventDefault();
+            this.showRoomContextMenu(event.clientX, event.clientY);
+        });
+        
+        // Close the context menu on any click or Escape
+        this.handleDocumentClick = () => this.hideContextMenu();
+        this.handleDocumentKeydown = (event) => {
+            if (event.key === 'Escape') {
+                this.hideContextMenu();
+            }
+        };
+        document.addEventListener('click', this.handleDocumentClick);
+        document.addEventListener('keydown', this.handleDocumentKeydown);
+        
         // Send button click
         this.sendButton.addEventListener('click', () => {
             this.sendMessage();
@@ -259,6 +351,26 @@ export class ChatUI {
             }
         });
         
+        // Escape stops whispering
+        this.messageInput.addEventListener('keydown', (event) => {
+            if (event.key === 'Escape' && this.whisperTarget) {
+                this.clearWhisperTarget();
+            }
+        });
+        
+        // Typing indicator
+        this.messageInput.addEventListener('input', () => {
+            this.handleTyping();
+        });
+        
+        // Channel change
+        this.channelSelector.addEventListener('change', () => {
+            this.stopTyping();
+            if (this.channelSelector.value !== 'whisper') {
+                this.clearWhisperTarget();
+            }
+        });
+        
         // Chat service events
         chatService.onConnection(() => {
             this.refreshRooms();
@@ -272,11 +384,37 @@ export class ChatUI {
         
         chatService.onRoomHistory((messages) => {
             this.clearMessages();
+            this.clearTypingPlayers();
             messages.forEach(message => {
                 this.addMessage(message);
             });
         });
         
+        chatService.onUserJoined((data) => {
+            if (data.roomId === this.currentRoom) {
+                this.addSystemMessage(`${data.sender} joined the room`);
+            }
+        });
+        
+        chatService.onUserLeft((data) => {
+            if (data.roomId === this.currentRoom) {
+                this.typingPlayers.delete(data.playerId);
+                this.updateTypingIndicator();
+            }
+        });
+        
+        chatService.onTyping((data) => {
+            this.handleRemoteTyping(data);
+        });
+        
+        chatService.onRoomError((message) => {
+            this.addSystemMessage(message);
+        });
+        
+        chatService.onModeration((data) => {
+            this.handleModeration(data);
+        });
+        
         chatService.onRoomListUpdated((rooms) => {
             this.updateRoomList(rooms);
         });
@@ -288,10 +426,10 @@ export class ChatUI {
     }
     
     /**
-     * Connect to the chat server
+     * Connect to chat over the game server connection
      */
     connectToServer() {
-        chatService.connect(this.options.serverUrl);
+        chatService.connect();
     }
     
     /**
@@ -532,18 +670,23 @@ export class ChatUI {
      * @param {string} roomId - The room ID to join
      * @param {string} password - The password for private rooms
      */
-    joinRoom(roomId, password = null) {
+    async joinRoom(roomId, password = null) {
         if (!roomId) return;
         
-        // Check if room is private and we don't have a password
-        const room = this.rooms.find(r => r.id === roomId);
-        if (room && room.isPrivate && !password) {
-            this.showPasswordDialog(roomId);
+        // Join the room; private rooms we already belong to need no password
+        const joined = await chatService.joinRoom(roomId, password);
+        
+        if (!joined) {
+            // Ask for the password if the private room turned us away
+            const room = this.rooms.find(r => r.id === roomId);
+            if (room && room.isPrivate && !password) {
+                this.showPasswordDialog(roomId);
+            }
+            
+            this.roomSelector.value = this.currentRoom || '';
             return;
         }
         
-        // Join the room
-        chatService.joinRoom(roomId, password);
         this.currentRoom = roomId;
         this.roomSelector.value = roomId;
         
@@ -663,16 +806,172 @@ export class ChatUI {
     /**
      * Send a message
      */
-    sendMessage() {
+    async sendMessage() {
         const message = this.messageInput.value.trim();
+        const scope = this.channelSelector.value;
+        
+        if (!message) {
+            return;
+        }
         
-        if (!message || !this.currentRoom) {
+        if (scope === 'room' && !this.currentRoom) {
+            this.addSystemMessage('Join a room first, or pick another channel');
             return;
         }
         
-        chatService.sendMessage(message);
+        this.stopTyping();
         this.messageInput.value = '';
         this.messageInput.focus();
+        
+        const sent = await chatService.sendMessage(message, scope, this.whisperTarget?.playerId);
+        
+        // Give the text back so it can be fixed and resent
+        if (!sent && !this.messageInput.value) {
+            this.messageInput.value = message;
+        }
+    }
+    
+    /**
+     * Whisper to a player from now on
+     * @param {string} playerId - The player ID
+     * @param {string} name - The player's display name
+     */
+    setWhisperTarget(playerId, name) {
+        if (!playerId || playerId === webSocketClient.playerId) {
+            return;
+        }
+        
+        this.stopTyping();
+        this.whisperTarget = { playerId, name };
+        
+        let option = this.channelSelector.querySelector('option[value="whisper"]');
+        if (!option) {
+            option = document.createElement('option');
+            option.value = 'whisper';
+            this.channelSelector.appendChild(option);
+        }
+        option.textContent = `Whisper: ${name}`;
+        
+        this.channelSelector.value = 'whisper';
+        this.messageInput.placeholder = `Whisper to ${name}... (Esc to stop)`;
+        this.messageInput.focus();
+    }
+    
+    /**
+     * Stop whispering and go back to room chat
+     */
+    clearWhisperTarget() {
+        if (!this.whisperTarget) {
+            return;
+        }
+        
+        this.stopTyping();
+        this.whisperTarget = null;
+        
+        const option = this.channelSelector.querySelector('option[value="whisper"]');
+        if (option) {
+            option.remove();
+        }
+        
+        if (!this.channelSelector.value || this.channelSelector.value === 'whisper') {
+            this.channelSelector.value = 'room';
+        }
+        this.messageInput.placeholder = 'Type your message...';
+    }
+    
+    /**
+     * Get the channel typing indicators are sent to, if the current one has them
+     * @returns {Object|null} - { scope, target } or null for area, nearby and global chat
+     */
+    getTypingChannel() {
+        const scope = this.channelSelector.value;
+        
+        if (scope === 'room' && this.currentRoom) {
+            return { scope, target: this.currentRoom };
+        }
+        
+        if (scope === 'whisper' && this.whisperTarget) {
+            return { scope, target: this.whisperTarget.playerId };
+        }
+        
+        return null;
+    }
+    
+    /**
+     * Report typing while the player has text in the input
+     */
+    handleTyping() {
+        const channel = this.getTypingChannel();
+        if (!channel) {
+            return;
+        }
+        
+        if (!this.messageInput.value.trim()) {
+            this.stopTyping();
+            return;
+        }
+        
+        chatService.setTyping(true, channel.scope, channel.target);
+        
+        clearTimeout(this.typingIdleTimer);
+        this.typingIdleTimer = setTimeout(() => this.stopTyping(), TYPING_IDLE_TIMEOUT);
+    }
+    
+    /**
+     * Stop reporting typing on the current channel
+     */
+    stopTyping() {
+        clearTimeout(this.typingIdleTimer);
+        this.typingIdleTimer = null;
+        
+        const channel = this.getTypingChannel();
+        if (channel) {
+            chatService.setTyping(false, channel.scope, channel.target);
+        }
+    }
+    
+    /**
+     * Show or hide another player's typing indicator
+     * @param {Object} data - { scope, roomId, playerId, sender, isTyping }
+     */
+    handleRemoteTyping(data) {
+        // Room indicators only matter for the room being shown
+        if (data.scope === 'room' && data.roomId !== this.currentRoom) {
+            return;
+        }
+        
+        if (data.isTyping) {
+            this.typingPlayers.set(data.playerId, data.sender);
+        } else {
+            this.typingPlayers.delete(data.playerId);
+        }
+        
+        this.updateTypingIndicator();
+    }
+    
+    /**
+     * Forget every typing indicator
+     */
+    clearTypingPlayers() {
+        this.typingPlayers.clear();
+        this.updateTypingIndicator();
+    }
+    
+    /**
+     * Render the typing indicator text
+     */
+    updateTypingIndicator() {
+        const names = [...this.typingPlayers.values()];
+        
+        if (names.length === 0) {
+            this.typingIndicator.textContent = '';
+        } else if (names.length === 1) {
+            this.typingIndicator.textContent = `${names[0]} is typing...`;
+        } else if (names.length <= 3) {
+            this.typingIndicator.textContent = `${names.join(', ')} are typing...`;
+        } else {
+            this.typingIndicator.textContent = 'Several people are typing...';
+        }
     }
     
     /**
@@ -699,9 +998,18 @@ export class ChatUI {
         // Create sender name
         const senderName = document.createElement('span');
         senderName.className = 'chat-message-sender';
-        senderName.textContent = message.sender;
+        senderName.textContent = this.formatSender(message);
         senderName.style.fontWeight = 'bold';
-        senderName.style.color = '#c8a165';
+        senderName.style.color = message.scope === 'whisper' ? '#b58ad8' : '#c8a165';
+        
+        // Click a name to whisper to that player
+        if (message.senderId && message.senderId !== webSocketClient.playerId) {
+            senderName.style.cursor = 'pointer';
+            senderName.title = `Whisper to ${message.sender}`;
+            senderName.addEventListener('click', () => {
+                this.setWhisperTarget(message.senderId, message.sender);
+            });
+        }
         
         // Create timestamp
         const timestamp = document.createElement('span');
@@ -724,6 +1032,14 @@ export class ChatUI {
         messageContainer.appendChild(messageHeader);
         messageContainer.appendChild(messageContent);
         
+        // Right-click for whisper, report and moderation actions
+        if (message.senderId && message.senderId !== webSocketClient.playerId) {
+            messageContainer.addEventListener('contextmenu', (event) => {
+                event.preventDefault();
+                this.showMessageContextMenu(message, event.clientX, event.clientY);
+            });
+        }
+        
         // Add to message list
         this.messageListContainer.appendChild(messageContainer);
         
@@ -732,6 +1048,248 @@ export class ChatUI {
         
         // Add to messages array
         this.messages.push(message);
+        
+        // A message ends its sender's typing indicator
+        if (message.senderId && this.typingPlayers.delete(message.senderId)) {
+            this.updateTypingIndicator();
+        }
+    }
+    
+    /**
+     * Show the actions available for a message
+     * @param {Object} message - The message
+     * @param {number} x - Screen x position
+     * @param {number} y - Screen y position
+     */
+    showMessageContextMenu(message, x, y) {
+        const targetId = message.senderId;
+        const items = [
+            { label: `Whisper to ${message.sender}`, action: () => this.setWhisperTarget(targetId, message.sender) },
+            { label: 'Report message...', action: () => this.showReportMenu(message, x, y) }
+        ];
+        
+        // Room moderation applies to members of the room being shown
+        if (message.scope === 'room' && message.roomId === this.currentRoom && chatService.canModerate(targetId)) {
+            const moderate = (action, durationSeconds) => () => {
+                chatService.moderate(action, targetId, { durationSeconds });
+            };
+            
+            items.push({ separator: true });
+            MUTE_OPTIONS.forEach(option => {
+                items.push({ label: option.label, action: moderate('mute', option.durationSeconds) });
+            });
+            items.push({ label: 'Unmute', action: moderate('unmute') });
+            items.push({ label: 'Kick from room', action: moderate('kick') });
+            BAN_OPTIONS.forEach(option => {
+                items.push({ label: option.label, action: moderate('ban', option.durationSeconds) });
+            });
+            items.push({ label: 'Unban', action: moderate('unban') });
+            
+            if (chatService.role === 'owner') {
+                const isModerator = chatService.getMemberRole(targetId) === 'moderator';
+                items.push({ separator: true });
+                items.push({
+                    label: isModerator ? 'Remove moderator' : 'Make moderator',
+                    action: () => chatService.setMemberRole(targetId, isModerator ? 'member' : 'moderator')
+                });
+            }
+        }
+        
+        this.showContextMenu(x, y, items);
+    }
+    
+    /**
+     * Show the reasons a message can be reported for
+     * @param {Object} message - The message
+     * @param {number} x - Screen x position
+     * @param {number} y - Screen y position
+     */
+    showReportMenu(message, x, y) {
+        const items = REPORT_REASONS.map(reason => ({
+            label: reason,
+            action: async () => {
+                if (await chatService.reportMessage(message, reason)) {
+                    this.addSystemMessage(`Reported ${message.sender}'s message. Thank you.`);
+                }
+            }
+        }));
+        
+        this.showContextMenu(x, y, [{ label: `Report ${message.sender} for:`, disabled: true }, ...items]);
+    }
+    
+    /**
+     * Show room settings for owners and moderators
+     * @param {number} x - Screen x position
+     * @param {number} y - Screen y position
+     */
+    showRoomContextMenu(x, y) {
+        if (!this.currentRoom || !chatService.role) {
+            return;
+        }
+        
+        const items = [{ label: 'Slow mode:', disabled: true }];
+        SLOW_MODE_OPTIONS.forEach(option => {
+            const isCurrent = chatService.slowModeSeconds === option.seconds;
+            items.push({
+                label: `${isCurrent ? '✓ ' : ''}${option.label}`,
+                action: () => chatService.setSlowMode(option.seconds)
+            });
+        });
+        
+        this.showContextMenu(x, y, items);
+    }
+    
+    /**
+     * Show a context menu
+     * @param {number} x - Screen x position
+     * @param {number} y - Screen y position
+     * @param {Array<Object>} items - { label, action, disabled } or { separator: true }
+     */
+    showContextMenu(x, y, items) {
+        this.hideContextMenu();
+        
+        const menu = document.createElement('div');
+        menu.className = 'chat-context-menu';
+        menu.style.position = 'fixed';
+        menu.style.left = `${x}px`;
+        menu.style.top = `${y}px`;
+        menu.style.minWidth = '160px';
+        menu.style.padding = '4px 0';
+        menu.style.backgroundColor = '#2a1a0a';
+        menu.style.border = '1px solid #8b5a2b';
+        menu.style.borderRadius = '4px';
+        menu.style.boxShadow = '0 4px 8px rgba(0, 0, 0, 0.5)';
+        menu.style.zIndex = '1000';
+        
+        items.forEach(item => {
+            if (item.separator) {
+                const separator = document.createElement('div');
+                separator.style.borderTop = '1px solid #8b5a2b';
+                separator.style.margin = '4px 0';
+                menu.appendChild(separator);
+                return;
+            }
+            
+            const entry = document.createElement('div');
+            entry.className = 'chat-context-menu-item';
+            entry.textContent = item.label;
+            entry.style.padding = '6px 12px';
+            entry.style.color = item.disabled ? '#8b5a2b' : '#c8a165';
+            entry.style.cursor = item.disabled ? 'default' : 'pointer';
+            entry.style.whiteSpace = 'nowrap';
+            
+            if (!item.disabled) {
+                entry.addEventListener('mouseenter', () => {
+                    entry.style.backgroundColor = '#3a2a1a';
+                });
+                entry.addEventListener('mouseleave', () => {
+                    entry.style.backgroundColor = '';
+                });
+                entry.addEventListener('click', (event) => {
+                    event.stopPropagation();
+                    this.hideContextMenu();
+                    item.action();
+                });
+            }
+            
+            menu.appendChild(entry);
+        });
+        
+        // Clicks inside the menu don't close it
+        menu.addEventListener('click', (event) => event.stopPropagation());
+        
+        document.body.appendChild(menu);
+        this.contextMenu = menu;
+        
+        // Keep the menu on screen
+        const bounds = menu.getBoundingClientRect();
+        if (bounds.right > window.innerWidth) {
+            menu.style.left = `${Math.max(0, window.innerWidth - bounds.width)}px`;
+        }
+        if (bounds.bottom > window.innerHeight) {
+            menu.style.top = `${Math.max(0, window.innerHeight - bounds.height)}px`;
+        }
+    }
+    
+    /**
+     * Close the context menu if one is open
+     */
+    hideContextMenu() {
+        if (this.contextMenu) {
+            this.contextMenu.remove();
+            this.contextMenu = null;
+        }
+    }
+    
+    /**
+     * Show a moderation action in the message list
+     * @param {Object} data - { roomId, action, targetId, target, moderator, reason, expiresAt, role, seconds }
+     */
+    handleModeration(data) {
+        const isSelf = data.targetId === webSocketClient.playerId;
+        const who = isSelf ? 'You were' : `${data.target} was`;
+        const until = data.expiresAt ? ` until ${new Date(data.expiresAt).toLocaleString()}` : '';
+        const reason = data.reason ? ` (${data.reason})` : '';
+        
+        const notices = {
+            mute: `${who} muted by ${data.moderator}${until}${reason}`,
+            unmute: `${who} unmuted by ${data.moderator}`,
+            kick: `${who} kicked from the room by ${data.moderator}${reason}`,
+            ban: `${who} banned from the room by ${data.moderator}${until}${reason}`,
+            unban: `${who} unbanned by ${data.moderator}`,
+            role: `${who} made ${data.role === 'moderator' ? 'a moderator' : 'a member'} by ${data.moderator}`,
+            'slow-mode': data.seconds > 0
+                ? `${data.moderator} turned on slow mode: one message every ${data.seconds} seconds`
+                : `${data.moderator} turned off slow mode`
+        };
+        
+        // Notices about other rooms only matter to the player they are about
+        if (data.roomId !== this.currentRoom && !isSelf) {
+            return;
+        }
+        
+        const roomNote = data.roomId !== this.currentRoom ? ` [${data.roomId}]` : '';
+        this.addSystemMessage(`${notices[data.action] || data.action}${roomNote}`);
+        
+        // Removed from the room being shown
+        if (isSelf && (data.action === 'kick' || data.action === 'ban') && data.roomId === this.currentRoom) {
+            this.currentRoom = null;
+            this.roomSelector.value = '';
+            this.clearTypingPlayers();
+            this.panel.setTitle(this.options.title);
+        }
+    }
+    
+    /**
+     * Format the sender line of a message
+     * @param {Object} message - The message
+     * @returns {string} - Sender name with its scope label
+     */
+    formatSender(message) {
+        const label = SCOPE_LABELS[message.scope];
+        
+        if (message.scope === 'whisper' && message.senderId === webSocketClient.playerId) {
+            return `${label} To ${message.target}`;
+        }
+        
+        return label ? `${label} ${message.sender}` : message.sender;
+    }
+    
+    /**
+     * Add a notice (joins, errors) to the message list
+     * @param {string} text - The notice text
+     */
+    addSystemMessage(text) {
+        const notice = document.createElement('div');
+        notice.className = 'chat-system-message';
+        notice.textContent = text;
+        notice.style.marginBottom = '10px';
+        notice.style.fontSize = '0.85em';
+        notice.style.fontStyle = 'italic';
+        notice.style.color = '#8b5a2b';
+        
+        this.messageListContainer.appendChild(notice);
+        this.messageListContainer.scrollTop = this.messageListContainer.scrollHeight;
     }
     
     /**
@@ -845,11 +1403,17 @@ export class ChatUI {
     destroy() {
         // Remove event listeners
         window.removeEventListener('resize', this.handleResize);
+        document.removeEventListener('click', this.handleDocumentClick);
+        document.removeEventListener('keydown', this.handleDocumentKeydown);
+        this.hideContextMenu();
+        
+        // Stop showing as typing
+        this.stopTyping();
         
         // Destroy panel
         this.panel.destroy();
         
-        // Disconnect from server
+        // Leave the current room; the game connection stays open
         chatService.disconnect();
     }
     
@@ -929,8 +1493,7 @@ export class ChatUI {
      * Update room information in the UI
      */
     updateRoomInfo() {
-        // Clear messages
-        this.clearMessages();
+        // Messages were replaced by the room's history when it was joined
         
         // Update panel title
         const room = this.rooms.find(r => r.id === this.currentRoom);
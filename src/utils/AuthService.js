@@ -0,0 +1,151 @@
+import { logger, LogCategory } from './Logger';
+
+// Storage key for the current session
+const SESSION_STORAGE_KEY = 'ae_session';
+
+/**
+ * AuthService - Handles account registration, login and session storage
+ * Sessions are kept in localStorage when "remember me" is checked, otherwise
+ * in sessionStorage so they end with the browser tab.
+ */
+export class AuthService {
+  /**
+   * Constructor for AuthService
+   * @param {Object} options - Configuration options
+   * @param {string} options.serverUrl - Base URL of the game server's HTTP API
+   */
+  constructor(options = {}) {
+    this.serverUrl = options.serverUrl || 'http://localhost:3000';
+  }
+
+  /**
+   * Log in with a username and password
+   * @param {string} username - The username
+   * @param {string} password - The password
+   * @param {boolean} rememberMe - Whether to keep the session across browser restarts
+   * @returns {Promise<Object>} - { success, session } or { success: false, error }
+   */
+  async login(username, password, rememberMe = false) {
+    const result = await this.post('/api/auth/login', { username, password });
+
+    if (result.success) {
+      this.storeSession(result.data, rememberMe);
+      logger.info(LogCategory.AUTH, `Logged in as ${result.data.username}`);
+    }
+
+    return result.success ? { success: true, session: result.data } : result;
+  }
+
+  /**
+   * Register a new account
+   * @param {string} username - The username
+   * @param {string} password - The password
+   * @param {string} email - The email address
+   * @returns {Promise<Object>} - { success, session } or { success: false, error }
+   */
+  async register(username, password, email) {
+    const result = await this.post('/api/auth/register', { username, password, email });
+
+    if (result.success) {
+      this.storeSession(result.data, true);
+      logger.info(LogCategory.AUTH, `Registered account ${result.data.username}`);
+    }
+
+    return result.success ? { success: true, session: result.data } : result;
+  }
+
+  /**
+   * Log out and revoke the current session on the server
+   * @returns {Promise<void>}
+   */
+  async logout() {
+    const session = this.getSession();
+    this.clearSession();
+
+    if (session) {
+      await this.post('/api/auth/logout', {}, session.token);
+    }
+  }
+
+  /**
+   * Get the stored session, if any
+   * @returns {Object|null} - { token, playerId, username, expiresAt } or null
+   */
+  getSession() {
+    const stored = localStorage.getItem(SESSION_STORAGE_KEY) || sessionStorage.getItem(SESSION_STORAGE_KEY);
+    if (!stored) return null;
+
+    try {
+      const session = JSON.parse(stored);
+
+      // Drop sessions we know have expired
+      if (session.expiresAt && new Date(session.expiresAt).getTime() <= Date.now()) {
+        this.clearSession();
+        return null;
+      }
+
+      return session;
+    } catch (error) {
+      logger.warn(LogCategory.AUTH, 'Discarding unreadable stored session');
+      this.clearSession();
+      return null;
+    }
+  }
+
+  /**
+   * Store a session
+   * @param {Object} session - Session data returned by the server
+   * @param {boolean} persistent - Whether to use localStorage instead of sessionStorage
+   */
+  storeSession(session, persistent) {
+    this.clearSession();
+    const storage = persistent ? localStorage : sessionStorage;
+    storage.setItem(SESSION_STORAGE_KEY, JSON.stringify(session));
+  }
+
+  /**
+   * Remove any stored session
+   */
+  clearSession() {
+    localStorage.removeItem(SESSION_STORAGE_KEY);
+    sessionStorage.removeItem(SESSION_STORAGE_KEY);
+  }
+
+  /**
+   * Headers that authenticate a request to the game API as the current session
+   * @returns {Object} - An Authorization header, or no headers when logged out
+   */
+  getAuthHeaders() {
+    const session = this.getSession();
+    return session ? { Authorization: `Bearer ${session.token}` } : {};
+  }
+
+  /**
+   * POST JSON to the auth API
+   * @param {string} path - Request path
+   * @param {Object} body - Request body
+   * @param {string} token - Session token to send (optional)
+   * @returns {Promise<Object>} - Parsed response ({ success, data | error })
+   */
+  async post(path, body, token = null) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (token) {
+      headers.Authorization = `Bearer ${token}`;
+    }
+
+    try {
+      const response = await fetch(`${this.serverUrl}${path}`, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify(body)
+      });
+
+      return await response.json();
+    } catch (error) {
+      logger.error(LogCategory.AUTH, `Auth request to ${path} failed:`, error);
+      return { success: false, error: 'Unable to reach the server' };
+    }
+  }
+}
+
+export default new AuthService();
@@ -0,0 +1,400 @@
+import { logger, LogCategory } from './Logger';
+import webSocketClient from './WebSocketClient';
+import playerStatsService from './player/PlayerStatsService';
+import { getSkillManager } from '../skills/skill-initializer';
+
+// A save waits this long after the last change, so a burst of changes is saved once
+const AUTOSAVE_DELAY = 2000;
+
+// ...but no longer than this after the first unsaved change
+const AUTOSAVE_MAX_DELAY = 15000;
+
+// Where the client kept inventory and equipment before the server stored characters
+const LEGACY_INVENTORY_KEY = 'player_inventory';
+const LEGACY_EQUIPMENT_KEY = 'player_equipment';
+
+// Events after which the character has unsaved changes
+const STATS_EVENTS = ['stats-changed', 'damage-taken', 'healing', 'xp-gained', 'gold-gained', 'gold-spent'];
+const SKILL_EVENTS = ['skill-learned', 'skill-reset', 'all-skills-reset', 'skill-points-changed', 'specialization-changed'];
+
+/**
+ * Service keeping the player's character on the server
+ * Stats and learned skills are loaded when the connection authenticates and
+ * saved a moment after they change. Each save names the version it was based
+ * on; if another session saved in between, the server's copy wins and is
+ * loaded instead. Inventory and equipment are loaded with the character but
+ * change through inventory transactions (see InventoryTransactionService).
+ * A player with no character on the server yet has their old localStorage
+ * inventory and equipment imported once.
+ *
+ * Gold is the server's to change: it adds loot gold and moves gold for
+ * flag tolls and revenue shares, and says so with a character-updated
+ * message carrying the new version. The gold sent with a save is ignored. A change made on top of the version the client holds is applied
+ * locally; any other is picked up by the next save's conflict.
+ */
+export class CharacterService {
+  constructor() {
+    // Stored version the local character is based on; null until loaded
+    this.version = null;
+
+    this.scene = null;
+    this.listeners = [];
+    this.removeConnectionListener = null;
+
+    // Autosave state
+    this.dirty = false;
+    this.saving = false;
+    this.importing = false;
+    this.applying = false;
+    this.saveTimer = null;
+    this.maxDelayTimer = null;
+
+    // Called with every character-updated message the server sends
+    this.updateListeners = new Set();
+
+    this.onPageHide = () => this.flush();
+
+    webSocketClient.registerHandler('character-updated', (data) => this.receiveUpdate(data));
+  }
+
+  /**
+   * Listen for changes the server makes to the character, such as tolls paid
+   * @param {Function} listener - Called with { version, gold, goldChange, reason, flagId, flagName, payerName }
+   * @returns {Function} - Call to stop listening
+   */
+  addUpdateListener(listener) {
+    this.updateListeners.add(listener);
+    return () => this.updateListeners.delete(listener);
+  }
+
+  /**
+   * Keep a game scene's character on the server
+   * @param {Object} scene - Scene with inventoryManager and equipmentManager
+   */
+  attach(scene) {
+    this.detach();
+    this.scene = scene;
+
+    const scheduleSave = () => this.scheduleSave();
+    const skillManager = getSkillManager();
+
+    this.listen(playerStatsService, STATS_EVENTS, scheduleSave);
+    this.listen(skillManager, SKILL_EVENTS, scheduleSave);
+
+    this.removeConnectionListener = webSocketClient.addConnectionListener((isAuthenticated, data) => {
+      if (isAuthenticated) {
+        this.adopt(data.character);
+      }
+    });
+
+    window.addEventListener('pagehide', this.onPageHide);
+
+    // The connection may have authenticated before the scene existed
+    if (webSocketClient.isAuthenticated) {
+      this.load();
+    }
+  }
+
+  /**
+   * Save any pending changes and stop following the scene
+   */
+  detach() {
+    if (!this.scene) {
+      return;
+    }
+
+    this.flush();
+
+    this.listeners.forEach(({ emitter, event, listener }) => emitter.off(event, listener));
+    this.listeners = [];
+
+    if (this.removeConnectionListener) {
+      this.removeConnectionListener();
+      this.removeConnectionListener = null;
+    }
+
+    window.removeEventListener('pagehide', this.onPageHide);
+    this.scene = null;
+    this.version = null;
+  }
+
+  /**
+   * Subscribe to events, remembering the subscriptions for detach
+   * @private
+   * @param {Phaser.Events.EventEmitter} emitter - The emitter
+   * @param {Array<string>} events - Event names
+   * @param {Function} listener - The listener
+   */
+  listen(emitter, events, listener) {
+    for (const event of events) {
+      emitter.on(event, listener);
+      this.listeners.push({ emitter, event, listener });
+    }
+  }
+
+  /**
+   * Fetch the stored character
+   * @returns {Promise<void>}
+   */
+  async load() {
+    try {
+      const { data } = await webSocketClient.request('character-load', {});
+      this.adopt(data.character);
+    } catch (error) {
+      logger.error(LogCategory.PLAYER, `Failed to load character: ${error.message}`);
+    }
+  }
+
+  /**
+   * Adopt the stored character, or create one if the player has none yet
+   * @param {Object|null} character - Stored character from the server
+   */
+  adopt(character) {
+    if (!this.scene) {
+      return;
+    }
+
+    if (!character) {
+      this.importLocalSave();
+      return;
+    }
+
+    // Reconnecting (or being handed to another server) with nothing saved elsewhere keeps local changes
+    if (character.version === this.version) {
+      this.flush();
+      return;
+    }
+
+    this.apply(character);
+  }
+
+  /**
+   * Replace the local character with a stored one
+   * @param {Object} character - { version, stats, skills, inventory, equipment }
+   */
+  apply(character) {
+    this.cancelScheduledSave();
+    this.applying = true;
+
+    try {
+      playerStatsService.deserialize(character.stats);
+      getSkillManager().deserialize(character.skills);
+    } finally {
+      this.applying = false;
+    }
+
+    this.applyItems(character);
+
+    this.version = character.version;
+    this.dirty = false;
+    this.importing = false;
+
+    logger.info(LogCategory.PLAYER, `Character loaded from server (version ${character.version})`);
+  }
+
+  /**
+   * Apply a change the server made to the stored character
+   * @param {Object} update - { version, gold, goldChange, reason, flagId, flagName, payerName }
+   */
+  receiveUpdate(update) {
+    // Applied on top of the local copy so unsaved changes are kept
+    if (this.scene && this.version !== null && update.version === this.version + 1) {
+      this.applying = true;
+
+      try {
+        if (update.goldChange > 0) {
+          playerStatsService.addGold(update.goldChange);
+        } else {
+          playerStatsService.spendGold(Math.min(-update.goldChange, playerStatsService.serialize().gold));
+        }
+      } finally {
+        this.applying = false;
+      }
+
+      this.version = update.version;
+    }
+
+    for (const listener of this.updateListeners) {
+      try {
+        listener(update);
+      } catch (error) {
+        logger.error(LogCategory.PLAYER, `Error in character update listener: ${error.message}`);
+      }
+    }
+  }
+
+  /**
+   * Replace the local inventory and equipment with the server's
+   * @param {Object} items - { inventory, equipment }
+   */
+  applyItems(items) {
+    this.applying = true;
+
+    try {
+      this.scene.inventoryManager.deserialize(items.inventory);
+      this.scene.equipmentManager.deserialize(items.equipment);
+    } finally {
+      this.applying = false;
+    }
+  }
+
+  /**
+   * Send the first save for a player with no stored character
+   * It carries the inventory and equipment, from the old localStorage save if there is one.
+   */
+  importLocalSave() {
+    this.applying = true;
+
+    try {
+      if (localStorage.getItem(LEGACY_INVENTORY_KEY)) {
+        this.scene.inventoryManager.loadInventory(LEGACY_INVENTORY_KEY);
+      }
+
+      if (localStorage.getItem(LEGACY_EQUIPMENT_KEY)) {
+        this.scene.equipmentManager.loadEquipment(LEGACY_EQUIPMENT_KEY);
+      }
+    } finally {
+      this.applying = false;
+    }
+
+    logger.info(LogCategory.PLAYER, 'No character on the server yet; importing the local one');
+
+    this.version = 0;
+    this.importing = true;
+    this.dirty = true;
+    this.save();
+  }
+
+  /**
+   * Save a moment after the latest change
+   */
+  scheduleSave() {
+    if (this.applying || this.version === null) {
+      return;
+    }
+
+    this.dirty = true;
+
+    clearTimeout(this.saveTimer);
+    this.saveTimer = setTimeout(() => this.save(), AUTOSAVE_DELAY);
+
+    if (!this.maxDelayTimer) {
+      this.maxDelayTimer = setTimeout(() => this.save(), AUTOSAVE_MAX_DELAY);
+    }
+  }
+
+  /**
+   * Clear the autosave timers
+   * @private
+   */
+  cancelScheduledSave() {
+    clearTimeout(this.saveTimer);
+    clearTimeout(this.maxDelayTimer);
+    this.saveTimer = null;
+    this.maxDelayTimer = null;
+  }
+
+  /**
+   * Save pending changes now
+   */
+  flush() {
+    if (this.dirty) {
+      this.save();
+    }
+  }
+
+  /**
+   * Send the character to the server if it has unsaved changes
+   * @returns {Promise<void>}
+   */
+  async save() {
+    this.cancelScheduledSave();
+
+    // A save already in flight re-saves when it finishes; offline changes are saved on reconnect
+    if (!this.dirty || this.saving || this.version === null || !webSocketClient.isAuthenticated) {
+      return;
+    }
+
+    this.saving = true;
+    this.dirty = false;
+
+    try {
+      const character = this.importing
+        ? { ...this.serialize(), inventory: this.scene.inventoryManager.serialize(), equipment: this.scene.equipmentManager.serialize() }
+        : this.serialize();
+
+      const { type, data } = await webSocketClient.request('character-save', {
+        version: this.version,
+        character
+      });
+
+      // The scene may have closed while the save was in flight
+      if (!this.scene) {
+        return;
+      }
+
+      if (type === 'character-conflict') {
+        // A server change applied locally during the save left the stored copy at our version
+        if (data.character?.version === this.version) {
+          this.dirty = true;
+          this.scheduleSave();
+          return;
+        }
+
+        logger.warn(LogCategory.PLAYER, 'Character was saved by another session; loading the newer copy');
+        this.adopt(data.character);
+        return;
+      }
+
+      this.version = data.version;
+
+      // The server keeps its own gold, e.g. a new character's starting gold
+      if (data.gold !== undefined && data.gold !== playerStatsService.serialize().gold) {
+        this.applying = true;
+
+        try {
+          playerStatsService.updateStats({ gold: data.gold });
+        } finally {
+          this.applying = false;
+        }
+      }
+
+      if (this.importing) {
+        this.importing = false;
+        localStorage.removeItem(LEGACY_INVENTORY_KEY);
+        localStorage.removeItem(LEGACY_EQUIPMENT_KEY);
+
+        // The server keeps only the imported items it knows that fit the inventory
+        if (data.inventory) {
+          this.applyItems(data);
+        }
+      }
+
+      // Changes made while the save was in flight
+      if (this.dirty) {
+        this.scheduleSave();
+      }
+    } catch (error) {
+      // Retried after the next change or reconnect
+      logger.error(LogCategory.PLAYER, `Failed to save character: ${error.message}`);
+      this.dirty = true;
+    } finally {
+      this.saving = false;
+    }
+  }
+
+  /**
+   * Collect the character's stats and skills
+   * @returns {Object} - { stats, skills }
+   */
+  serialize() {
+    return {
+      stats: playerStatsService.serialize(),
+      skills: getSkillManager().serialize()
+    };
+  }
+}
+
+// Export a singleton instance for global use
+export const characterService = new CharacterService();
+export default characterService;
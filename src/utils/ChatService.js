@@ -1,109 +1,219 @@
-import { io } from 'socket.io-client';
 import { logger, LogCategory } from './Logger';
+import webSocketClient from './WebSocketClient';
+import authService from './AuthService';
+
+// How often a continuing typing indicator is refreshed (the server drops it after 5s)
+const TYPING_REFRESH_INTERVAL = 3000;
+
+// Higher ranks can moderate lower ones; ordinary members have no role
+const ROLE_RANK = { owner: 2, moderator: 1 };
 
 /**
- * Service for handling chat and real-time communication
+ * Service for chat over the game WebSocket
+ * Supports chat rooms (with history on join), area, proximity and global
+ * chat, whispers, typing indicators and room moderation. The connection
+ * itself is shared with the rest of the game through webSocketClient.
  */
 export class ChatService {
   constructor() {
-    this.socket = null;
     this.currentRoom = null;
     this.connected = false;
     this.username = 'Player_' + Math.floor(Math.random() * 1000);
+    this.listening = false;
+    
+    // Our role in the current room, the roles of its members and its slow mode
+    this.role = null;
+    this.memberRoles = new Map(); // playerId -> 'owner' | 'moderator'
+    this.slowModeSeconds = 0;
+    
+    // Last typing indicator sent: { key, sentAt }
+    this.typingState = null;
     
     // Callbacks for different events
     this.messageCallbacks = [];
     this.userJoinedCallbacks = [];
     this.userLeftCallbacks = [];
-    this.playerMovedCallbacks = [];
     this.roomHistoryCallbacks = [];
     this.connectionCallbacks = [];
     this.disconnectionCallbacks = [];
     this.roomListCallbacks = [];
     this.roomErrorCallbacks = [];
+    this.typingCallbacks = [];
+    this.moderationCallbacks = [];
   }
-
+  
   /**
-   * Connect to the chat server
-   * @param {string} serverUrl - The server URL
+   * Start chatting over the game connection, connecting it if needed
    */
-  connect(serverUrl = '/') {
-    if (this.socket) {
-      logger.info(LogCategory.NETWORK, 'Already connected to chat server');
+  connect() {
+    this.listen();
+    
+    if (webSocketClient.isAuthenticated) {
+      this.handleConnected();
       return;
     }
     
-    logger.info(LogCategory.NETWORK, 'Connecting to chat server:', serverUrl);
+    if (webSocketClient.isConnected) {
+      // Authentication is under way; handleConnected runs when it completes
+      return;
+    }
     
-    // Configure socket options
-    const socketOptions = {
-      reconnectionAttempts: 5,
-      reconnectionDelay: 1000,
-      timeout: 10000,
-      autoConnect: true,
-      forceNew: true,
-      withCredentials: true
-    };
+    const session = authService.getSession();
+    if (!session) {
+      this.disconnectionCallbacks.forEach(callback => callback('Log in to use chat'));
+      return;
+    }
     
-    try {
-      this.socket = io(serverUrl, socketOptions);
-      
-      this.socket.on('connect', () => {
-        logger.info(LogCategory.NETWORK, 'Connected to chat server with ID:', this.socket.id);
-        this.connected = true;
-        this.connectionCallbacks.forEach(callback => callback(this.socket.id));
-      });
-      
-      this.socket.on('connect_error', (error) => {
-        logger.error(LogCategory.NETWORK, 'Connection error:', error.message);
-        // Notify UI about connection error
-        this.disconnectionCallbacks.forEach(callback => callback(error.message));
-      });
-      
-      this.socket.on('disconnect', (reason) => {
-        logger.info(LogCategory.NETWORK, 'Disconnected from chat server:', reason);
-        this.connected = false;
-        this.currentRoom = null;
-        this.disconnectionCallbacks.forEach(callback => callback(reason));
-      });
-      
-      // Set up event listeners
-      this.socket.on('receive-message', (message) => {
-        logger.info(LogCategory.NETWORK, 'Received message:', message);
-        this.messageCallbacks.forEach(callback => callback(message));
-      });
-      
-      this.socket.on('user-joined', (data) => {
-        logger.info(LogCategory.NETWORK, 'User joined:', data.userId);
-        this.userJoinedCallbacks.forEach(callback => callback(data.userId));
-      });
-      
-      this.socket.on('user-left', (data) => {
-        logger.info(LogCategory.NETWORK, 'User left:', data.userId);
-        this.userLeftCallbacks.forEach(callback => callback(data.userId));
-      });
-      
-      this.socket.on('player-moved', (data) => {
-        this.playerMovedCallbacks.forEach(callback => callback(data));
-      });
-      
-      this.socket.on('room-history', (messages) => {
-        logger.info(LogCategory.NETWORK, 'Received room history:', messages);
-        this.roomHistoryCallbacks.forEach(callback => callback(messages));
-      });
+    logger.info(LogCategory.NETWORK, 'Connecting to game server for chat');
+    webSocketClient.token = session.token;
+    webSocketClient.connect().catch((error) => {
+      logger.error(LogCategory.NETWORK, 'Chat connection error:', error);
+      this.disconnectionCallbacks.forEach(callback => callback('Could not reach the game server'));
+    });
+  }
+  
+  /**
+   * Register chat message handlers and connection listeners once
+   * @private
+   */
+  listen() {
+    if (this.listening) {
+      return;
+    }
+    this.listening = true;
+    
+    webSocketClient.addConnectionListener((isAuthenticated, data) => {
+      if (isAuthenticated) {
+        this.handleConnected();
+      } else {
+        this.handleDisconnected(data?.reason || 'Connection closed');
+      }
+    });
+    
+    webSocketClient.registerHandler('chat-message', (message) => {
+      // Room messages only matter for the room being shown
+      if (message.scope === 'room' && message.roomId !== this.currentRoom) {
+        return;
+      }
+      this.messageCallbacks.forEach(callback => callback(message));
+    });
+    
+    webSocketClient.registerHandler('chat-user-joined', (data) => {
+      logger.info(LogCategory.CHAT, 'User joined:', data.sender);
+      if (data.roomId === this.currentRoom) {
+        this.updateMemberRole(data.playerId, data.role);
+      }
+      this.userJoinedCallbacks.forEach(callback => callback(data));
+    });
+    
+    webSocketClient.registerHandler('chat-user-left', (data) => {
+      logger.info(LogCategory.CHAT, 'User left:', data.playerId);
+      this.userLeftCallbacks.forEach(callback => callback(data));
+    });
+    
+    webSocketClient.registerHandler('chat-typing', (data) => {
+      this.typingCallbacks.forEach(callback => callback(data));
+    });
+    
+    webSocketClient.registerHandler('chat-moderation', (data) => {
+      this.handleModeration(data);
+    });
+  }
+  
+  /**
+   * Apply a moderation action announced by the server
+   * @private
+   * @param {Object} data - { roomId, action, targetId, target, moderator, reason, expiresAt, role, seconds }
+   */
+  handleModeration(data) {
+    logger.info(LogCategory.CHAT, 'Moderation:', data.action, data.roomId, data.target || '');
+    
+    if (data.roomId === this.currentRoom) {
+      if (data.action === 'role') {
+        this.updateMemberRole(data.targetId, data.role);
+      } else if (data.action === 'slow-mode') {
+        this.slowModeSeconds = data.seconds;
+      }
+    }
+    
+    // Kicked or banned from the room we are in: we are no longer a member
+    const removed = data.action === 'kick' || data.action === 'ban';
+    if (removed && data.targetId === webSocketClient.playerId && data.roomId === this.currentRoom) {
+      this.currentRoom = null;
+      this.resetRoomState();
+    }
+    
+    this.moderationCallbacks.forEach(callback => callback(data));
+  }
+  
+  /**
+   * Record a member's role in the current room
+   * @private
+   * @param {string} playerId - The player ID
+   * @param {string|null} role - 'owner', 'moderator', or null/'member' for ordinary members
+   */
+  updateMemberRole(playerId, role) {
+    const newRole = ROLE_RANK[role] ? role : null;
+    
+    if (newRole) {
+      this.memberRoles.set(playerId, newRole);
+    } else {
+      this.memberRoles.delete(playerId);
+    }
+    
+    if (playerId === webSocketClient.playerId) {
+      this.role = newRole;
+    }
+  }
+  
+  /**
+   * Forget the roles and settings of the room we were in
+   * @private
+   */
+  resetRoomState() {
+    this.role = null;
+    this.memberRoles.clear();
+    this.slowModeSeconds = 0;
+  }
+  
+  /**
+   * Handle the game connection becoming ready for chat
+   * @private
+   */
+  handleConnected() {
+    const wasConnected = this.connected;
+    this.connected = true;
+    
+    if (!wasConnected) {
+      logger.info(LogCategory.NETWORK, 'Chat connected');
+      this.connectionCallbacks.forEach(callback => callback(webSocketClient.playerId));
       
-      this.socket.on('room-error', (error) => {
-        logger.error(LogCategory.NETWORK, 'Room error:', error.message);
-        this.roomErrorCallbacks.forEach(callback => callback(error.message));
-      });
-    } catch (error) {
-      logger.error(LogCategory.NETWORK, 'Error initializing socket connection:', error);
-      this.disconnectionCallbacks.forEach(callback => callback(error.message));
+      // Rejoin the room we were in before a reconnect; membership is remembered by the server
+      if (this.currentRoom) {
+        this.joinRoom(this.currentRoom);
+      }
     }
   }
   
+  /**
+   * Handle the game connection closing
+   * @private
+   * @param {string} reason - Why the connection closed
+   */
+  handleDisconnected(reason) {
+    if (!this.connected) {
+      return;
+    }
+    
+    logger.info(LogCategory.NETWORK, 'Chat disconnected:', reason);
+    this.connected = false;
+    this.typingState = null;
+    this.disconnectionCallbacks.forEach(callback => callback(reason));
+  }
+  
   /**
    * Set the username for this client
+   * The server shows the account's display name; this is only a local fallback.
    * @param {string} username - The username to set
    */
   setUsername(username) {
@@ -112,21 +222,17 @@ export class ChatService {
   
   /**
    * Get available rooms from the server
+   * @returns {Promise<Array>} - The rooms
    */
   async getAvailableRooms() {
-    try {
-      // Use a relative URL when using the proxy
-      const response = await fetch('/api/rooms', {
-        credentials: 'include'
-      });
-      const data = await response.json();
-      
-      if (data.success) {
-        this.roomListCallbacks.forEach(callback => callback(data.data));
-        return data.data;
-      }
-      
+    if (!this.connected) {
       return [];
+    }
+    
+    try {
+      const { data } = await webSocketClient.request('chat-list-rooms', {});
+      this.roomListCallbacks.forEach(callback => callback(data.rooms));
+      return data.rooms;
     } catch (error) {
       logger.error(LogCategory.NETWORK, 'Error fetching rooms:', error);
       return [];
@@ -142,30 +248,17 @@ export class ChatService {
    * @returns {Promise<object>} - The created room
    */
   async createRoom(roomId, name, isPrivate = false, password = null) {
+    const roomData = { roomId, name, isPrivate };
+    if (password) {
+      roomData.password = password;
+    }
+    
     try {
-      const response = await fetch('/api/rooms', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify({
-          roomId,
-          name,
-          isPrivate,
-          password
-        }),
-        credentials: 'include'
-      });
+      const { data } = await webSocketClient.request('chat-create-room', roomData);
       
-      const data = await response.json();
-      
-      if (data.success) {
-        // Refresh room list
-        await this.getAvailableRooms();
-        return data.data;
-      }
-      
-      throw new Error(data.error || 'Failed to create room');
+      // Refresh room list
+      await this.getAvailableRooms();
+      return data.room;
     } catch (error) {
       logger.error(LogCategory.NETWORK, 'Error creating room:', error);
       throw error;
@@ -173,79 +266,246 @@ export class ChatService {
   }
   
   /**
-   * Join a chat room
+   * Join a chat room; its recent history is passed to onRoomHistory callbacks
    * @param {string} roomId - The room ID
    * @param {string} password - The password for private rooms
+   * @returns {Promise<Object|null>} - { room, history, members }, or null if joining failed
    */
-  joinRoom(roomId, password = null) {
+  async joinRoom(roomId, password = null) {
     if (!this.connected) {
       logger.error(LogCategory.NETWORK, 'Not connected to server');
-      return;
+      return null;
     }
     
-    if (this.currentRoom) {
+    if (this.currentRoom && this.currentRoom !== roomId) {
       this.leaveRoom();
     }
     
     logger.info(LogCategory.NETWORK, 'Joining room:', roomId);
     
-    // If password is provided, send as an object
-    if (password) {
-      this.socket.emit('join-room', { roomId, password });
-    } else {
-      this.socket.emit('join-room', roomId);
+    try {
+      const joinData = password ? { roomId, password } : { roomId };
+      const { data } = await webSocketClient.request('chat-join-room', joinData);
+      
+      this.currentRoom = roomId;
+      this.resetRoomState();
+      this.role = data.role || null;
+      this.slowModeSeconds = data.room.slowModeSeconds || 0;
+      data.members.forEach(member => this.updateMemberRole(member.playerId, member.role));
+      
+      this.roomHistoryCallbacks.forEach(callback => callback(data.history, data));
+      return data;
+    } catch (error) {
+      logger.error(LogCategory.NETWORK, 'Room error:', error.message);
+      this.roomErrorCallbacks.forEach(callback => callback(error.message));
+      return null;
     }
-    
-    this.currentRoom = roomId;
   }
   
   /**
    * Leave the current room
    */
   leaveRoom() {
-    if (!this.connected || !this.currentRoom) {
+    if (!this.currentRoom) {
       return;
     }
     
     logger.info(LogCategory.NETWORK, 'Leaving room:', this.currentRoom);
-    this.socket.emit('leave-room', this.currentRoom);
+    
+    const roomId = this.currentRoom;
     this.currentRoom = null;
+    this.resetRoomState();
+    this.setTyping(false, 'room', roomId);
+    
+    if (this.connected) {
+      webSocketClient.request('chat-leave-room', { roomId }).catch((error) => {
+        logger.warn(LogCategory.NETWORK, 'Error leaving room:', error.message);
+      });
+    }
   }
   
   /**
-   * Send a message to the current room
+   * Send a chat message
    * @param {string} message - The message to send
+   * @param {string} scope - room (the current room), area, proximity, global or whisper
+   * @param {string} targetId - Player to whisper to
+   * @returns {Promise<boolean>} - Whether the server accepted the message
    */
-  sendMessage(message) {
-    if (!this.connected || !this.currentRoom) {
+  async sendMessage(message, scope = 'room', targetId = null) {
+    if (!this.connected || (scope === 'room' && !this.currentRoom)) {
       logger.error(LogCategory.NETWORK, 'Not connected or not in a room');
-      return;
+      return false;
     }
     
     logger.info(LogCategory.NETWORK, 'Sending message:', message);
-    this.socket.emit('send-message', {
-      roomId: this.currentRoom,
-      message: message,
-      sender: this.username
-    });
+    
+    try {
+      const { data } = await webSocketClient.sendChatMessage(message, scope, {
+        roomId: this.currentRoom,
+        targetId
+      });
+      
+      // Whispers are not echoed back to the sender, so show the confirmed copy
+      if (scope === 'whisper') {
+        this.messageCallbacks.forEach(callback => callback(data));
+      }
+      
+      this.typingState = null;
+      return true;
+    } catch (error) {
+      logger.warn(LogCategory.NETWORK, 'Message rejected:', error.message);
+      this.roomErrorCallbacks.forEach(callback => callback(error.message));
+      return false;
+    }
   }
   
   /**
-   * Update player position
-   * @param {Object} position - The player position
-   * @param {string} direction - The player direction
+   * Whisper to another player
+   * @param {string} targetId - The player ID to whisper to
+   * @param {string} message - The message to send
+   * @returns {Promise<boolean>} - Whether the server accepted the message
    */
-  updatePosition(position, direction) {
-    if (!this.connected || !this.currentRoom) {
+  sendWhisper(targetId, message) {
+    return this.sendMessage(message, 'whisper', targetId);
+  }
+  
+  /**
+   * Tell a room or whisper partner whether this player is typing
+   * Repeated calls while typing only reach the server every few seconds.
+   * @param {boolean} isTyping - Whether the player is typing
+   * @param {string} scope - room or whisper
+   * @param {string} target - Room ID for rooms (defaults to the current room), player ID for whispers
+   */
+  setTyping(isTyping, scope = 'room', target = null) {
+    if (!this.connected) {
       return;
     }
     
-    this.socket.emit('update-position', {
-      roomId: this.currentRoom,
-      playerId: this.socket.id,
-      position,
-      direction
-    });
+    const channel = scope === 'room'
+      ? { scope, roomId: target || this.currentRoom }
+      : { scope, targetId: target };
+    const key = `${scope}:${channel.roomId || channel.targetId}`;
+    
+    if (!channel.roomId && !channel.targetId) {
+      return;
+    }
+    
+    const now = Date.now();
+    if (isTyping) {
+      if (this.typingState?.key === key && now - this.typingState.sentAt < TYPING_REFRESH_INTERVAL) {
+        return;
+      }
+      this.typingState = { key, sentAt: now };
+    } else {
+      if (this.typingState?.key !== key) {
+        return;
+      }
+      this.typingState = null;
+    }
+    
+    webSocketClient.send('chat-typing', { ...channel, isTyping });
+  }
+  
+  /**
+   * Get a member's role in the current room
+   * @param {string} playerId - The player ID
+   * @returns {string|null} - 'owner', 'moderator' or null
+   */
+  getMemberRole(playerId) {
+    return this.memberRoles.get(playerId) || null;
+  }
+  
+  /**
+   * Check whether we may moderate a player in the current room
+   * The server has the final say; this only decides what to offer.
+   * @param {string} playerId - The player ID
+   * @returns {boolean} - Whether our role outranks theirs
+   */
+  canModerate(playerId) {
+    if (!this.currentRoom || playerId === webSocketClient.playerId) {
+      return false;
+    }
+    
+    const ownRank = ROLE_RANK[this.role] || 0;
+    return ownRank > 0 && ownRank > (ROLE_RANK[this.getMemberRole(playerId)] || 0);
+  }
+  
+  /**
+   * Mute, unmute, kick, ban or unban a member of the current room
+   * @param {string} action - 'mute', 'unmute', 'kick', 'ban' or 'unban'
+   * @param {string} targetId - The player ID
+   * @param {Object} options - { durationSeconds (leave out for no end), reason }
+   * @returns {Promise<boolean>} - Whether the server applied it
+   */
+  async moderate(action, targetId, { durationSeconds, reason } = {}) {
+    return this.sendRoomRequest('chat-moderate', { action, targetId, durationSeconds, reason });
+  }
+  
+  /**
+   * Appoint or dismiss a moderator of the current room (owners only)
+   * @param {string} targetId - The player ID
+   * @param {string} role - 'moderator' or 'member'
+   * @returns {Promise<boolean>} - Whether the server applied it
+   */
+  async setMemberRole(targetId, role) {
+    return this.sendRoomRequest('chat-set-role', { targetId, role });
+  }
+  
+  /**
+   * Set the current room's slow mode (owners and moderators only)
+   * @param {number} seconds - Seconds between messages, 0 to turn it off
+   * @returns {Promise<boolean>} - Whether the server applied it
+   */
+  async setSlowMode(seconds) {
+    return this.sendRoomRequest('chat-set-slow-mode', { seconds });
+  }
+  
+  /**
+   * Report a message for review
+   * @param {Object} message - The message as received
+   * @param {string} reason - Why it is being reported
+   * @returns {Promise<boolean>} - Whether the report was stored
+   */
+  async reportMessage(message, reason = null) {
+    const reportData = { messageId: message.id };
+    if (message.scope === 'room') {
+      reportData.roomId = message.roomId || this.currentRoom;
+    }
+    if (reason) {
+      reportData.reason = reason;
+    }
+    
+    try {
+      await webSocketClient.request('chat-report', reportData);
+      return true;
+    } catch (error) {
+      logger.warn(LogCategory.NETWORK, 'Report rejected:', error.message);
+      this.roomErrorCallbacks.forEach(callback => callback(error.message));
+      return false;
+    }
+  }
+  
+  /**
+   * Send a request about the current room, reporting errors to onRoomError callbacks
+   * @private
+   * @param {string} type - Message type
+   * @param {Object} data - Message data (roomId is added)
+   * @returns {Promise<boolean>} - Whether the server accepted it
+   */
+  async sendRoomRequest(type, data) {
+    if (!this.connected || !this.currentRoom) {
+      this.roomErrorCallbacks.forEach(callback => callback('Join a room first'));
+      return false;
+    }
+    
+    try {
+      await webSocketClient.request(type, { ...data, roomId: this.currentRoom });
+      return true;
+    } catch (error) {
+      logger.warn(LogCategory.NETWORK, `${type} rejected:`, error.message);
+      this.roomErrorCallbacks.forEach(callback => callback(error.message));
+      return false;
+    }
   }
   
   /**
@@ -257,35 +517,43 @@ export class ChatService {
   }
   
   /**
-   * Register a callback for when a user joins
-   * @param {Function} callback - The callback function
+   * Register a callback for when a user joins the current room
+   * @param {Function} callback - Called with { roomId, playerId, sender }
    */
   onUserJoined(callback) {
     this.userJoinedCallbacks.push(callback);
   }
   
   /**
-   * Register a callback for when a user leaves
-   * @param {Function} callback - The callback function
+   * Register a callback for when a user leaves the current room
+   * @param {Function} callback - Called with { roomId, playerId }
    */
   onUserLeft(callback) {
     this.userLeftCallbacks.push(callback);
   }
   
   /**
-   * Register a callback for when a player moves
-   * @param {Function} callback - The callback function
+   * Register a callback for when room history is received
+   * @param {Function} callback - Called with (messages, { room, members })
    */
-  onPlayerMoved(callback) {
-    this.playerMovedCallbacks.push(callback);
+  onRoomHistory(callback) {
+    this.roomHistoryCallbacks.push(callback);
   }
   
   /**
-   * Register a callback for when room history is received
-   * @param {Function} callback - The callback function
+   * Register a callback for typing indicators
+   * @param {Function} callback - Called with { scope, roomId, playerId, sender, isTyping }
    */
-  onRoomHistory(callback) {
-    this.roomHistoryCallbacks.push(callback);
+  onTyping(callback) {
+    this.typingCallbacks.push(callback);
+  }
+  
+  /**
+   * Register a callback for moderation in our rooms (mutes, kicks, bans, roles, slow mode)
+   * @param {Function} callback - Called with { roomId, action, targetId, target, moderator, reason, expiresAt, role, seconds }
+   */
+  onModeration(callback) {
+    this.moderationCallbacks.push(callback);
   }
   
   /**
@@ -297,7 +565,7 @@ export class ChatService {
     
     // If already connected, call the callback immediately
     if (this.connected) {
-      callback(this.socket.id);
+      callback(webSocketClient.playerId);
     }
   }
   
@@ -318,7 +586,7 @@ export class ChatService {
   }
   
   /**
-   * Register a callback for when a room error occurs
+   * Register a callback for when a room or message error occurs
    * @param {Function} callback - The callback function
    */
   onRoomError(callback) {
@@ -326,18 +594,14 @@ export class ChatService {
   }
   
   /**
-   * Disconnect from the server
+   * Stop chatting: leave the current room
+   * The game connection stays open for the rest of the game.
    */
   disconnect() {
-    if (this.socket) {
-      logger.info(LogCategory.NETWORK, 'Disconnecting from chat server');
-      this.socket.disconnect();
-      this.socket = null;
-      this.connected = false;
-      this.currentRoom = null;
-    }
+    logger.info(LogCategory.NETWORK, 'Leaving chat');
+    this.leaveRoom();
   }
 }
 
 // Export a singleton instance
-export const chatService = new ChatService(); 
\ No newline at end of file
+export const chatService = new ChatService();
@@ -2,6 +2,10 @@ import { Scene } from "phaser";
 import { logger, LogCategory } from './Logger';
 import configManager from './ConfigManager';
 
+// Abandoned flags are drawn faded and grey, whoever owns them, so they stand out as up for takeover
+export const ABANDONED_FLAG_TINT = 0x808080;
+export const ABANDONED_FLAG_ALPHA = 0.6;
+
 /**
  * FlagManager class to handle all flag-related functionality
  * This class manages flag generation, placement, and interactions
@@ -116,6 +120,11 @@ export class FlagManager {
       flagSprite.setOrigin(0.5, 1); // Set origin to bottom center for flag
       flagSprite.setScale(0.8); // Adjust scale as needed
       
+      if (flag.isAbandoned) {
+        flagSprite.setTint(ABANDONED_FLAG_TINT);
+        flagSprite.setAlpha(ABANDONED_FLAG_ALPHA);
+      }
+      
       // Set a high depth to ensure it's above the map but below the player
       flagSprite.setDepth(1500);
       
@@ -152,10 +161,10 @@ export class FlagManager {
         0, 0,      // top point
         -15, 30,   // bottom left
         15, 30,    // bottom right
-        0xFF5252,  // color
-        1          // alpha
+        flag.isAbandoned ? ABANDONED_FLAG_TINT : 0xFF5252,  // color
+        flag.isAbandoned ? ABANDONED_FLAG_ALPHA : 1         // alpha
       );
-      flagTriangle.setStrokeStyle(2, 0xDD2222);
+      flagTriangle.setStrokeStyle(2, flag.isAbandoned ? 0x555555 : 0xDD2222);
       
       // Add a pole
       const pole = this.scene.add.rectangle(
@@ -274,13 +283,13 @@ export class FlagManager {
     
     logger.info(LogCategory.FLAG, `Handling flag click, jumping to: ${flag.lat}, ${flag.lng}`);
     
-    // Jump to the flag using the MapManager's method after a short delay
+    // Ask the server for the jump after a short delay; the map moves once it is paid for
     // This delay helps the user see the visual feedback
     setTimeout(() => {
-      if (this.mapManager && typeof this.mapManager.jumpToFlag === 'function') {
-        this.mapManager.jumpToFlag(flag.lat, flag.lng);
+      if (this.mapManager && typeof this.mapManager.requestJump === 'function') {
+        this.mapManager.requestJump(flag.lat, flag.lng);
       } else {
-        logger.error(LogCategory.FLAG, 'MapManager or jumpToFlag method not available');
+        logger.error(LogCategory.FLAG, 'MapManager or requestJump method not available');
       }
     }, 100);
     
@@ -16,6 +16,9 @@ class FlagService {
     this.onFlagRemovedCallbacks = new Set();
     this.onFlagUpdateCallbacks = new Set();
     this.onTeleportCallbacks = new Set();
+    this.onFlagErrorCallbacks = new Set();
+    this.onFlagSiegeCallbacks = new Set();
+    this.onFlagTakenOverCallbacks = new Set();
     
     // Player's last known position
     this.playerPosition = null;
@@ -38,6 +41,8 @@ class FlagService {
         this.triggerFlagPlaced(data.flag);
       } else {
         logger.error(LogCategory.FLAG, `Flag placement failed: ${data.error}`);
+        this.removeTemporaryFlags();
+        this.triggerFlagError(data.error);
       }
     });
     
@@ -56,16 +61,35 @@ class FlagService {
         this.triggerFlagRemoved(data.flagId, data.resources);
       } else {
         logger.error(LogCategory.FLAG, `Flag removal failed: ${data.error}`);
+        this.triggerFlagError(data.error);
       }
     });
     
     // Handler for flag update
     webSocketClient.registerHandler('flag-updated', (data) => {
+      if (data.success === false) {
+        logger.error(LogCategory.FLAG, `Flag update failed: ${data.error}`);
+        this.triggerFlagError(data.error);
+        return;
+      }
+      
       logger.info(LogCategory.FLAG, `Flag ${data.flag.id} updated`);
       this.updateFlag(data.flag);
       this.triggerFlagUpdate(data.flag);
     });
     
+    // Handler for news of the player's own flags being besieged
+    webSocketClient.registerHandler('flag-siege', (data) => {
+      logger.info(LogCategory.FLAG, `Flag ${data.flagId} ${data.event} by ${data.attackerId}`);
+      this.triggerFlagSiege(data);
+    });
+    
+    // Handler for another player taking over one of the player's abandoned flags
+    webSocketClient.registerHandler('flag-taken-over', (data) => {
+      logger.info(LogCategory.FLAG, `Flag ${data.flagId} taken over by ${data.newOwnerId}`);
+      this.triggerFlagTakenOver(data);
+    });
+    
     // Handler for teleport response
     webSocketClient.registerHandler('teleport-result', (data) => {
       if (data.success) {
@@ -73,24 +97,38 @@ class FlagService {
         this.triggerTeleport(data.position, data.visualBoundary);
       } else {
         logger.error(LogCategory.FLAG, `Teleport failed: ${data.error}`);
+        this.triggerFlagError(data.error);
       }
     });
     
     // Handler for initial flags
     webSocketClient.registerHandler('initial-flags', (data) => {
-      logger.info(LogCategory.FLAG, `Received ${data.flags.length} initial flags`);
-      
-      // Clear existing flags
-      this.flags.clear();
-      
-      // Add all received flags
-      for (const flag of data.flags) {
-        this.addFlag(flag);
-      }
-      
-      // Notify all listeners about the update
-      this.triggerFlagsLoaded(Array.from(this.flags.values()));
+      this.loadFlags(data.flags);
     });
+    
+    // Handler for flags returned by request-flags
+    webSocketClient.registerHandler('flags-list', (data) => {
+      this.loadFlags(data.flags);
+    });
+  }
+  
+  /**
+   * Replace the local flag collection with flags received from the server
+   * @param {Array} flags - Array of flag objects
+   */
+  loadFlags(flags) {
+    logger.info(LogCategory.FLAG, `Received ${flags.length} flags`);
+    
+    // Clear existing flags
+    this.flags.clear();
+    
+    // Add all received flags
+    for (const flag of flags) {
+      this.addFlag(flag);
+    }
+    
+    // Notify all listeners about the update
+    this.triggerFlagsLoaded(Array.from(this.flags.values()));
   }
   
   /**
@@ -178,12 +216,9 @@ class FlagService {
       return;
     }
     
-    // Send the request to the server
+    // The flag stays until the server confirms, as removal is refused when
+    // the returned materials do not fit in the inventory
     webSocketClient.send('remove-flag', { flagId });
-    
-    // Optimistically remove the flag locally
-    this.removeFlag(flagId);
-    this.triggerFlagRemoved(flagId);
   }
   
   /**
@@ -209,11 +244,79 @@ class FlagService {
     webSocketClient.send('harden-flag', { flagId });
   }
   
+  /**
+   * Take over another player's abandoned flag
+   * @param {string} flagId - Flag ID
+   * @param {string} name - New name for the flag (optional)
+   */
+  takeoverFlag(flagId, name = undefined) {
+    const flag = this.flags.get(flagId);
+    
+    if (!flag) {
+      logger.warn(LogCategory.FLAG, `Cannot take over flag ${flagId}: flag not found`);
+      return;
+    }
+    
+    if (!flag.isAbandoned) {
+      logger.warn(LogCategory.FLAG, `Cannot take over flag ${flagId}: flag is not abandoned`);
+      return;
+    }
+    
+    webSocketClient.send('takeover-flag', { flagId, name });
+  }
+  
+  /**
+   * Attack another player's flag
+   * @param {string} flagId - Flag ID
+   */
+  attackFlag(flagId) {
+    if (!this.flags.has(flagId)) {
+      logger.warn(LogCategory.FLAG, `Cannot attack flag ${flagId}: flag not found`);
+      return;
+    }
+    
+    webSocketClient.send('attack-flag', { flagId });
+  }
+  
+  /**
+   * Set fire to another player's flag that is down to half health
+   * @param {string} flagId - Flag ID
+   */
+  burnFlag(flagId) {
+    if (!this.flags.has(flagId)) {
+      logger.warn(LogCategory.FLAG, `Cannot burn flag ${flagId}: flag not found`);
+      return;
+    }
+    
+    webSocketClient.send('burn-flag', { flagId });
+  }
+  
+  /**
+   * Put out the fire on one of the player's own flags
+   * @param {string} flagId - Flag ID
+   */
+  extinguishFlag(flagId) {
+    const flag = this.flags.get(flagId);
+    
+    if (!flag) {
+      logger.warn(LogCategory.FLAG, `Cannot extinguish flag ${flagId}: flag not found`);
+      return;
+    }
+    
+    if (flag.ownerId !== webSocketClient.playerId) {
+      logger.warn(LogCategory.FLAG, `Cannot extinguish flag ${flagId}: you do not own this flag`);
+      return;
+    }
+    
+    webSocketClient.send('extinguish-flag', { flagId });
+  }
+  
   /**
    * Teleport to a flag
    * @param {string} flagId - Flag ID
+   * @param {number} maxToll - Most gold the player agreed to pay; the server refuses if the toll is now higher (optional)
    */
-  teleportToFlag(flagId) {
+  teleportToFlag(flagId, maxToll = undefined) {
     // Check if we have this flag
     const flag = this.flags.get(flagId);
     
@@ -223,7 +326,62 @@ class FlagService {
     }
     
     // Send the request to the server
-    webSocketClient.send('teleport-to-flag', { flagId });
+    webSocketClient.send('teleport-to-flag', maxToll === undefined ? { flagId } : { flagId, maxToll });
+  }
+  
+  /**
+   * Get the toll another player's flag charges to teleport to it
+   * @param {Object} flag - Flag object
+   * @returns {number} - Gold the teleport costs, 0 if free
+   */
+  getToll(flag) {
+    if (!flag.isPublic || flag.ownerId === 'system' || flag.ownerId === webSocketClient.playerId) {
+      return 0;
+    }
+    
+    return Math.floor(flag.toll || 0);
+  }
+  
+  /**
+   * Fetch a page of the gold the player's flags have earned, newest first
+   * @param {Object} params - Query parameters
+   * @param {string} params.flagId - Only earnings from this flag (optional)
+   * @param {number} params.beforeId - Only entries older than this one, from a previous page's nextBeforeId (optional)
+   * @returns {Promise<Object>} - { entries, nextBeforeId }; entries are { id, createdAt, flagId, flagName, kind, payerId, payerName, amount }
+   */
+  async requestEarnings(params = {}) {
+    const { data } = await webSocketClient.request('flag-earnings', params);
+    return data;
+  }
+  
+  /**
+   * Fetch the flags the player jumped to most recently and can still jump to
+   * The flags are added to the local collection, so they can be teleported to even when far away.
+   * @returns {Promise<Array<Object>>} - { flag, toll, lastTraveledAt }, most recent first
+   */
+  async requestRecentDestinations() {
+    const { data } = await webSocketClient.request('travel-history', {});
+    
+    for (const { flag } of data.destinations) {
+      this.addFlag(flag);
+    }
+    
+    return data.destinations;
+  }
+  
+  /**
+   * Find the server flag at a position
+   * @param {Object} position - Position {lat, lng}
+   * @returns {Object|null} - The flag, or null if none is there
+   */
+  getFlagAt(position) {
+    for (const flag of this.flags.values()) {
+      if (!flag.isTemporary && this.isSamePosition(flag.position, position)) {
+        return flag;
+      }
+    }
+    
+    return null;
   }
   
   /**
@@ -256,6 +414,18 @@ class FlagService {
     this.flags.delete(flagId);
   }
   
+  /**
+   * Drop the temporary flags of placements the server refused
+   */
+  removeTemporaryFlags() {
+    for (const [id, flag] of this.flags.entries()) {
+      if (flag.isTemporary) {
+        this.flags.delete(id);
+        this.triggerFlagRemoved(id);
+      }
+    }
+  }
+  
   /**
    * Update a flag in the local collection
    * @param {Object} flag - Flag object
@@ -412,6 +582,96 @@ class FlagService {
     this.onTeleportCallbacks.delete(callback);
   }
   
+  /**
+   * Register a callback for when the server refuses a flag action
+   * @param {Function} callback - Callback function, given the server's error
+   */
+  onFlagError(callback) {
+    this.onFlagErrorCallbacks.add(callback);
+  }
+  
+  /**
+   * Unregister a callback for when the server refuses a flag action
+   * @param {Function} callback - Callback function
+   */
+  offFlagError(callback) {
+    this.onFlagErrorCallbacks.delete(callback);
+  }
+  
+  /**
+   * Register a callback for when one of the player's flags is attacked, set on fire, put out or destroyed
+   * @param {Function} callback - Callback function, given { event, flagId, flagName, attackerId, attackerName, health, burnEndsAt }
+   */
+  onFlagSiege(callback) {
+    this.onFlagSiegeCallbacks.add(callback);
+  }
+  
+  /**
+   * Unregister a callback for flag siege events
+   * @param {Function} callback - Callback function
+   */
+  offFlagSiege(callback) {
+    this.onFlagSiegeCallbacks.delete(callback);
+  }
+  
+  /**
+   * Trigger flag siege event
+   * @param {Object} siege - The server's flag-siege message
+   */
+  triggerFlagSiege(siege) {
+    for (const callback of this.onFlagSiegeCallbacks) {
+      try {
+        callback(siege);
+      } catch (error) {
+        logger.error(LogCategory.FLAG, `Error in flag siege callback: ${error.message}`);
+      }
+    }
+  }
+  
+  /**
+   * Register a callback for when another player takes over one of the player's abandoned flags
+   * @param {Function} callback - Callback function, given { flagId, flagName, newOwnerId, newOwnerName }
+   */
+  onFlagTakenOver(callback) {
+    this.onFlagTakenOverCallbacks.add(callback);
+  }
+  
+  /**
+   * Unregister a callback for flag takeovers
+   * @param {Function} callback - Callback function
+   */
+  offFlagTakenOver(callback) {
+    this.onFlagTakenOverCallbacks.delete(callback);
+  }
+  
+  /**
+   * Trigger flag taken over event
+   * @param {Object} takeover - The server's flag-taken-over message
+   */
+  triggerFlagTakenOver(takeover) {
+    for (const callback of this.onFlagTakenOverCallbacks) {
+      try {
+        callback(takeover);
+      } catch (error) {
+        logger.error(LogCategory.FLAG, `Error in flag taken over callback: ${error.message}`);
+      }
+    }
+  }
+  
+  /**
+   * Trigger flag error event
+   * @param {string} error - The server's error
+   */
+  triggerFlagError(error) {
+    for (const callback of this.onFlagErrorCallbacks) {
+      try {
+        callback(error);
+      } catch (callbackError) {
+        logger.error(LogCategory.FLAG, `Error in flag error callback: ${callbackError.message}`);
+      }
+    }
+  }
+  
   /**
    * Trigger flag placed event
    * @param {Object} flag - Flag object
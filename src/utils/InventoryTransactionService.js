@@ -0,0 +1,230 @@
+import { v4 as uuidv4 } from 'uuid';
+import { logger, LogCategory } from './Logger';
+import webSocketClient from './WebSocketClient';
+
+// Attempts at sending a transaction before giving up on it and reloading the items
+const MAX_ATTEMPTS = 3;
+
+/**
+ * Service sending the player's inventory changes to the server
+ * The inventory and equipment managers change their items straight away and
+ * submit each change as a transaction with its own idempotency key. Transactions
+ * are sent one at a time, in order; one that goes unanswered is sent again with
+ * the same key, so the server never applies it twice. Once every transaction is
+ * answered the managers adopt the server's copy of the items, which rolls back
+ * any change the server rejected.
+ */
+export class InventoryTransactionService {
+  constructor() {
+    this.scene = null;
+    this.removeConnectionListener = null;
+
+    // Transactions not yet answered, oldest first: { key, kind, params, attempts }
+    this.queue = [];
+    this.sending = false;
+
+    // Items from the server's latest answer: { inventory, equipment }
+    this.serverItems = null;
+
+    // Whether a transaction was given up on since the queue was last empty
+    this.failed = false;
+
+    // Changes the server makes by itself, e.g. taking the materials a flag costs
+    // (loot comes with the answer to claimLoot instead)
+    webSocketClient.registerHandler('inventory-updated', (data) => this.receive(data));
+  }
+
+  /**
+   * Send a game scene's inventory changes to the server
+   * @param {Object} scene - Scene with inventoryManager, equipmentManager and uiManager
+   */
+  attach(scene) {
+    this.detach();
+    this.scene = scene;
+
+    // Transactions queued while disconnected are sent once the connection is back
+    this.removeConnectionListener = webSocketClient.addConnectionListener((isAuthenticated) => {
+      if (isAuthenticated) {
+        this.sendNext();
+      }
+    });
+  }
+
+  /**
+   * Stop following the scene
+   * Unsent transactions are dropped; the server's items are loaded with the character next time.
+   */
+  detach() {
+    if (!this.scene) {
+      return;
+    }
+
+    if (this.removeConnectionListener) {
+      this.removeConnectionListener();
+      this.removeConnectionListener = null;
+    }
+
+    this.scene = null;
+    this.queue = [];
+    this.serverItems = null;
+    this.failed = false;
+  }
+
+  /**
+   * Send a change the player has just made to their items
+   * @param {string} kind - 'use', 'move', 'split', 'drop', 'equip' or 'unequip'
+   * @param {Object} params - The transaction's parameters
+   */
+  submit(kind, params) {
+    if (!this.scene) {
+      return;
+    }
+
+    this.queue.push({ key: uuidv4(), kind, params, attempts: 0 });
+    this.sendNext();
+  }
+
+  /**
+   * Ask the server for the loot of something the player gathered or defeated
+   * The server rolls the drops itself and adds them to the inventory, which is then adopted.
+   * Gold reaches the character separately, through CharacterService.
+   * @param {string} source - 'tree', 'dungeon' or 'monster:' + the monster's type
+   * @returns {Promise<Object>} - { items: item ID -> quantity given, gold: gold given }
+   */
+  async claimLoot(source) {
+    const { data } = await webSocketClient.request('loot-claim', { source });
+    this.receive(data);
+    return { items: data.items, gold: data.gold };
+  }
+
+  /**
+   * Send the oldest unanswered transaction
+   * @returns {Promise<void>}
+   */
+  async sendNext() {
+    if (this.sending || this.queue.length === 0 || !webSocketClient.isAuthenticated) {
+      return;
+    }
+
+    const transaction = this.queue[0];
+    const { key, kind, params } = transaction;
+
+    this.sending = true;
+    transaction.attempts++;
+
+    try {
+      const { type, data } = await webSocketClient.request('inventory-transaction', { key, kind, params });
+
+      if (type === 'inventory-rejected') {
+        this.reject(transaction, data.error);
+      }
+
+      this.serverItems = { inventory: data.inventory, equipment: data.equipment };
+      this.queue.shift();
+    } catch (error) {
+      logger.warn(LogCategory.INVENTORY, `Inventory ${kind} was not answered: ${error.message}`);
+
+      // Try again now if still connected, otherwise after reconnecting
+      if (transaction.attempts < MAX_ATTEMPTS) {
+        return;
+      }
+
+      this.failed = true;
+      this.queue.shift();
+    } finally {
+      this.sending = false;
+
+      // The scene may have closed while the transaction was in flight
+      if (this.scene && this.queue.length > 0) {
+        this.sendNext();
+      } else if (this.scene) {
+        this.settle();
+      }
+    }
+  }
+
+  /**
+   * Adopt items the server changed without being asked
+   * While transactions are unanswered, their answers bring the change instead.
+   * @param {Object} items - { inventory, equipment }
+   */
+  receive(items) {
+    if (this.queue.length === 0) {
+      this.adopt(items);
+    }
+  }
+
+  /**
+   * Tell the player a change was refused; it is undone when the queue settles
+   * @param {Object} transaction - The rejected transaction
+   * @param {string} reason - The server's reason
+   */
+  reject(transaction, reason) {
+    logger.warn(LogCategory.INVENTORY, `Inventory ${transaction.kind} rejected: ${reason}`);
+
+    if (this.scene?.uiManager) {
+      this.scene.uiManager.showMedievalMessage(`That cannot be done: ${reason}`, 'warning');
+    }
+  }
+
+  /**
+   * Adopt the server's items once every transaction has been answered
+   * @returns {Promise<void>}
+   */
+  async settle() {
+    if (this.failed) {
+      this.failed = false;
+      await this.reload();
+      return;
+    }
+
+    if (this.serverItems) {
+      this.adopt(this.serverItems);
+      this.serverItems = null;
+    }
+  }
+
+  /**
+   * Fetch the server's items, e.g. after giving up on a transaction
+   * @returns {Promise<void>}
+   */
+  async reload() {
+    try {
+      const { data } = await webSocketClient.request('inventory-load', {});
+
+      // Changes made meanwhile settle again when answered
+      if (this.queue.length === 0) {
+        this.adopt(data);
+      }
+    } catch (error) {
+      logger.error(LogCategory.INVENTORY, `Failed to reload inventory: ${error.message}`);
+    }
+  }
+
+  /**
+   * Replace the local items with the server's where they differ
+   * @param {Object} items - { inventory, equipment } as the managers serialize them
+   */
+  adopt({ inventory, equipment }) {
+    if (!this.scene) {
+      return;
+    }
+
+    const { inventoryManager, equipmentManager } = this.scene;
+
+    if (JSON.stringify(inventoryManager.serialize()) !== JSON.stringify(inventory)) {
+      logger.info(LogCategory.INVENTORY, 'Inventory differs from the server; rolling back to the server copy');
+      inventoryManager.deserialize(inventory);
+    }
+
+    const localEquipment = equipmentManager.serialize();
+    if (Object.keys(equipment).some(slot => (localEquipment[slot] ?? null) !== equipment[slot])) {
+      logger.info(LogCategory.INVENTORY, 'Equipment differs from the server; rolling back to the server copy');
+      equipmentManager.deserialize(equipment);
+    }
+  }
+}
+
+// Export a singleton instance for global use
+export const inventoryTransactions = new InventoryTransactionService();
+export default inventoryTransactions;
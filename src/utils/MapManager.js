@@ -1,5 +1,6 @@
 import { logger, LogCategory } from "./Logger"; 
 import { CoordinateCache } from "./CoordinateCache";
+import flagService from "./FlagService";
 
 /**
  * MapManager class to handle Leaflet map integration
@@ -32,6 +33,7 @@ export class MapManager {
     this.flags = [];
     this.territories = [];
     this.isPlayerMoving = false;
+    this.movementId = 0; // Incremented to cancel an in-progress movement animation
     this.onPlayerClick = null;
     this.onPlayerMove = null;
     this.onPlayerReachTarget = null;
@@ -401,9 +403,15 @@ export class MapManager {
 
       // Store the start time
       const startTime = Date.now();
+      const movementId = ++this.movementId;
 
       // Create an animation frame
       const animate = () => {
+        // Stop if the movement was cancelled (e.g. by a server correction)
+        if (movementId !== this.movementId) {
+          return;
+        }
+
         // Calculate progress (0 to 1)
         const elapsed = Date.now() - startTime;
         const progress = Math.min(elapsed / duration, 1);
@@ -537,8 +545,8 @@ export class MapManager {
           logger.info(LogCategory.MAP, "Flag clicked at:", lat, lng);
         }
 
-        // Jump to flag
-        this.jumpToFlag(lat, lng);
+        // Ask the server to jump to the flag
+        this.requestJump(lat, lng);
 
         // Stop propagation to prevent map click
         L.DomEvent.stopPropagation(e);
@@ -606,8 +614,30 @@ export class MapManager {
     }
   }
 
+  /**
+   * Ask the server to jump to the flag at a location
+   * Jumps cost Roc Feathers, so the map only moves once the server accepts
+   * the teleport. Flags that charge a toll are refused here; their info
+   * popup asks the player to confirm the toll first.
+   * @param {number} lat - Latitude
+   * @param {number} lng - Longitude
+   * @returns {boolean} - True if a teleport was requested
+   */
+  requestJump(lat, lng) {
+    const flag = flagService.getFlagAt({ lat, lng });
+    if (!flag) {
+      logger.warn(LogCategory.MAP, "No server flag to jump to at:", lat, lng);
+      return false;
+    }
+
+    flagService.teleportToFlag(flag.id, 0);
+    return true;
+  }
+
   /**
    * Jump to a flag's location
+   * Only moves the map: call it once the server has accepted a teleport
+   * (see requestJump), as the server charges for the jump.
    * @param {number} lat - Latitude
    * @param {number} lng - Longitude
    */
@@ -671,6 +701,55 @@ export class MapManager {
     }
   }
 
+  /**
+   * Reconcile the player with the server's authoritative position
+   * Small corrections slide the player back; large ones snap immediately.
+   * @param {number} lat - Authoritative latitude
+   * @param {number} lng - Authoritative longitude
+   * @param {number} snapDistance - Corrections larger than this (meters) snap instantly
+   */
+  reconcilePosition(lat, lng, snapDistance = 50) {
+    if (!this.map) {
+      logger.warn(LogCategory.MAP, "Map not initialized");
+      return;
+    }
+
+    try {
+      const distance = this.map.distance(
+        [this.playerPosition.lat, this.playerPosition.lng],
+        [lat, lng],
+      );
+
+      logger.info(LogCategory.MAP, "Reconciling player position, correction distance:", distance);
+
+      // Cancel any movement the server rejected
+      this.movementId++;
+      this.targetPosition = null;
+
+      if (distance <= snapDistance) {
+        this.isPlayerMoving = true;
+        this.animatePlayerMovement(this.playerPosition, { lat, lng }, Math.min(300, distance * 2), () => {
+          this.isPlayerMoving = false;
+        });
+        return;
+      }
+
+      this.isPlayerMoving = false;
+      this.playerPosition = { lat, lng };
+
+      // Update marker position (invisible)
+      if (this.playerMarker) {
+        this.playerMarker.setLatLng([lat, lng]);
+      }
+
+      if (this.onPlayerMove) {
+        this.onPlayerMove(this.playerPosition);
+      }
+    } catch (error) {
+      logger.error(LogCategory.MAP, "Error reconciling player position:", error);
+    }
+  }
+
   /**
    * Get available flag positions within the boundary circle
    * @param {number} count - Number of positions to generate
@@ -0,0 +1,194 @@
+import { logger, LogCategory } from './Logger';
+
+// Encoding name negotiated during authenticate (see server/network/SnapshotEncoder.js)
+export const SNAPSHOT_ENCODING = 'binary-v1';
+
+// Frame kinds
+const FRAME_PLAYERS = 1;
+
+// Integer units -> degrees
+const COORDINATE_SCALE = 1e6;
+
+/**
+ * Sequential reader for varint-encoded frames
+ */
+class BinaryReader {
+  /**
+   * @param {ArrayBuffer} buffer - The frame
+   */
+  constructor(buffer) {
+    this.bytes = new Uint8Array(buffer);
+    this.offset = 0;
+    this.textDecoder = new TextDecoder();
+  }
+
+  /**
+   * Read a single byte
+   * @returns {number} - Byte value
+   */
+  readByte() {
+    if (this.offset >= this.bytes.length) {
+      throw new Error('Unexpected end of snapshot frame');
+    }
+    return this.bytes[this.offset++];
+  }
+
+  /**
+   * Read an unsigned varint
+   * @returns {number} - The value
+   */
+  readVarint() {
+    let value = 0;
+    let multiplier = 1;
+    let byte;
+
+    do {
+      byte = this.readByte();
+      value += (byte & 0x7f) * multiplier;
+      multiplier *= 0x80;
+    } while (byte & 0x80);
+
+    return value;
+  }
+
+  /**
+   * Read a zigzag-encoded signed varint
+   * @returns {number} - The value
+   */
+  readSignedVarint() {
+    const value = this.readVarint();
+    return value % 2 === 0 ? value / 2 : -(value + 1) / 2;
+  }
+
+  /**
+   * Read a length-prefixed UTF-8 string
+   * @returns {string} - The string
+   */
+  readString() {
+    const length = this.readVarint();
+    if (this.offset + length > this.bytes.length) {
+      throw new Error('Unexpected end of snapshot frame');
+    }
+
+    const value = this.textDecoder.decode(this.bytes.subarray(this.offset, this.offset + length));
+    this.offset += length;
+    return value;
+  }
+}
+
+/**
+ * SnapshotDecoder - Rebuilds world state from binary delta snapshots
+ * Each frame is a delta against a snapshot the client acknowledged earlier.
+ * The decoder turns frames back into the same `players-delta` messages the
+ * JSON protocol sends, so game code does not care which encoding is in use.
+ */
+export class SnapshotDecoder {
+  constructor() {
+    // Decoded snapshots that may still be used as a base: sequence -> Map(index -> entity)
+    this.snapshots = new Map();
+
+    // State handed to the game most recently
+    this.latest = new Map();
+  }
+
+  /**
+   * Decode a binary frame
+   * @param {ArrayBuffer} buffer - The frame
+   * @returns {Object} - { sequence, message: { type, data } }
+   */
+  decode(buffer) {
+    const reader = new BinaryReader(buffer);
+    const kind = reader.readByte();
+
+    if (kind !== FRAME_PLAYERS) {
+      throw new Error(`Unknown snapshot frame kind: ${kind}`);
+    }
+
+    const sequence = reader.readVarint();
+    const baseSequence = reader.readVarint();
+    const timestamp = reader.readVarint();
+
+    const base = baseSequence === 0 ? new Map() : this.snapshots.get(baseSequence);
+    if (!base) {
+      throw new Error(`Missing base snapshot ${baseSequence}`);
+    }
+
+    const state = new Map(base);
+
+    const enteredCount = reader.readVarint();
+    for (let i = 0; i < enteredCount; i++) {
+      const index = reader.readVarint();
+      const id = reader.readString();
+      const lat = reader.readSignedVarint();
+      const lng = reader.readSignedVarint();
+      const displayName = reader.readString();
+      state.set(index, { id, lat, lng, displayName });
+    }
+
+    const movedCount = reader.readVarint();
+    for (let i = 0; i < movedCount; i++) {
+      const index = reader.readVarint();
+      const dLat = reader.readSignedVarint();
+      const dLng = reader.readSignedVarint();
+      const previous = base.get(index);
+
+      if (previous) {
+        state.set(index, { ...previous, lat: previous.lat + dLat, lng: previous.lng + dLng });
+      }
+    }
+
+    const leftCount = reader.readVarint();
+    for (let i = 0; i < leftCount; i++) {
+      state.delete(reader.readVarint());
+    }
+
+    // The server never goes back to a base older than the one it just used
+    this.snapshots.set(sequence, state);
+    for (const stored of this.snapshots.keys()) {
+      if (stored < baseSequence) {
+        this.snapshots.delete(stored);
+      }
+    }
+
+    const data = { ...this.diff(this.latest, state), timestamp };
+    this.latest = state;
+
+    logger.debug(LogCategory.NETWORK, `Decoded snapshot ${sequence} (base ${baseSequence}, ${buffer.byteLength} bytes)`);
+
+    return { sequence, message: { type: 'players-delta', data } };
+  }
+
+  /**
+   * Work out what changed between two decoded states
+   * @private
+   * @param {Map} previous - Previous state
+   * @param {Map} next - New state
+   * @returns {Object} - { entered, moved, left } in the JSON delta format
+   */
+  diff(previous, next) {
+    const entered = [];
+    const moved = [];
+    const left = [];
+
+    for (const [index, entity] of next.entries()) {
+      const position = { lat: entity.lat / COORDINATE_SCALE, lng: entity.lng / COORDINATE_SCALE };
+      const before = previous.get(index);
+
+      if (!before) {
+        entered.push({ id: entity.id, position, displayName: entity.displayName || undefined });
+      } else if (before.lat !== entity.lat || before.lng !== entity.lng) {
+        moved.push({ id: entity.id, position });
+      }
+    }
+
+    for (const [index, entity] of previous.entries()) {
+      if (!next.has(index)) {
+        left.push(entity.id);
+      }
+    }
+
+    return { entered, moved, left };
+  }
+}
+
+export default SnapshotDecoder;
@@ -1,4 +1,5 @@
 import { logger, LogCategory } from './Logger';
+import { SnapshotDecoder, SNAPSHOT_ENCODING } from './SnapshotDecoder';
 
 /**
  * WebSocketClient - Manages WebSocket connections to the game server
@@ -11,6 +12,8 @@ export class WebSocketClient {
    * @param {string} options.serverUrl - URL of the WebSocket server
    * @param {string} options.playerId - Player ID for authentication
    * @param {string} options.username - Username for authentication
+   * @param {string} options.token - Session token issued by the auth API
+   * @param {boolean} options.useBinarySnapshots - Ask for binary world-state snapshots (default true)
    * @param {Function} options.onAuthenticated - Callback when authentication is successful
    * @param {Function} options.onDisconnect - Callback when connection is closed
    */
@@ -21,6 +24,11 @@ export class WebSocketClient {
     // Player authentication details
     this.playerId = options.playerId || null;
     this.username = options.username || null;
+    this.token = options.token || null;
+    
+    // World-state encoding; the decoder exists only once binary is negotiated
+    this.useBinarySnapshots = options.useBinarySnapshots !== false;
+    this.snapshotDecoder = null;
     
     // Connection state
     this.isConnected = false;
@@ -39,10 +47,18 @@ export class WebSocketClient {
     // Message handlers for different message types
     this.messageHandlers = new Map();
     
+    // Requests awaiting a correlated reply (requestId -> { resolve, reject, timer })
+    this.pendingRequests = new Map();
+    this.nextRequestId = 1;
+    this.requestTimeout = 10000;
+    
     // Callbacks
     this.onAuthenticatedCallback = options.onAuthenticated || (() => {});
     this.onDisconnectCallback = options.onDisconnect || (() => {});
     
+    // Extra listeners for services sharing the connection: listener(isAuthenticated, data)
+    this.connectionListeners = new Set();
+    
     // Initialize default message handlers
     this.setupDefaultHandlers();
     
@@ -58,13 +74,16 @@ export class WebSocketClient {
       logger.info(LogCategory.AUTH, 'Authentication successful:', data.playerId);
       this.authenticating = false;
       this.isAuthenticated = true;
+      this.playerId = data.playerId;
       this.playerData = data.playerData;
+      this.snapshotDecoder = data.encoding === SNAPSHOT_ENCODING ? new SnapshotDecoder() : null;
       
       // Process any queued messages
       this.processMessageQueue();
       
       // Call the authenticated callback
       this.onAuthenticatedCallback(data);
+      this.notifyConnectionListeners(true, data);
     });
     
     // Handle player movement updates
@@ -79,6 +98,8 @@ export class WebSocketClient {
       if (data.message === 'Already authenticated') {
         this.authenticating = false;
         this.isAuthenticated = true;
+      } else if (data.message?.startsWith('Authentication failed')) {
+        this.authenticating = false;
       }
     });
     
@@ -87,6 +108,11 @@ export class WebSocketClient {
       logger.debug(LogCategory.PLAYER, 'Move acknowledged:', data.position);
     });
     
+    // Handle rejected movement
+    this.registerHandler('position-correction', (data) => {
+      logger.warn(LogCategory.PLAYER, 'Position corrected by server:', data.reason);
+    });
+    
     // Handle players list
     this.registerHandler('players-list', (data) => {
       logger.info(LogCategory.PLAYER, `Received ${data.players.length} players`);
@@ -102,6 +128,32 @@ export class WebSocketClient {
       logger.warn(LogCategory.NETWORK, 'Forced disconnect:', data.reason);
       this.disconnect();
     });
+    
+    // Another server instance owns the area the player moved into
+    this.registerHandler('instance-handoff', (data) => {
+      logger.info(LogCategory.NETWORK, `Handing off to server instance ${data.instanceId}`);
+      this.switchServer(data.url);
+    });
+  }
+  
+  /**
+   * Reconnect to another server and authenticate there with the same session
+   * @param {string} serverUrl - URL of the WebSocket server to move to
+   */
+  switchServer(serverUrl) {
+    if (!serverUrl || serverUrl === this.serverUrl) {
+      return;
+    }
+    
+    this.serverUrl = serverUrl;
+    this.reconnectAttempts = 0;
+    
+    // Any code other than 1000 makes the close handler reconnect, now to the new URL
+    if (this.socket) {
+      this.socket.close(4000, 'Instance handoff');
+    } else {
+      this.attemptReconnect();
+    }
   }
   
   /**
@@ -115,6 +167,7 @@ export class WebSocketClient {
         
         // Create new WebSocket connection
         this.socket = new WebSocket(this.serverUrl);
+        this.socket.binaryType = 'arraybuffer';
         
         // Set up event handlers
         this.socket.onopen = () => {
@@ -123,9 +176,9 @@ export class WebSocketClient {
           this.reconnectAttempts = 0;
           this.reconnectDelay = 1000;
           
-          // Authenticate if we have credentials
-          if (this.playerId && this.username) {
-            this.authenticate(this.playerId, this.username);
+          // Authenticate if we have a session
+          if (this.token) {
+            this.authenticate(this.playerId, this.username, this.token);
           }
           
           resolve(true);
@@ -135,9 +188,14 @@ export class WebSocketClient {
           logger.warn(LogCategory.NETWORK, `WebSocket connection closed: ${event.code} ${event.reason}`);
           this.isConnected = false;
           this.isAuthenticated = false;
+          this.snapshotDecoder = null;
+          
+          // Replies to in-flight requests will never arrive on this socket
+          this.rejectPendingRequests('Connection closed');
           
           // Call the disconnect callback
           this.onDisconnectCallback(event);
+          this.notifyConnectionListeners(false, event);
           
           // Attempt to reconnect if not explicitly closed by the client
           if (event.code !== 1000) {
@@ -189,11 +247,11 @@ export class WebSocketClient {
   
   /**
    * Authenticate with the server
-   * @param {string} playerId - Player ID (can be any unique identifier)
+   * @param {string} playerId - Player ID (the server uses the one bound to the session)
    * @param {string} username - Username to display
-   * @param {string} token - Optional authentication token
+   * @param {string} token - Session token issued by the auth API
    */
-  authenticate(playerId, username, token = '') {
+  authenticate(playerId, username, token = this.token) {
     if (!this.isConnected) {
       logger.error(LogCategory.AUTH, 'Cannot authenticate: not connected to server');
       return;
@@ -207,13 +265,15 @@ export class WebSocketClient {
     this.authenticating = true;
     this.playerId = playerId;
     this.username = username;
+    this.token = token;
     
     logger.info(LogCategory.AUTH, `Authenticating as: ${username} (${playerId})`);
     
+    // The server names the player after their account
     this.send('authenticate', {
       playerId,
-      username,
-      token
+      token,
+      encodings: this.useBinarySnapshots ? [SNAPSHOT_ENCODING, 'json'] : ['json']
     });
   }
   
@@ -221,25 +281,26 @@ export class WebSocketClient {
    * Send a message to the server
    * @param {string} type - Message type
    * @param {Object} data - Message data
+   * @param {string} requestId - Correlation ID echoed back on the server's reply (optional)
    * @returns {boolean} - Success status
    */
-  send(type, data) {
+  send(type, data, requestId = null) {
     // If not connected, queue the message for later sending
     if (!this.isConnected) {
       logger.warn(LogCategory.NETWORK, `Cannot send message: not connected. Queueing ${type} message.`);
-      this.messageQueue.push({ type, data });
+      this.messageQueue.push({ type, data, requestId });
       return false;
     }
     
     // If not authenticated and message requires authentication, queue it
     if (!this.isAuthenticated && type !== 'authenticate') {
       logger.warn(LogCategory.NETWORK, `Not yet authenticated. Queueing ${type} message.`);
-      this.messageQueue.push({ type, data });
+      this.messageQueue.push({ type, data, requestId });
       return false;
     }
     
     try {
-      const message = JSON.stringify({ type, data });
+      const message = JSON.stringify(requestId ? { type, data, requestId } : { type, data });
       this.socket.send(message);
       return true;
     } catch (error) {
@@ -259,16 +320,78 @@ export class WebSocketClient {
     logger.info(LogCategory.NETWORK, `Processing ${this.messageQueue.length} queued messages`);
     
     while (this.messageQueue.length > 0) {
-      const { type, data } = this.messageQueue.shift();
-      this.send(type, data);
+      const { type, data, requestId } = this.messageQueue.shift();
+      this.send(type, data, requestId);
     }
   }
   
+  /**
+   * Send a message and wait for the server's correlated reply
+   * @param {string} type - Message type
+   * @param {Object} data - Message data
+   * @param {number} timeout - Milliseconds to wait before rejecting
+   * @returns {Promise<Object>} - Resolves with the reply { type, data }, rejects on a server error or timeout
+   */
+  request(type, data, timeout = this.requestTimeout) {
+    const requestId = `${this.playerId || 'anon'}-${Date.now()}-${this.nextRequestId++}`;
+    
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.pendingRequests.delete(requestId);
+        reject(new Error(`Request ${type} timed out after ${timeout}ms`));
+      }, timeout);
+      
+      this.pendingRequests.set(requestId, { resolve, reject, timer });
+      
+      // Queued messages keep their ID, so the reply still resolves once they are sent
+      this.send(type, data, requestId);
+    });
+  }
+  
+  /**
+   * Settle a pending request from a correlated reply
+   * @param {Object} message - Parsed message with a requestId
+   */
+  resolvePendingRequest(message) {
+    const pending = this.pendingRequests.get(message.requestId);
+    if (!pending) {
+      return;
+    }
+    
+    clearTimeout(pending.timer);
+    this.pendingRequests.delete(message.requestId);
+    
+    if (message.type === 'error') {
+      pending.reject(new Error(message.data.message));
+    } else {
+      pending.resolve({ type: message.type, data: message.data });
+    }
+  }
+  
+  /**
+   * Reject every pending request, e.g. when the connection drops
+   * @param {string} reason - Rejection reason
+   */
+  rejectPendingRequests(reason) {
+    for (const pending of this.pendingRequests.values()) {
+      clearTimeout(pending.timer);
+      pending.reject(new Error(reason));
+    }
+    
+    this.pendingRequests.clear();
+  }
+  
   /**
    * Handle incoming WebSocket messages
-   * @param {string} data - Message data as a string
+   * @param {string|ArrayBuffer} data - JSON message text or a binary snapshot frame
    */
   handleMessage(data) {
+    // Binary frames carry world-state snapshots
+    if (data instanceof ArrayBuffer) {
+      this.handleSnapshot(data);
+      return;
+    }
+    
     try {
       const message = JSON.parse(data);
       
@@ -277,6 +400,11 @@ export class WebSocketClient {
         return;
       }
       
+      // Settle any request awaiting this reply; type handlers still run below
+      if (message.requestId) {
+        this.resolvePendingRequest(message);
+      }
+      
       // Call the handler for this message type
       const handler = this.messageHandlers.get(message.type);
       if (handler) {
@@ -289,6 +417,31 @@ export class WebSocketClient {
     }
   }
   
+  /**
+   * Handle a binary world-state snapshot
+   * @param {ArrayBuffer} buffer - The binary frame
+   */
+  handleSnapshot(buffer) {
+    if (!this.snapshotDecoder) {
+      logger.warn(LogCategory.NETWORK, 'Received a binary frame before binary snapshots were negotiated');
+      return;
+    }
+    
+    try {
+      const { sequence, message } = this.snapshotDecoder.decode(buffer);
+      
+      // Let the server encode later snapshots against this one
+      this.send('snapshot-ack', { sequence });
+      
+      const handler = this.messageHandlers.get(message.type);
+      if (handler) {
+        handler(message.data);
+      }
+    } catch (error) {
+      logger.error(LogCategory.NETWORK, `Error decoding snapshot: ${error.message}`);
+    }
+  }
+  
   /**
    * Register a handler for a specific message type
    * @param {string} type - Message type
@@ -298,6 +451,32 @@ export class WebSocketClient {
     this.messageHandlers.set(type, handler);
   }
   
+  /**
+   * Listen for the connection becoming authenticated or closing
+   * Unlike onAuthenticated/onDisconnect, any number of services can listen.
+   * @param {Function} listener - Called with (isAuthenticated, data)
+   * @returns {Function} - Removes the listener
+   */
+  addConnectionListener(listener) {
+    this.connectionListeners.add(listener);
+    return () => this.connectionListeners.delete(listener);
+  }
+  
+  /**
+   * Call every connection listener
+   * @param {boolean} isAuthenticated - Whether the connection is now authenticated
+   * @param {Object} data - Authentication data or the close event
+   */
+  notifyConnectionListeners(isAuthenticated, data) {
+    for (const listener of this.connectionListeners) {
+      try {
+        listener(isAuthenticated, data);
+      } catch (error) {
+        logger.error(LogCategory.NETWORK, `Connection listener failed: ${error.message}`);
+      }
+    }
+  }
+  
   /**
    * Unregister a handler for a specific message type
    * @param {string} type - Message type
@@ -328,6 +507,16 @@ export class WebSocketClient {
     return this.send('player-move', moveData);
   }
   
+  /**
+   * Tell the server which bounds the client can see
+   * The server pushes `players-delta` updates for players inside them.
+   * @param {Object} bounds - Bounding box (minLat, maxLat, minLng, maxLng)
+   * @returns {boolean} - Success status
+   */
+  updateViewport(bounds) {
+    return this.send('update-viewport', { bounds });
+  }
+  
   /**
    * Request players in an area
    * @param {string} areaId - Area ID
@@ -349,22 +538,23 @@ export class WebSocketClient {
   /**
    * Send a chat message
    * @param {string} message - Message text
-   * @param {string} scope - Message scope (global, area, private)
-   * @param {string} targetId - Target player ID for private messages
-   * @returns {boolean} - Success status
+   * @param {string} scope - Message scope (room, area, proximity, global, whisper)
+   * @param {Object} options - { roomId } for room messages, { targetId } for whispers
+   * @returns {Promise<Object>} - Resolves with the `chat-sent` reply, rejects if the server refuses
    */
-  sendChatMessage(message, scope = 'area', targetId = null) {
+  sendChatMessage(message, scope = 'area', options = {}) {
     const chatData = {
       message,
       scope
     };
     
-    // Add target ID for private messages
-    if (scope === 'private' && targetId) {
-      chatData.targetId = targetId;
+    if (scope === 'room') {
+      chatData.roomId = options.roomId;
+    } else if (scope === 'whisper') {
+      chatData.targetId = options.targetId;
     }
     
-    return this.send('chat-message', chatData);
+    return this.request('chat-message', chatData);
   }
   
   /**
@@ -1,6 +1,18 @@
 import { EventEmitter } from 'events';
 import { PlayerStats } from '../../skills/skill-effect-system';
 
+/**
+ * Progress saved with the character
+ */
+export interface CharacterStatsData {
+    level: number;
+    xp: number;
+    xpToNextLevel: number;
+    gold: number;
+    health: number;
+    maxHealth: number;
+}
+
 /**
  * PlayerStatsService - Single source of truth for all player stats
  * This service manages all player statistics and provides methods to modify them
@@ -74,6 +86,18 @@ export class PlayerStatsService extends EventEmitter {
      * @returns The amount healed, if any
      */
     checkGodModeHealing(): number;
+
+    /**
+     * Get the progress saved with the character
+     * @returns Level, XP, gold and health
+     */
+    serialize(): CharacterStatsData;
+
+    /**
+     * Restore progress saved with the character
+     * @param data - Data from serialize()
+     */
+    deserialize(data: CharacterStatsData): void;
 }
 
 /**
@@ -540,6 +540,32 @@ export class PlayerStatsService extends Phaser.Events.EventEmitter {
         return true;
     }
     
+    /**
+     * Get the progress saved with the character
+     * @returns {Object} Level, XP, gold and health
+     */
+    serialize() {
+        const { level, xp, xpToNextLevel, gold, health, maxHealth } = this.stats;
+        return { level, xp, xpToNextLevel, gold, health, maxHealth };
+    }
+    
+    /**
+     * Restore progress saved with the character
+     * @param {Object} data - Data from serialize()
+     */
+    deserialize(data) {
+        this.updateStats({
+            level: data.level,
+            xp: data.xp,
+            xpToNextLevel: data.xpToNextLevel,
+            gold: data.gold,
+            maxHealth: data.maxHealth,
+            health: Math.min(data.health, data.maxHealth)
+        });
+        
+        logger.info(LogCategory.PLAYER, `Loaded character: level ${data.level}, ${data.gold} gold`);
+    }
+    
     /**
      * Update equipment stats
      * @param {Object} equipmentStats - Object containing equipment stat updates